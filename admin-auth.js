@@ -0,0 +1,156 @@
+// Admin access for the service's admin pages. ADMIN_TOKEN is the one admin secret: scripts send it
+// as "Authorization: Bearer <token>", browsers sign in once at /admin/login and get a session
+// cookie signed with it. Without ADMIN_TOKEN every admin route is refused.
+const crypto = require('crypto');
+
+const ADMIN_COOKIE = 'admin_session';
+const SESSION_HOURS = 12;
+
+function getAdminToken() {
+  return process.env.ADMIN_TOKEN || '';
+}
+
+function isAdminConfigured() {
+  return getAdminToken().length > 0;
+}
+
+// Constant-time, so the token can't be guessed byte by byte from response times
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getAdminToken()).update(value).digest('base64url');
+}
+
+// "{expiresAt}.{signature}"; changing ADMIN_TOKEN ends every session
+function createSessionValue(now = Date.now()) {
+  const expiresAt = now + SESSION_HOURS * 60 * 60 * 1000;
+  return `${expiresAt}.${sign(`admin:${expiresAt}`)}`;
+}
+
+function isValidSession(value, now = Date.now()) {
+  const [expiresAt, signature] = String(value || '').split('.');
+  return Number(expiresAt) > now && safeEqual(signature || '', sign(`admin:${expiresAt}`));
+}
+
+function parseCookies(req) {
+  return Object.fromEntries((req.headers.cookie || '').split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
+
+function isAdminRequest(req) {
+  if (!isAdminConfigured()) return false;
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (bearer) return safeEqual(bearer[1].trim(), getAdminToken());
+  return isValidSession(parseCookies(req)[ADMIN_COOKIE]);
+}
+
+// Express middleware: pages send signed-out browsers to the login form, everything else gets a 401
+function requireAdmin(req, res, next) {
+  if (isAdminRequest(req)) return next();
+  if (!isAdminConfigured()) {
+    return res.status(503).send('Admin pages are disabled: set ADMIN_TOKEN to enable them');
+  }
+  if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+    return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).json({ error: 'Admin authentication required' });
+}
+
+// NODE_ENV=production: debug and test routes aren't mounted at all
+function isProductionMode() {
+  return process.env.NODE_ENV === 'production';
+}
+
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|cookie/i;
+
+// A copy of value (user records, token sets, request headers) with every secret-looking field
+// replaced, for debug responses
+function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, field]) =>
+    [key, SECRET_KEY_PATTERN.test(key) && field != null ? '[redacted]' : redactSecrets(field)]));
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Only local paths, so the login form can't be used to bounce admins to another site
+function safeNextPath(next) {
+  return typeof next === 'string' && /^\/(?![/\\])/.test(next) ? next : '/admin';
+}
+
+const loginPage = (next, failed) => `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Admin Sign In - WhatsApp Calendar Audit</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 400px; margin: 80px auto; padding: 20px; }
+        .step { background: #f5f5f5; padding: 20px; border-radius: 8px; }
+        .error { background: #f8d7da; padding: 10px; border-radius: 4px; margin-bottom: 10px; }
+        button { background: #007bff; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; }
+        input { width: 100%; padding: 8px; margin: 5px 0; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+    </style>
+</head>
+<body>
+    <h1>🔐 Admin Sign In</h1>
+    <div class="step">
+        ${failed ? '<div class="error">❌ Wrong admin token</div>' : ''}
+        <form action="/admin/login" method="POST">
+            <input type="hidden" name="next" value="${escapeHtml(next)}">
+            <label>Admin token (ADMIN_TOKEN):</label>
+            <input type="password" name="token" required autofocus>
+            <br><br>
+            <button type="submit">Sign in</button>
+        </form>
+    </div>
+</body>
+</html>`;
+
+// GET/POST /admin/login and POST /admin/logout
+function registerAdminLogin(app) {
+  app.get('/admin/login', (req, res) => {
+    res.send(loginPage(safeNextPath(req.query.next), false));
+  });
+
+  app.post('/admin/login', (req, res) => {
+    const next = safeNextPath(req.body?.next);
+    if (!isAdminConfigured() || !safeEqual(req.body?.token || '', getAdminToken())) {
+      console.log(`🚫 Failed admin sign-in from ${req.ip}`);
+      return res.status(401).send(loginPage(next, true));
+    }
+
+    res.cookie(ADMIN_COOKIE, createSessionValue(), {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: SESSION_HOURS * 60 * 60 * 1000
+    });
+    console.log(`🔓 Admin signed in from ${req.ip}`);
+    res.redirect(next);
+  });
+
+  app.post('/admin/logout', (req, res) => {
+    res.clearCookie(ADMIN_COOKIE);
+    res.redirect('/admin/login');
+  });
+}
+
+module.exports = {
+  ADMIN_COOKIE,
+  isAdminConfigured,
+  isAdminRequest,
+  requireAdmin,
+  registerAdminLogin,
+  isProductionMode,
+  redactSecrets,
+  escapeHtml
+};
@@ -0,0 +1,48 @@
+// Per-user record of recent audit runs: when each ran, how it ended, what it counted and the
+// summary it sent, so the admin dashboard can show the last outcome and resend a summary.
+// Kept in the shared state store, so runs of the GitHub runner show up next to the service's.
+const { createStateStore } = require('./state-store');
+const { isAuditDue } = require('./user-schedule');
+
+// Runs kept per user, newest first
+const MAX_RUNS = 30;
+
+class AuditHistory {
+  constructor(options = {}) {
+    this.store = options.store || createStateStore('audit-history', options);
+  }
+
+  // run: { startedAt, finishedAt, outcome: 'all clear' | 'issues' | 'not sent' | 'fallback' | 'failed',
+  //        counts, summary (the message text), error }
+  async record(userId, run) {
+    const runs = await this.list(userId);
+    runs.unshift(run);
+    await this.store.put(userId, { runs: runs.slice(0, MAX_RUNS) });
+  }
+
+  async list(userId) {
+    return (await this.store.get(userId))?.runs || [];
+  }
+
+  async latest(userId) {
+    return (await this.list(userId))[0] || null;
+  }
+
+  // When the newest run that didn't fail started: scheduled audit times before it are done, while a
+  // failed one is retried on the next scheduled run
+  async lastAuditAt(userId) {
+    return (await this.list(userId)).find(run => run.outcome !== 'failed')?.startedAt || null;
+  }
+
+  // Whether a scheduled runner owes the user an audit at now (see pendingAuditTime)
+  async isDue(userData, now = new Date()) {
+    return isAuditDue(userData, await this.lastAuditAt(userData.id), now);
+  }
+
+  // The newest run that produced a summary, even if sending it failed
+  async latestSummary(userId) {
+    return (await this.list(userId)).find(run => run.summary) || null;
+  }
+}
+
+module.exports = { AuditHistory };
@@ -0,0 +1,147 @@
+// Which audit items the ledger (audit-ledger.js) reports, repeats, skips and forgets, run after run
+const { AuditLedger, getEscalationDays, formatStillOpen } = require('./audit-ledger');
+const { runChecks } = require('./fixture-checks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USER_ID = 'ledger-user';
+
+function meeting(id, text, llmDateTime) {
+  return { id, messageId: id, chatId: '972501111111@c.us', extractedText: text, llmDateTime };
+}
+
+const DINNER = meeting('dinner', 'Dinner at grandma\'s on Friday at 8', '2026-10-23T20:00:00');
+const DENTIST = meeting('dentist', 'Dentist Tuesday 10:00', '2026-10-20T10:00:00');
+
+// Ledger kept in memory instead of the state store; records are copied like a real store would
+function memoryLedger() {
+  const records = new Map();
+  const store = {
+    get: async (id) => (records.has(id) ? structuredClone(records.get(id)) : null),
+    put: async (id, data) => records.set(id, structuredClone(data))
+  };
+  return { ledger: new AuditLedger({ store }), records };
+}
+
+// Moves an entry's recorded times back by days, as if they were written that long ago
+function age(records, days, fields = ['firstReportedAt', 'lastReportedAt', 'dismissedAt', 'resolvedAt', 'until']) {
+  for (const entry of Object.values(records.get(USER_ID).entries)) {
+    for (const field of fields) {
+      if (entry[field]) entry[field] = new Date(new Date(entry[field]).getTime() - days * DAY_MS).toISOString();
+    }
+  }
+}
+
+// Texts of the items a run reports, with "(repeated)" for ones reported before
+async function reported(ledger, items, options) {
+  return (await ledger.review(USER_ID, items, options))
+    .map(item => `${item.type} ${item.meeting.extractedText}${item.stillOpenSince ? ' (repeated)' : ''}`);
+}
+
+const FIXTURES = [
+  {
+    name: 'an item is reported once, then skipped while it stays open',
+    run: async () => {
+      const { ledger } = memoryLedger();
+      const items = [{ type: 'missing', meeting: DINNER }];
+      return [await reported(ledger, items), await reported(ledger, items)];
+    },
+    expected: [['missing Dinner at grandma\'s on Friday at 8'], []]
+  },
+  {
+    name: 'a meeting with several conflicts is reported with all of them or none',
+    run: async () => {
+      const { ledger } = memoryLedger();
+      const items = [{ type: 'conflict', meeting: DENTIST, event: 'Work' }, { type: 'conflict', meeting: DENTIST, event: 'Gym' }];
+      return [(await reported(ledger, items)).length, (await reported(ledger, items)).length, (await ledger.openCounts(USER_ID)).total];
+    },
+    expected: [2, 0, 1]
+  },
+  {
+    name: 'escalation repeats an item still open after escalationDays, marked as still open',
+    run: async () => {
+      const { ledger, records } = memoryLedger();
+      const items = [{ type: 'missing', meeting: DINNER }];
+      await ledger.review(USER_ID, items, { escalationDays: 2 });
+      age(records, 1);
+      const early = await reported(ledger, items, { escalationDays: 2 });
+      age(records, 2);
+      const [repeated] = await ledger.review(USER_ID, items, { escalationDays: 2 });
+      const [entry] = Object.values(records.get(USER_ID).entries);
+      return [early, Math.round((Date.now() - new Date(repeated.stillOpenSince)) / DAY_MS), entry.reportCount];
+    },
+    expected: [[], 3, 2]
+  },
+  {
+    name: 'escalation days: the user\'s own, then ESCALATION_DAYS, else never',
+    run: () => {
+      const saved = process.env.ESCALATION_DAYS;
+      try {
+        process.env.ESCALATION_DAYS = '3';
+        const days = [getEscalationDays({ escalationDays: 5 }), getEscalationDays({})];
+        delete process.env.ESCALATION_DAYS;
+        days.push(getEscalationDays({}), getEscalationDays({ escalationDays: 0 }));
+        return days;
+      } finally {
+        if (saved !== undefined) process.env.ESCALATION_DAYS = saved;
+      }
+    },
+    expected: [5, 3, null, null]
+  },
+  {
+    name: 'a meeting found on the calendar closes its item; if it disappears again it is new',
+    run: async () => {
+      const { ledger } = memoryLedger();
+      const items = [{ type: 'missing', meeting: DINNER }];
+      await ledger.review(USER_ID, items);
+      await ledger.review(USER_ID, [], { resolvedMeetings: [DINNER] });
+      const open = (await ledger.openCounts(USER_ID)).total;
+      return [open, await reported(ledger, items)];
+    },
+    expected: [0, ['missing Dinner at grandma\'s on Friday at 8']]
+  },
+  {
+    name: 'ignored items never come back; snoozed ones come back once the snooze is over',
+    run: async () => {
+      const { ledger, records } = memoryLedger();
+      const items = [{ type: 'missing', meeting: DINNER }, { type: 'missing', meeting: DENTIST }];
+      await ledger.review(USER_ID, items);
+      await ledger.markDismissed(USER_ID, DINNER, 'ignore');
+      await ledger.markDismissed(USER_ID, DENTIST, 'snooze', Date.now() + DAY_MS);
+      const snoozed = await reported(ledger, items);
+      age(records, 2, ['until']);
+      return [snoozed, await reported(ledger, items), await reported(ledger, items)];
+    },
+    expected: [[], ['missing Dentist Tuesday 10:00 (repeated)'], []]
+  },
+  {
+    name: 'closed items are forgotten after RETENTION_DAYS, open ones are kept',
+    run: async () => {
+      const { ledger, records } = memoryLedger();
+      await ledger.review(USER_ID, [{ type: 'missing', meeting: DINNER }, { type: 'conflict', meeting: DENTIST }]);
+      await ledger.markResolved(USER_ID, DINNER, 'added');
+      age(records, 61);
+      await ledger.review(USER_ID, []);
+      return Object.values(records.get(USER_ID).entries).map(entry => `${entry.type} ${entry.status}`);
+    },
+    expected: ['conflict open']
+  },
+  {
+    name: 'a repeated item\'s summary line is in the user\'s date format',
+    run: () => [
+      formatStillOpen({ stillOpenSince: '2026-10-16T10:00:00Z' }, { timezone: 'Asia/Jerusalem', locale: 'he-IL' }),
+      formatStillOpen({ stillOpenSince: '2026-10-16T10:00:00Z' }, { timezone: 'America/New_York', locale: 'en-US' }, 'conflicting'),
+      formatStillOpen({}, {})
+    ],
+    expected: ['⏳ Still missing since 16.10.2026', '⏳ Still conflicting since 10/16/2026', '']
+  }
+];
+
+function runFixtures(fixtures = FIXTURES) {
+  return runChecks('audit ledger', fixtures);
+}
+
+if (require.main === module) {
+  runFixtures().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { FIXTURES, runFixtures };
@@ -0,0 +1,168 @@
+// Per-user ledger of audit items already reported, so a meeting that is still in the
+// 24h window isn't reported again every night. Entries are keyed by meetingFingerprint
+// and record when the item was reported, resolved (found on or added to the calendar)
+// or dismissed from WhatsApp ("2 ignore", "3 snooze").
+const { createStateStore } = require('./state-store');
+const { meetingFingerprint } = require('./calendar-writer');
+const { formatUserDate } = require('./user-schedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Resolved and dismissed entries are forgotten after this long
+const RETENTION_DAYS = 60;
+
+// Days after which an item that is still open is reported again as "still missing since":
+// per user, then env; unset means reported items are never repeated
+function getEscalationDays(userData) {
+  const configured = userData?.escalationDays ?? parseInt(process.env.ESCALATION_DAYS, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : null;
+}
+
+// Summary line for a repeated item: "⏳ Still missing since 18.10.2026", in the user's date format
+function formatStillOpen(item, userData, state = 'missing') {
+  return item.stillOpenSince ? `⏳ Still ${state} since ${formatUserDate(userData, new Date(item.stillOpenSince))}` : '';
+}
+
+// Kept in the shared state store (state-store.js), so the service and the GitHub runner
+// report, resolve and dismiss against the same entries
+class AuditLedger {
+  constructor(options = {}) {
+    this.store = options.store || createStateStore('audit-ledger', options);
+  }
+
+  // Returns the items of this run still to report, dropping ones already reported.
+  // items: [{ type: 'conflict' | 'missing' | 'rescheduled' | 'cancelled', meeting }]. Repeated
+  // items (escalation, or a snooze that ran out) get stillOpenSince, the ISO time of the first report.
+  // resolvedMeetings are on the calendar now, so their open entries are closed.
+  async review(userId, items, options = {}) {
+    const ledger = await this.load(userId);
+    const now = Date.now();
+    const escalationMs = options.escalationDays ? options.escalationDays * DAY_MS : null;
+    const toReport = [];
+    // One meeting can conflict with several events; report all of them or none
+    const decided = new Map();
+
+    for (const meeting of options.resolvedMeetings || []) {
+      const entry = ledger.entries[meetingFingerprint(meeting)];
+      if (entry && entry.status === 'open') {
+        entry.status = 'resolved';
+        entry.resolvedAt = new Date(now).toISOString();
+        entry.resolution = 'on calendar';
+        console.log(`✅ Resolved: "${entry.text}" is on the calendar now`);
+      }
+    }
+
+    for (const item of items) {
+      const fingerprint = meetingFingerprint(item.meeting);
+      const entry = ledger.entries[fingerprint];
+
+      if (decided.has(fingerprint)) {
+        if (decided.get(fingerprint)) toReport.push({ ...item, stillOpenSince: decided.get(fingerprint).stillOpenSince });
+        continue;
+      }
+
+      if (!entry || entry.status === 'resolved') {
+        // New, or back after being resolved (the calendar event was removed)
+        ledger.entries[fingerprint] = this.newEntry(item, now);
+        decided.set(fingerprint, { stillOpenSince: undefined });
+        toReport.push(item);
+        continue;
+      }
+
+      if (entry.status === 'dismissed') {
+        if (entry.dismissal !== 'snooze' || new Date(entry.until).getTime() > now) {
+          console.log(`🙈 Skipping "${entry.text}": ${entry.dismissal === 'snooze' ? 'snoozed' : 'dismissed'} ${entry.dismissedAt.substring(0, 10)}`);
+          decided.set(fingerprint, null);
+          continue;
+        }
+        // Snooze is over - remind once, then it is open again
+        Object.assign(entry, { status: 'open', dismissal: undefined, dismissedAt: undefined, until: undefined });
+      } else if (!escalationMs || now - new Date(entry.lastReportedAt).getTime() < escalationMs) {
+        console.log(`⏭️ Skipping "${entry.text}": already reported ${entry.lastReportedAt.substring(0, 10)}`);
+        decided.set(fingerprint, null);
+        continue;
+      }
+
+      entry.type = item.type;
+      entry.lastReportedAt = new Date(now).toISOString();
+      entry.reportCount = (entry.reportCount || 1) + 1;
+      decided.set(fingerprint, { stillOpenSince: entry.firstReportedAt });
+      toReport.push({ ...item, stillOpenSince: entry.firstReportedAt });
+    }
+
+    await this.save(userId, ledger);
+    return toReport;
+  }
+
+  newEntry(item, now) {
+    const reportedAt = new Date(now).toISOString();
+    return {
+      type: item.type,
+      status: 'open',
+      text: (item.meeting.extractedText || item.meeting.text || '').substring(0, 60),
+      chatId: item.meeting.chatId,
+      messageId: item.meeting.messageId || item.meeting.id,
+      firstReportedAt: reportedAt,
+      lastReportedAt: reportedAt,
+      reportCount: 1
+    };
+  }
+
+  // "ignore" dismisses for good; "snooze" until the given time
+  async markDismissed(userId, meeting, dismissal, until) {
+    await this.update(userId, meeting, entry => Object.assign(entry, {
+      status: 'dismissed',
+      dismissal,
+      dismissedAt: new Date().toISOString(),
+      until: until ? new Date(until).toISOString() : undefined
+    }));
+  }
+
+  async markResolved(userId, meeting, resolution) {
+    await this.update(userId, meeting, entry => Object.assign(entry, {
+      status: 'resolved',
+      resolvedAt: new Date().toISOString(),
+      resolution
+    }));
+  }
+
+  async update(userId, meeting, change) {
+    const ledger = await this.load(userId);
+    const fingerprint = meetingFingerprint(meeting);
+    const entry = ledger.entries[fingerprint] || this.newEntry({ type: 'missing', meeting }, Date.now());
+    ledger.entries[fingerprint] = change(entry);
+    await this.save(userId, ledger);
+  }
+
+  // Items reported and still open, per type: { conflict, missing, rescheduled, cancelled, total }
+  async openCounts(userId) {
+    const counts = { conflict: 0, missing: 0, rescheduled: 0, cancelled: 0, total: 0 };
+    for (const entry of Object.values((await this.load(userId)).entries)) {
+      if (entry.status !== 'open') continue;
+      counts[entry.type] = (counts[entry.type] || 0) + 1;
+      counts.total++;
+    }
+    return counts;
+  }
+
+  // A store that can't be read fails the run rather than starting from an empty ledger,
+  // which would report everything again and overwrite the dismissals on save
+  async load(userId) {
+    const data = await this.store.get(userId);
+    return { entries: data?.entries || {} };
+  }
+
+  async save(userId, ledger) {
+    // Open entries stay until resolved; closed ones age out
+    const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+    for (const [fingerprint, entry] of Object.entries(ledger.entries)) {
+      const closedAt = entry.resolvedAt || entry.dismissedAt;
+      if (entry.status !== 'open' && closedAt && new Date(closedAt).getTime() < cutoff) {
+        delete ledger.entries[fingerprint];
+      }
+    }
+
+    await this.store.put(userId, ledger);
+  }
+}
+
+module.exports = { AuditLedger, getEscalationDays, formatStillOpen };
@@ -0,0 +1,209 @@
+// CalDAV/ICS and Microsoft calendar providers against family.ics, a canned CalDAV server and the fake Graph
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const { CalDAVCalendarProvider, MicrosoftCalendarProvider } = require('./calendar-provider');
+const { createGraphMock, loadFixture } = require('./microsoft-graph-mock');
+const { runChecks } = require('./fixture-checks');
+
+const CALDAV_DIR = path.join(__dirname, 'mock-fixtures', 'caldav');
+const ICS_FILE = path.join(CALDAV_DIR, 'family.ics');
+const CREDENTIALS = { username: 'dana', password: 'dav-secret' };
+// Two weeks around the end of Israeli summer time (Sunday 25 October 2026)
+const QUERY = { timeMin: '2026-10-18T00:00:00.000Z', timeMax: '2026-11-01T00:00:00.000Z' };
+
+// "{method} {path} {depth}" -> canned multistatus answer
+const CALDAV_ROUTES = {
+  'PROPFIND /dav/ 1': 'root.xml',
+  'PROPFIND /dav/ 0': 'principal.xml',
+  'PROPFIND /dav/principals/dana/ 0': 'calendar-home.xml',
+  'PROPFIND /dav/calendars/dana/ 1': 'collections.xml',
+  'REPORT /dav/calendars/dana/work/ 1': 'report.xml'
+};
+
+const FAMILY_EVENTS = [
+  'Standup | 2026-10-19T06:30:00.000Z -> 2026-10-19T06:45:00.000Z',
+  'Dentist, Dr. Levi | 2026-10-22T13:00:00.000Z -> 2026-10-22T13:45:00.000Z',
+  'Trip to the north | 2026-10-23 -> 2026-10-25 (free)',
+  // The moved occurrence replaces the 09:30 one; the rest of the series follows the clock change
+  'Standup (moved) | 2026-10-26T09:00:00.000Z -> 2026-10-26T09:15:00.000Z',
+  'Standup | 2026-10-28T07:30:00.000Z -> 2026-10-28T07:45:00.000Z',
+  'Noa\'s birthday | 2026-10-30 -> 2026-10-31'
+];
+
+// A Microsoft user whose access token has run out
+function microsoftUser(tokens = {}) {
+  return {
+    name: 'Dana',
+    timezone: 'Asia/Jerusalem',
+    microsoftTokens: { access_token: 'expired', refresh_token: 'mock-refresh-token', expires_at: 0, ...tokens }
+  };
+}
+
+const FIXTURES = [
+  // Static .ics file
+  {
+    name: 'ics: calendar named by X-WR-CALNAME',
+    run: () => new CalDAVCalendarProvider({ url: ICS_FILE }).listCalendars(),
+    expected: [{ id: ICS_FILE, name: 'Family', primary: false, selected: true }]
+  },
+  {
+    name: 'ics: RRULE, EXDATE, RECURRENCE-ID, all-day and cancelled events',
+    run: async () => describeEvents(await new CalDAVCalendarProvider({ url: ICS_FILE }).listEvents(ICS_FILE, QUERY)),
+    expected: FAMILY_EVENTS
+  },
+  {
+    name: 'ics: maxResults keeps the earliest events',
+    run: async () => describeEvents(await new CalDAVCalendarProvider({ url: ICS_FILE }).listEvents(ICS_FILE, { ...QUERY, maxResults: 2 })),
+    expected: FAMILY_EVENTS.slice(0, 2)
+  },
+  {
+    name: 'ics: folded lines and escapes, VALARM kept out of the event',
+    run: async () => {
+      const events = await new CalDAVCalendarProvider({ url: ICS_FILE }).listEvents(ICS_FILE, QUERY);
+      const dentist = events.find(event => event.id === 'dentist@fixtures');
+      return [dentist.description, dentist.location];
+    },
+    expected: ['Bring the referral and the insurance card', 'Herzl 5']
+  },
+
+  // Canned CalDAV server
+  {
+    name: 'caldav: principal -> calendar home -> calendars only',
+    run: ({ caldav }) => new CalDAVCalendarProvider({ url: `${caldav.url}/dav/`, ...CREDENTIALS }).listCalendars(),
+    expected: [
+      { id: '{caldav}/dav/calendars/dana/work/', name: 'Work & family', primary: false, selected: true },
+      { id: '{caldav}/dav/calendars/dana/school%20year/', name: 'school year', primary: false, selected: true }
+    ]
+  },
+  {
+    name: 'caldav: REPORT answers expanded locally',
+    run: async ({ caldav }) => describeEvents(await new CalDAVCalendarProvider({ url: `${caldav.url}/dav/`, ...CREDENTIALS })
+      .listEvents(`${caldav.url}/dav/calendars/dana/work/`, QUERY)),
+    expected: [
+      'Planning & review | 2026-10-19T13:00:00.000Z -> 2026-10-19T14:00:00.000Z',
+      'Offsite | 2026-10-27 -> 2026-10-29'
+    ]
+  },
+  {
+    name: 'caldav: credentials and time range sent to the server',
+    run: async ({ caldav }) => {
+      caldav.requests.length = 0;
+      await new CalDAVCalendarProvider({ url: `${caldav.url}/dav/`, ...CREDENTIALS })
+        .listEvents(`${caldav.url}/dav/calendars/dana/work/`, QUERY);
+      const [report] = caldav.requests;
+      return [report.authorization, /start="20261018T000000Z" end="20261101T000000Z"/.test(report.body)];
+    },
+    expected: [`Basic ${Buffer.from('dana:dav-secret').toString('base64')}`, true]
+  },
+
+  // Fake Microsoft Graph
+  {
+    name: 'microsoft: expired token refreshed once and handed back, calendars across pages',
+    run: async () => {
+      const userData = microsoftUser();
+      const refreshed = [];
+      const provider = new MicrosoftCalendarProvider(userData, { onTokensRefreshed: user => refreshed.push(user.microsoftTokens.access_token) });
+      const calendars = await provider.listCalendars();
+      return {
+        calendars: calendars.map(calendar => `${calendar.name}${calendar.primary ? ' (default)' : ''}`),
+        refreshed: refreshed.length === 1 && refreshed[0] === userData.microsoftTokens.access_token,
+        // Microsoft didn't send a new refresh token, so the old one is kept
+        refreshToken: userData.microsoftTokens.refresh_token
+      };
+    },
+    expected: { calendars: ['Calendar (default)', 'Kids', 'Israel holidays'], refreshed: true, refreshToken: 'mock-refresh-token' }
+  },
+  {
+    name: 'microsoft: calendarView pages, cancelled dropped, all-day dates in the event\'s zone',
+    run: async () => describeEvents(await new MicrosoftCalendarProvider(microsoftUser()).listEvents('default', QUERY)),
+    expected: [
+      'Parent-teacher meeting | 2026-10-20T15:00:00Z -> 2026-10-20T16:00:00Z',
+      // Midnight in Israel is 21:00 UTC the day before
+      'Grandma visiting | 2026-10-22 -> 2026-10-24 (free)',
+      'Working from the cafe | 2026-10-25T07:00:00Z -> 2026-10-25T10:00:00Z (free)',
+      'Pottery fair | 2026-10-28 -> 2026-10-29'
+    ]
+  },
+  {
+    name: 'microsoft: a picked calendar',
+    run: async () => describeEvents(await new MicrosoftCalendarProvider(microsoftUser()).listEvents('cal-kids', QUERY)),
+    expected: ['Football practice | 2026-10-19T14:30:00Z -> 2026-10-19T16:00:00Z']
+  },
+  {
+    name: 'microsoft: a valid token is used without refreshing',
+    run: async ({ graph }) => {
+      await new MicrosoftCalendarProvider(microsoftUser()).listCalendars();
+      const issued = graph.state.issued;
+      const provider = new MicrosoftCalendarProvider(microsoftUser({ access_token: graph.state.accessToken, expires_at: Date.now() + 60 * 60 * 1000 }));
+      await provider.listEvents('cal-kids', QUERY);
+      return graph.state.issued - issued;
+    },
+    expected: 0
+  },
+  {
+    name: 'microsoft: a revoked refresh token fails the call',
+    run: () => new MicrosoftCalendarProvider(microsoftUser({ refresh_token: 'revoked' })).listCalendars(),
+    expected: 'error: Request failed with status code 400'
+  }
+];
+
+function describeEvents(events) {
+  return events.map(event => {
+    const start = event.start.dateTime || event.start.date;
+    const end = event.end.dateTime || event.end.date;
+    return `${event.summary} | ${start} -> ${end}${event.transparency === 'transparent' ? ' (free)' : ''}`;
+  });
+}
+
+// Answers the routes above and keeps every request for the checks
+function startCalDAVServer() {
+  const app = express();
+  app.use(express.text({ type: () => true }));
+  const requests = [];
+
+  app.use((req, res) => {
+    requests.push({ method: req.method, path: req.path, authorization: req.headers.authorization, body: req.body });
+    const file = CALDAV_ROUTES[`${req.method} ${req.path} ${req.headers.depth}`];
+    if (!file) return res.status(404).send('Not found');
+    res.status(207).type('application/xml').send(fs.readFileSync(path.join(CALDAV_DIR, file), 'utf8'));
+  });
+
+  return new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${listener.address().port}`, requests, close: () => listener.close() });
+    });
+  });
+}
+
+// The Microsoft provider finds the fake through MS_GRAPH_BASE_URL / MS_LOGIN_BASE_URL
+async function startGraphServer() {
+  const { app, state } = createGraphMock(await loadFixture());
+  return new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${listener.address().port}`;
+      process.env.MS_GRAPH_BASE_URL = `${url}/v1.0`;
+      process.env.MS_LOGIN_BASE_URL = url;
+      resolve({ url, state, close: () => listener.close() });
+    });
+  });
+}
+
+async function runFixtures(fixtures = FIXTURES) {
+  const caldav = await startCalDAVServer();
+  const graph = await startGraphServer();
+  try {
+    // Calendar ids name the CalDAV server's port
+    const checks = fixtures.map(fixture => ({ ...fixture, expected: JSON.parse(JSON.stringify(fixture.expected).replaceAll('{caldav}', caldav.url)) }));
+    return await runChecks('calendar provider', checks, { caldav, graph });
+  } finally {
+    caldav.close();
+    graph.close();
+  }
+}
+
+if (require.main === module) {
+  runFixtures().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { FIXTURES, runFixtures };
@@ -0,0 +1,297 @@
+// Calendar providers behind one interface, so the audit doesn't care where events live.
+// Every provider implements:
+//   listCalendars()                   -> [{ id, name, primary, selected }]
+//   defaultCalendars()                -> calendars audited before the user picks any
+//   listEvents(calendarId, { timeMin, timeMax, maxResults }) -> Google-shaped events
+//     ({ id, summary, description, location, start: { dateTime | date }, end, transparency })
+const fs = require('fs').promises;
+const axios = require('axios');
+const { createCalendarClient } = require('./calendar-writer');
+const { parseICS, eventsInRange } = require('./ics-parser');
+const { getGraphBaseUrl, refreshMicrosoftTokens, toCalendarEvent, TOKEN_EXPIRY_MARGIN_MS } = require('./microsoft-graph');
+const { getUserTimezone } = require('./user-schedule');
+
+class GoogleCalendarProvider {
+  constructor(userData) {
+    this.calendar = createCalendarClient(userData);
+  }
+
+  async listCalendars() {
+    const response = await this.calendar.calendarList.list({ minAccessRole: 'reader' });
+    return (response.data.items || []).map(entry => ({
+      id: entry.id,
+      name: entry.summaryOverride || entry.summary || entry.id,
+      primary: !!entry.primary,
+      selected: !!entry.selected
+    }));
+  }
+
+  // "primary" is Google's alias for the user's own calendar
+  async defaultCalendars() {
+    return [{ id: 'primary', name: 'Primary', primary: false, selected: true }];
+  }
+
+  async listEvents(calendarId, query) {
+    const response = await this.calendar.events.list({
+      calendarId,
+      timeMin: query.timeMin,
+      timeMax: query.timeMax,
+      singleEvents: true,
+      orderBy: 'startTime',
+      ...(query.maxResults ? { maxResults: query.maxResults } : {})
+    });
+    return response.data.items || [];
+  }
+}
+
+// CalDAV collections (Nextcloud, Fastmail, iCloud, Radicale) or a single .ics feed/file
+class CalDAVCalendarProvider {
+  constructor(config = {}) {
+    if (!config.url) {
+      throw new Error('CalDAV provider needs a server or .ics URL');
+    }
+    this.url = config.url;
+    this.auth = config.username ? { username: config.username, password: config.password || '' } : undefined;
+  }
+
+  // A subscription link or a local file is read whole; anything else is a CalDAV server
+  isICSFeed() {
+    return /^webcal:/i.test(this.url) || /\.ics(\?|$)/i.test(this.url) || !/^https?:/i.test(this.url);
+  }
+
+  async listCalendars() {
+    if (this.isICSFeed()) {
+      const { calendarName } = parseICS(await this.readFeed());
+      return [{ id: this.url, name: calendarName || 'ICS calendar', primary: false, selected: true }];
+    }
+
+    // The address may already be the calendar home; otherwise follow the principal to it (RFC 6764)
+    let calendars = await this.listCollections(this.url);
+    if (calendars.length === 0) {
+      const home = await this.discoverCalendarHome();
+      if (home && home !== this.url) {
+        calendars = await this.listCollections(home);
+      }
+    }
+    return calendars;
+  }
+
+  // Depth 1 on a calendar home lists every collection; only calendars are kept
+  async listCollections(url) {
+    const body = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:resourcetype/><d:displayname/></d:prop>
+</d:propfind>`;
+    const xml = await this.request('PROPFIND', url, body, 1);
+
+    return splitResponses(xml)
+      .filter(response => /<(?:[\w-]+:)?calendar\s*\/>/.test(xmlElement(response, 'resourcetype') || ''))
+      .map(response => {
+        const href = new URL(xmlElement(response, 'href'), url).toString();
+        return {
+          id: href,
+          name: xmlUnescape(xmlElement(response, 'displayname')) || decodeURIComponent(href.replace(/\/$/, '').split('/').pop()),
+          primary: false,
+          selected: true
+        };
+      });
+  }
+
+  async discoverCalendarHome() {
+    const principalXml = await this.request('PROPFIND', this.url, `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:"><d:prop><d:current-user-principal/></d:prop></d:propfind>`, 0);
+    const principal = xmlElement(xmlElement(principalXml, 'current-user-principal') || '', 'href');
+    if (!principal) return null;
+
+    const principalUrl = new URL(principal, this.url).toString();
+    const homeXml = await this.request('PROPFIND', principalUrl, `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:prop><c:calendar-home-set/></d:prop></d:propfind>`, 0);
+    const home = xmlElement(xmlElement(homeXml, 'calendar-home-set') || '', 'href');
+    return home ? new URL(home, principalUrl).toString() : null;
+  }
+
+  async defaultCalendars() {
+    return this.listCalendars();
+  }
+
+  async listEvents(calendarId, query) {
+    let parsed;
+    if (this.isICSFeed()) {
+      parsed = parseICS(await this.readFeed());
+    } else {
+      // Recurring series come back unexpanded and are expanded locally, since not every server supports <c:expand>
+      const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><c:calendar-data/></d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${toCalDAVTime(query.timeMin)}" end="${toCalDAVTime(query.timeMax)}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+      const xml = await this.request('REPORT', calendarId, body, 1);
+      const events = splitResponses(xml)
+        .map(response => xmlUnescape(xmlElement(response, 'calendar-data')))
+        .filter(Boolean)
+        .flatMap(ics => parseICS(ics).events);
+      parsed = { events };
+    }
+
+    const events = eventsInRange(parsed.events, query.timeMin, query.timeMax)
+      .sort((a, b) => new Date(a.start.dateTime || a.start.date) - new Date(b.start.dateTime || b.start.date));
+    return query.maxResults ? events.slice(0, query.maxResults) : events;
+  }
+
+  async readFeed() {
+    if (/^(https?|webcal):/i.test(this.url)) {
+      const response = await axios.get(this.url.replace(/^webcal:/i, 'https:'), {
+        auth: this.auth,
+        responseType: 'text',
+        timeout: 30000
+      });
+      return response.data;
+    }
+    return fs.readFile(this.url.replace(/^file:\/\//, ''), 'utf8');
+  }
+
+  async request(method, url, body, depth) {
+    const response = await axios({
+      method,
+      url,
+      data: body,
+      auth: this.auth,
+      headers: { 'Content-Type': 'application/xml; charset=utf-8', Depth: String(depth) },
+      responseType: 'text',
+      timeout: 30000
+    });
+    return response.data;
+  }
+}
+
+// Microsoft 365 / Outlook through Graph. Refreshed tokens are written back onto userData and
+// handed to onTokensRefreshed so the caller can persist them.
+class MicrosoftCalendarProvider {
+  constructor(userData, options = {}) {
+    if (!userData.microsoftTokens) {
+      throw new Error('Microsoft calendar is not connected');
+    }
+    this.userData = userData;
+    this.onTokensRefreshed = options.onTokensRefreshed;
+  }
+
+  async listCalendars() {
+    const calendars = await this.getAll('/me/calendars?$select=id,name,isDefaultCalendar');
+    return calendars.map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      primary: !!entry.isDefaultCalendar,
+      selected: true
+    }));
+  }
+
+  // "default" stands for the user's main Outlook calendar, like Google's "primary"
+  async defaultCalendars() {
+    return [{ id: 'default', name: 'Outlook', primary: false, selected: true }];
+  }
+
+  async listEvents(calendarId, query) {
+    const calendarPath = calendarId === 'default' ? '/me/calendar' : `/me/calendars/${encodeURIComponent(calendarId)}`;
+    const params = new URLSearchParams({
+      startDateTime: query.timeMin,
+      endDateTime: query.timeMax,
+      $top: String(query.maxResults || 100),
+      $orderby: 'start/dateTime'
+    });
+
+    const graphEvents = await this.getAll(`${calendarPath}/calendarView?${params}`, query.maxResults);
+    return graphEvents
+      .filter(event => !event.isCancelled)
+      .map(event => toCalendarEvent(event, getUserTimezone(this.userData)));
+  }
+
+  // Follows @odata.nextLink pages until done (or until limit items are collected)
+  async getAll(path, limit) {
+    const items = [];
+    let url = `${getGraphBaseUrl()}${path}`;
+
+    while (url && (!limit || items.length < limit)) {
+      const response = await axios.get(url, {
+        headers: {
+          Authorization: `Bearer ${await this.getAccessToken()}`,
+          Prefer: 'outlook.timezone="UTC"'
+        },
+        timeout: 30000
+      });
+      items.push(...(response.data.value || []));
+      url = response.data['@odata.nextLink'];
+    }
+
+    return limit ? items.slice(0, limit) : items;
+  }
+
+  async getAccessToken() {
+    const tokens = this.userData.microsoftTokens;
+    if (tokens.expires_at && tokens.expires_at - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+      return tokens.access_token;
+    }
+
+    console.log(`🔄 Refreshing Microsoft token for ${this.userData.name}`);
+    this.userData.microsoftTokens = await refreshMicrosoftTokens(tokens);
+    if (this.onTokensRefreshed) {
+      await this.onTokensRefreshed(this.userData);
+    }
+    return this.userData.microsoftTokens.access_token;
+  }
+}
+
+// <d:response>, <D:response> and <response xmlns="DAV:"> all appear in the wild
+function splitResponses(xml) {
+  return String(xml).match(/<(?:[\w-]+:)?response[\s>][\s\S]*?<\/(?:[\w-]+:)?response>/g) || [];
+}
+
+function xmlElement(xml, name) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`));
+  if (!match) return null;
+  return match[1].replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1').trim();
+}
+
+function xmlUnescape(text) {
+  return (text || '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#13;/g, '\r').replace(/&#10;/g, '\n').replace(/&amp;/g, '&');
+}
+
+function toCalDAVTime(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Chosen per user during setup; users from before providers existed are on Google
+function createCalendarProvider(userData, options = {}) {
+  switch (userData.calendarProvider || 'google') {
+    case 'google':
+      return new GoogleCalendarProvider(userData);
+    case 'caldav':
+      return new CalDAVCalendarProvider(userData.caldav);
+    case 'microsoft':
+      return new MicrosoftCalendarProvider(userData, options);
+    default:
+      throw new Error(`Unknown calendar provider: ${userData.calendarProvider}`);
+  }
+}
+
+function hasCalendarConnection(userData) {
+  if (!userData) return false;
+  if (userData.calendarProvider === 'caldav') return !!userData.caldav?.url;
+  if (userData.calendarProvider === 'microsoft') return !!userData.microsoftTokens?.refresh_token;
+  return !!userData.googleTokens;
+}
+
+module.exports = {
+  GoogleCalendarProvider,
+  CalDAVCalendarProvider,
+  MicrosoftCalendarProvider,
+  createCalendarProvider,
+  hasCalendarConnection
+};
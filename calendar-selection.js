@@ -0,0 +1,72 @@
+// Per-user choice of which calendars the audit reads, and what each one counts for
+
+// Without a saved choice the provider's defaults are audited (Google: the primary calendar,
+// as before calendar selection existed)
+async function getCalendarSelection(provider, userData) {
+  const calendars = userData?.calendars;
+  if (!Array.isArray(calendars) || calendars.length === 0) {
+    return buildDefaultSelection(await provider.defaultCalendars());
+  }
+  return calendars.filter(entry => entry.checkConflicts || entry.countsAsScheduled);
+}
+
+// Starting point for the setup picker: earlier choices are kept, and every other calendar the
+// user shows in their calendar app counts for both
+function buildDefaultSelection(calendars, previousSelection = []) {
+  return calendars.map(entry => {
+    const previous = previousSelection.find(choice => choice.id === entry.id);
+    const enabled = entry.primary || entry.selected;
+    return {
+      id: entry.id,
+      name: entry.primary ? `${entry.name} (primary)` : entry.name,
+      checkConflicts: previous ? previous.checkConflicts : enabled,
+      countsAsScheduled: previous ? previous.countsAsScheduled : enabled
+    };
+  });
+}
+
+// Setup form posts the calendar ids checked in each column: conflicts=<id>&scheduled=<id>
+function selectionFromForm(calendars, body) {
+  const asList = (value) => [].concat(value || []);
+  const conflictIds = new Set(asList(body.conflicts));
+  const scheduledIds = new Set(asList(body.scheduled));
+
+  return calendars.map(entry => ({
+    id: entry.id,
+    name: entry.name,
+    checkConflicts: conflictIds.has(entry.id),
+    countsAsScheduled: scheduledIds.has(entry.id)
+  }));
+}
+
+// Events from every selected calendar, each tagged with where it came from and what it counts for
+async function fetchSelectedEvents(provider, userData, query) {
+  const events = [];
+
+  for (const entry of await getCalendarSelection(provider, userData)) {
+    try {
+      for (const event of await provider.listEvents(entry.id, query)) {
+        events.push({
+          ...event,
+          calendarId: entry.id,
+          calendarName: entry.name,
+          countsForConflicts: !!entry.checkConflicts,
+          countsAsScheduled: !!entry.countsAsScheduled
+        });
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not read calendar "${entry.name}":`, error.message);
+    }
+  }
+
+  return events.sort((a, b) =>
+    new Date(a.start?.dateTime || a.start?.date) - new Date(b.start?.dateTime || b.start?.date)
+  );
+}
+
+module.exports = {
+  getCalendarSelection,
+  buildDefaultSelection,
+  selectionFromForm,
+  fetchSelectedEvents
+};
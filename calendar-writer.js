@@ -0,0 +1,224 @@
+// Creates Google Calendar events for meetings the audit confirmed as missing
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const { estimateMeetingInterval } = require('./interval-engine');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+const CALENDAR_READ_SCOPE = 'https://www.googleapis.com/auth/calendar.readonly';
+const CALENDAR_WRITE_SCOPE = 'https://www.googleapis.com/auth/calendar.events';
+const AUDIT_CREATOR_TAG = 'whatsapp-calendar-audit';
+
+// Scopes to request during OAuth - write scope only when the user opted in
+function getCalendarScopes(wantsWriteAccess) {
+  return wantsWriteAccess ? [CALENDAR_READ_SCOPE, CALENDAR_WRITE_SCOPE] : [CALENDAR_READ_SCOPE];
+}
+
+// Write mode needs both the opt-in flag and a token that was actually granted the write scope
+function isWriteModeEnabled(userData) {
+  if (!userData || !userData.calendarWrite) return false;
+  const grantedScopes = userData.googleTokens?.scope || '';
+  return grantedScopes.includes(CALENDAR_WRITE_SCOPE);
+}
+
+// Tokens were generated with the Desktop OAuth client, so refreshes must use it too
+function createCalendarClient(userData) {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_DESKTOP_CLIENT_ID,
+    process.env.GOOGLE_DESKTOP_CLIENT_SECRET,
+    'urn:ietf:wg:oauth:2.0:oob'
+  );
+  oauth2Client.setCredentials(userData.googleTokens);
+  
+  return google.calendar({ version: 'v3', auth: oauth2Client });
+}
+
+// Stable id for a detected meeting, independent of which run or message picked it up
+function meetingFingerprint(meeting) {
+  const chatId = meeting.chatId || 'unknown-chat';
+  const when = meeting.llmDateTime || meeting.messageId || meeting.id;
+  const type = (meeting.llmMeetingType || '').toLowerCase();
+  return crypto.createHash('sha1').update(`${chatId}|${when}|${type}`).digest('hex').substring(0, 16);
+}
+
+class CalendarWriter {
+  constructor(calendar, options = {}) {
+    this.calendar = calendar;
+    this.calendarId = options.calendarId || 'primary';
+    this.timeZone = options.timeZone || DEFAULT_TIMEZONE;
+    // Fixed length for every event; by default the engine's per-meeting estimate is used
+    this.durationMinutes = options.durationMinutes || null;
+    this.createdThisRun = new Set();
+  }
+
+  async createMissingEvents(missingEvents) {
+    const created = [];
+    const skipped = [];
+
+    for (const missing of missingEvents) {
+      const meeting = missing.meeting || missing;
+      try {
+        const result = await this.createEventForMeeting(meeting);
+        if (result.created) {
+          created.push({ meeting, calendarEvent: result.event });
+        } else {
+          skipped.push({ meeting, reason: result.reason });
+        }
+      } catch (error) {
+        console.error(`❌ Could not create calendar event for "${(meeting.extractedText || '').substring(0, 40)}...":`, error.message);
+        skipped.push({ meeting, reason: error.message });
+      }
+    }
+
+    return { created, skipped };
+  }
+
+  async createEventForMeeting(meeting) {
+    const eventBody = this.buildEvent(meeting);
+    if (!eventBody) {
+      return { created: false, reason: 'No LLM-extracted date/time' };
+    }
+
+    const fingerprint = eventBody.extendedProperties.private.auditFingerprint;
+    if (this.createdThisRun.has(fingerprint)) {
+      return { created: false, reason: 'Already created in this run' };
+    }
+
+    const existing = await this.findAuditCreatedEvent(fingerprint);
+    if (existing) {
+      console.log(`⏭️ Calendar event already created by audit: ${existing.summary}`);
+      this.createdThisRun.add(fingerprint);
+      return { created: false, reason: 'Already created by a previous audit', event: existing };
+    }
+
+    const response = await this.calendar.events.insert({
+      calendarId: this.calendarId,
+      requestBody: eventBody
+    });
+
+    this.createdThisRun.add(fingerprint);
+    console.log(`📅 Created calendar event: ${eventBody.summary} (${eventBody.start.dateTime || eventBody.start.date})`);
+    return { created: true, event: response.data };
+  }
+
+  async findAuditCreatedEvent(fingerprint) {
+    const response = await this.calendar.events.list({
+      calendarId: this.calendarId,
+      privateExtendedProperty: [`auditFingerprint=${fingerprint}`],
+      showDeleted: false,
+      maxResults: 1
+    });
+
+    return (response.data.items || [])[0] || null;
+  }
+
+  buildEvent(meeting) {
+    const when = this.parseLLMDateTime(meeting.llmDateTime);
+    if (!when) return null;
+
+    const event = {
+      summary: this.buildSummary(meeting),
+      description: this.buildDescription(meeting),
+      extendedProperties: {
+        private: {
+          createdBy: AUDIT_CREATOR_TAG,
+          auditFingerprint: meetingFingerprint(meeting),
+          sourceChatId: meeting.chatId || '',
+          sourceMessageId: meeting.messageId || ''
+        }
+      }
+    };
+
+    if (meeting.llmLocation) {
+      event.location = meeting.llmLocation;
+    }
+
+    if (when.time) {
+      event.start = { dateTime: `${when.date}T${when.time}:00`, timeZone: this.timeZone };
+      const durationMinutes = this.durationMinutes || estimateMeetingInterval(meeting).durationMinutes;
+      event.end = { dateTime: this.addMinutes(when.date, when.time, durationMinutes), timeZone: this.timeZone };
+    } else {
+      // Date without a time becomes an all-day event (end date is exclusive)
+      event.start = { date: when.date };
+      event.end = { date: this.addDays(when.date, 1) };
+    }
+
+    return event;
+  }
+
+  buildSummary(meeting) {
+    const type = meeting.llmMeetingType || 'Meeting';
+    const title = type.charAt(0).toUpperCase() + type.slice(1);
+    const participants = (meeting.llmParticipants || []).filter(Boolean);
+
+    if (participants.length > 0) {
+      return `${title} with ${participants.join(', ')}`;
+    }
+    if (meeting.chatName || meeting.senderName) {
+      return `${title} with ${meeting.chatName || meeting.senderName}`;
+    }
+    return title;
+  }
+
+  buildDescription(meeting) {
+    let description = `Added by WhatsApp Calendar Audit from a WhatsApp conversation.\n\n`;
+    description += `Message: "${meeting.extractedText || ''}"\n`;
+    description += `From: ${meeting.senderName || 'Unknown'}\n`;
+
+    const chatLink = this.getChatLink(meeting.chatId);
+    if (chatLink) {
+      description += `Chat: ${chatLink}\n`;
+    } else if (meeting.chatId) {
+      description += `Chat: ${meeting.chatName || meeting.chatId}\n`;
+    }
+
+    if (meeting.llmAnalysis?.reasoning) {
+      description += `\nClaude: ${meeting.llmAnalysis.reasoning} (${meeting.llmAnalysis.confidence}%)`;
+    }
+
+    return description;
+  }
+
+  // Individual chats can be opened with a wa.me link; groups have no public link
+  getChatLink(chatId) {
+    if (!chatId || !chatId.endsWith('@c.us')) return null;
+    return `https://wa.me/${chatId.replace('@c.us', '')}`;
+  }
+
+  // LLM returns "YYYY-MM-DD HH:MM" or just "YYYY-MM-DD"
+  parseLLMDateTime(llmDateTime) {
+    if (!llmDateTime || llmDateTime === 'null') return null;
+    const match = String(llmDateTime).match(/(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}):(\d{2}))?/);
+    if (!match) return null;
+
+    return {
+      date: match[1],
+      time: match[2] ? `${match[2].padStart(2, '0')}:${match[3]}` : null
+    };
+  }
+
+  addMinutes(date, time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = hours * 60 + mins + minutes;
+    const dayOffset = Math.floor(total / (24 * 60));
+    const endDate = dayOffset > 0 ? this.addDays(date, dayOffset) : date;
+    const endHours = String(Math.floor((total % (24 * 60)) / 60)).padStart(2, '0');
+    const endMins = String(total % 60).padStart(2, '0');
+    return `${endDate}T${endHours}:${endMins}:00`;
+  }
+
+  addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().substring(0, 10);
+  }
+}
+
+module.exports = {
+  CalendarWriter,
+  createCalendarClient,
+  getCalendarScopes,
+  isWriteModeEnabled,
+  meetingFingerprint,
+  CALENDAR_READ_SCOPE,
+  CALENDAR_WRITE_SCOPE
+};
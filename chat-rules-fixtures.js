@@ -0,0 +1,130 @@
+// Which chats the audit reads (chat-rules.js), with group sizes looked up from green-api-mock.js
+const { getChatRules, evaluateChat, withGroupSizes, filterChats, filterMessagesByChat } = require('./chat-rules');
+const { createGreenApiMock } = require('./green-api-mock');
+const { runChecks } = require('./fixture-checks');
+
+const GROUPS = {
+  grandparents: { id: '120363000000000010@g.us', name: 'Grandparents', participantsCount: 3 },
+  school: { id: '120363000000000011@g.us', name: 'School parents', participantsCount: 40 },
+  family: { id: '120363000000000012@g.us', name: 'Family', participantsCount: 12 },
+  gone: { id: '120363000000000013@g.us', name: 'Old group' }
+};
+const BEN = { id: '972503333333@c.us', name: 'Ben' };
+
+function user(chatRules, id = 'rules-user') {
+  return { id, name: 'Dana', greenApi: { instanceId: `${id}-instance`, token: 'token' }, chatRules };
+}
+
+function message(chat, text) {
+  return { id: `${chat.id}-${text}`, timestamp: 1792000000, chatId: chat.id, chatName: chat.name, text };
+}
+
+// Chats as Green API lists them: no participantsCount
+function listed(chat) {
+  return { id: chat.id, name: chat.name };
+}
+
+// Green API calls the mock has answered so far
+function lookups(greenApi) {
+  return greenApi.state.calls;
+}
+
+const FIXTURES = [
+  {
+    name: 'order: chat id, then label, then name, then group size / chat type',
+    run: () => {
+      const rules = getChatRules(user({
+        include: { chatIds: [GROUPS.school.id], names: ['family'], labels: ['kids'] },
+        exclude: { chatIds: [BEN.id], names: ['parents'], labels: ['work'] },
+        labels: { [GROUPS.grandparents.id]: ['Work'], '972504444444@c.us': ['kids'] }
+      }));
+      return [GROUPS.school, BEN, GROUPS.grandparents, { id: '972504444444@c.us', name: 'Parents WhatsApp' }, GROUPS.family, { id: '972505555555@c.us', name: 'Noa' }]
+        .map(chat => evaluateChat(chat, rules).reason);
+    },
+    expected: ['included by chat id', 'excluded by chat id', 'excluded by label "work"', 'included by label "kids"', 'included by name "family"', 'individual chat']
+  },
+  {
+    name: 'group size limit, no groups at all, one-to-one chats off',
+    run: () => [
+      evaluateChat(GROUPS.grandparents, getChatRules(user())).reason,
+      evaluateChat(GROUPS.school, getChatRules(user())).reason,
+      evaluateChat(GROUPS.grandparents, getChatRules(user({ maxGroupSize: 0 }))).reason,
+      evaluateChat(BEN, getChatRules(user({ individualChats: false }))).reason
+    ],
+    expected: ['group of 3 (limit 3)', 'group of 40 is over the limit of 3', 'group of 3 is over the limit of 0', 'individual chats are off']
+  },
+  {
+    name: 'stored messages: small groups read once their size is looked up, big and unknown ones skipped',
+    run: async () => {
+      const messages = [GROUPS.grandparents, GROUPS.school, GROUPS.gone, BEN].map(chat => message(chat, 'dinner at 8?'));
+      return (await filterMessagesByChat(messages, user({}, 'stored'))).map(kept => kept.chatName);
+    },
+    expected: ['Grandparents', 'Ben']
+  },
+  {
+    name: 'only groups decided by their size are looked up, and each only once a day',
+    run: async ({ greenApi }) => {
+      const before = lookups(greenApi);
+      const dana = user({}, 'cached');
+      // Family is read by name and Ben isn't a group: neither needs a lookup
+      const messages = [GROUPS.grandparents, GROUPS.family, BEN].map(chat => message(chat, 'see you'));
+      await filterMessagesByChat(messages, dana);
+      await filterMessagesByChat(messages, dana);
+      return lookups(greenApi) - before;
+    },
+    expected: 1
+  },
+  {
+    name: 'polled chats get the same sizes',
+    run: async () => (await filterChats(Object.values(GROUPS).map(listed), user({ maxGroupSize: 12 }, 'polled'))).map(chat => chat.name),
+    expected: ['Grandparents', 'Family']
+  },
+  {
+    name: 'real-time checks: one chat from a webhook gets its size',
+    run: async () => {
+      const [chat] = await withGroupSizes([listed(GROUPS.grandparents)], user({}, 'realtime'));
+      return evaluateChat(chat, getChatRules(user())).reason;
+    },
+    expected: 'group of 3 (limit 3)'
+  },
+  {
+    name: 'a failed lookup leaves the group skipped instead of failing the audit',
+    run: async () => {
+      const previous = process.env.GREEN_API_BASE_URL;
+      process.env.GREEN_API_BASE_URL = 'http://127.0.0.1:1';
+      try {
+        const [chat] = await withGroupSizes([listed(GROUPS.grandparents)], user({}, 'offline'));
+        return evaluateChat(chat, getChatRules(user())).reason;
+      } finally {
+        process.env.GREEN_API_BASE_URL = previous;
+      }
+    },
+    expected: 'group of unknown size'
+  }
+];
+
+// Green API mock serving getGroupData for GROUPS
+function startGreenApi() {
+  const { app, state } = createGreenApiMock({ chats: Object.values(GROUPS).filter(chat => chat.participantsCount) });
+  return new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => {
+      process.env.GREEN_API_BASE_URL = `http://127.0.0.1:${listener.address().port}`;
+      resolve({ state, close: () => listener.close() });
+    });
+  });
+}
+
+async function runFixtures(fixtures = FIXTURES) {
+  const greenApi = await startGreenApi();
+  try {
+    return await runChecks('chat rules', fixtures, { greenApi });
+  } finally {
+    greenApi.close();
+  }
+}
+
+if (require.main === module) {
+  runFixtures().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { FIXTURES, runFixtures };
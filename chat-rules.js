@@ -0,0 +1,233 @@
+// Per-user rules deciding which WhatsApp chats the audit reads.
+// userData.chatRules (every field optional):
+//   include / exclude: { chatIds: [], names: [], labels: [] }
+//   labels:            { [chatId]: ['family', ...] }  - labels the user gave chats in the picker
+//   maxGroupSize:      groups with at most this many participants are read (0 = no groups)
+//   individualChats:   whether one-to-one chats are read (default true)
+//   maxChats:          how many chats polling reads, to stay under Green API rate limits
+const axios = require('axios');
+const { greenApiUrl } = require('./green-api');
+
+const DEFAULT_CHAT_RULES = {
+  include: { chatIds: [], names: ['family'], labels: [] },
+  exclude: { chatIds: [], names: [], labels: [] },
+  labels: {},
+  maxGroupSize: 3,
+  individualChats: true,
+  maxChats: 15
+};
+
+// Green API's getChats and webhooks don't say how big a group is, getGroupData does. Sizes are kept
+// per instance and group for a day: groups rarely change size and every lookup counts against rate limits.
+const GROUP_SIZE_TTL_MS = 24 * 60 * 60 * 1000;
+const groupSizes = new Map();
+
+function getChatRules(userData) {
+  const rules = userData?.chatRules || {};
+  return {
+    ...DEFAULT_CHAT_RULES,
+    ...rules,
+    include: { ...DEFAULT_CHAT_RULES.include, ...rules.include },
+    exclude: { ...DEFAULT_CHAT_RULES.exclude, ...rules.exclude },
+    labels: { ...rules.labels }
+  };
+}
+
+function isGroupChat(chat) {
+  return !!chat.id && chat.id.endsWith('@g.us');
+}
+
+// Labels come from the picker, plus any the chat itself carries (WhatsApp Business)
+function chatLabels(chat, rules) {
+  return [...(rules.labels[chat.id] || []), ...(chat.labels || [])].map(label => String(label).toLowerCase());
+}
+
+// First matching rule wins: chat id, then label, then name, then group size / chat type.
+// Exclusions beat inclusions at each level. Returns { included, reason } for the audit log.
+function evaluateChat(chat, rules) {
+  const name = chat.name || '';
+  const labels = chatLabels(chat, rules);
+  const lower = (values) => (values || []).map(value => String(value).toLowerCase()).filter(Boolean);
+
+  if ((rules.exclude.chatIds || []).includes(chat.id)) {
+    return { included: false, reason: 'excluded by chat id' };
+  }
+  if ((rules.include.chatIds || []).includes(chat.id)) {
+    return { included: true, reason: 'included by chat id' };
+  }
+
+  const excludedLabel = lower(rules.exclude.labels).find(label => labels.includes(label));
+  if (excludedLabel) {
+    return { included: false, reason: `excluded by label "${excludedLabel}"` };
+  }
+  const includedLabel = lower(rules.include.labels).find(label => labels.includes(label));
+  if (includedLabel) {
+    return { included: true, reason: `included by label "${includedLabel}"` };
+  }
+
+  const excludedName = lower(rules.exclude.names).find(part => name.toLowerCase().includes(part));
+  if (excludedName) {
+    return { included: false, reason: `excluded by name "${excludedName}"` };
+  }
+  const includedName = lower(rules.include.names).find(part => name.toLowerCase().includes(part));
+  if (includedName) {
+    return { included: true, reason: `included by name "${includedName}"` };
+  }
+
+  if (isGroupChat(chat)) {
+    const size = chat.participantsCount;
+    if (!size) {
+      return { included: false, reason: 'group of unknown size', needsGroupSize: true };
+    }
+    return size <= rules.maxGroupSize
+      ? { included: true, reason: `group of ${size} (limit ${rules.maxGroupSize})` }
+      : { included: false, reason: `group of ${size} is over the limit of ${rules.maxGroupSize}` };
+  }
+
+  return rules.individualChats
+    ? { included: true, reason: 'individual chat' }
+    : { included: false, reason: 'individual chats are off' };
+}
+
+// Participant count of a group from getGroupData, cached (see GROUP_SIZE_TTL_MS); null when Green
+// API doesn't know the group
+async function fetchGroupSize(instance, groupId) {
+  const key = `${instance.instanceId}:${groupId}`;
+  const cached = groupSizes.get(key);
+  if (cached && Date.now() - cached.at < GROUP_SIZE_TTL_MS) return cached.size;
+
+  const response = await axios.post(greenApiUrl(instance, 'getGroupData'), { groupId }, { timeout: 30000 });
+  const size = response.data?.participants?.length || null;
+  if (size) groupSizes.set(key, { size, at: Date.now() });
+  return size;
+}
+
+// Chats with participantsCount filled in for the groups whose verdict depends on their size, one
+// lookup at a time. A group whose lookup fails stays of unknown size, and so left out.
+async function withGroupSizes(chats, userData) {
+  const rules = getChatRules(userData);
+  const instance = userData?.greenApi;
+  const sized = [];
+  for (const chat of chats) {
+    if (!instance || !evaluateChat(chat, rules).needsGroupSize) {
+      sized.push(chat);
+      continue;
+    }
+    try {
+      const size = await fetchGroupSize(instance, chat.id);
+      sized.push(size ? { ...chat, participantsCount: size } : chat);
+    } catch (error) {
+      console.warn(`⚠️ Couldn't get the size of group ${chat.name || chat.id}: ${error.message}`);
+      sized.push(chat);
+    }
+  }
+  return sized;
+}
+
+// Filters chats and logs the rule behind every decision
+async function filterChats(chats, userData) {
+  const rules = getChatRules(userData);
+  return (await withGroupSizes(chats, userData)).filter(chat => {
+    const verdict = evaluateChat(chat, rules);
+    console.log(`   ${verdict.included ? '✅' : '⏭️'} ${chat.name || chat.id}: ${verdict.reason}`);
+    return verdict.included;
+  });
+}
+
+// Stored messages only know their chat id and name, so each chat is evaluated (and logged) once,
+// with group sizes looked up like polled chats
+async function filterMessagesByChat(messages, userData) {
+  const rules = getChatRules(userData);
+  const chats = new Map();
+  for (const message of messages) {
+    if (!chats.has(message.chatId)) chats.set(message.chatId, { id: message.chatId, name: message.chatName });
+  }
+
+  const verdicts = new Map();
+  for (const chat of await withGroupSizes([...chats.values()], userData)) {
+    const verdict = evaluateChat(chat, rules);
+    console.log(`   ${verdict.included ? '✅' : '⏭️'} ${chat.name || chat.id}: ${verdict.reason}`);
+    verdicts.set(chat.id, verdict);
+  }
+  return messages.filter(message => verdicts.get(message.chatId).included);
+}
+
+async function fetchChats(instance) {
+  const response = await axios.get(
+    greenApiUrl(instance, 'getChats'),
+    { timeout: 30000 }
+  );
+  return response.data || [];
+}
+
+// Chats shown in the setup picker: the most recent ones plus every chat that already has a rule,
+// kept well under the form's parameter limit
+const PICKER_CHAT_LIMIT = 100;
+
+function pickerChats(chats, userData) {
+  const rules = getChatRules(userData);
+  const hasRule = (chat) => rules.include.chatIds.includes(chat.id) || rules.exclude.chatIds.includes(chat.id) || !!rules.labels[chat.id];
+  const recent = [...chats]
+    .sort((a, b) => (b.lastMessage?.timestamp || 0) - (a.lastMessage?.timestamp || 0))
+    .filter((chat, index) => index < PICKER_CHAT_LIMIT || hasRule(chat));
+
+  return recent.map(chat => {
+    let mode = 'auto';
+    if (rules.include.chatIds.includes(chat.id)) mode = 'include';
+    if (rules.exclude.chatIds.includes(chat.id)) mode = 'exclude';
+    return {
+      id: chat.id,
+      name: chat.name || chat.id,
+      isGroup: isGroupChat(chat),
+      mode,
+      labels: (rules.labels[chat.id] || []).join(', '),
+      reason: evaluateChat(chat, rules).reason
+    };
+  });
+}
+
+// Picker form: chats[i][id], chats[i][mode] (auto/include/exclude), chats[i][labels] plus the general rules
+function rulesFromForm(previousRules, body) {
+  const rules = getChatRules({ chatRules: previousRules });
+  const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  const chats = Array.isArray(body.chats) ? body.chats : Object.values(body.chats || {});
+
+  const include = { ...rules.include, chatIds: rules.include.chatIds.filter(id => !chats.some(chat => chat.id === id)) };
+  const exclude = { ...rules.exclude, chatIds: rules.exclude.chatIds.filter(id => !chats.some(chat => chat.id === id)) };
+  const labels = { ...rules.labels };
+
+  for (const chat of chats) {
+    if (!chat.id) continue;
+    if (chat.mode === 'include') include.chatIds.push(chat.id);
+    if (chat.mode === 'exclude') exclude.chatIds.push(chat.id);
+
+    const chatLabelList = splitList(chat.labels);
+    if (chatLabelList.length > 0) {
+      labels[chat.id] = chatLabelList;
+    } else {
+      delete labels[chat.id];
+    }
+  }
+
+  const maxGroupSize = parseInt(body.maxGroupSize, 10);
+  return {
+    include: { ...include, names: splitList(body.includeNames), labels: splitList(body.includeLabels) },
+    exclude: { ...exclude, names: splitList(body.excludeNames), labels: splitList(body.excludeLabels) },
+    labels,
+    maxGroupSize: Number.isNaN(maxGroupSize) ? rules.maxGroupSize : Math.max(0, maxGroupSize),
+    individualChats: body.individualChats === 'on',
+    maxChats: rules.maxChats
+  };
+}
+
+module.exports = {
+  DEFAULT_CHAT_RULES,
+  getChatRules,
+  evaluateChat,
+  withGroupSizes,
+  filterChats,
+  filterMessagesByChat,
+  fetchChats,
+  pickerChats,
+  rulesFromForm
+};
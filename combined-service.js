@@ -5,13 +5,36 @@ const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getCalendarScopes } = require('./calendar-writer');
+const { createCalendarProvider, CalDAVCalendarProvider, hasCalendarConnection } = require('./calendar-provider');
+const { getMicrosoftAuthUrl, exchangeMicrosoftCode } = require('./microsoft-graph');
+const { buildDefaultSelection, selectionFromForm } = require('./calendar-selection');
+const { fetchChats, pickerChats, rulesFromForm } = require('./chat-rules');
+const { MessageStore, messageFromWebhook } = require('./message-store');
+const { RealtimeConflictChecker } = require('./realtime-checker');
+const { greenApiUrl } = require('./green-api');
+const { UserRegistry } = require('./user-registry');
+const { userLink, requireUserLink, signState, userIdFromState, requireSignedState } = require('./setup-links');
+const { calendarsPage, chatsPage } = require('./setup-pages');
+const { registerWebhook, masterWebhookSender, WebhookGuard } = require('./webhook-auth');
+const { escapeHtml } = require('./admin-auth');
 
 const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Store recent messages in memory
-const recentMessages = new Map();
+// Webhook messages are persisted per user and read back by the daily audit
+const messageStore = new MessageStore();
+const userRegistry = new UserRegistry();
+const webhookGuard = new WebhookGuard();
+
+// Conflict checks run once a conversation settles, not on every message
+const conflictChecker = new RealtimeConflictChecker({
+  messageStore,
+  loadUserData: (userId) => loadUserData(userId),
+  saveUserData: (userData) => saveUserData(userData.id, userData),
+  sendAlert: (userData, alert) => sendUserMessage(userData, alert)
+});
 
 // Master Google OAuth2 client
 const oauth2Client = new google.auth.OAuth2(
@@ -24,13 +47,21 @@ const oauth2Client = new google.auth.OAuth2(
 // WEBHOOK ENDPOINTS (for receiving WhatsApp messages)
 // ============================================================================
 
-// Multi-user webhook endpoints
-app.post('/webhook/:userId', async (req, res) => {
+// Multi-user webhook endpoints; each only accepts its own instance, with its webhook secret
+const verifyUserWebhook = webhookGuard.verify(async (req) => {
+  const userData = await loadUserData(req.params.userId);
+  return {
+    id: req.params.userId,
+    expected: userData && { instanceId: userData.greenApi?.instanceId, webhookToken: userData.webhookToken }
+  };
+});
+
+app.post('/webhook/:userId', verifyUserWebhook, async (req, res) => {
   const userId = req.params.userId;
   await handleWebhook(req, res, userId);
 });
 
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', webhookGuard.verify(() => ({ id: 'master', expected: masterWebhookSender() })), async (req, res) => {
   await handleWebhook(req, res, 'default');
 });
 
@@ -41,30 +72,18 @@ async function handleWebhook(req, res, userId) {
     
     console.log(`📱 [${userId}] Webhook received`);
     
-    // Process only text messages
-    if (notification.typeWebhook === 'incomingMessageReceived' && 
-        notification.messageData?.typeMessage === 'textMessage') {
-      
-      const message = {
-        id: notification.idMessage,
-        timestamp: Math.floor(Date.now() / 1000),
-        chatId: notification.senderData.chatId,
-        senderName: notification.senderData.senderName || notification.senderData.sender,
-        text: notification.messageData.textMessageData?.textMessage || '',
-      };
-      
+    // Any notification shows the webhook works (see coversWindow); every incoming and outgoing
+    // text message is kept for the daily audit
+    await messageStore.recordDelivery(userId);
+    const message = messageFromWebhook(notification);
+    if (message) {
+      await messageStore.saveMessage(userId, message);
+    }
+    
+    // Both sides of the conversation count, but never our own alerts
+    if (message && !message.fromApi) {
       console.log(`📱 [${userId}] Message from ${message.senderName}: "${message.text}"`);
-      
-      // Simple keyword detection
-      const keywords = ['meeting', 'appointment', 'פגישה', 'תור', 'טיפול'];
-      const hasKeyword = keywords.some(keyword => 
-        message.text.toLowerCase().includes(keyword.toLowerCase())
-      );
-      
-      if (hasKeyword) {
-        console.log(`🎯 [${userId}] Meeting detected! (Smart conflict checking would happen here)`);
-        // Here is where you'd add the smart calendar checking logic
-      }
+      conflictChecker.onMessage(userId, message);
     }
   } catch (error) {
     console.error('Webhook error:', error);
@@ -156,7 +175,7 @@ const setupPage = (userData) => `
     
     <div class="step">
         <h3>Step 3: Enter Green API Credentials</h3>
-        <form action="/setup/whatsapp/${userData.id}" method="POST">
+        <form action="${userLink(userData.id, '/setup/whatsapp')}" method="POST">
             <label>Instance ID:</label>
             <input type="text" name="instanceId" placeholder="e.g., 7105276256" required>
             
@@ -194,9 +213,16 @@ const calendarPage = (userData) => `
         <h3>Step 4: Connect Google Calendar</h3>
         <p><strong>Important:</strong> ${userData.name} will sign in with <strong>her own Google account</strong> to access <strong>her own calendar</strong>.</p>
         
-        <a href="/auth/google/${userData.id}">
+        <a href="${userLink(userData.id, '/auth/google')}">
             <button>🔗 Connect My Google Calendar</button>
         </a>
+        <br><br>
+        <a href="${userLink(userData.id, '/auth/google', { write: 1 })}">
+            <button>✍️ Connect and Add Missing Meetings For Me</button>
+        </a>
+        <p><small>The second option also lets the daily audit create calendar events for meetings it found in WhatsApp but not in the calendar.</small></p>
+        <p><a href="${userLink(userData.id, '/auth/microsoft')}">🟦 Use a Microsoft 365 / Outlook calendar instead</a><br>
+        <a href="${userLink(userData.id, '/setup/caldav')}">📆 Use a CalDAV or ICS calendar instead (Nextcloud, Fastmail, iCloud)</a></p>
     </div>
 </body>
 </html>`;
@@ -236,6 +262,48 @@ const completePage = (userData) => `
 </body>
 </html>`;
 
+const caldavPage = (userData, error) => `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>CalDAV / ICS Setup - ${escapeHtml(userData.name)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; }
+        .step { background: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 8px; }
+        .error { background: #f8d7da; color: #721c24; }
+        input { width: 100%; padding: 10px; margin: 5px 0; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        button { background: #28a745; color: white; padding: 12px 24px; border: none; border-radius: 4px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h1>📆 CalDAV / ICS Calendar for ${escapeHtml(userData.name)}</h1>
+    ${error ? `<div class="step error"><strong>❌ Could not connect:</strong> ${escapeHtml(error)}</div>` : ''}
+    
+    <div class="step">
+        <form action="${userLink(userData.id, '/setup/caldav')}" method="POST">
+            <label>CalDAV address or .ics link</label>
+            <input type="text" name="url" placeholder="https://cloud.example.com/remote.php/dav/calendars/me/" required>
+            <label>Username (optional for public .ics links)</label>
+            <input type="text" name="username">
+            <label>Password / app password</label>
+            <input type="password" name="password">
+            <br><br>
+            <button type="submit">✅ Connect Calendar</button>
+        </form>
+    </div>
+    
+    <div class="step">
+        <h3>💡 Where to find the address:</h3>
+        <ul>
+            <li><strong>Nextcloud:</strong> Calendar → Settings → "Copy primary CalDAV address"</li>
+            <li><strong>Fastmail:</strong> https://caldav.fastmail.com/dav/calendars/user/you@fastmail.com/ with an app password</li>
+            <li><strong>iCloud:</strong> https://caldav.icloud.com/ with an app-specific password</li>
+            <li><strong>Any calendar:</strong> a public or secret .ics subscription link (read-only)</li>
+        </ul>
+    </div>
+</body>
+</html>`;
+
 // Setup routes
 app.get('/', (req, res) => {
   res.send(homePage);
@@ -257,7 +325,7 @@ app.post('/setup', async (req, res) => {
   res.send(setupPage(userData));
 });
 
-app.post('/setup/whatsapp/:userId', async (req, res) => {
+app.post('/setup/whatsapp/:userId', requireUserLink, async (req, res) => {
   const { userId } = req.params;
   const { instanceId, token } = req.body;
   
@@ -268,8 +336,7 @@ app.post('/setup/whatsapp/:userId', async (req, res) => {
 
   try {
     // Validate Green API credentials
-    const testUrl = `https://api.green-api.com/waInstance${instanceId}/getStateInstance/${token}`;
-    const response = await axios.get(testUrl);
+    const response = await axios.get(greenApiUrl({ instanceId, token }, 'getStateInstance'));
     
     if (response.data.stateInstance !== 'authorized') {
       throw new Error('WhatsApp not connected');
@@ -281,42 +348,222 @@ app.post('/setup/whatsapp/:userId', async (req, res) => {
 
     res.send(calendarPage(userData));
   } catch (error) {
-    res.send(`<h1>❌ Connection Failed</h1><p>${error.message}</p>`);
+    res.send(`<h1>❌ Connection Failed</h1><p>${escapeHtml(error.message)}</p>`);
   }
 });
 
-app.get('/auth/google/:userId', async (req, res) => {
+// The OAuth callback route must come before /:userId
+app.get('/auth/google/callback', requireSignedState, async (req, res) => {
+  const { code } = req.query;
+  const userId = userIdFromState(req.query.state);
+  
+  try {
+    const { tokens } = await oauth2Client.getToken(code);
+    
+    const userData = await loadUserData(userId);
+    userData.googleTokens = tokens;
+    userData.calendarProvider = 'google';
+    userData.status = 'fully_configured';
+    await saveUserData(userId, userData);
+
+    // Configure webhook for this user
+    await configureUserWebhook(userData);
+
+    await showCalendarPicker(res, userData);
+  } catch (error) {
+    res.send(`<h1>❌ Calendar Connection Failed</h1><p>${escapeHtml(error.message)}</p>`);
+  }
+});
+
+app.get('/auth/google/:userId', requireUserLink, async (req, res) => {
   const { userId } = req.params;
   
-  const scopes = ['https://www.googleapis.com/auth/calendar.readonly'];
+  // Write access is opt-in: remember the choice so the audit knows it may create events
+  const wantsWriteAccess = req.query.write === '1';
+  const userData = await loadUserData(userId);
+  if (userData) {
+    userData.calendarWrite = wantsWriteAccess;
+    await saveUserData(userId, userData);
+  }
+  
+  const scopes = getCalendarScopes(wantsWriteAccess);
   const authUrl = oauth2Client.generateAuthUrl({
     access_type: 'offline',
     scope: scopes,
-    state: userId,
+    state: signState(userId),
     prompt: 'consent'
   });
 
   res.redirect(authUrl);
 });
 
-app.get('/auth/google/callback', async (req, res) => {
-  const { code, state: userId } = req.query;
+// Microsoft 365 / Outlook onboarding - the callback route must come before /:userId
+app.get('/auth/microsoft/callback', requireSignedState, async (req, res) => {
+  const { code, error, error_description: errorDescription } = req.query;
+  const userId = userIdFromState(req.query.state);
+  
+  if (error) {
+    console.error('Microsoft OAuth error:', error, errorDescription);
+    return res.send(`<h1>❌ Microsoft Sign-in Failed</h1><p>${escapeHtml(errorDescription || error)}</p><br><a href="${userLink(userId, '/auth/microsoft')}">Try Again</a>`);
+  }
   
   try {
-    const { tokens } = await oauth2Client.getToken(code);
-    
     const userData = await loadUserData(userId);
-    userData.googleTokens = tokens;
+    if (!userData) {
+      throw new Error('User not found');
+    }
+    
+    userData.microsoftTokens = await exchangeMicrosoftCode(code);
+    userData.calendarProvider = 'microsoft';
+    userData.calendarWrite = false;
     userData.status = 'fully_configured';
     await saveUserData(userId, userData);
+    console.log(`✅ Microsoft calendar connected for: ${userData.name}`);
+    
+    // Configure webhook for this user
+    await configureUserWebhook(userData);
+    
+    await showCalendarPicker(res, userData);
+  } catch (error) {
+    console.error('Microsoft OAuth callback error:', error.response?.data || error.message);
+    res.send(`<h1>❌ Calendar Connection Failed</h1><p>${escapeHtml(error.message)}</p><br><a href="${userLink(userId, '/auth/microsoft')}">Try Again</a>`);
+  }
+});
 
+app.get('/auth/microsoft/:userId', requireUserLink, (req, res) => {
+  if (!process.env.MS_CLIENT_ID || !process.env.MS_CLIENT_SECRET) {
+    return res.send('<h1>❌ Microsoft sign-in is not configured</h1><p>Set MS_CLIENT_ID and MS_CLIENT_SECRET in the service environment.</p>');
+  }
+  
+  res.redirect(getMicrosoftAuthUrl(signState(req.params.userId)));
+});
+
+app.get('/setup/caldav/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  res.send(caldavPage(userData));
+});
+
+app.post('/setup/caldav/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  const caldav = {
+    url: (req.body.url || '').trim(),
+    username: (req.body.username || '').trim() || undefined,
+    password: req.body.password || undefined
+  };
+  
+  try {
+    // Local .ics files are for development only - never let the setup form read server files
+    if (!/^(https?|webcal):\/\//i.test(caldav.url)) {
+      throw new Error('Use an https:// or webcal:// address');
+    }
+    
+    // Reading the calendar list proves the address and credentials work before saving them
+    const calendars = await new CalDAVCalendarProvider(caldav).listCalendars();
+    if (calendars.length === 0) {
+      throw new Error('No calendars found at that address');
+    }
+    
+    userData.calendarProvider = 'caldav';
+    userData.caldav = caldav;
+    userData.calendarWrite = false;
+    userData.status = 'fully_configured';
+    await saveUserData(userData.id, userData);
+    console.log(`📆 CalDAV calendar connected for ${userData.name} (${calendars.length} calendars)`);
+    
     // Configure webhook for this user
     await configureUserWebhook(userData);
+    
+    await showCalendarPicker(res, userData);
+  } catch (error) {
+    console.error(`❌ CalDAV setup failed for ${userData.name}:`, error.message);
+    res.send(caldavPage(userData, error.message));
+  }
+});
 
+// Calendar selection - which calendars count for conflicts and which count as "already scheduled"
+async function showCalendarPicker(res, userData) {
+  try {
+    const calendars = await createCalendarProvider(userData, {
+      onTokensRefreshed: () => saveUserData(userData.id, userData)
+    }).listCalendars();
+    userData.calendars = buildDefaultSelection(calendars, userData.calendars);
+    await saveUserData(userData.id, userData);
+    res.send(calendarsPage(userData));
+  } catch (error) {
+    // Without the calendar list the audit keeps using the primary calendar
+    console.warn(`⚠️ Could not list calendars for ${userData.name}:`, error.message);
     res.send(completePage(userData));
+  }
+}
+
+app.get('/setup/calendars/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  if (!hasCalendarConnection(userData)) {
+    return res.redirect(userLink(userData.id, '/auth/google'));
+  }
+  
+  await showCalendarPicker(res, userData);
+});
+
+app.post('/setup/calendars/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  userData.calendars = selectionFromForm(userData.calendars || [], req.body);
+  await saveUserData(userData.id, userData);
+  console.log(`📚 Calendar selection saved for ${userData.name}: ${userData.calendars.filter(entry => entry.checkConflicts || entry.countsAsScheduled).length} calendars audited`);
+  
+  await showChatPicker(res, userData);
+});
+
+// Chat selection - which WhatsApp chats the audit reads
+async function showChatPicker(res, userData) {
+  try {
+    const chats = await fetchChats(userData.greenApi || {
+      instanceId: process.env.GREEN_API_ID_INSTANCE,
+      token: process.env.GREEN_API_TOKEN_INSTANCE
+    });
+    res.send(chatsPage(userData, pickerChats(chats, userData)));
   } catch (error) {
-    res.send(`<h1>❌ Calendar Connection Failed</h1><p>${error.message}</p>`);
+    // The default rules still apply without a chat list
+    console.warn(`⚠️ Could not list chats for ${userData.name}:`, error.message);
+    res.send(completePage(userData));
+  }
+}
+
+app.get('/setup/chats/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
   }
+  
+  await showChatPicker(res, userData);
+});
+
+app.post('/setup/chats/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  userData.chatRules = rulesFromForm(userData.chatRules, req.body);
+  await saveUserData(userData.id, userData);
+  console.log(`💬 Chat rules saved for ${userData.name}: ${userData.chatRules.include.chatIds.length} chats always read, ${userData.chatRules.exclude.chatIds.length} never read`);
+  
+  res.send(completePage(userData));
 });
 
 // ============================================================================
@@ -328,7 +575,8 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    service: 'WhatsApp Calendar Audit - Combined Service'
+    service: 'WhatsApp Calendar Audit - Combined Service',
+    webhookRejections: webhookGuard.summary()
   });
 });
 
@@ -346,35 +594,33 @@ app.get('/recent-messages', (req, res) => {
 // ============================================================================
 
 async function saveUserData(userId, data) {
-  const userDir = path.join(__dirname, 'data', 'users');
-  await fs.mkdir(userDir, { recursive: true });
-  const filePath = path.join(userDir, `${userId}.json`);
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  // Validated, with tokens encrypted on disk; data itself stays decrypted for the caller
+  await userRegistry.save(userId, data);
 }
 
 async function loadUserData(userId) {
-  try {
-    const filePath = path.join(__dirname, 'data', 'users', `${userId}.json`);
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return null;
-  }
+  return userRegistry.load(userId);
+}
+
+async function sendUserMessage(userData, message) {
+  if (!userData.greenApi) return;
+  
+  await axios.post(
+    greenApiUrl(userData.greenApi, 'sendMessage'),
+    {
+      chatId: `${userData.phoneNumber.replace('+', '')}@c.us`,
+      message: message
+    }
+  );
 }
 
 async function configureUserWebhook(userData) {
   try {
-    // Set webhook URL for their Green API instance
-    const webhookUrl = `http://localhost:3001/webhook/${userData.id}`;
+    // Set webhook URL for their Green API instance, with a fresh secret it sends back on every call
+    const webhookUrl = `${process.env.PUBLIC_URL || 'http://localhost:3001'}/webhook/${userData.id}`;
     
-    await axios.post(
-      `https://api.green-api.com/waInstance${userData.greenApi.instanceId}/setSettings/${userData.greenApi.token}`,
-      {
-        webhookUrl: webhookUrl,
-        outgoingWebhook: 'yes',
-        incomingWebhook: 'yes'
-      }
-    );
+    userData.webhookToken = await registerWebhook(userData.greenApi, webhookUrl);
+    await saveUserData(userData.id, userData);
     
     console.log(`✅ Configured webhook for ${userData.name}: ${webhookUrl}`);
   } catch (error) {
@@ -384,6 +630,9 @@ async function configureUserWebhook(userData) {
 
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
+  // While this runs, the message store counts as live for users whose webhook delivers (see coversWindow)
+  messageStore.startHeartbeat(async () => (await userRegistry.loadAll()).users);
+  
   console.log('🚀 WhatsApp Calendar Audit - COMBINED SERVICE');
   console.log('='.repeat(60));
   console.log(`🌐 Service running on port ${PORT}`);
@@ -395,7 +644,7 @@ app.listen(PORT, () => {
   console.log('   🔗 Real-time webhook processing');
   console.log('   👥 Multi-user setup interface');
   console.log('   📅 Individual Google Calendar integration');
-  console.log('   🎯 Smart conflict notifications');
+  console.log('   🎯 Real-time conflict alerts (once a conversation settles)');
   console.log('');
   console.log('🎯 EVERYTHING IN ONE SERVICE - NO MORE CONFUSION!');
 });
\ No newline at end of file
@@ -0,0 +1,198 @@
+// Sealing, opening, key rotation and re-sealing in credential-vault.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { SECRET_FIELDS, getVaultKeys, isSealed, sealUserData, openUserData, reencryptUsers } = require('./credential-vault');
+const { UserRegistry } = require('./user-registry');
+const { runChecks } = require('./fixture-checks');
+
+// A hex key is used as is, anything else is a passphrase
+const OLD_KEY = 'a1'.repeat(32);
+const NEW_KEY = 'correct horse battery staple';
+
+const USER = {
+  id: 'vault-user',
+  name: 'Dana',
+  phoneNumber: '972500000000',
+  status: 'whatsapp_connected',
+  greenApi: { instanceId: '1101000001', token: 'green-api-token' },
+  webhookToken: 'webhook-secret',
+  googleTokens: { access_token: 'ya29.access', refresh_token: '1//refresh', expiry_date: 1790000000000 }
+};
+
+// Runs fn with CREDENTIAL_KEY / CREDENTIAL_KEY_PREVIOUS set for the call only
+async function withKeys(current, previous, fn) {
+  const saved = { current: process.env.CREDENTIAL_KEY, previous: process.env.CREDENTIAL_KEY_PREVIOUS };
+  setEnv('CREDENTIAL_KEY', current);
+  setEnv('CREDENTIAL_KEY_PREVIOUS', previous);
+  try {
+    return await fn(getVaultKeys());
+  } finally {
+    setEnv('CREDENTIAL_KEY', saved.current);
+    setEnv('CREDENTIAL_KEY_PREVIOUS', saved.previous);
+  }
+}
+
+function setEnv(name, value) {
+  if (value === undefined) delete process.env[name];
+  else process.env[name] = value;
+}
+
+function getField(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => value?.[key], object);
+}
+
+// "ok" or the error message, for checks that expect a failure
+function attempt(fn) {
+  try {
+    fn();
+    return 'ok';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const FIXTURES = [
+  {
+    name: 'seals every secret field present and nothing else',
+    run: () => withKeys(NEW_KEY, undefined, () => {
+      const sealed = sealUserData(USER);
+      return {
+        sealed: SECRET_FIELDS.filter(field => isSealed(getField(sealed, field))),
+        plain: [sealed.name, sealed.greenApi.instanceId],
+        // Sections the user doesn't have aren't created
+        caldav: sealed.caldav ?? null,
+        untouched: USER.greenApi.token
+      };
+    }),
+    expected: {
+      sealed: ['greenApi.token', 'webhookToken', 'googleTokens'],
+      plain: ['Dana', '1101000001'],
+      caldav: null,
+      untouched: 'green-api-token'
+    }
+  },
+  {
+    name: 'stored as vault:v1:{keyId}:{iv}:{tag}:{data} with a fresh iv every time',
+    run: () => withKeys(NEW_KEY, undefined, (keys) => {
+      const first = sealUserData(USER).webhookToken;
+      const second = sealUserData(USER).webhookToken;
+      const parts = first.split(':');
+      return [parts.length, `${parts[0]}:${parts[1]}`, parts[2] === keys.current.id, Buffer.from(parts[3], 'base64url').length, first !== second];
+    }),
+    expected: [6, 'vault:v1', true, 12, true]
+  },
+  {
+    name: 'opens back to the original record, token objects included',
+    run: () => withKeys(NEW_KEY, undefined, () => JSON.stringify(openUserData(sealUserData(USER))) === JSON.stringify(USER)),
+    expected: true
+  },
+  {
+    name: 'plain records (from before the vault) pass through openUserData',
+    run: () => withKeys(NEW_KEY, undefined, () => openUserData(USER).greenApi.token),
+    expected: 'green-api-token'
+  },
+  {
+    name: 'a changed byte fails the GCM tag',
+    run: () => withKeys(NEW_KEY, undefined, () => {
+      const sealed = sealUserData(USER);
+      const parts = sealed.webhookToken.split(':');
+      const data = Buffer.from(parts[5], 'base64url');
+      data[0] ^= 1;
+      parts[5] = data.toString('base64url');
+      return attempt(() => openUserData({ ...sealed, webhookToken: parts.join(':') }));
+    }),
+    expected: 'Can\'t decrypt webhookToken: the stored value is damaged'
+  },
+  {
+    name: 'a value sealed with an unknown key names that key',
+    run: async () => {
+      const sealed = await withKeys(OLD_KEY, undefined, () => sealUserData(USER));
+      return withKeys(NEW_KEY, undefined, (keys) => {
+        const oldId = sealed.greenApi.token.split(':')[2];
+        return [oldId !== keys.current.id, attempt(() => openUserData(sealed)).includes(`sealed with key ${oldId}`)];
+      });
+    },
+    expected: [true, true]
+  },
+  {
+    name: 'rotation: CREDENTIAL_KEY_PREVIOUS still opens values sealed with the old key',
+    run: async () => {
+      const sealed = await withKeys(OLD_KEY, undefined, () => sealUserData(USER));
+      return withKeys(NEW_KEY, `unrelated-key, ${OLD_KEY}`, () => openUserData(sealed).googleTokens.refresh_token);
+    },
+    expected: '1//refresh'
+  },
+  {
+    name: 'without CREDENTIAL_KEY records are saved as they are',
+    run: () => withKeys(undefined, undefined, (keys) => [keys.current, sealUserData(USER) === USER]),
+    expected: [null, true]
+  },
+  {
+    name: 'reencryptUsers re-seals old and plain users, keeps current ones, reports unreadable ones',
+    run: async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vault-fixtures-'));
+      try {
+        const write = (id, data) => fs.writeFile(path.join(dir, `${id}.json`), typeof data === 'string' ? data : JSON.stringify(data));
+        await write('old', await withKeys(OLD_KEY, undefined, () => sealUserData({ ...USER, id: 'old' })));
+        await write('plain', { ...USER, id: 'plain' });
+        await write('current', await withKeys(NEW_KEY, undefined, () => sealUserData({ ...USER, id: 'current' })));
+        await write('broken', '{ not json');
+
+        const registry = new UserRegistry({ source: 'directory', dataDir: dir });
+        const result = await withKeys(NEW_KEY, OLD_KEY, () => reencryptUsers(registry));
+        // Afterwards the new key alone opens every user
+        const opened = await withKeys(NEW_KEY, undefined, async () => (await registry.loadAll()).users.map(user => user.webhookToken));
+        return {
+          updated: result.updated.sort(),
+          unchanged: result.unchanged,
+          failed: result.failed.map(failure => path.basename(failure.where)),
+          opened
+        };
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    },
+    expected: {
+      updated: ['old', 'plain'],
+      unchanged: ['current'],
+      failed: ['broken.json'],
+      opened: ['webhook-secret', 'webhook-secret', 'webhook-secret']
+    }
+  },
+  {
+    name: 'reencryptUsers hands back USERS_DATA re-sealed instead of saving it, keeping users it can\'t open',
+    run: async () => {
+      const usersData = JSON.stringify([
+        await withKeys(OLD_KEY, undefined, () => sealUserData({ ...USER, id: 'old' })),
+        await withKeys('lost-key', undefined, () => sealUserData({ ...USER, id: 'lost' }))
+      ]);
+      const registry = new UserRegistry({ source: 'env', usersData });
+      const result = await withKeys(NEW_KEY, OLD_KEY, () => reencryptUsers(registry));
+      const records = JSON.parse(result.usersData);
+      return {
+        updated: result.updated,
+        failed: result.failed.map(failure => failure.where),
+        ids: records.map(record => record.id),
+        opened: await withKeys(NEW_KEY, undefined, () => openUserData(records[0]).webhookToken)
+      };
+    },
+    expected: { updated: ['old'], failed: ['USERS_DATA[1]'], ids: ['old', 'lost'], opened: 'webhook-secret' }
+  },
+  {
+    name: 'reencryptUsers refuses to run without CREDENTIAL_KEY',
+    run: () => withKeys(undefined, OLD_KEY, () => reencryptUsers(new UserRegistry({ source: 'directory', dataDir: os.tmpdir() }))
+      .then(() => 'ok', error => error.message)),
+    expected: 'CREDENTIAL_KEY is not set'
+  }
+];
+
+function runFixtures(fixtures = FIXTURES) {
+  return runChecks('credential vault', fixtures);
+}
+
+if (require.main === module) {
+  runFixtures().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { FIXTURES, runFixtures };
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+// Encrypts the secret fields of a user's config (Green API token and webhook secret, calendar tokens,
+// CalDAV password) before it's written to data/users/*.json, and decrypts them when the config is
+// loaded. Values are AES-256-GCM with the master key from CREDENTIAL_KEY and are stored as
+// "vault:v1:{keyId}:{iv}:{tag}:{data}", so a file says which key sealed it.
+//
+// Rotating the key: move the old key to CREDENTIAL_KEY_PREVIOUS (comma-separated for several), set
+// the new CREDENTIAL_KEY, then re-seal every user with the new key:
+//
+//   npm run vault:reencrypt -- [usersDir]
+//   node credential-vault.js --generate-key
+const crypto = require('crypto');
+
+const SEALED_PREFIX = 'vault:v1:';
+const KEY_SALT = 'whatsapp-calendar-credential-vault';
+
+// Dotted paths of the userData fields that hold credentials
+const SECRET_FIELDS = ['greenApi.token', 'webhookToken', 'googleTokens', 'microsoftTokens', 'caldav.password'];
+
+let keyCache = { source: null, keys: null };
+let warnedUnencrypted = false;
+
+// A 64-char hex key is used as is; anything else is treated as a passphrase
+function deriveKey(secret) {
+  const key = /^[0-9a-f]{64}$/i.test(secret)
+    ? Buffer.from(secret, 'hex')
+    : crypto.scryptSync(secret, KEY_SALT, 32);
+  const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { id, key };
+}
+
+// { current, byId } from CREDENTIAL_KEY and CREDENTIAL_KEY_PREVIOUS; current is null when no key is set
+function getVaultKeys() {
+  const source = `${process.env.CREDENTIAL_KEY || ''}\n${process.env.CREDENTIAL_KEY_PREVIOUS || ''}`;
+  if (keyCache.source === source) return keyCache.keys;
+
+  const current = process.env.CREDENTIAL_KEY ? deriveKey(process.env.CREDENTIAL_KEY.trim()) : null;
+  const previous = (process.env.CREDENTIAL_KEY_PREVIOUS || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean)
+    .map(deriveKey);
+
+  const byId = new Map([...previous, ...(current ? [current] : [])].map(entry => [entry.id, entry]));
+  keyCache = { source, keys: { current, byId } };
+  return keyCache.keys;
+}
+
+function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+// Any JSON value (a token string, a whole token object) sealed with the given key
+function seal(value, vaultKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', vaultKey.key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${SEALED_PREFIX}${vaultKey.id}:${[iv, tag, data].map(part => part.toString('base64url')).join(':')}`;
+}
+
+function open(sealed, keys, field = 'value') {
+  const [keyId, iv, tag, data] = sealed.slice(SEALED_PREFIX.length).split(':');
+  const vaultKey = keys.byId.get(keyId);
+  if (!vaultKey) {
+    throw new Error(`Can't decrypt ${field}: it was sealed with key ${keyId}, which neither CREDENTIAL_KEY nor CREDENTIAL_KEY_PREVIOUS matches`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', vaultKey.key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (error) {
+    throw new Error(`Can't decrypt ${field}: the stored value is damaged`);
+  }
+}
+
+function getField(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// Only sets fields whose parent already exists, so missing sections stay missing
+function setField(object, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const parent = keys.slice(0, -1).reduce((current, key) => current?.[key], object);
+  if (parent && typeof parent === 'object') {
+    parent[keys[keys.length - 1]] = value;
+  }
+}
+
+// A copy of userData with its secret fields encrypted, ready to be written to disk. Without
+// CREDENTIAL_KEY the fields stay plain, as before the vault existed.
+function sealUserData(userData, keys = getVaultKeys()) {
+  if (!userData) return userData;
+  if (!keys.current) {
+    if (!warnedUnencrypted) {
+      console.log('⚠️ CREDENTIAL_KEY is not set, user credentials are stored unencrypted');
+      warnedUnencrypted = true;
+    }
+    return userData;
+  }
+
+  const sealed = structuredClone(userData);
+  for (const field of SECRET_FIELDS) {
+    const value = getField(sealed, field);
+    if (value == null || isSealed(value)) continue;
+    setField(sealed, field, seal(value, keys.current));
+  }
+  return sealed;
+}
+
+// A copy of userData with its secret fields decrypted. Plain fields (files written before the
+// vault, or without a key) pass through; a sealed field no configured key opens throws.
+function openUserData(userData, keys = getVaultKeys()) {
+  if (!userData) return userData;
+
+  const opened = structuredClone(userData);
+  for (const field of SECRET_FIELDS) {
+    const value = getField(opened, field);
+    if (isSealed(value)) {
+      setField(opened, field, open(value, keys, field));
+    }
+  }
+  return opened;
+}
+
+// True when a secret field is still plain or sealed with an older key
+function needsReseal(userData, keys) {
+  return SECRET_FIELDS.some(field => {
+    const value = getField(userData, field);
+    if (value == null) return false;
+    return !isSealed(value) || !value.startsWith(`${SEALED_PREFIX}${keys.current.id}:`);
+  });
+}
+
+// Re-encrypts every user in the registry with CREDENTIAL_KEY, through UserRegistry so the directory,
+// database and USERS_DATA sources are all covered. USERS_DATA is read-only, so its records are
+// re-sealed into usersData (a JSON array to store as the new secret) instead of being saved.
+// Returns { updated, unchanged, failed, usersData }.
+async function reencryptUsers(registry) {
+  // Required here: user-registry.js requires this module
+  const { UserRegistry } = require('./user-registry');
+  registry = registry || new UserRegistry();
+  const keys = getVaultKeys();
+  if (!keys.current) {
+    throw new Error('CREDENTIAL_KEY is not set');
+  }
+
+  const readOnly = registry.source.kind === 'env';
+  const result = { updated: [], unchanged: [], failed: [], usersData: null };
+  const records = [];
+
+  for (const entry of await registry.source.list()) {
+    const { user, where, errors } = registry.check(entry);
+    if (!user) {
+      result.failed.push({ where, error: errors.join('; ') });
+      // Kept as it is, so the printed USERS_DATA doesn't lose anyone
+      if (entry.record) records.push(entry.record);
+      continue;
+    }
+    if (!needsReseal(entry.record, keys)) {
+      result.unchanged.push(user.id);
+      records.push(entry.record);
+      continue;
+    }
+    try {
+      if (readOnly) {
+        records.push(sealUserData(user, keys));
+      } else {
+        await registry.save(user.id, user);
+      }
+      result.updated.push(user.id);
+    } catch (error) {
+      result.failed.push({ where: entry.where, error: error.message });
+    }
+  }
+
+  if (readOnly) result.usersData = JSON.stringify(records);
+  return result;
+}
+
+// Exported before the CLI runs: it loads user-registry.js, which requires this module
+module.exports = { SECRET_FIELDS, getVaultKeys, isSealed, sealUserData, openUserData, reencryptUsers };
+
+if (require.main === module) {
+  // Quiet: dotenv's banner would end up in front of a printed USERS_DATA
+  require('dotenv').config({ quiet: true });
+
+  if (process.argv.includes('--generate-key')) {
+    console.log(crypto.randomBytes(32).toString('hex'));
+  } else {
+    // A folder given on the command line, otherwise wherever the registry reads users from
+    const { UserRegistry } = require('./user-registry');
+    const usersDir = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    const registry = new UserRegistry(usersDir ? { source: 'directory', dataDir: usersDir } : {});
+    // With USERS_DATA, stdout is kept for the new secret
+    const log = registry.source.kind === 'env' ? console.error : console.log;
+    reencryptUsers(registry)
+      .then(({ updated, unchanged, failed, usersData }) => {
+        log(`🔐 Sealed ${registry.describe()} with key ${getVaultKeys().current.id}: ${updated.length} updated, ${unchanged.length} already current`);
+        updated.forEach(userId => log(`   ✅ ${userId}`));
+        failed.forEach(({ where, error }) => log(`   ❌ ${where}: ${error}`));
+        if (usersData) {
+          log('📋 USERS_DATA is read-only: store the JSON below as the new USERS_DATA secret');
+          console.log(usersData);
+        }
+        if (failed.length) process.exit(1);
+      })
+      .catch(error => {
+        console.error('❌ Re-encryption failed:', error.message);
+        process.exit(1);
+      });
+  }
+}
@@ -2,18 +2,50 @@ require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
 const { google } = require('googleapis');
-const fs = require('fs').promises;
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const cron = require('node-cron');
+const { LLMAnalyzer } = require('./llm-analyzer');
+const { CalendarWriter, createCalendarClient, getCalendarScopes, isWriteModeEnabled } = require('./calendar-writer');
+const { SummaryActions } = require('./summary-actions');
+const { MessageStore, messageFromWebhook } = require('./message-store');
+const { KeywordDetector } = require('./keyword-detector');
+const { compareMeetingToEvents, getBufferMinutes } = require('./interval-engine');
+const { detectIntent, isMeetingChange, analyzeMeetingChanges } = require('./meeting-intent');
+const { createCalendarProvider, CalDAVCalendarProvider, hasCalendarConnection } = require('./calendar-provider');
+const { getMicrosoftAuthUrl, exchangeMicrosoftCode } = require('./microsoft-graph');
+const { buildDefaultSelection, selectionFromForm, fetchSelectedEvents } = require('./calendar-selection');
+const { filterMessagesByChat, fetchChats, pickerChats, rulesFromForm } = require('./chat-rules');
+const { getUserTimezone, getUserLocale, getAuditTimes, parseAuditTime, auditCronExpression, formatNextAudit, formatUserDate, formatUserTime } = require('./user-schedule');
+const { isValidTimeZone } = require('./timezone');
+const { findDateExpressions } = require('./date-resolver');
+const { resolveTime } = require('./time-resolver');
+const { AuditLedger, getEscalationDays, formatStillOpen } = require('./audit-ledger');
+const { greenApiUrl } = require('./green-api');
+const { UserRegistry, logInvalidUsers, isUserActive } = require('./user-registry');
+const { AuditHistory } = require('./audit-history');
+const { checkKey } = require('./state-store');
+const { requireAdmin, registerAdminLogin, isProductionMode, redactSecrets, escapeHtml } = require('./admin-auth');
+const { userLink, requireUserLink, signState, userIdFromState, requireSignedState } = require('./setup-links');
+const { calendarsPage, chatsPage } = require('./setup-pages');
+const { registerWebhook, masterWebhookSender, WebhookGuard } = require('./webhook-auth');
 
 const app = express();
-app.use(express.json());
+// Runners PUT their whole ledger and audit history to /admin/state, beyond the default 100kb
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Store recent messages in memory
-const recentMessages = new Map();
+// Webhook messages are persisted per user and read back by the daily audit
+const messageStore = new MessageStore();
 const userConfigs = new Map();
+const userRegistry = new UserRegistry();
+// The service holds the shared audit state (directory or USERS_DATABASE) and serves it to the
+// GitHub runner on /admin/state; STATE_SERVICE_URL is only for runners pointing here
+const stateOptions = { serviceUrl: '' };
+const auditLedger = new AuditLedger(stateOptions);
+const summaryActions = new SummaryActions({ ...stateOptions, ledger: auditLedger });
+const auditHistory = new AuditHistory(stateOptions);
+const stateStores = { 'audit-ledger': auditLedger.store, 'pending-actions': summaryActions.store, 'audit-history': auditHistory.store };
+const webhookGuard = new WebhookGuard();
 
 // Master Google OAuth2 client - Use Desktop client (tokens were generated with this)
 const oauth2Client = new google.auth.OAuth2(
@@ -26,13 +58,40 @@ const oauth2Client = new google.auth.OAuth2(
 // DAILY AUDIT SCHEDULER
 // ============================================================================
 
-// Schedule daily audit at 9:30 PM (21:30)
-cron.schedule('30 21 * * *', async () => {
-  console.log('🕘 Starting scheduled daily audit at 9:30 PM...');
-  await runDailyAuditForAllUsers();
-}, {
-  timezone: "Asia/Jerusalem" // Adjust to your timezone
-});
+// One cron job per user and audit time, each in the user's own timezone (default 21:30 Asia/Jerusalem)
+const auditJobs = new Map();
+
+function scheduleUserAudits(userId, userData) {
+  const active = isUserActive(userData);
+  const timeZone = getUserTimezone(userData);
+  const times = getAuditTimes(userData);
+  const key = active ? `${timeZone}|${times.join(',')}` : '';
+  const current = auditJobs.get(userId);
+  if ((current?.key || '') === key) return;
+  
+  if (current) {
+    current.tasks.forEach(task => task.stop());
+    auditJobs.delete(userId);
+  }
+  if (!active) return;
+  
+  const tasks = times.map(time => cron.schedule(auditCronExpression(time), () => runScheduledAudit(userId), { timezone: timeZone }));
+  auditJobs.set(userId, { key, tasks });
+  console.log(`🕘 Audit for ${userData.name} scheduled at ${times.join(', ')} (${timeZone})`);
+}
+
+async function runScheduledAudit(userId) {
+  // Read fresh so setup changes made since scheduling apply
+  const userData = await loadUserData(userId);
+  if (!isUserActive(userData)) return;
+  
+  console.log(`🕘 Starting scheduled daily audit for ${userData.name}...`);
+  try {
+    await runUserDailyAudit(userId, userData);
+  } catch (error) {
+    console.error(`❌ Error auditing ${userData.name}:`, error.message);
+  }
+}
 
 // For testing - run audit in 2 minutes after startup
 setTimeout(async () => {
@@ -52,6 +111,10 @@ async function runDailyAuditForAllUsers() {
   }
 
   for (const [userId, userData] of userConfigs.entries()) {
+    if (userData.disabled) {
+      console.log(`\n⏸️ Skipping ${userData.name}: disabled`);
+      continue;
+    }
     try {
       console.log(`\n👤 Processing audit for: ${userData.name}`);
       await runUserDailyAudit(userId, userData);
@@ -64,13 +127,14 @@ async function runDailyAuditForAllUsers() {
 }
 
 async function runUserDailyAudit(userId, userData) {
+  const startedAt = new Date().toISOString();
   try {
     // Get user's WhatsApp messages from last 24 hours
-    const messages = await getUserMessages(userData);
+    const messages = await getUserMessages(userId, userData);
     console.log(`📱 Found ${messages.length} messages for ${userData.name}`);
     
     // Detect meetings in messages
-    const detectedMeetings = await detectMeetings(messages);
+    const detectedMeetings = await detectMeetings(messages, userData);
     console.log(`🎯 Detected ${detectedMeetings.length} potential meetings`);
     
     // Get user's calendar events for next 7 days
@@ -78,36 +142,105 @@ async function runUserDailyAudit(userId, userData) {
     console.log(`📅 Found ${calendarEvents.length} calendar events`);
     
     // Analyze for conflicts and missing events
-    const auditResults = await analyzeForConflicts(detectedMeetings, calendarEvents);
+    const auditResults = await analyzeForConflicts(detectedMeetings, calendarEvents, {
+      bufferMinutes: getBufferMinutes(userData),
+      timeZone: getUserTimezone(userData)
+    });
+    
+    // Opt-in write mode: add confirmed missing meetings to the calendar
+    const createdEvents = await createConfirmedMissingEvents(userData, auditResults, messages);
+    
+    // Number the open items so the user can answer "1 add", "2 ignore" from WhatsApp;
+    // items reported on an earlier night are left out unless escalation is on
+    const pendingItems = await summaryActions.preparePendingItems(userId, {
+      conflicts: auditResults.conflicts,
+      missingEvents: auditResults.missingEvents.map(meeting => ({ meeting })),
+      rescheduled: auditResults.rescheduled,
+      cancelled: auditResults.cancelled
+    }, {
+      escalationDays: getEscalationDays(userData),
+      resolvedMeetings: [...auditResults.scheduledMeetings, ...createdEvents].map(item => item.meeting)
+    });
+    
+    const allGood = pendingItems.conflicts.length === 0 && pendingItems.missingEvents.length === 0 &&
+      pendingItems.rescheduled.length === 0 && pendingItems.cancelled.length === 0;
     
     // Send daily summary (always, even if no issues)
-    await sendDailySummary(userData, {
+    const delivery = await sendDailySummary(userData, {
       messagesScanned: messages.length,
       meetingsDetected: detectedMeetings.length,
       calendarEvents: calendarEvents.length,
-      conflicts: auditResults.conflicts,
-      missingEvents: auditResults.missingEvents,
-      allGood: auditResults.conflicts.length === 0 && auditResults.missingEvents.length === 0
+      conflicts: pendingItems.conflicts,
+      missingEvents: pendingItems.missingEvents,
+      rescheduled: pendingItems.rescheduled,
+      cancelled: pendingItems.cancelled,
+      alreadyReported: pendingItems.alreadyReported,
+      nearMisses: auditResults.nearMisses,
+      scheduledMeetings: auditResults.scheduledMeetings,
+      createdEvents: createdEvents,
+      allGood
+    });
+    
+    // For the admin dashboard: last outcome, and the summary to resend
+    await auditHistory.record(userId, {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      outcome: !delivery.sent ? 'not sent' : allGood ? 'all clear' : 'issues',
+      counts: {
+        messages: messages.length,
+        meetings: detectedMeetings.length,
+        calendarEvents: calendarEvents.length,
+        conflicts: pendingItems.conflicts.length,
+        missing: pendingItems.missingEvents.length,
+        rescheduled: pendingItems.rescheduled.length,
+        cancelled: pendingItems.cancelled.length,
+        created: createdEvents.length
+      },
+      summary: delivery.message,
+      error: delivery.error
     });
     
   } catch (error) {
     console.error(`Error in daily audit for ${userData.name}:`, error);
+    await auditHistory.record(userId, {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      outcome: 'failed',
+      error: error.message
+    }).catch(historyError => console.error('Error recording audit history:', historyError.message));
   }
 }
 
-async function getUserMessages(userData) {
+async function getUserMessages(userId, userData) {
+  const since = Math.floor(Date.now() / 1000) - (24 * 60 * 60);
+  
   try {
-    // Use unified Green API credentials from .env
-    const instanceId = process.env.GREEN_API_ID_INSTANCE;
-    const token = process.env.GREEN_API_TOKEN_INSTANCE;
-    const baseUrl = process.env.GREEN_API_BASE_URL || 'https://api.green-api.com';
+    // Polling is only a backfill for windows the webhook store doesn't fully cover yet
+    if (!(await messageStore.coversWindow(userId, since))) {
+      console.log(`🔄 Message store doesn't cover the last 24h for ${userData.name}, backfilling from chat history`);
+      const polledMessages = await pollUserMessages(userData);
+      await messageStore.saveMessages(userId, polledMessages);
+    }
     
+    await messageStore.prune(userId);
+    const storedMessages = await messageStore.getMessagesSince(userId, since);
+    console.log(`🔎 Applying chat rules for ${userData.name}:`);
+    return await filterMessagesByChat(storedMessages, userData);
+  } catch (error) {
+    console.error(`❌ Error reading stored messages for ${userData.name}:`, error.message);
+    return [];
+  }
+}
+
+async function pollUserMessages(userData) {
+  try {
+    // Use unified Green API credentials from .env
     const chatId = `${userData.phoneNumber.replace('+', '')}@c.us`;
     console.log(`📱 Fetching messages for ${userData.name} from chat: ${chatId}`);
     
     // Use exact working pattern from TypeScript version
     const response = await axios.post(
-      `${baseUrl}/waInstance${instanceId}/getChatHistory/${token}`,
+      greenApiUrl(getMasterInstance(), 'getChatHistory'),
       {
         chatId: chatId,
         count: 50  // Reduced to avoid rate limits
@@ -136,6 +269,7 @@ async function getUserMessages(userData) {
         id: msg.idMessage,
         timestamp: msg.timestamp,
         text: msg.textMessage,
+        chatId: chatId,
         senderName: msg.senderName || msg.senderId || 'Unknown'
       }));
       
@@ -152,7 +286,9 @@ async function getUserMessages(userData) {
   }
 }
 
-async function detectMeetings(messages) {
+async function detectMeetings(messages, userData) {
+  // "Tomorrow" and weekdays are the user's, not the server's
+  const detector = new KeywordDetector({ timeZone: getUserTimezone(userData) });
   const keywords = ['meeting', 'appointment', 'פגישה', 'תור', 'טיפול', 'ישיבה', 'מפגש'];
   const detectedMeetings = [];
   
@@ -160,15 +296,21 @@ async function detectMeetings(messages) {
     const hasKeyword = keywords.some(keyword => 
       msg.text.toLowerCase().includes(keyword.toLowerCase())
     );
+    // "let's move it to 5" changes a meeting without naming it
+    const intent = detectIntent(msg.text);
     
-    if (hasKeyword) {
-      const { time, date } = detectTimeAndDate(msg.text);
+    if (hasKeyword || isMeetingChange({ intent })) {
+      const { time, normalizedTime, date } = detectTimeAndDate(msg.text);
       detectedMeetings.push({
         id: msg.id,
+        chatId: msg.chatId,
         text: msg.text,
         senderName: msg.senderName,
+        intent,
         detectedTime: time,
+        normalizedTime,
         detectedDate: date,
+        parsedDates: date ? detector.parseDates([date], new Date(msg.timestamp * 1000)) : [],
         timestamp: msg.timestamp
       });
     }
@@ -178,67 +320,54 @@ async function detectMeetings(messages) {
 }
 
 function detectTimeAndDate(text) {
-  // Enhanced time detection
-  const timeMatch = text.match(/\b(\d{1,2}):(\d{2})\b/) || 
-                   text.match(/\b(\d{1,2})\s*(am|pm|AM|PM)\b/);
-  const time = timeMatch ? timeMatch[0] : null;
-  
-  // Enhanced date detection
-  const datePatterns = [
-    /(מחר|tomorrow)/i,
-    /(היום|today)/i,
-    /(יום ראשון|sunday)/i,
-    /(יום שני|monday)/i,
-    /(יום שלישי|tuesday)/i,
-    /(יום רביעי|wednesday)/i,
-    /(יום חמישי|thursday)/i,
-    /(יום שישי|friday)/i,
-    /(יום שבת|saturday)/i,
-    /\b(\d{1,2})[\/\-](\d{1,2})\b/
-  ];
-  
-  let date = null;
-  for (const pattern of datePatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      date = match[0];
-      break;
-    }
-  }
+  // Spoken and written times ("ב-3", "בשלוש וחצי", "15:30"), normalized to 24h "HH:MM"
+  const resolvedTime = resolveTime(text);
+  const time = resolvedTime ? resolvedTime.text : null;
+  
+  // Bilingual date expressions ("מחרתיים", "next week Tuesday", "ב-15 לחודש")
+  const date = findDateExpressions(text)[0] || null;
   
-  return { time, date };
+  return { time, normalizedTime: resolvedTime ? resolvedTime.time : null, date };
 }
 
 async function getUserCalendarEvents(userData) {
   try {
-    const oauth2Client = new google.auth.OAuth2();
-    oauth2Client.setCredentials(userData.googleTokens);
-    
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+    const calendarProvider = createCalendarProvider(userData, {
+      onTokensRefreshed: () => saveUserData(userData.id, userData)
+    });
     
     const now = new Date();
     const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
     
-    const response = await calendar.events.list({
-      calendarId: 'primary',
+    return await fetchSelectedEvents(calendarProvider, userData, {
       timeMin: now.toISOString(),
-      timeMax: weekFromNow.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime',
+      timeMax: weekFromNow.toISOString()
     });
-
-    return response.data.items || [];
   } catch (error) {
     console.error('Error fetching calendar events:', error.message);
     return [];
   }
 }
 
-async function analyzeForConflicts(detectedMeetings, calendarEvents) {
+async function analyzeForConflicts(detectedMeetings, calendarEvents, options) {
   const conflicts = [];
   const missingEvents = [];
+  const nearMisses = [];
+  const scheduledMeetings = [];
+  
+  // Moves and cancellations are checked against the event they change, not as new meetings
+  const { rescheduled, cancelled, handledMeetings } = analyzeMeetingChanges(detectedMeetings, calendarEvents, options);
   
   for (const meeting of detectedMeetings) {
+    if (handledMeetings.has(meeting)) continue;
+    
+    // Compare the meeting's estimated start/end with each event's real start/end
+    const comparison = compareMeetingToEvents(meeting, calendarEvents, options);
+    const isScheduled = comparison.matches.length > 0;
+    if (isScheduled) {
+      scheduledMeetings.push({ meeting, calendarEvent: comparison.matches[0].event, reason: comparison.matches[0].reason });
+    }
+    
     // Check if meeting seems to be missing from calendar
     const hasRelatedEvent = calendarEvents.some(event => {
       const eventText = `${event.summary} ${event.description || ''}`.toLowerCase();
@@ -249,26 +378,86 @@ async function analyzeForConflicts(detectedMeetings, calendarEvents) {
       return meetingWords.some(word => eventText.includes(word));
     });
     
-    if (!hasRelatedEvent && (meeting.detectedTime || meeting.detectedDate)) {
+    if (!isScheduled && !hasRelatedEvent && (meeting.detectedTime || meeting.detectedDate)) {
       missingEvents.push(meeting);
     }
     
-    // Check for time conflicts (simplified)
-    if (meeting.detectedTime && meeting.detectedDate) {
-      const conflictingEvents = calendarEvents.filter(event => {
-        // This is a simplified conflict check
-        // In production, you'd want more sophisticated date/time parsing
-        return event.start.dateTime && 
-               event.summary.toLowerCase().includes('meeting');
+    // Overlaps with an event that is this meeting itself aren't conflicts
+    if (!isScheduled && comparison.conflicts.length > 0) {
+      conflicts.push({
+        meeting,
+        conflictingEvents: comparison.conflicts.map(conflict => conflict.event),
+        reasons: comparison.conflicts.map(conflict => conflict.reason)
       });
+    }
+    
+    if (!isScheduled) {
+      comparison.nearMisses.forEach(({ event, reason }) => nearMisses.push({ meeting, calendarEvent: event, reason }));
+    }
+  }
+  
+  return { conflicts, missingEvents, rescheduled, cancelled, nearMisses, scheduledMeetings };
+}
+
+async function createConfirmedMissingEvents(userData, auditResults, messages) {
+  if (!isWriteModeEnabled(userData) || auditResults.missingEvents.length === 0) {
+    return [];
+  }
+  
+  try {
+    // Only create events Claude confirms and can give a date/time for
+    const llmAnalyzer = new LLMAnalyzer({ userData });
+    const confirmedMeetings = [];
+    
+    for (const missing of auditResults.missingEvents) {
+      const detection = {
+        id: missing.id,
+        messageId: missing.id,
+        chatId: missing.chatId,
+        senderName: missing.senderName,
+        extractedText: missing.text,
+        detectedKeywords: [],
+        detectedDate: missing.detectedDate || undefined,
+        detectedTime: missing.detectedTime || undefined,
+        normalizedTime: missing.normalizedTime || undefined,
+        confidence: 0.6,
+        timestamp: missing.timestamp
+      };
       
-      if (conflictingEvents.length > 1) {
-        conflicts.push({ meeting, conflictingEvents });
+      const llmResult = await llmAnalyzer.analyzeConversation(detection, messages, { timeZone: getUserTimezone(userData) });
+      if (llmResult.isValidMeeting && llmResult.confidence > 50 && llmResult.extractedDateTime) {
+        confirmedMeetings.push({
+          ...detection,
+          source: missing,
+          llmAnalysis: llmResult,
+          llmDateTime: llmResult.extractedDateTime,
+          llmLocation: llmResult.extractedLocation,
+          llmParticipants: llmResult.extractedParticipants,
+          llmMeetingType: llmResult.meetingType
+        });
       }
     }
+    
+    if (llmAnalyzer.isEnabled()) {
+      console.log(llmAnalyzer.formatCacheStats());
+    }
+    
+    if (confirmedMeetings.length === 0) {
+      return [];
+    }
+    
+    const writer = new CalendarWriter(createCalendarClient(userData), { timeZone: getUserTimezone(userData) });
+    const { created } = await writer.createMissingEvents(confirmedMeetings);
+    
+    // Created meetings are no longer missing
+    const createdSources = new Set(created.map(item => item.meeting.source));
+    auditResults.missingEvents = auditResults.missingEvents.filter(missing => !createdSources.has(missing));
+    
+    return created;
+  } catch (error) {
+    console.error('Error creating calendar events:', error.message);
+    return [];
   }
-  
-  return { conflicts, missingEvents };
 }
 
 async function sendDailySummary(userData, summary) {
@@ -276,23 +465,54 @@ async function sendDailySummary(userData, summary) {
   
   let message;
   
+  const scheduledSection = summary.scheduledMeetings && summary.scheduledMeetings.length > 0
+    ? `${summary.scheduledMeetings.slice(0, 5).map(item => `• ${item.reason}`).join('\n')}\n`
+    : '';
+  
+  const nearMissSection = summary.nearMisses && summary.nearMisses.length > 0
+    ? `\n⏱️ *Tight schedule:*\n${summary.nearMisses.map(item =>
+        `• "${item.meeting.text.substring(0, 60)}..."\n   ${item.reason}`
+      ).join('\n')}\n`
+    : '';
+  
+  // Moved or cancelled in chat, unchanged on the calendar
+  const changesSection = [
+    { items: summary.rescheduled || [], title: '🔁 *Calendar still shows old time:*', state: 'outdated' },
+    { items: summary.cancelled || [], title: '🚫 *Cancelled but still on calendar:*', state: 'on the calendar' }
+  ].filter(({ items }) => items.length > 0).map(({ items, title, state }) =>
+    `\n${title}\n${items.map(item =>
+      `${item.number}. "${item.meeting.text.substring(0, 60)}..."\n   ${[item.reason, formatStillOpen(item, userData, state)].filter(Boolean).join('\n   ')}`
+    ).join('\n\n')}\n`
+  ).join('');
+  
+  const alreadyReportedLine = summary.alreadyReported > 0
+    ? `\n🗂️ Already reported earlier: ${summary.alreadyReported}`
+    : '';
+  
+  const createdSection = summary.createdEvents && summary.createdEvents.length > 0
+    ? `\n📅 *Added to your calendar:*\n${summary.createdEvents.map((item, i) =>
+        `${i + 1}. ${item.calendarEvent.summary} (${(item.calendarEvent.start?.dateTime || item.calendarEvent.start?.date || '').replace('T', ' ').substring(0, 16)})`
+      ).join('\n')}\n`
+    : '';
+  
   if (summary.allGood) {
     // Positive summary when no issues
     message = `🌟 *Daily Calendar Audit - All Clear!*
 
-📅 *Date:* ${new Date().toLocaleDateString('he-IL')}
+📅 *Date:* ${formatUserDate(userData)}
 👤 *For:* ${userData.name}
 
 📊 *Today's Summary:*
 📱 Messages scanned: ${summary.messagesScanned}
 🎯 Meetings detected: ${summary.meetingsDetected}
-📅 Calendar events: ${summary.calendarEvents}
+📅 Calendar events: ${summary.calendarEvents}${alreadyReportedLine}
 
 ✅ *Great news!* No scheduling conflicts or missing events detected.
 
 ${summary.meetingsDetected > 0 ? '🎉 All your detected meetings appear to be properly scheduled in your calendar!' : '😊 No meeting-related messages found today.'}
-
+${scheduledSection}${nearMissSection}${createdSection}
 💡 Keep up the great organization! 
+🕘 Next audit: ${formatNextAudit(userData)}
 
 ---
 🤖 Daily WhatsApp Calendar Audit`;
@@ -300,64 +520,158 @@ ${summary.meetingsDetected > 0 ? '🎉 All your detected meetings appear to be p
     // Alert summary when issues found
     message = `⚠️ *Daily Calendar Audit - Action Needed*
 
-📅 *Date:* ${new Date().toLocaleDateString('he-IL')}
+📅 *Date:* ${formatUserDate(userData)}
 👤 *For:* ${userData.name}
 
 📊 *Today's Summary:*
 📱 Messages scanned: ${summary.messagesScanned}
 🎯 Meetings detected: ${summary.meetingsDetected}
-📅 Calendar events: ${summary.calendarEvents}
+📅 Calendar events: ${summary.calendarEvents}${alreadyReportedLine}
 
 🚨 *Issues Found:*
 ${summary.conflicts.length > 0 ? `⚡ Schedule conflicts: ${summary.conflicts.length}` : ''}
 ${summary.missingEvents.length > 0 ? `📝 Missing from calendar: ${summary.missingEvents.length}` : ''}
+${summary.rescheduled.length > 0 ? `🔁 Calendar still shows old time: ${summary.rescheduled.length}` : ''}
+${summary.cancelled.length > 0 ? `🚫 Cancelled but still on calendar: ${summary.cancelled.length}` : ''}
 
+${summary.conflicts.length > 0 ? `⚡ *Conflicts:*
+${summary.conflicts.map(conflict =>
+  `${conflict.number}. "${conflict.meeting.text.substring(0, 60)}..."
+   ${[...conflict.reasons, formatStillOpen(conflict, userData, 'conflicting')].filter(Boolean).join('\n   ')}`
+).join('\n\n')}
+` : ''}
 📋 *Missing Events:*
-${summary.missingEvents.map((event, i) => 
-  `${i + 1}. "${event.text.substring(0, 60)}..."
-   Time: ${event.detectedTime || 'Not specified'}
-   Date: ${event.detectedDate || 'Not specified'}`
+${summary.missingEvents.map(item => 
+  `${item.number}. "${item.meeting.text.substring(0, 60)}..."
+   Time: ${item.meeting.normalizedTime || item.meeting.detectedTime || 'Not specified'}
+   Date: ${item.meeting.detectedDate || 'Not specified'}${item.stillOpenSince ? `\n   ${formatStillOpen(item, userData)}` : ''}`
 ).join('\n\n')}
-
+${changesSection}${nearMissSection}${createdSection}
 💡 *Recommendation:* Review these messages and add missing meetings to your calendar.
-
+${summaryActions.formatReplyHint()}🕘 Next audit: ${formatNextAudit(userData)}
 ---
 🤖 Daily WhatsApp Calendar Audit`;
   }
 
   try {
     // Use unified Green API credentials for daily summaries
-    const instanceId = process.env.GREEN_API_ID_INSTANCE;
-    const token = process.env.GREEN_API_TOKEN_INSTANCE;
-    const baseUrl = process.env.GREEN_API_BASE_URL || 'https://api.green-api.com';
-    
-    await axios.post(
-      `${baseUrl}/waInstance${instanceId}/sendMessage/${token}`,
-      { chatId, message },
-      { headers: { 'Content-Type': 'application/json' } }
-    );
+    await sendWhatsAppMessage(getMasterInstance(), chatId, message);
     
     console.log(`📤 Daily summary sent to ${userData.name}`);
+    return { message, sent: true };
   } catch (error) {
     console.error('Error sending daily summary:', error.message);
+    return { message, sent: false, error: error.message };
   }
 }
 
+function getMasterInstance() {
+  return {
+    instanceId: process.env.GREEN_API_ID_INSTANCE,
+    token: process.env.GREEN_API_TOKEN_INSTANCE
+  };
+}
+
+async function sendWhatsAppMessage(instance, chatId, message) {
+  await axios.post(
+    greenApiUrl(instance, 'sendMessage'),
+    { chatId, message },
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+}
+
+// Text of a message the user typed (incoming, or sent from their own phone)
+function getWebhookText(notification) {
+  const isUserMessage = notification.typeWebhook === 'incomingMessageReceived' ||
+    notification.typeWebhook === 'outgoingMessageReceived';
+  if (!isUserMessage) return null;
+  
+  const messageData = notification.messageData || {};
+  if (messageData.typeMessage === 'textMessage') {
+    return messageData.textMessageData?.textMessage || null;
+  }
+  if (messageData.typeMessage === 'extendedTextMessage') {
+    return messageData.extendedTextMessageData?.text || null;
+  }
+  return null;
+}
+
+// Replies like "1 add" / "2 ignore" / "3 snooze" to the last audit summary
+async function handleSummaryReply(notification, userData, instance) {
+  const text = getWebhookText(notification);
+  const chatId = notification.senderData?.chatId;
+  if (!text || !chatId || !userData) return;
+  
+  // Summaries are sent to the user's own chat, so only replies there count
+  const summaryChatId = `${userData.phoneNumber.replace('+', '')}@c.us`;
+  if (chatId !== summaryChatId) return;
+  
+  const confirmation = await summaryActions.handleReply(userData, text);
+  if (!confirmation) return;
+  
+  console.log(`💬 [${userData.name}] Summary reply: "${text}"`);
+  await sendWhatsAppMessage(instance, chatId, confirmation);
+}
+
 // ============================================================================
 // WEBHOOK ENDPOINTS (still available for real-time if needed)
 // ============================================================================
 
-app.post('/webhook/:userId', async (req, res) => {
+// Only the user's own instance, with the secret registered by configureUserWebhook
+const verifyUserWebhook = webhookGuard.verify(async (req) => {
+  const userData = await loadUserData(req.params.userId);
+  return {
+    id: req.params.userId,
+    expected: userData && { instanceId: userData.greenApi?.instanceId, webhookToken: userData.webhookToken }
+  };
+});
+
+app.post('/webhook/:userId', verifyUserWebhook, async (req, res) => {
   const userId = req.params.userId;
   res.status(200).json({ received: true });
   console.log(`📱 [${userId}] Webhook received (stored for daily audit)`);
   
-  // Just acknowledge - actual processing happens in daily audit
+  try {
+    // Any notification from the user's own instance shows their webhook works (see coversWindow)
+    await messageStore.recordDelivery(userId);
+    const message = messageFromWebhook(req.body);
+    if (message) {
+      await messageStore.saveMessage(userId, message);
+    }
+    
+    // The user's own instance: summary replies arrive from their self-chat
+    const userData = await loadUserData(userId);
+    if (userData?.greenApi) {
+      await handleSummaryReply(req.body, userData, userData.greenApi);
+    }
+  } catch (error) {
+    console.error(`❌ [${userId}] Error handling summary reply:`, error.message);
+  }
 });
 
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', webhookGuard.verify(() => ({ id: 'master', expected: masterWebhookSender() })), async (req, res) => {
   res.status(200).json({ received: true });
   console.log('📱 Webhook received (stored for daily audit)');
+  
+  try {
+    // The master instance sends daily summaries, so replies come from the user's own number
+    const senderChatId = req.body.senderData?.chatId || '';
+    if (userConfigs.size === 0) {
+      await loadUserConfigurations();
+    }
+    const userData = [...userConfigs.values()].find(user =>
+      `${user.phoneNumber.replace('+', '')}@c.us` === senderChatId
+    );
+    
+    const message = messageFromWebhook(req.body);
+    if (message && userData) {
+      await messageStore.saveMessage(userData.id, message);
+    }
+    
+    await handleSummaryReply(req.body, userData, getMasterInstance());
+  } catch (error) {
+    console.error('❌ Error handling summary reply:', error.message);
+  }
 });
 
 // ============================================================================
@@ -382,7 +696,7 @@ const homePage = `
     
     <div class="step highlight">
         <h3>📅 Daily Audit Schedule</h3>
-        <p><strong>Every day at 9:30 PM</strong>, this service will:</p>
+        <p><strong>Every day at 9:30 PM</strong> (or the times you choose, in your own timezone), this service will:</p>
         <ul>
             <li>📱 Scan your WhatsApp messages from the last 24 hours</li>
             <li>🎯 Detect meetings and appointments</li>
@@ -401,10 +715,22 @@ const homePage = `
             <label>WhatsApp Phone Number:</label>
             <input type="tel" name="phoneNumber" placeholder="+972501234567" required>
             <small>Include country code</small>
+            
+            <label>Time zone:</label>
+            <input type="text" name="timezone" id="timezone" value="Asia/Jerusalem">
+            
+            <label>Daily audit times (comma separated, 24h):</label>
+            <input type="text" name="auditTimes" value="21:30">
+            <input type="hidden" name="locale" id="locale" value="he-IL">
             <br><br>
             
             <button type="submit">🚀 Start Setup</button>
         </form>
+        <script>
+            // Default to the browser's own timezone and language
+            document.getElementById('timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Jerusalem';
+            document.getElementById('locale').value = navigator.language || 'he-IL';
+        </script>
     </div>
     
     <div class="step">
@@ -433,6 +759,7 @@ app.post('/setup', async (req, res) => {
     id: userId,
     name,
     phoneNumber: phoneNumber.replace(/[^\d+]/g, ''),
+    ...scheduleFromForm(req.body),
     createdAt: new Date().toISOString(),
     status: 'phone_registered'
   };
@@ -461,7 +788,7 @@ const setupPage = (userData) => `
         <h3>Step 2: Connect WhatsApp</h3>
         <p>Enter your Green API credentials below:</p>
         
-        <form action="/setup/whatsapp/${userData.id}" method="POST">
+        <form action="${userLink(userData.id, '/setup/whatsapp')}" method="POST">
             <label>Instance ID:</label>
             <input type="text" name="instanceId" placeholder="1234567890" required>
             
@@ -510,14 +837,21 @@ const calendarPage = (userData) => `
         <h3>Step 3: Connect Google Calendar</h3>
         <p>Click below to connect your Google Calendar (uses your personal Google account):</p>
         <br>
-        <button onclick="window.location.href='/auth/google/${userData.id}'">
+        <button onclick="window.location.href='${userLink(userData.id, '/auth/google')}'">
             📅 Connect Google Calendar
         </button>
+        <br><br>
+        <button onclick="window.location.href='${userLink(userData.id, '/auth/google', { write: 1 })}'">
+            ✍️ Connect and add missing meetings for me
+        </button>
+        <br><br>
+        <a href="${userLink(userData.id, '/auth/microsoft')}">🟦 Use a Microsoft 365 / Outlook calendar instead</a><br>
+        <a href="${userLink(userData.id, '/setup/caldav')}">📆 Use a CalDAV or ICS calendar instead (Nextcloud, Fastmail, iCloud)</a>
     </div>
     
     <div class="step">
         <h3>🔒 Privacy Note:</h3>
-        <p>This will only read your calendar events. We don't store or share your data.</p>
+        <p>By default this will only read your calendar events. If you choose to let the audit add missing meetings, it will only create events it found in your WhatsApp conversations. We don't store or share your data.</p>
     </div>
 </body>
 </html>`;
@@ -539,14 +873,14 @@ const completePage = (userData) => `
     
     <div class="step">
         <h2>✅ Daily Audits Enabled!</h2>
-        <p><strong>${userData.name}</strong> will receive daily audit summaries at 9:30 PM.</p>
+        <p><strong>${userData.name}</strong> will receive daily audit summaries at ${getAuditTimes(userData).join(', ')} (${getUserTimezone(userData)}).</p>
         <p><strong>Webhook endpoint:</strong> <code>/webhook/${userData.id}</code></p>
     </div>
     
     <div class="info">
         <h3>📅 Daily Audit Schedule:</h3>
         <ul>
-            <li>🕘 <strong>9:30 PM every day</strong> - Automatic audit runs</li>
+            <li>🕘 <strong>${getAuditTimes(userData).join(', ')} every day</strong> - Automatic audit runs (<a href="${userLink(userData.id, '/setup/schedule')}">change</a>)</li>
             <li>📊 <strong>Always get a summary</strong> - Even when everything is perfect!</li>
             <li>📱 <strong>Scans last 24 hours</strong> - Recent WhatsApp messages</li>
             <li>🎯 <strong>Smart detection</strong> - Finds meeting conflicts</li>
@@ -557,7 +891,82 @@ const completePage = (userData) => `
 </body>
 </html>`;
 
-app.post('/setup/whatsapp/:userId', async (req, res) => {
+const caldavPage = (userData, error) => `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>CalDAV / ICS Setup - ${escapeHtml(userData.name)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; }
+        .step { background: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 8px; }
+        .error { background: #f8d7da; color: #721c24; }
+        input { width: 100%; padding: 10px; margin: 5px 0; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        button { background: #28a745; color: white; padding: 12px 24px; border: none; border-radius: 4px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h1>📆 CalDAV / ICS Calendar for ${escapeHtml(userData.name)}</h1>
+    ${error ? `<div class="step error"><strong>❌ Could not connect:</strong> ${escapeHtml(error)}</div>` : ''}
+    
+    <div class="step">
+        <form action="${userLink(userData.id, '/setup/caldav')}" method="POST">
+            <label>CalDAV address or .ics link</label>
+            <input type="text" name="url" placeholder="https://cloud.example.com/remote.php/dav/calendars/me/" required>
+            <label>Username (optional for public .ics links)</label>
+            <input type="text" name="username">
+            <label>Password / app password</label>
+            <input type="password" name="password">
+            <br><br>
+            <button type="submit">✅ Connect Calendar</button>
+        </form>
+    </div>
+    
+    <div class="step">
+        <h3>💡 Where to find the address:</h3>
+        <ul>
+            <li><strong>Nextcloud:</strong> Calendar → Settings → "Copy primary CalDAV address"</li>
+            <li><strong>Fastmail:</strong> https://caldav.fastmail.com/dav/calendars/user/you@fastmail.com/ with an app password</li>
+            <li><strong>iCloud:</strong> https://caldav.icloud.com/ with an app-specific password</li>
+            <li><strong>Any calendar:</strong> a public or secret .ics subscription link (read-only)</li>
+        </ul>
+    </div>
+</body>
+</html>`;
+
+const schedulePage = (userData, error) => `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Audit Schedule - ${escapeHtml(userData.name)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; }
+        .step { background: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 8px; }
+        .error { background: #f8d7da; color: #721c24; }
+        input { width: 100%; padding: 10px; margin: 5px 0; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        button { background: #28a745; color: white; padding: 12px 24px; border: none; border-radius: 4px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h1>🕘 Audit Schedule for ${escapeHtml(userData.name)}</h1>
+    ${error ? `<div class="step error"><strong>❌ Not saved:</strong> ${escapeHtml(error)}</div>` : ''}
+    
+    <div class="step">
+        <form action="${userLink(userData.id, '/setup/schedule')}" method="POST">
+            <label>Time zone (e.g. Asia/Jerusalem, Europe/London, America/New_York)</label>
+            <input type="text" name="timezone" value="${escapeHtml(getUserTimezone(userData))}" required>
+            <label>Language for dates (e.g. he-IL, en-US)</label>
+            <input type="text" name="locale" value="${escapeHtml(getUserLocale(userData))}">
+            <label>Daily audit times (comma separated, 24h)</label>
+            <input type="text" name="auditTimes" value="${escapeHtml(getAuditTimes(userData).join(', '))}" required>
+            <br><br>
+            <button type="submit">✅ Save Schedule</button>
+        </form>
+        <p>Next audit: ${formatNextAudit(userData)}</p>
+    </div>
+</body>
+</html>`;
+
+app.post('/setup/whatsapp/:userId', requireUserLink, async (req, res) => {
   const { userId } = req.params;
   const { instanceId, token } = req.body;
   
@@ -568,8 +977,7 @@ app.post('/setup/whatsapp/:userId', async (req, res) => {
 
   try {
     // Validate Green API credentials
-    const testUrl = `https://api.green-api.com/waInstance${instanceId}/getStateInstance/${token}`;
-    const response = await axios.get(testUrl);
+    const response = await axios.get(greenApiUrl({ instanceId, token }, 'getStateInstance'));
     
     if (response.data.stateInstance !== 'authorized') {
       throw new Error('WhatsApp not connected or not authorized');
@@ -581,15 +989,74 @@ app.post('/setup/whatsapp/:userId', async (req, res) => {
 
     res.send(calendarPage(userData));
   } catch (error) {
-    res.send(`<h1>❌ Connection Failed</h1><p>${error.message}</p><br><a href="/setup/whatsapp/${userId}">Try Again</a>`);
+    res.send(`<h1>❌ Connection Failed</h1><p>${escapeHtml(error.message)}</p><br><a href="${userLink(userId, '/setup/whatsapp')}">Try Again</a>`);
+  }
+});
+
+// The OAuth callback route must come before /:userId
+app.get('/auth/google/callback', requireSignedState, async (req, res) => {
+  const { code, error } = req.query;
+  const userId = userIdFromState(req.query.state);
+  
+  console.log('🔄 OAuth callback received:', { 
+    code: code ? 'Present' : 'Missing',
+    userId,
+    error,
+    fullQuery: req.query 
+  });
+  
+  // Handle OAuth error
+  if (error) {
+    console.error('OAuth error from Google:', error);
+    return res.send(`<h1>❌ OAuth Error</h1><p>Error: ${escapeHtml(error)}</p><br><a href="${userLink(userId, '/auth/google')}">Try Again</a>`);
+  }
+  
+  // Handle missing code
+  if (!code) {
+    console.error('Missing authorization code');
+    return res.send(`<h1>❌ Missing Authorization Code</h1><br><a href="${userLink(userId, '/auth/google')}">Try Again</a>`);
+  }
+  
+  try {
+    console.log(`🔐 Processing Google OAuth callback for user: ${userId}`);
+    const { tokens } = await oauth2Client.getToken(code);
+    console.log('✅ Tokens received from Google');
+    
+    const userData = await loadUserData(userId);
+    if (!userData) {
+      throw new Error('User not found');
+    }
+    
+    userData.googleTokens = tokens;
+    userData.calendarProvider = 'google';
+    userData.status = 'fully_configured';
+    await saveUserData(userId, userData);
+    
+    console.log(`✅ OAuth completed for: ${userData.name}`);
+
+    // Configure webhook for this user
+    await configureUserWebhook(userData);
+
+    await showCalendarPicker(res, userData);
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    res.send(`<h1>❌ Calendar Connection Failed</h1><p>${escapeHtml(error.message)}</p><br><a href="${userLink(userId, '/auth/google')}">Try Again</a>`);
   }
 });
 
-app.get('/auth/google/:userId', async (req, res) => {
+app.get('/auth/google/:userId', requireUserLink, async (req, res) => {
   const { userId } = req.params;
   
   console.log(`🔍 OAUTH REQUEST: userId=${userId}`);
   
+  // Write access is opt-in: remember the choice so the audit knows it may create events
+  const wantsWriteAccess = req.query.write === '1';
+  const userData = await loadUserData(userId);
+  if (userData) {
+    userData.calendarWrite = wantsWriteAccess;
+    await saveUserData(userId, userData);
+  }
+  
   // Use Desktop OAuth client (no redirect URI needed)
   const manualOAuth = new google.auth.OAuth2(
     process.env.GOOGLE_DESKTOP_CLIENT_ID,
@@ -597,11 +1064,11 @@ app.get('/auth/google/:userId', async (req, res) => {
     'urn:ietf:wg:oauth:2.0:oob'
   );
   
-  const scopes = ['https://www.googleapis.com/auth/calendar.readonly'];
+  const scopes = getCalendarScopes(wantsWriteAccess);
   const authParams = {
     access_type: 'offline',
     scope: scopes,
-    state: userId,
+    state: signState(userId),
     redirect_uri: 'urn:ietf:wg:oauth:2.0:oob'
   };
   
@@ -635,7 +1102,7 @@ app.get('/auth/google/:userId', async (req, res) => {
       
       <div style="background: #f5f5f5; padding: 20px; border-radius: 8px;">
         <h3>Step 2: Enter Authorization Code</h3>
-        <form action="/auth/google/manual/${userId}" method="POST">
+        <form action="${userLink(userId, '/auth/google/manual')}" method="POST">
           <input type="text" name="code" placeholder="Paste the authorization code here" 
                  style="width: 100%; padding: 12px; margin: 10px 0; border: 1px solid #ddd; border-radius: 4px;" required>
           <br>
@@ -659,55 +1126,7 @@ app.get('/auth/google/:userId', async (req, res) => {
   `);
 });
 
-app.get('/auth/google/callback', async (req, res) => {
-  const { code, state: userId, error } = req.query;
-  
-  console.log('🔄 OAuth callback received:', { 
-    code: code ? 'Present' : 'Missing',
-    userId,
-    error,
-    fullQuery: req.query 
-  });
-  
-  // Handle OAuth error
-  if (error) {
-    console.error('OAuth error from Google:', error);
-    return res.send(`<h1>❌ OAuth Error</h1><p>Error: ${error}</p><br><a href="/auth/google/${userId}">Try Again</a>`);
-  }
-  
-  // Handle missing code
-  if (!code) {
-    console.error('Missing authorization code');
-    return res.send(`<h1>❌ Missing Authorization Code</h1><br><a href="/auth/google/${userId}">Try Again</a>`);
-  }
-  
-  try {
-    console.log(`🔐 Processing Google OAuth callback for user: ${userId}`);
-    const { tokens } = await oauth2Client.getToken(code);
-    console.log('✅ Tokens received from Google');
-    
-    const userData = await loadUserData(userId);
-    if (!userData) {
-      throw new Error('User not found');
-    }
-    
-    userData.googleTokens = tokens;
-    userData.status = 'fully_configured';
-    await saveUserData(userId, userData);
-    
-    console.log(`✅ OAuth completed for: ${userData.name}`);
-
-    // Configure webhook for this user
-    await configureUserWebhook(userData);
-
-    res.send(completePage(userData));
-  } catch (error) {
-    console.error('OAuth callback error:', error);
-    res.send(`<h1>❌ Calendar Connection Failed</h1><p>${error.message}</p><br><a href="/auth/google/${userId}">Try Again</a>`);
-  }
-});
-
-app.post('/auth/google/manual/:userId', async (req, res) => {
+app.post('/auth/google/manual/:userId', requireUserLink, async (req, res) => {
   const { userId } = req.params;
   const { code } = req.body;
   
@@ -743,6 +1162,7 @@ app.post('/auth/google/manual/:userId', async (req, res) => {
     }
     
     userData.googleTokens = tokens;
+    userData.calendarProvider = 'google';
     userData.status = 'fully_configured';
     await saveUserData(userId, userData);
     
@@ -751,7 +1171,7 @@ app.post('/auth/google/manual/:userId', async (req, res) => {
     // Configure webhook for this user
     await configureUserWebhook(userData);
 
-    res.send(completePage(userData));
+    await showCalendarPicker(res, userData);
   } catch (error) {
     console.error('❌ Manual OAuth error details:', {
       message: error.message,
@@ -764,38 +1184,240 @@ app.post('/auth/google/manual/:userId', async (req, res) => {
       errorMsg = error.response.data.error_description;
     }
     
-    res.send(`<h1>❌ Calendar Connection Failed</h1><p><strong>Error:</strong> ${errorMsg}</p><p><strong>Details:</strong> ${error.message}</p><br><a href="/auth/google/${userId}">Try Again</a>`);
+    res.send(`<h1>❌ Calendar Connection Failed</h1><p><strong>Error:</strong> ${escapeHtml(errorMsg)}</p><p><strong>Details:</strong> ${escapeHtml(error.message)}</p><br><a href="${userLink(userId, '/auth/google')}">Try Again</a>`);
+  }
+});
+
+// Microsoft 365 / Outlook onboarding - the callback route must come before /:userId
+app.get('/auth/microsoft/callback', requireSignedState, async (req, res) => {
+  const { code, error, error_description: errorDescription } = req.query;
+  const userId = userIdFromState(req.query.state);
+  
+  if (error) {
+    console.error('Microsoft OAuth error:', error, errorDescription);
+    return res.send(`<h1>❌ Microsoft Sign-in Failed</h1><p>${escapeHtml(errorDescription || error)}</p><br><a href="${userLink(userId, '/auth/microsoft')}">Try Again</a>`);
+  }
+  
+  try {
+    const userData = await loadUserData(userId);
+    if (!userData) {
+      throw new Error('User not found');
+    }
+    
+    userData.microsoftTokens = await exchangeMicrosoftCode(code);
+    userData.calendarProvider = 'microsoft';
+    userData.calendarWrite = false;
+    userData.status = 'fully_configured';
+    await saveUserData(userId, userData);
+    console.log(`✅ Microsoft calendar connected for: ${userData.name}`);
+    
+    // Configure webhook for this user
+    await configureUserWebhook(userData);
+    
+    await showCalendarPicker(res, userData);
+  } catch (error) {
+    console.error('Microsoft OAuth callback error:', error.response?.data || error.message);
+    res.send(`<h1>❌ Calendar Connection Failed</h1><p>${escapeHtml(error.message)}</p><br><a href="${userLink(userId, '/auth/microsoft')}">Try Again</a>`);
   }
 });
 
+app.get('/auth/microsoft/:userId', requireUserLink, (req, res) => {
+  if (!process.env.MS_CLIENT_ID || !process.env.MS_CLIENT_SECRET) {
+    return res.send('<h1>❌ Microsoft sign-in is not configured</h1><p>Set MS_CLIENT_ID and MS_CLIENT_SECRET in the service environment.</p>');
+  }
+  
+  res.redirect(getMicrosoftAuthUrl(signState(req.params.userId)));
+});
+
+app.get('/setup/caldav/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  res.send(caldavPage(userData));
+});
+
+app.post('/setup/caldav/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  const caldav = {
+    url: (req.body.url || '').trim(),
+    username: (req.body.username || '').trim() || undefined,
+    password: req.body.password || undefined
+  };
+  
+  try {
+    // Local .ics files are for development only - never let the setup form read server files
+    if (!/^(https?|webcal):\/\//i.test(caldav.url)) {
+      throw new Error('Use an https:// or webcal:// address');
+    }
+    
+    // Reading the calendar list proves the address and credentials work before saving them
+    const calendars = await new CalDAVCalendarProvider(caldav).listCalendars();
+    if (calendars.length === 0) {
+      throw new Error('No calendars found at that address');
+    }
+    
+    userData.calendarProvider = 'caldav';
+    userData.caldav = caldav;
+    userData.calendarWrite = false;
+    userData.status = 'fully_configured';
+    await saveUserData(userData.id, userData);
+    console.log(`📆 CalDAV calendar connected for ${userData.name} (${calendars.length} calendars)`);
+    
+    // Configure webhook for this user
+    await configureUserWebhook(userData);
+    
+    await showCalendarPicker(res, userData);
+  } catch (error) {
+    console.error(`❌ CalDAV setup failed for ${userData.name}:`, error.message);
+    res.send(caldavPage(userData, error.message));
+  }
+});
+
+// Calendar selection - which calendars count for conflicts and which count as "already scheduled"
+async function showCalendarPicker(res, userData) {
+  try {
+    const calendars = await createCalendarProvider(userData, {
+      onTokensRefreshed: () => saveUserData(userData.id, userData)
+    }).listCalendars();
+    userData.calendars = buildDefaultSelection(calendars, userData.calendars);
+    await saveUserData(userData.id, userData);
+    res.send(calendarsPage(userData));
+  } catch (error) {
+    // Without the calendar list the audit keeps using the primary calendar
+    console.warn(`⚠️ Could not list calendars for ${userData.name}:`, error.message);
+    res.send(completePage(userData));
+  }
+}
+
+app.get('/setup/calendars/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  if (!hasCalendarConnection(userData)) {
+    return res.redirect(userLink(userData.id, '/auth/google'));
+  }
+  
+  await showCalendarPicker(res, userData);
+});
+
+app.post('/setup/calendars/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  userData.calendars = selectionFromForm(userData.calendars || [], req.body);
+  await saveUserData(userData.id, userData);
+  console.log(`📚 Calendar selection saved for ${userData.name}: ${userData.calendars.filter(entry => entry.checkConflicts || entry.countsAsScheduled).length} calendars audited`);
+  
+  await showChatPicker(res, userData);
+});
+
+// Chat selection - which WhatsApp chats the audit reads
+async function showChatPicker(res, userData) {
+  try {
+    const chats = await fetchChats(userData.greenApi || {
+      instanceId: process.env.GREEN_API_ID_INSTANCE,
+      token: process.env.GREEN_API_TOKEN_INSTANCE
+    });
+    res.send(chatsPage(userData, pickerChats(chats, userData)));
+  } catch (error) {
+    // The default rules still apply without a chat list
+    console.warn(`⚠️ Could not list chats for ${userData.name}:`, error.message);
+    res.send(completePage(userData));
+  }
+}
+
+app.get('/setup/chats/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  await showChatPicker(res, userData);
+});
+
+app.post('/setup/chats/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  userData.chatRules = rulesFromForm(userData.chatRules, req.body);
+  await saveUserData(userData.id, userData);
+  console.log(`💬 Chat rules saved for ${userData.name}: ${userData.chatRules.include.chatIds.length} chats always read, ${userData.chatRules.exclude.chatIds.length} never read`);
+  
+  res.send(completePage(userData));
+});
+
+// Audit schedule - timezone, date language and audit times
+function scheduleFromForm(body) {
+  const schedule = {};
+  if (body.timezone && isValidTimeZone(body.timezone.trim())) {
+    schedule.timezone = body.timezone.trim();
+  }
+  if (body.locale && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(body.locale.trim())) {
+    schedule.locale = body.locale.trim();
+  }
+  const auditTimes = String(body.auditTimes || '').split(',').map(time => time.trim()).filter(time => parseAuditTime(time));
+  if (auditTimes.length > 0) {
+    schedule.auditTimes = auditTimes;
+  }
+  return schedule;
+}
+
+app.get('/setup/schedule/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  res.send(schedulePage(userData));
+});
+
+app.post('/setup/schedule/:userId', requireUserLink, async (req, res) => {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    return res.status(404).send('<h1>❌ User not found</h1>');
+  }
+  
+  const schedule = scheduleFromForm(req.body);
+  if (!schedule.timezone || !schedule.auditTimes) {
+    return res.send(schedulePage(userData, 'Use a time zone name like Europe/London and times like 21:30'));
+  }
+  
+  Object.assign(userData, schedule);
+  await saveUserData(userData.id, userData);
+  console.log(`🕘 Schedule saved for ${userData.name}: ${userData.auditTimes.join(', ')} (${userData.timezone})`);
+  
+  res.send(completePage(userData));
+});
+
 async function configureUserWebhook(userData) {
   try {
-    // Set webhook URL for their Green API instance
-    const webhookUrl = `http://localhost:3001/webhook/${userData.id}`;
+    // Set webhook URL for their Green API instance, with a fresh secret it sends back on every call
+    const webhookUrl = `${process.env.PUBLIC_URL || 'http://localhost:3001'}/webhook/${userData.id}`;
     
-    await axios.post(
-      `https://api.green-api.com/waInstance${userData.greenApi.instanceId}/setSettings/${userData.greenApi.token}`,
-      {
-        webhookUrl: webhookUrl,
-        outgoingWebhook: 'yes',
-        incomingWebhook: 'yes'
-      }
-    );
+    userData.webhookToken = await registerWebhook(userData.greenApi, webhookUrl);
+    await saveUserData(userData.id, userData);
     
     console.log(`✅ Configured webhook for ${userData.name}: ${webhookUrl}`);
+    return true;
   } catch (error) {
     console.error('Error configuring webhook:', error.message);
+    return false;
   }
 }
 
 async function loadUserData(userId) {
-  try {
-    const filePath = path.join(__dirname, 'data', 'users', `${userId}.json`);
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return null;
-  }
+  return userRegistry.load(userId);
 }
 
 // ============================================================================
@@ -804,32 +1426,32 @@ async function loadUserData(userId) {
 
 async function loadUserConfigurations() {
   try {
-    const userDir = path.join(__dirname, 'data', 'users');
-    const userFiles = await fs.readdir(userDir);
+    const { users, invalid } = await userRegistry.loadAll();
+    logInvalidUsers(invalid);
     
     userConfigs.clear();
     
-    for (const file of userFiles) {
-      if (file.endsWith('.json')) {
-        const userId = file.replace('.json', '');
-        const userData = JSON.parse(await fs.readFile(path.join(userDir, file), 'utf8'));
-        
-        if (userData.status === 'fully_configured') {
-          userConfigs.set(userId, userData);
-          console.log(`📋 Loaded config for: ${userData.name}`);
+    for (const userData of users) {
+      if (userData.status === 'fully_configured') {
+        userConfigs.set(userData.id, userData);
+        console.log(`📋 Loaded config for: ${userData.name}`);
+        if (!userData.webhookToken) {
+          console.log(`⚠️ ${userData.name} has no webhook secret, so their webhooks are rejected: re-register it from /admin`);
         }
       }
+      scheduleUserAudits(userData.id, userData);
     }
   } catch (error) {
-    console.log('📁 No existing user configurations found');
+    console.error(`❌ Can't load users from ${userRegistry.describe()}:`, error.message);
   }
 }
 
 async function saveUserData(userId, data) {
-  const userDir = path.join(__dirname, 'data', 'users');
-  await fs.mkdir(userDir, { recursive: true });
-  const filePath = path.join(userDir, `${userId}.json`);
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  // Validated, with tokens encrypted on disk; data itself stays decrypted for the caller
+  await userRegistry.save(userId, data);
+  
+  // Finishing setup or changing audit times takes effect without a restart
+  scheduleUserAudits(userId, data);
 }
 
 // Health check
@@ -838,34 +1460,32 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     service: 'WhatsApp Calendar Audit - Daily Scheduler',
-    nextAudit: '21:30 (9:30 PM) daily',
-    configuredUsers: userConfigs.size
+    nextAudit: 'per user, see /setup/schedule/{userId}',
+    scheduledUsers: auditJobs.size,
+    configuredUsers: userConfigs.size,
+    webhookRejections: webhookGuard.summary()
   });
 });
 
-// Debug: List all users
-app.get('/debug/users', async (req, res) => {
+// ============================================================================
+// DEBUG AND TEST ROUTES
+// ============================================================================
+
+// Admin only, and not mounted at all with NODE_ENV=production
+const debugRoutes = express.Router();
+
+// Debug: List all users, with their credentials redacted
+debugRoutes.get('/debug/users', requireAdmin, async (req, res) => {
   try {
-    const userDir = path.join(__dirname, 'data', 'users');
-    const userFiles = await fs.readdir(userDir);
-    const users = [];
-    
-    for (const file of userFiles) {
-      if (file.endsWith('.json')) {
-        const userId = file.replace('.json', '');
-        const userData = JSON.parse(await fs.readFile(path.join(userDir, file), 'utf8'));
-        users.push(userData);
-      }
-    }
-    
-    res.json({ users });
+    const { users, invalid } = await userRegistry.loadAll();
+    res.json({ users: redactSecrets(users), invalid });
   } catch (error) {
     res.json({ error: error.message });
   }
 });
 
 // Debug: Test token directly
-app.get('/debug/token/:code', async (req, res) => {
+debugRoutes.get('/debug/token/:code', requireAdmin, async (req, res) => {
   const { code } = req.params;
   
   try {
@@ -878,7 +1498,7 @@ app.get('/debug/token/:code', async (req, res) => {
     console.log('🧪 Testing token:', code.substring(0, 10) + '...');
     const { tokens } = await testOAuth.getToken(code);
     
-    res.json({ success: true, tokens: { access_token: 'REDACTED', ...tokens } });
+    res.json({ success: true, tokens: redactSecrets(tokens) });
   } catch (error) {
     res.json({ 
       success: false, 
@@ -889,7 +1509,7 @@ app.get('/debug/token/:code', async (req, res) => {
 });
 
 // Debug: Check environment variables
-app.get('/debug/env', (req, res) => {
+debugRoutes.get('/debug/env', requireAdmin, (req, res) => {
   res.json({
     GOOGLE_WEB_CLIENT_ID: process.env.GOOGLE_WEB_CLIENT_ID,
     GOOGLE_DESKTOP_CLIENT_ID: process.env.GOOGLE_DESKTOP_CLIENT_ID,
@@ -900,14 +1520,14 @@ app.get('/debug/env', (req, res) => {
 });
 
 // Debug: Test OAuth URL generation
-app.get('/debug/oauth/:userId', (req, res) => {
+debugRoutes.get('/debug/oauth/:userId', requireAdmin, (req, res) => {
   const { userId } = req.params;
   
   const scopes = ['https://www.googleapis.com/auth/calendar.readonly'];
   const authUrl = oauth2Client.generateAuthUrl({
     access_type: 'offline',
     scope: scopes,
-    state: userId,
+    state: signState(userId),
     prompt: 'select_account',
     redirect_uri: process.env.GOOGLE_REDIRECT_URI
   });
@@ -922,22 +1542,22 @@ app.get('/debug/oauth/:userId', (req, res) => {
 });
 
 // Debug: Check what happens in OAuth callback
-app.get('/debug/callback', (req, res) => {
+debugRoutes.get('/debug/callback', requireAdmin, (req, res) => {
   res.json({
     query: req.query,
-    headers: req.headers,
+    headers: redactSecrets(req.headers),
     url: req.url
   });
 });
 
 // Test callback endpoint
-app.get('/test-callback', (req, res) => {
+debugRoutes.get('/test-callback', requireAdmin, (req, res) => {
   console.log('🧪 TEST CALLBACK REACHED!');
   res.send('<h1>✅ Test Callback Working!</h1><p>Our service can receive callbacks.</p>');
 });
 
 // Test WhatsApp for specific user
-app.get('/test-whatsapp/:userId', async (req, res) => {
+debugRoutes.get('/test-whatsapp/:userId', requireAdmin, async (req, res) => {
   const { userId } = req.params;
   
   try {
@@ -955,7 +1575,7 @@ This is a test message from your WhatsApp Calendar Audit Service.
 
 ✅ If you can see this message, your WhatsApp integration is working perfectly!
 
-🕘 Daily audits will run at 9:30 PM every day.
+🕘 Daily audits will run at ${getAuditTimes(userData).join(', ')} (${getUserTimezone(userData)}). Next: ${formatNextAudit(userData)}.
 
 ---
 🤖 Test from WhatsApp Calendar Audit Service`;
@@ -963,12 +1583,8 @@ This is a test message from your WhatsApp Calendar Audit Service.
     console.log(`📤 Sending test message to ${userData.name} (${chatId})`);
     
     // Use unified Green API credentials for sending
-    const instanceId = process.env.GREEN_API_ID_INSTANCE;
-    const token = process.env.GREEN_API_TOKEN_INSTANCE;
-    const baseUrl = process.env.GREEN_API_BASE_URL || 'https://api.green-api.com';
-    
     const response = await axios.post(
-      `${baseUrl}/waInstance${instanceId}/sendMessage/${token}`,
+      greenApiUrl(getMasterInstance(), 'sendMessage'),
       { 
         chatId: chatId, 
         message: testMessage 
@@ -994,7 +1610,7 @@ This is a test message from your WhatsApp Calendar Audit Service.
 });
 
 // Test getting WhatsApp messages for specific user - Alternative API
-app.get('/test-messages/:userId', async (req, res) => {
+debugRoutes.get('/test-messages/:userId', requireAdmin, async (req, res) => {
   const { userId } = req.params;
   
   try {
@@ -1006,15 +1622,12 @@ app.get('/test-messages/:userId', async (req, res) => {
     console.log(`📱 Getting messages for ${userData.name}...`);
     
     // Use unified Green API credentials
-    const instanceId = process.env.GREEN_API_ID_INSTANCE;
-    const token = process.env.GREEN_API_TOKEN_INSTANCE;
-    const baseUrl = process.env.GREEN_API_BASE_URL || 'https://api.green-api.com';
-    
+    const instance = getMasterInstance();
     const chatId = `${userData.phoneNumber.replace('+', '')}@c.us`;
-    console.log(`🔍 Using chatId: ${chatId} with instance: ${instanceId}`);
+    console.log(`🔍 Using chatId: ${chatId} with instance: ${instance.instanceId}`);
     
     const response = await axios.post(
-      `${baseUrl}/waInstance${instanceId}/getChatHistory/${token}`,
+      greenApiUrl(instance, 'getChatHistory'),
       {
         chatId: chatId,
         count: 30
@@ -1050,7 +1663,7 @@ app.get('/test-messages/:userId', async (req, res) => {
 });
 
 // Test Green API instance status
-app.get('/test-instance/:userId', async (req, res) => {
+debugRoutes.get('/test-instance/:userId', requireAdmin, async (req, res) => {
   const { userId } = req.params;
   
   try {
@@ -1063,12 +1676,12 @@ app.get('/test-instance/:userId', async (req, res) => {
     
     // Check instance state
     const stateResponse = await axios.get(
-      `https://api.green-api.com/waInstance${userData.greenApi.instanceId}/getStateInstance/${userData.greenApi.token}`
+      greenApiUrl(userData.greenApi, 'getStateInstance')
     );
     
     // Check account info
     const accountResponse = await axios.get(
-      `https://api.green-api.com/waInstance${userData.greenApi.instanceId}/getWaAccount/${userData.greenApi.token}`
+      greenApiUrl(userData.greenApi, 'getWaAccount')
     );
     
     console.log(`✅ Instance check complete for ${userData.name}`);
@@ -1093,7 +1706,7 @@ app.get('/test-instance/:userId', async (req, res) => {
 });
 
 // Manual OAuth bypass for testing
-app.get('/bypass-oauth/:userId', async (req, res) => {
+debugRoutes.get('/bypass-oauth/:userId', requireAdmin, async (req, res) => {
   const { userId } = req.params;
   
   try {
@@ -1120,8 +1733,296 @@ app.get('/bypass-oauth/:userId', async (req, res) => {
   }
 });
 
+if (isProductionMode()) {
+  console.log('🔒 Production mode: debug and test routes are not mounted');
+} else {
+  app.use(debugRoutes);
+}
+
+// ============================================================================
+// ADMIN DASHBOARD
+// ============================================================================
+
+// Every user with onboarding status, Green API state, calendar token health, last audit and
+// open items, plus actions. Needs ADMIN_TOKEN (see admin-auth.js).
+registerAdminLogin(app);
+
+// Green API's view of the user's own instance, checked live
+async function getGreenApiState(userData) {
+  if (!userData.greenApi) return { ok: false, label: 'not connected' };
+  try {
+    const response = await axios.get(greenApiUrl(userData.greenApi, 'getStateInstance'), { timeout: 5000 });
+    const state = response.data.stateInstance || 'unknown';
+    return { ok: state === 'authorized', label: state };
+  } catch (error) {
+    return { ok: false, label: `unreachable (${error.response?.status || error.message})` };
+  }
+}
+
+// Judged from the stored tokens, without calling Google
+function getCalendarHealth(userData) {
+  const provider = userData.calendarProvider || 'google';
+  if (provider !== 'google') {
+    return hasCalendarConnection(userData)
+      ? { ok: true, label: `${provider} connected` }
+      : { ok: false, label: `${provider} not connected` };
+  }
+
+  const tokens = userData.googleTokens;
+  if (!tokens) return { ok: false, label: 'Google not connected' };
+  if (tokens.refresh_token) return { ok: true, label: 'Google refresh token stored' };
+  if (tokens.expiry_date && tokens.expiry_date > Date.now()) {
+    return { ok: null, label: `no refresh token, access expires ${formatUserDate(userData, new Date(tokens.expiry_date))}` };
+  }
+  return { ok: false, label: 'Google token expired, no refresh token' };
+}
+
+async function getAdminUserRow(userData) {
+  const [greenApi, lastRun, openItems] = await Promise.all([
+    getGreenApiState(userData),
+    auditHistory.latest(userData.id),
+    auditLedger.openCounts(userData.id)
+  ]);
+  return { userData, greenApi, calendar: getCalendarHealth(userData), lastRun, openItems, webhooks: webhookGuard.countsFor(userData.id) };
+}
+
+const healthIcon = (ok) => (ok ? '✅' : ok === null ? '⚠️' : '❌');
+
+function formatLastRun(userData, run) {
+  if (!run) return '<span class="muted">never</span>';
+  const at = new Date(run.finishedAt || run.startedAt);
+  const icon = { 'all clear': '✅', issues: '⚠️', 'not sent': '📭', fallback: '🩹', failed: '❌' }[run.outcome] || '❔';
+  const counts = run.counts
+    ? `<br><small>${run.counts.messages} messages, ${run.counts.meetings} meetings, ${run.counts.calendarEvents} events</small>`
+    : '';
+  const error = run.error ? `<br><small class="error-text">${escapeHtml(run.error)}</small>` : '';
+  return `${formatUserDate(userData, at)} ${formatUserTime(userData, at)}<br>${icon} ${escapeHtml(run.outcome)}${counts}${error}`;
+}
+
+// Missing secret and webhooks rejected since the service started
+function formatWebhookHealth(userData, webhooks) {
+  const lines = [];
+  if (userData.greenApi && !userData.webhookToken) lines.push('⚠️ no webhook secret');
+  if (webhooks.total > 0) {
+    const reasons = Object.entries(webhooks.byReason).map(([reason, count]) => `${count} ${reason}`).join(', ');
+    lines.push(`<span class="error-text">🚫 ${webhooks.total} webhooks rejected (${escapeHtml(reasons)})</span>`);
+  }
+  return lines.map(line => `<br><small>${line}</small>`).join('');
+}
+
+function formatOpenItems(openItems) {
+  if (openItems.total === 0) return '0';
+  const parts = [['conflict', 'conflicts'], ['missing', 'missing'], ['rescheduled', 'rescheduled'], ['cancelled', 'cancelled']]
+    .filter(([type]) => openItems[type] > 0)
+    .map(([type, label]) => `${openItems[type]} ${label}`);
+  return `<strong>${openItems.total}</strong><br><small>${parts.join(', ')}</small>`;
+}
+
+function adminAction(userId, action, label, enabled = true) {
+  return `<form action="/admin/users/${encodeURIComponent(userId)}/${action}" method="POST">
+            <button type="submit"${enabled ? '' : ' disabled'}>${label}</button>
+          </form>`;
+}
+
+const adminPage = (rows, invalid, notice) => `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Admin - WhatsApp Calendar Audit</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 1200px; margin: 30px auto; padding: 20px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; vertical-align: top; padding: 10px; border-bottom: 1px solid #ddd; }
+        th { background: #f5f5f5; }
+        tr.disabled td { color: #999; }
+        .notice { background: #e3f2fd; border-left: 4px solid #2196f3; padding: 10px; margin: 10px 0; }
+        .invalid { background: #f8d7da; padding: 10px; border-radius: 8px; margin: 10px 0; }
+        .muted { color: #999; }
+        .error-text { color: #c62828; }
+        .actions form { display: inline-block; margin: 2px; }
+        button { background: #007bff; color: white; padding: 6px 10px; border: none; border-radius: 4px; cursor: pointer; }
+        button:disabled { background: #ccc; cursor: default; }
+        .header { display: flex; justify-content: space-between; align-items: center; }
+        .header button { background: #6c757d; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🛠️ Admin Dashboard</h1>
+        <form action="/admin/logout" method="POST"><button type="submit">Sign out</button></form>
+    </div>
+    <p class="muted">${rows.length} users in ${escapeHtml(userRegistry.describe())}</p>
+    ${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ''}
+    ${invalid.length > 0 ? `<div class="invalid"><strong>❌ Records that can't be loaded:</strong><ul>${invalid.map(({ where, errors }) =>
+      `<li>${escapeHtml(where)}: ${errors.map(escapeHtml).join('; ')}</li>`).join('')}</ul></div>` : ''}
+    <table>
+        <tr>
+            <th>User</th><th>Onboarding</th><th>Green API</th><th>Calendar</th>
+            <th>Last audit</th><th>Open items</th><th>Actions</th>
+        </tr>
+        ${rows.map(({ userData, greenApi, calendar, lastRun, openItems, webhooks }) => `
+        <tr class="${userData.disabled ? 'disabled' : ''}">
+            <td><strong>${escapeHtml(userData.name)}</strong><br><small>${escapeHtml(userData.phoneNumber)}</small><br><small class="muted">${escapeHtml(userData.id)}</small></td>
+            <td>${escapeHtml(userData.status)}${userData.disabled ? '<br>⏸️ disabled' : ''}${isUserActive(userData) ? `<br><small>next ${escapeHtml(formatNextAudit(userData))}</small>` : ''}</td>
+            <td>${healthIcon(greenApi.ok)} ${escapeHtml(greenApi.label)}${formatWebhookHealth(userData, webhooks)}</td>
+            <td>${healthIcon(calendar.ok)} ${escapeHtml(calendar.label)}</td>
+            <td>${formatLastRun(userData, lastRun)}</td>
+            <td>${formatOpenItems(openItems)}</td>
+            <td class="actions">
+                ${adminAction(userData.id, 'audit', '▶️ Run audit now', isUserActive(userData))}
+                ${adminAction(userData.id, 'resend-summary', '📤 Resend summary', !!lastRun)}
+                ${adminAction(userData.id, 'reauth-google', '🔐 Re-auth Google', (userData.calendarProvider || 'google') === 'google')}
+                ${adminAction(userData.id, 'webhook', '🔑 Re-register webhook', !!userData.greenApi)}
+                ${userData.disabled
+                  ? adminAction(userData.id, 'enable', '▶️ Enable user')
+                  : adminAction(userData.id, 'disable', '⏸️ Disable user')}
+            </td>
+        </tr>`).join('')}
+    </table>
+</body>
+</html>`;
+
+app.get('/admin', requireAdmin, async (req, res) => {
+  const { users, invalid } = await userRegistry.loadAll();
+  const rows = await Promise.all(users.map(getAdminUserRow));
+  res.send(adminPage(rows, invalid, req.query.notice));
+});
+
+// Loads the user for an admin action, or answers 404
+async function loadAdminTarget(req, res) {
+  const userData = await loadUserData(req.params.userId);
+  if (!userData) {
+    res.status(404).send(`User ${escapeHtml(req.params.userId)} not found`);
+  }
+  return userData;
+}
+
+const backToAdmin = (res, notice) => res.redirect(`/admin?notice=${encodeURIComponent(notice)}`);
+
+app.post('/admin/users/:userId/audit', requireAdmin, async (req, res) => {
+  const userData = await loadAdminTarget(req, res);
+  if (!userData) return;
+  if (!isUserActive(userData)) {
+    return backToAdmin(res, `${userData.name} isn't active (${userData.disabled ? 'disabled' : userData.status}), audit not started`);
+  }
+  
+  console.log(`🛠️ Admin started an audit for ${userData.name}`);
+  // Audits take a while (chat history, LLM); the outcome shows up on the dashboard when done
+  runUserDailyAudit(userData.id, userData);
+  backToAdmin(res, `Audit started for ${userData.name}, refresh in a minute for the outcome`);
+});
+
+app.post('/admin/users/:userId/resend-summary', requireAdmin, async (req, res) => {
+  const userData = await loadAdminTarget(req, res);
+  if (!userData) return;
+  const run = await auditHistory.latestSummary(userData.id);
+  if (!run) {
+    return backToAdmin(res, `No summary recorded for ${userData.name} yet`);
+  }
+  
+  try {
+    await sendWhatsAppMessage(getMasterInstance(), `${userData.phoneNumber.replace('+', '')}@c.us`, run.summary);
+    console.log(`🛠️ Admin resent the ${run.startedAt} summary to ${userData.name}`);
+    backToAdmin(res, `Resent the summary from ${formatUserDate(userData, new Date(run.startedAt))} to ${userData.name}`);
+  } catch (error) {
+    backToAdmin(res, `Couldn't resend the summary to ${userData.name}: ${error.message}`);
+  }
+});
+
+// Sends the user a fresh Google connect link; the stored tokens keep working until they use it
+app.post('/admin/users/:userId/reauth-google', requireAdmin, async (req, res) => {
+  const userData = await loadAdminTarget(req, res);
+  if (!userData) return;
+  
+  const baseUrl = process.env.PUBLIC_URL || 'http://localhost:3001';
+  const link = `${baseUrl}${userLink(userData.id, '/auth/google', userData.calendarWrite ? { write: 1 } : {})}`;
+  try {
+    await sendWhatsAppMessage(getMasterInstance(), `${userData.phoneNumber.replace('+', '')}@c.us`,
+      `🔐 Please reconnect your Google Calendar so the daily audit can keep reading it:\n${link}`);
+    console.log(`🛠️ Admin sent ${userData.name} a Google re-auth link`);
+    backToAdmin(res, `Sent ${userData.name} the re-auth link: ${link}`);
+  } catch (error) {
+    backToAdmin(res, `Couldn't message ${userData.name} (${error.message}); send them this link: ${link}`);
+  }
+});
+
+// A fresh webhook secret, e.g. for users set up before secrets existed
+app.post('/admin/users/:userId/webhook', requireAdmin, async (req, res) => {
+  const userData = await loadAdminTarget(req, res);
+  if (!userData) return;
+  
+  const registered = await configureUserWebhook(userData);
+  console.log(`🛠️ Admin re-registered the webhook for ${userData.name}: ${registered ? 'done' : 'failed'}`);
+  backToAdmin(res, registered
+    ? `Registered a new webhook secret for ${userData.name}`
+    : `Couldn't register the webhook for ${userData.name}, see the service log`);
+});
+
+app.post('/admin/users/:userId/disable', requireAdmin, async (req, res) => {
+  const userData = await loadAdminTarget(req, res);
+  if (!userData) return;
+  
+  // Stops scheduled audits, summaries and real-time alerts; setup and stored data are kept
+  userData.disabled = true;
+  userData.disabledAt = new Date().toISOString();
+  await saveUserData(userData.id, userData);
+  console.log(`🛠️ Admin disabled ${userData.name}`);
+  backToAdmin(res, `${userData.name} disabled`);
+});
+
+app.post('/admin/users/:userId/enable', requireAdmin, async (req, res) => {
+  const userData = await loadAdminTarget(req, res);
+  if (!userData) return;
+  
+  delete userData.disabled;
+  delete userData.disabledAt;
+  await saveUserData(userData.id, userData);
+  console.log(`🛠️ Admin enabled ${userData.name}`);
+  backToAdmin(res, `${userData.name} enabled`);
+});
+
+// Audit state for runners with no disk of their own (STATE_SERVICE_URL, see state-store.js):
+// the runner's ledger, summary items and audit history are read and written here
+app.get('/admin/state/:collection/:id', requireAdmin, async (req, res) => {
+  const { collection, id } = req.params;
+  try {
+    checkKey(collection, id);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const data = await stateStores[collection].get(id);
+    if (!data) return res.status(404).json({ error: 'Not found' });
+    res.json(data);
+  } catch (error) {
+    console.error(`❌ Reading ${collection}/${id} failed:`, error.message);
+    res.status(500).json({ error: 'Reading state failed' });
+  }
+});
+
+app.put('/admin/state/:collection/:id', requireAdmin, async (req, res) => {
+  const { collection, id } = req.params;
+  try {
+    checkKey(collection, id);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ error: 'Expected a JSON object' });
+  }
+
+  try {
+    await stateStores[collection].put(id, req.body);
+    res.json({ saved: true });
+  } catch (error) {
+    console.error(`❌ Saving ${collection}/${id} failed:`, error.message);
+    res.status(500).json({ error: 'Saving state failed' });
+  }
+});
+
 // Manual audit trigger (for testing)
-app.post('/trigger-audit', async (req, res) => {
+app.post('/trigger-audit', requireAdmin, async (req, res) => {
   console.log('🧪 Manual audit triggered');
   await runDailyAuditForAllUsers();
   res.json({ message: 'Daily audit completed', timestamp: new Date().toISOString() });
@@ -1132,13 +2033,14 @@ app.listen(PORT, async () => {
   console.log('🕘 WhatsApp Calendar Audit - DAILY SCHEDULER');
   console.log('='.repeat(60));
   console.log(`🌐 Service running on port ${PORT}`);
-  console.log(`📅 Daily audit scheduled: 9:30 PM every day`);
+  console.log(`📅 Daily audits: per user, default 21:30 Asia/Jerusalem`);
   console.log(`👥 User setup: http://localhost:${PORT}/`);
   console.log(`💚 Health check: http://localhost:${PORT}/health`);
-  console.log(`🧪 Manual trigger: POST /trigger-audit`);
+  console.log(`🧪 Manual trigger: POST /trigger-audit (admin)`);
+  console.log(`🛠️ Admin dashboard: http://localhost:${PORT}/admin${process.env.ADMIN_TOKEN ? '' : ' (set ADMIN_TOKEN to enable)'}`);
   console.log('');
   console.log('✅ FEATURES:');
-  console.log('   🕘 Daily scheduled audits at 9:30 PM');
+  console.log('   🕘 Daily audits at each user\'s own times and timezone');
   console.log('   📊 Always sends summary (even when all good)');
   console.log('   👥 Multi-user support');
   console.log('   🎯 Smart conflict detection');
@@ -1146,5 +2048,10 @@ app.listen(PORT, async () => {
   
   // Load user configurations on startup
   await loadUserConfigurations();
-  console.log(`🎯 SERVICE READY! Next audit: Today at 9:30 PM`);
+  // While this runs, the message store counts as live for users whose webhook delivers (see coversWindow)
+  messageStore.startHeartbeat(() => [...userConfigs.values()]);
+  for (const userData of userConfigs.values()) {
+    console.log(`   🕘 ${userData.name}: next audit ${formatNextAudit(userData)} (${getUserTimezone(userData)})`);
+  }
+  console.log(`🎯 SERVICE READY!`);
 });
\ No newline at end of file
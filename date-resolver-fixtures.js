@@ -0,0 +1,128 @@
+// Fixture table for date-resolver.js. Each row is a message, when it was sent (wall clock in
+// timeZone, default Asia/Jerusalem) and the days it should resolve to, in order - null for
+// expressions too vague for one day. `node date-resolver-fixtures.js` (npm test) checks them all.
+const { resolveDates } = require('./date-resolver');
+const { zonedDate, zonedDateString, DEFAULT_TIMEZONE } = require('./timezone');
+
+// Sunday 18 October 2026, mid-morning
+const SUNDAY = '2026-10-18 10:00';
+// Wednesday 21 October 2026
+const WEDNESDAY = '2026-10-21 10:00';
+
+const FIXTURES = [
+  // Relative days
+  { sent: SUNDAY, text: 'נפגשים מחר ב-10', expected: ['2026-10-19'] },
+  { sent: SUNDAY, text: 'אולי מחרתיים?', expected: ['2026-10-20'] },
+  { sent: SUNDAY, text: 'היום ב-17:00 אצל הרופא', expected: ['2026-10-18'] },
+  { sent: SUNDAY, text: 'Dinner tonight?', expected: ['2026-10-18'] },
+  { sent: SUNDAY, text: 'the day after tomorrow works', expected: ['2026-10-20'] },
+
+  // Relative to the message, not the audit: sent late at night, read the next morning
+  { sent: '2026-10-18 23:50', text: 'תור מחר בבוקר', expected: ['2026-10-19'] },
+  { sent: '2026-10-18 23:50', timeZone: 'America/New_York', text: 'see you tomorrow', expected: ['2026-10-19'] },
+  { sent: '2026-03-27 12:00', text: 'מחר ב-9', expected: ['2026-03-28'] },
+
+  // Hebrew weekdays: ראשון is Sunday, שבת is Saturday
+  { sent: WEDNESDAY, text: 'ביום ראשון', expected: ['2026-10-25'] },
+  { sent: WEDNESDAY, text: 'יום שני בבוקר', expected: ['2026-10-26'] },
+  { sent: WEDNESDAY, text: 'בחמישי בערב', expected: ['2026-10-22'] },
+  { sent: WEDNESDAY, text: 'נתראה בשבת', expected: ['2026-10-24'] },
+  { sent: WEDNESDAY, text: 'ביום רביעי ב-18:00', expected: ['2026-10-21'] },
+  { sent: WEDNESDAY, text: 'שבת שלום לכולם', expected: [] },
+  { sent: WEDNESDAY, text: 'שני ילדים', expected: [] },
+
+  // English weekdays
+  { sent: WEDNESDAY, text: 'Friday at 3pm', expected: ['2026-10-23'] },
+  { sent: WEDNESDAY, text: 'on Monday', expected: ['2026-10-26'] },
+  { sent: WEDNESDAY, text: 'this coming Wednesday', expected: ['2026-10-28'] },
+
+  // Next week's weekday
+  { sent: SUNDAY, text: 'next week Tuesday', expected: ['2026-10-27'] },
+  { sent: SUNDAY, text: 'next Tuesday', expected: ['2026-10-27'] },
+  { sent: WEDNESDAY, text: 'Tuesday next week', expected: ['2026-10-27'] },
+  { sent: SUNDAY, text: 'יום ראשון הבא', expected: ['2026-10-25'] },
+  { sent: '2026-10-24 10:00', text: 'יום ראשון הבא', expected: ['2026-10-25'] },
+  { sent: WEDNESDAY, text: 'בשבת הבאה', expected: ['2026-10-31'] },
+  { sent: SUNDAY, text: 'ביום שלישי בשבוע הבא', expected: ['2026-10-27'] },
+  { sent: SUNDAY, text: 'בשבוע הבא ביום חמישי', expected: ['2026-10-29'] },
+  { sent: WEDNESDAY, text: 'שישי הקרוב', expected: ['2026-10-23'] },
+
+  // Periods
+  { sent: SUNDAY, text: 'בעוד שבועיים', expected: ['2026-11-01'] },
+  { sent: SUNDAY, text: 'בעוד שבוע', expected: ['2026-10-25'] },
+  { sent: SUNDAY, text: 'בעוד 3 ימים', expected: ['2026-10-21'] },
+  { sent: SUNDAY, text: 'עוד יומיים', expected: ['2026-10-20'] },
+  { sent: SUNDAY, text: 'בעוד חודש', expected: ['2026-11-18'] },
+  { sent: SUNDAY, text: 'in two weeks', expected: ['2026-11-01'] },
+  { sent: SUNDAY, text: '3 days from now', expected: ['2026-10-21'] },
+  { sent: '2027-01-31 10:00', text: 'in a month', expected: ['2027-02-28'] },
+
+  // Weekends: Saturday in English, Friday in Hebrew
+  { sent: WEDNESDAY, text: 'this weekend', expected: ['2026-10-24'] },
+  { sent: WEDNESDAY, text: 'next weekend', expected: ['2026-10-31'] },
+  { sent: WEDNESDAY, text: 'בסופ"ש', expected: ['2026-10-23'] },
+  { sent: WEDNESDAY, text: 'בסוף השבוע הבא', expected: ['2026-10-30'] },
+  { sent: '2026-10-24 10:00', text: 'בסוף השבוע', expected: ['2026-10-24'] },
+
+  // Days of the month
+  { sent: '2026-10-05 10:00', text: 'ב-15 לחודש', expected: ['2026-10-15'] },
+  { sent: SUNDAY, text: 'ב-15 לחודש', expected: ['2026-11-15'] },
+  { sent: SUNDAY, text: 'ה-1 לחודש הבא', expected: ['2026-11-01'] },
+  { sent: '2026-11-05 10:00', text: 'on the 31st', expected: ['2026-12-31'] },
+  { sent: SUNDAY, text: 'the 20th of the month', expected: ['2026-10-20'] },
+
+  // Month names
+  { sent: SUNDAY, text: 'ב-3 בדצמבר', expected: ['2026-12-03'] },
+  { sent: SUNDAY, text: 'November 3rd', expected: ['2026-11-03'] },
+  { sent: SUNDAY, text: 'the 2nd of March', expected: ['2027-03-02'] },
+
+  // Numeric dates, day first; no year means the next time the date comes round
+  { sent: SUNDAY, text: 'ב-3/11 בשעה 10', expected: ['2026-11-03'] },
+  { sent: SUNDAY, text: '15/10', expected: ['2027-10-15'] },
+  { sent: '2026-12-28 10:00', text: 'פגישה ב-3/1', expected: ['2027-01-03'] },
+  { sent: SUNDAY, text: '1.11.26', expected: ['2026-11-01'] },
+  { sent: SUNDAY, text: '05/11/2026', expected: ['2026-11-05'] },
+  { sent: SUNDAY, text: '31/02', expected: [] },
+  { sent: SUNDAY, text: 'ב-10.30 בבוקר', expected: [] },
+  { sent: SUNDAY, text: 'בין 10-12', expected: [] },
+  { sent: SUNDAY, text: 'call 054-1234567', expected: [] },
+
+  // Holidays (5787: Yom Kippur 21/9/2026, Sukkot ends 3/10/2026, Pesach ends 28/4/2027)
+  { sent: '2026-09-20 10:00', text: 'אחרי החג', expected: ['2026-09-22'] },
+  { sent: '2026-09-28 10:00', text: 'נקבע אחרי החג', expected: ['2026-10-04'] },
+  { sent: '2026-09-01 10:00', text: 'אחרי החגים', expected: ['2026-10-04'] },
+  { sent: SUNDAY, text: 'אחרי החג', expected: ['2027-04-29'] },
+  { sent: '2026-09-01 10:00', text: 'after the holidays', expected: ['2026-10-04'] },
+
+  // Vague and mixed
+  { sent: SUNDAY, text: 'next week sometime', expected: [null] },
+  { sent: SUNDAY, text: 'מתי השבוע נוח לך?', expected: [null] },
+  { sent: SUNDAY, text: 'מחר לא, אולי ביום חמישי', expected: ['2026-10-19', '2026-10-22'] }
+];
+
+function sentAt(sent, timeZone) {
+  const [year, month, day, hours, minutes] = sent.split(/[-\s:]/).map(Number);
+  return zonedDate(timeZone, year, month, day, hours, minutes);
+}
+
+function runFixtures(fixtures = FIXTURES) {
+  const failures = fixtures.filter(fixture => {
+    const timeZone = fixture.timeZone || DEFAULT_TIMEZONE;
+    const actual = resolveDates(fixture.text, { timeZone, reference: sentAt(fixture.sent, timeZone) })
+      .map(result => result.date && zonedDateString(result.date, timeZone));
+    const passed = JSON.stringify(actual) === JSON.stringify(fixture.expected);
+    if (!passed) {
+      console.log(`❌ "${fixture.text}" sent ${fixture.sent}: expected ${JSON.stringify(fixture.expected)}, got ${JSON.stringify(actual)}`);
+    }
+    return !passed;
+  });
+
+  console.log(`${failures.length === 0 ? '✅' : '❌'} ${fixtures.length - failures.length}/${fixtures.length} date fixtures passed`);
+  return failures.length === 0;
+}
+
+if (require.main === module) {
+  process.exit(runFixtures() ? 0 : 1);
+}
+
+module.exports = { FIXTURES, runFixtures };
@@ -0,0 +1,263 @@
+// Resolves Hebrew and English date expressions in messages to calendar days.
+// Everything is relative to when the message was sent (options.reference), on the user's
+// calendar (options.timeZone): "מחר" sent on Sunday means Monday even if the audit reads
+// it on Tuesday. Weeks start on Sunday, and holidays follow the Israeli calendar.
+const { zonedParts, zonedDate } = require('./timezone');
+
+// Word characters, Hebrew included - JS \b does not know Hebrew letters
+const WORD = '\\u0590-\\u05FFA-Za-z0-9';
+// Hebrew words may carry one or two prefix letters: ו, ב, ל, ה, מ, ש ("וביום", "מהיום")
+const HE = '[ובלהמש]{0,2}';
+
+const EN_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const HE_WEEKDAYS = ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת'];
+const EN_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const HE_MONTHS = ['ינואר', 'פברואר', 'מרץ', 'אפריל', 'מאי', 'יוני', 'יולי', 'אוגוסט', 'ספטמבר', 'אוקטובר', 'נובמבר', 'דצמבר'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  'אחד': 1, 'אחת': 1, 'שני': 2, 'שתי': 2, 'שלושה': 3, 'שלוש': 3, 'ארבעה': 4, 'ארבע': 4, 'חמישה': 5, 'חמש': 5,
+  'שישה': 6, 'שש': 6, 'שבעה': 7, 'שבע': 7, 'שמונה': 8, 'תשעה': 9, 'תשע': 9, 'עשרה': 10, 'עשר': 10
+};
+
+// Hebrew units with a built-in count ("שבועיים" = two weeks)
+const UNITS = {
+  day: ['day', 1], days: ['day', 1], 'יום': ['day', 1], 'ימים': ['day', 1], 'יומיים': ['day', 2],
+  week: ['week', 1], weeks: ['week', 1], 'שבוע': ['week', 1], 'שבועות': ['week', 1], 'שבועיים': ['week', 2],
+  month: ['month', 1], months: ['month', 1], 'חודש': ['month', 1], 'חודשים': ['month', 1], 'חודשיים': ['month', 2]
+};
+
+// Israeli yom tov dates; "אחרי החג" is the day after the current or next one ends
+const HOLIDAYS = [
+  { month: 'Tishri', first: 1, last: 2 },   // Rosh Hashana
+  { month: 'Tishri', first: 10, last: 10 }, // Yom Kippur
+  { month: 'Tishri', first: 15, last: 22 }, // Sukkot to Simchat Torah
+  { month: 'Nisan', first: 15, last: 21 },  // Pesach
+  { month: 'Sivan', first: 6, last: 6 }     // Shavuot
+];
+
+const alternatives = (words) => words.join('|');
+const EN_WEEKDAY = `(${alternatives(EN_WEEKDAYS)})`;
+const HE_WEEKDAY = `(${alternatives(HE_WEEKDAYS)})`;
+const NUMBER = `(\\d{1,2}|${alternatives(Object.keys(NUMBER_WORDS))})`;
+const EN_UNIT = '(days?|weeks?|months?)';
+const HE_UNIT = '(יומיים|ימים|יום|שבועיים|שבועות|שבוע|חודשיים|חודשים|חודש)';
+const ORDINAL = '(?:st|nd|rd|th)';
+const DAY_PREFIX = '(?:[ובלה]{1,2}-?)?';
+
+// Calendar-day arithmetic; day numbers may overflow and are normalised through Date.UTC
+function normalize(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+}
+
+const addDays = (from, days) => normalize(from.year, from.month, from.day + days);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const isBefore = (a, b) => Date.UTC(a.year, a.month - 1, a.day) < Date.UTC(b.year, b.month - 1, b.day);
+
+function addMonths(from, months) {
+  const target = normalize(from.year, from.month + months, 1);
+  return normalize(target.year, target.month, Math.min(from.day, daysInMonth(target.year, target.month)));
+}
+
+// The weekday this week or later; today counts unless strictlyAfter
+function upcomingWeekday(today, weekday, strictlyAfter = false) {
+  const days = (weekday - today.weekday + 7) % 7;
+  return addDays(today, days === 0 && strictlyAfter ? 7 : days);
+}
+
+// The weekday in next Sunday-to-Saturday week
+function nextWeekWeekday(today, weekday) {
+  return addDays(today, 7 - today.weekday + weekday);
+}
+
+// A day and month without a year is the next time that date comes round
+function dayMonth(today, day, month, year) {
+  if (month < 1 || month > 12 || day < 1) return undefined;
+  if (year !== undefined) {
+    const fullYear = year < 100 ? 2000 + year : year;
+    return day <= daysInMonth(fullYear, month) ? normalize(fullYear, month, day) : undefined;
+  }
+  for (const candidateYear of [today.year, today.year + 1]) {
+    if (day > daysInMonth(candidateYear, month)) continue;
+    const candidate = normalize(candidateYear, month, day);
+    if (!isBefore(candidate, today)) return candidate;
+  }
+  return undefined;
+}
+
+// "ב-15 לחודש" / "the 15th": this month, or next month once the day has passed
+function dayOfMonth(today, day, nextMonth) {
+  if (day < 1 || day > 31) return undefined;
+  for (let offset = nextMonth ? 1 : 0; offset < 3; offset++) {
+    const month = normalize(today.year, today.month + offset, 1);
+    if (day > daysInMonth(month.year, month.month)) continue;
+    const candidate = normalize(month.year, month.month, day);
+    if (!isBefore(candidate, today)) return candidate;
+  }
+  return undefined;
+}
+
+const hebrewFormat = new Intl.DateTimeFormat('en-u-ca-hebrew', { timeZone: 'UTC', month: 'long', day: 'numeric' });
+
+function hebrewDate(civil) {
+  const parts = hebrewFormat.formatToParts(new Date(Date.UTC(civil.year, civil.month - 1, civil.day, 12)));
+  return {
+    month: parts.find(part => part.type === 'month').value,
+    day: +parts.find(part => part.type === 'day').value
+  };
+}
+
+const holidayOn = (civil, holidays) => {
+  const { month, day } = hebrewDate(civil);
+  return holidays.find(holiday => holiday.month === month && day >= holiday.first && day <= holiday.last);
+};
+
+// Day after the holiday that is on now or comes next; "החגים" is the whole Tishrei season
+function afterHoliday(today, wholeSeason) {
+  const holidays = wholeSeason ? [{ month: 'Tishri', first: 1, last: 22 }] : HOLIDAYS;
+  for (let offset = 0; offset < 400; offset++) {
+    const holiday = holidayOn(addDays(today, offset), holidays);
+    if (!holiday) continue;
+
+    let end = offset;
+    while (holidayOn(addDays(today, end + 1), [holiday])) end++;
+    return addDays(today, end + 1);
+  }
+  return undefined;
+}
+
+function inPeriod(today, count, unitWord) {
+  const [unit, multiplier] = UNITS[unitWord.toLowerCase()];
+  const amount = (count ? +count || NUMBER_WORDS[count.toLowerCase()] : 1) * multiplier;
+  if (unit === 'month') return addMonths(today, amount);
+  return addDays(today, unit === 'week' ? amount * 7 : amount);
+}
+
+const weekdayIndex = (name) => {
+  const english = EN_WEEKDAYS.indexOf(name.toLowerCase());
+  return english >= 0 ? english : HE_WEEKDAYS.indexOf(name);
+};
+
+const monthIndex = (name) => {
+  const english = EN_MONTHS.indexOf(name.toLowerCase());
+  return (english >= 0 ? english : HE_MONTHS.indexOf(name === 'מרס' ? 'מרץ' : name)) + 1;
+};
+
+// Each rule resolves a match to a calendar day. null marks a date expression too vague for
+// a single day ("next week"); undefined means the match was not a date after all ("31/02").
+const RULES = [
+  // Relative days
+  { pattern: `(?:the\\s+)?day\\s+after\\s+tomorrow|${HE}מחרתיים`, resolve: (m, today) => addDays(today, 2) },
+  { pattern: `tomorrow|${HE}מחר`, resolve: (m, today) => addDays(today, 1) },
+  { pattern: `today|tonight|this\\s+evening|${HE}היום|${HE}הערב`, resolve: (m, today) => today },
+
+  // "in two weeks", "3 days from now", "בעוד שבועיים", "בעוד 3 ימים"
+  { pattern: `in\\s+${NUMBER}\\s+${EN_UNIT}`, resolve: (m, today) => inPeriod(today, m[1], m[2]) },
+  { pattern: `${NUMBER}\\s+${EN_UNIT}\\s+from\\s+(?:now|today)`, resolve: (m, today) => inPeriod(today, m[1], m[2]) },
+  { pattern: `ב?עוד\\s+(?:${NUMBER}\\s+)?${HE_UNIT}`, resolve: (m, today) => inPeriod(today, m[1], m[2]) },
+
+  // Next week's weekday: "next Tuesday", "next week Tuesday", "יום ראשון הבא", "שלישי בשבוע הבא"
+  { pattern: `next\\s+${EN_WEEKDAY}`, resolve: (m, today) => nextWeekWeekday(today, weekdayIndex(m[1])) },
+  { pattern: `next\\s+week\\s*,?\\s+(?:on\\s+)?${EN_WEEKDAY}`, resolve: (m, today) => nextWeekWeekday(today, weekdayIndex(m[1])) },
+  { pattern: `(?:on\\s+)?${EN_WEEKDAY}\\s+(?:of\\s+)?next\\s+week`, resolve: (m, today) => nextWeekWeekday(today, weekdayIndex(m[1])) },
+  { pattern: `${HE}(?:יום\\s+)?${HE_WEEKDAY}\\s+(?:ה)?בא(?:ה)?`, resolve: (m, today) => nextWeekWeekday(today, weekdayIndex(m[1])) },
+  { pattern: `${HE}שבוע\\s+הבא\\s*,?\\s+${HE}(?:יום\\s+)?${HE_WEEKDAY}`, resolve: (m, today) => nextWeekWeekday(today, weekdayIndex(m[1])) },
+  { pattern: `${HE}(?:יום\\s+)?${HE_WEEKDAY}\\s+${HE}שבוע\\s+הבא`, resolve: (m, today) => nextWeekWeekday(today, weekdayIndex(m[1])) },
+
+  // "this coming Friday", "שישי הקרוב": the next one, never today
+  { pattern: `this\\s+coming\\s+${EN_WEEKDAY}`, resolve: (m, today) => upcomingWeekday(today, weekdayIndex(m[1]), true) },
+  { pattern: `${HE}(?:יום\\s+)?${HE_WEEKDAY}\\s+(?:ה)?קרוב(?:ה)?`, resolve: (m, today) => upcomingWeekday(today, weekdayIndex(m[1]), true) },
+
+  // Bare weekdays: this week's, or today's if it is that day. Hebrew needs "יום" or a ב/ל
+  // prefix, since "שני" is also "two" and "שבת" opens "שבת שלום".
+  { pattern: `(?:this\\s+|on\\s+)?${EN_WEEKDAY}`, resolve: (m, today) => upcomingWeekday(today, weekdayIndex(m[1])) },
+  { pattern: `${HE}יום\\s+${HE_WEEKDAY}|ו?[בל]${HE_WEEKDAY}`, resolve: (m, today) => upcomingWeekday(today, weekdayIndex(m[1] || m[2])) },
+
+  // Weekends: Saturday in English, Friday (the start of the Israeli weekend) in Hebrew
+  { pattern: '(?:this|the)\\s+weekend|on\\s+the\\s+weekend', resolve: (m, today) => upcomingWeekday(today, 6) },
+  { pattern: 'next\\s+weekend', resolve: (m, today) => nextWeekWeekday(today, 6) },
+  {
+    pattern: `${HE}(?:סוף\\s+(?:ה)?שבוע|סופ"ש|סופ״ש|סופש)(?:\\s+(?:ה)?(זה|הבא))?`,
+    resolve: (m, today) => (m[1] === 'הבא' ? nextWeekWeekday(today, 5) : today.weekday === 6 ? today : upcomingWeekday(today, 5))
+  },
+
+  // Days of the month: "ב-15 לחודש", "ה-3 לחודש הבא", "the 15th", "on the 1st of next month"
+  { pattern: `${DAY_PREFIX}(\\d{1,2})\\s+לחודש(?:\\s+(?:ה)?(הבא))?`, resolve: (m, today) => dayOfMonth(today, +m[1], !!m[2]) },
+  { pattern: `(?:on\\s+)?the\\s+(\\d{1,2})${ORDINAL}(?:\\s+of\\s+(?:the\\s+|this\\s+)?(next\\s+)?month)?`, resolve: (m, today) => dayOfMonth(today, +m[1], !!m[2]) },
+
+  // Month names: "15 בנובמבר", "November 15th", "the 3rd of March 2027"
+  {
+    pattern: `${DAY_PREFIX}(\\d{1,2})\\s+[בל]?(${alternatives(HE_MONTHS)}|מרס)(?:\\s+(\\d{4}))?`,
+    resolve: (m, today) => dayMonth(today, +m[1], monthIndex(m[2]), m[3] && +m[3])
+  },
+  {
+    pattern: `(?:the\\s+)?(\\d{1,2})${ORDINAL}?\\s+(?:of\\s+)?(${alternatives(EN_MONTHS)})(?:,?\\s+(\\d{4}))?`,
+    resolve: (m, today) => dayMonth(today, +m[1], monthIndex(m[2]), m[3] && +m[3])
+  },
+  {
+    pattern: `(${alternatives(EN_MONTHS)})\\s+(\\d{1,2})${ORDINAL}?(?:,?\\s+(\\d{4}))?`,
+    resolve: (m, today) => dayMonth(today, +m[2], monthIndex(m[1]), m[3] && +m[3])
+  },
+
+  // DD/MM/YYYY, DD.MM.YY and DD/MM without a year (day first, as in Israel). Year-less
+  // dates need a slash, so times like "10.30" and ranges like "10-12" are left alone.
+  {
+    pattern: `${DAY_PREFIX}(\\d{1,2})([/.-])(\\d{1,2})\\2(\\d{4}|\\d{2})(?![/.-]?\\d)`,
+    resolve: (m, today) => dayMonth(today, +m[1], +m[3], +m[4])
+  },
+  { pattern: `${DAY_PREFIX}(\\d{1,2})\\/(\\d{1,2})(?![/.-]?\\d)`, resolve: (m, today) => dayMonth(today, +m[1], +m[2]) },
+
+  // Holidays: "אחרי החג", "אחרי החגים", "after the holidays"
+  { pattern: `${HE}אחרי\\s+(?:ה)?חג(ים)?|after\\s+the\\s+(?:chag|holiday)(s)?`, resolve: (m, today) => afterHoliday(today, !!(m[1] || m[2])) },
+
+  // Recognised, but too vague for one day
+  { pattern: `(?:next|this)\\s+week|${HE}שבוע\\s+הבא|${HE}השבוע`, resolve: () => null }
+].map(rule => ({ ...rule, regex: new RegExp(`(?<![${WORD}])(?:${rule.pattern})(?![${WORD}])`, 'gi') }));
+
+// Every date expression in text, in order, as { text, date } - date is the zone's midnight
+// of the resolved day, or null for vague expressions. Overlaps go to the longest match, so
+// "יום ראשון הבא" is one expression rather than "יום ראשון" plus change.
+function resolveDates(text, options = {}) {
+  const timeZone = options.timeZone;
+  const reference = options.reference ? new Date(options.reference) : new Date();
+  const parts = zonedParts(reference, timeZone);
+  const today = normalize(parts.year, parts.month, parts.day);
+
+  const matches = [];
+  for (const rule of RULES) {
+    for (const match of String(text || '').matchAll(rule.regex)) {
+      matches.push({ rule, match, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const results = [];
+  let covered = 0;
+  for (const { rule, match, start, end } of matches) {
+    if (start < covered) continue;
+    const day = rule.resolve(match, today);
+    if (day === undefined) continue;
+
+    results.push({ text: match[0], date: day && zonedDate(timeZone, day.year, day.month, day.day) });
+    covered = end;
+  }
+  return results;
+}
+
+// The first day the text resolves to, or null
+function resolveDate(text, options = {}) {
+  const resolved = resolveDates(text, options).find(result => result.date);
+  return resolved ? resolved.date : null;
+}
+
+// The date expressions in text, for detection and confidence scoring
+function findDateExpressions(text) {
+  return resolveDates(text).map(result => result.text);
+}
+
+module.exports = {
+  resolveDates,
+  resolveDate,
+  findDateExpressions
+};
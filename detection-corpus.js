@@ -0,0 +1,223 @@
+// Labeled conversations for evaluate-detection.js. Each conversation is one chat: when its first
+// message was sent (wall clock in Asia/Jerusalem, later messages follow two minutes apart), its
+// messages as [sender, text], and the meetings it really contains. A meeting lists the indexes of
+// the messages that arrange it (detecting it on any of them counts), its start as "YYYY-MM-DD HH:MM"
+// (just the date when none was given, null for a cancellation) and its intent.
+// Conversations without meetings are the traps: past events, maybes, chatter with keywords.
+
+// Sunday 18 October 2026, mid-morning
+const SUNDAY = '2026-10-18 10:00';
+// Wednesday 21 October 2026
+const WEDNESDAY = '2026-10-21 10:00';
+
+const CORPUS = [
+  // Appointments
+  {
+    id: 'he-doctor-tomorrow', category: 'appointment', language: 'he', sent: SUNDAY,
+    messages: [['מרפאה', 'שלום, נקבע לך תור לרופא מחר ב-10:30'], ['Me', 'תודה, אגיע']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-19 10:30', intent: 'new' }]
+  },
+  {
+    id: 'he-osteopathy-weekday', category: 'appointment', language: 'he', sent: SUNDAY,
+    messages: [['Yossi', 'יש לך טיפול אוסתאופתיה ביום רביעי בשעה 16:00']],
+    meetings: [{ messages: [0], dateTime: '2026-10-21 16:00', intent: 'new' }]
+  },
+  {
+    id: 'he-numeric-date', category: 'appointment', language: 'he', sent: SUNDAY,
+    messages: [['Clinic', 'התור שלך נקבע ל-25/10 בשעה 9:15']],
+    meetings: [{ messages: [0], dateTime: '2026-10-25 09:15', intent: 'new' }]
+  },
+  {
+    id: 'en-dentist', category: 'appointment', language: 'en', sent: SUNDAY,
+    messages: [['Smile Dental', 'Reminder: your dentist appointment is on Tuesday at 2:30 pm']],
+    meetings: [{ messages: [0], dateTime: '2026-10-20 14:30', intent: 'new' }]
+  },
+  {
+    id: 'en-offsite-date-only', category: 'appointment', language: 'en', sent: SUNDAY,
+    messages: [['Tom', 'The team offsite is on October 28, please keep the day free']],
+    meetings: [{ messages: [0], dateTime: '2026-10-28', intent: 'new' }]
+  },
+  {
+    id: 'en-call-monday', category: 'appointment', language: 'en', sent: SUNDAY,
+    messages: [['Lisa', "Let's have a call Monday at 9am"], ['Me', 'Works for me']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-19 09:00', intent: 'new' }]
+  },
+  {
+    id: 'mixed-team-meeting', category: 'appointment', language: 'mixed', sent: SUNDAY,
+    messages: [['Gal', 'meeting עם הצוות ביום שלישי at 10:00']],
+    meetings: [{ messages: [0], dateTime: '2026-10-20 10:00', intent: 'new' }]
+  },
+  {
+    id: 'he-two-trainings', category: 'appointment', language: 'he', sent: SUNDAY,
+    messages: [['Coach', 'אימון ביום שני ב-7 בבוקר'], ['Coach', 'ואימון נוסף ביום רביעי ב-7 בבוקר']],
+    meetings: [
+      { messages: [0], dateTime: '2026-10-19 07:00', intent: 'new' },
+      { messages: [1], dateTime: '2026-10-21 07:00', intent: 'new' }
+    ]
+  },
+
+  // Casual plans, often with spoken times
+  {
+    id: 'he-coffee-spoken-time', category: 'casual-plan', language: 'he', sent: SUNDAY,
+    messages: [['Noa', 'נפגשים מחר בשלוש וחצי בבית קפה']],
+    meetings: [{ messages: [0], dateTime: '2026-10-19 15:30', intent: 'new' }]
+  },
+  {
+    id: 'he-birthday', category: 'casual-plan', language: 'he', sent: SUNDAY,
+    messages: [['Ran', 'יום הולדת לדני ביום שישי ב-20:00 אצלנו, תבואו?'], ['Me', 'בטח, נהיה שם']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-23 20:00', intent: 'new' }]
+  },
+  {
+    id: 'he-day-after-tomorrow', category: 'casual-plan', language: 'he', sent: SUNDAY,
+    messages: [['Tal', 'נפגשים מחרתיים ב-18:00?'], ['Me', 'מעולה']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-20 18:00', intent: 'new' }]
+  },
+  {
+    id: 'en-lunch', category: 'casual-plan', language: 'en', sent: SUNDAY,
+    messages: [['Sarah', "Let's do lunch on Thursday at 1pm"], ['Me', 'Perfect']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-22 13:00', intent: 'new' }]
+  },
+  {
+    id: 'en-next-sunday', category: 'casual-plan', language: 'en', sent: SUNDAY,
+    messages: [['Gil', 'Meeting next Sunday at 10, at the usual place']],
+    meetings: [{ messages: [0], dateTime: '2026-10-25 10:00', intent: 'new' }]
+  },
+  {
+    id: 'mixed-ok-tomorrow', category: 'casual-plan', language: 'mixed', sent: SUNDAY,
+    messages: [['Roni', 'אז מה, מחר?'], ['Me', 'ok נקבע מחר ב-3']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-19 15:00', intent: 'new' }]
+  },
+  {
+    id: 'en-tomorrow-from-wednesday', category: 'casual-plan', language: 'en', sent: WEDNESDAY,
+    messages: [['Amir', 'Tomorrow at 10 at my office?'], ['Me', 'ok see you then']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-22 10:00', intent: 'new' }]
+  },
+
+  // Details in one message, the agreement in a later one
+  {
+    id: 'he-dinner-confirmed', category: 'confirmation', language: 'he', sent: SUNDAY,
+    messages: [['Avi', 'ארוחת ערב ביום חמישי בשמונה בערב?'], ['Maya', 'סגור, נתראה']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-22 20:00', intent: 'new' }]
+  },
+  {
+    id: 'en-meet-tomorrow-confirmed', category: 'confirmation', language: 'en', sent: SUNDAY,
+    messages: [['Dan', 'Can we meet tomorrow at 11?'], ['Me', 'Sounds good, see you at 11']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-19 11:00', intent: 'new' }]
+  },
+  {
+    id: 'en-drinks-confirmed-later', category: 'confirmation', language: 'en', sent: SUNDAY,
+    messages: [['Anna', 'Are you free Wednesday at 6pm for drinks?'], ['Me', 'Let me check'], ['Me', 'Yes, works for me!']],
+    meetings: [{ messages: [0, 2], dateTime: '2026-10-21 18:00', intent: 'new' }]
+  },
+  {
+    id: 'mixed-monday-sounds-good', category: 'confirmation', language: 'mixed', sent: SUNDAY,
+    messages: [['Lior', 'נפגשים ביום שני ב-2?'], ['Me', 'sounds good']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-19 14:00', intent: 'new' }]
+  },
+  {
+    id: 'mixed-still-on-thursday', category: 'confirmation', language: 'mixed', sent: SUNDAY,
+    messages: [['Eyal', 'Are we still on for Thursday 4pm?'], ['Me', 'כן, מאשר']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-22 16:00', intent: 'new' }]
+  },
+
+  // Reschedules: the original meeting and the move
+  {
+    id: 'he-clinic-postponed', category: 'reschedule', language: 'he', sent: SUNDAY,
+    messages: [['Clinic', 'תזכורת: תור לרופא מחר ב-10'], ['Clinic', 'נאלצנו לדחות את התור ליום שלישי ב-12']],
+    meetings: [
+      { messages: [0], dateTime: '2026-10-19 10:00', intent: 'new' },
+      { messages: [1], dateTime: '2026-10-20 12:00', intent: 'reschedule' }
+    ]
+  },
+  {
+    id: 'en-dinner-moved', category: 'reschedule', language: 'en', sent: SUNDAY,
+    messages: [['Ben', 'Dinner Friday at 8?'], ['Me', 'Great'], ['Ben', 'Can we move it to Saturday at 8 instead?']],
+    meetings: [
+      { messages: [0, 1], dateTime: '2026-10-23 20:00', intent: 'new' },
+      { messages: [2], dateTime: '2026-10-24 20:00', intent: 'reschedule' }
+    ]
+  },
+  {
+    id: 'mixed-move-to-tomorrow', category: 'reschedule', language: 'mixed', sent: SUNDAY,
+    messages: [['Shira', "let's move the meeting to tomorrow at 5, מתאים?"], ['Me', 'כן']],
+    meetings: [{ messages: [0, 1], dateTime: '2026-10-19 17:00', intent: 'reschedule' }]
+  },
+
+  // Cancellations
+  {
+    id: 'he-clinic-cancelled', category: 'cancel', language: 'he', sent: SUNDAY,
+    messages: [['Clinic', 'התור שלך ליום רביעי בוטל']],
+    meetings: [{ messages: [0], dateTime: null, intent: 'cancel' }]
+  },
+  {
+    id: 'en-meeting-cancelled', category: 'cancel', language: 'en', sent: SUNDAY,
+    messages: [['Mike', "Sorry, we have to cancel tomorrow's meeting"]],
+    meetings: [{ messages: [0], dateTime: null, intent: 'cancel' }]
+  },
+  {
+    id: 'he-arranged-then-cancelled', category: 'cancel', language: 'he', sent: SUNDAY,
+    messages: [['Yael', 'נפגשים ביום שישי ב-10 בבוקר'], ['Yael', 'אני מבטלת, לא מרגישה טוב']],
+    meetings: [
+      { messages: [0], dateTime: '2026-10-23 10:00', intent: 'new' },
+      { messages: [1], dateTime: null, intent: 'cancel' }
+    ]
+  },
+
+  // Past events
+  {
+    id: 'he-past-meeting', category: 'past-event', language: 'he', sent: SUNDAY,
+    messages: [['Dana', 'היה לנו פגישה אתמול, הייתה מעולה']],
+    meetings: []
+  },
+  {
+    id: 'en-past-meeting', category: 'past-event', language: 'en', sent: SUNDAY,
+    messages: [['Jon', 'The meeting yesterday at 3 went really well']],
+    meetings: []
+  },
+
+  // Maybes and plans without a time
+  {
+    id: 'he-maybe-next-week', category: 'tentative', language: 'he', sent: SUNDAY,
+    messages: [['Avi', 'אולי נפגש מתישהו בשבוע הבא']],
+    meetings: []
+  },
+  {
+    id: 'en-should-meet', category: 'tentative', language: 'en', sent: SUNDAY,
+    messages: [['Kate', 'We should meet sometime'], ['Me', 'Yes definitely']],
+    meetings: []
+  },
+  {
+    id: 'he-need-to-book', category: 'tentative', language: 'he', sent: SUNDAY,
+    messages: [['Mom', 'צריך לקבוע תור לרופא איפשהו']],
+    meetings: []
+  },
+
+  // Chatter full of keywords
+  {
+    id: 'en-thanks', category: 'chatter', language: 'en', sent: SUNDAY,
+    messages: [['Ella', 'ok great, thanks!'], ['Me', 'sure, no problem']],
+    meetings: []
+  },
+  {
+    id: 'he-thanks', category: 'chatter', language: 'he', sent: SUNDAY,
+    messages: [['Dad', 'בסדר, יופי, תודה']],
+    meetings: []
+  },
+  {
+    id: 'he-on-my-way', category: 'chatter', language: 'he', sent: SUNDAY,
+    messages: [['Omer', 'אני בדרך, אגיע עוד 10 דקות']],
+    meetings: []
+  },
+  {
+    id: 'he-weather', category: 'chatter', language: 'he', sent: SUNDAY,
+    messages: [['Noa', 'מחר יהיה חם מאוד, תיקחו מים']],
+    meetings: []
+  },
+  {
+    id: 'en-deadline', category: 'chatter', language: 'en', sent: SUNDAY,
+    messages: [['Boss', 'Please send the report by Monday']],
+    meetings: []
+  }
+];
+
+module.exports = { CORPUS };
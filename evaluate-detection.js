@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+// Measures meeting detection against the labeled conversations in detection-corpus.js. Runs the
+// audit's own stages - KeywordDetector, then the LLM analysis in thread or per-message mode - and
+// reports precision, recall, date/time/intent accuracy and the errors per category, compared with
+// the results saved in detection-baseline.json for the same backend, model and mode.
+//
+//   npm run evaluate -- [--backend rules|anthropic|openai] [--model NAME] [--mode thread|message]
+//                       [--category NAME] [--save-baseline] [--verbose]
+//
+// The backend defaults to rules: offline and deterministic, so keyword and confidence changes can
+// be judged without an API key. Verdicts are never cached here, so prompt changes always count.
+// (.env is loaded by run-audit.)
+const fs = require('fs').promises;
+const path = require('path');
+const { KeywordDetector } = require('./keyword-detector');
+const { LLMAnalyzer } = require('./llm-analyzer');
+const { LLMCache } = require('./llm-cache');
+const { enhanceWithLLMAnalysis, enhanceWithThreadAnalysis, getLLMAnalysisMode } = require('./run-audit');
+const { estimateMeetingInterval } = require('./interval-engine');
+const { zonedDate, zonedDateString, formatZonedClock } = require('./timezone');
+const { CORPUS } = require('./detection-corpus');
+
+const TIME_ZONE = 'Asia/Jerusalem';
+const MESSAGE_SPACING_SECONDS = 2 * 60;
+const BASELINE_PATH = path.join(__dirname, 'detection-baseline.json');
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function sentAt(sent) {
+  const [year, month, day, hours, minutes] = sent.split(/[-\s:]/).map(Number);
+  return zonedDate(TIME_ZONE, year, month, day, hours, minutes).getTime() / 1000;
+}
+
+// The corpus conversation as chat messages, as getRecentMessages returns them
+function toMessages(conversation) {
+  const start = sentAt(conversation.sent);
+  return conversation.messages.map(([sender, text], index) => ({
+    id: `${conversation.id}-${index}`,
+    chatId: conversation.id,
+    chatName: conversation.id,
+    senderId: sender,
+    senderName: sender,
+    text,
+    timestamp: start + index * MESSAGE_SPACING_SECONDS
+  }));
+}
+
+// Confirmations arrange a meeting as much as proposals do; only moves and cancellations differ
+function intentClass(intent) {
+  return intent === 'reschedule' || intent === 'cancel' ? intent : 'new';
+}
+
+// What the audit would put on the calendar for a confirmed meeting: "YYYY-MM-DD" and "HH:MM" (or null)
+function predictedStart(meeting) {
+  const interval = estimateMeetingInterval(meeting, { timeZone: TIME_ZONE });
+  if (!interval) return { date: null, time: null };
+  return {
+    date: zonedDateString(interval.start, TIME_ZONE),
+    time: interval.timeKnown ? formatZonedClock(interval.start, TIME_ZONE) : null
+  };
+}
+
+// Matches the confirmed meetings of one conversation to its labels. Each case is one labeled
+// meeting or one meeting reported where there is none, with what went wrong with it.
+function scoreConversation(conversation, messages, keywordDetections, confirmedMeetings) {
+  const indexOf = (messageId) => messages.findIndex(msg => msg.id === String(messageId));
+  const detectedIndexes = new Set(keywordDetections.map(detection => indexOf(detection.messageId)));
+  const found = new Map();
+  const cases = [];
+
+  for (const meeting of confirmedMeetings) {
+    // Thread meetings are reported under the last message they were drawn from
+    const anchor = Math.max(...(meeting.sourceMessageIds || [meeting.messageId]).map(indexOf));
+    const labelIndex = conversation.meetings.findIndex(label => label.messages.includes(anchor));
+    if (labelIndex === -1) {
+      cases.push({ key: `${conversation.id}@${anchor}`, conversation, errors: ['false positive'], text: messages[anchor]?.text });
+      continue;
+    }
+
+    // The latest report of a meeting is the one that settles it
+    const previous = found.get(labelIndex);
+    if (!previous || previous.anchor <= anchor) {
+      found.set(labelIndex, { meeting, anchor });
+    }
+  }
+
+  conversation.meetings.forEach((label, labelIndex) => {
+    const key = `${conversation.id}#${labelIndex}`;
+    const text = messages[label.messages[label.messages.length - 1]].text;
+    const keywordHit = label.messages.some(index => detectedIndexes.has(index));
+    if (!found.has(labelIndex)) {
+      cases.push({ key, conversation, label, keywordHit, errors: [keywordHit ? 'missed' : 'missed by keywords'], text });
+      return;
+    }
+
+    const { meeting } = found.get(labelIndex);
+    const predicted = predictedStart(meeting);
+    const [expectedDate, expectedTime] = (label.dateTime || '').split(' ');
+    const errors = [];
+    const checks = { date: null, time: null, intent: intentClass(meeting.intent) === intentClass(label.intent) };
+    if (label.dateTime) {
+      checks.date = predicted.date === expectedDate;
+      if (!checks.date) errors.push(`date ${predicted.date || 'none'}, expected ${expectedDate}`);
+    }
+    if (expectedTime) {
+      checks.time = predicted.time === expectedTime;
+      if (!checks.time) errors.push(`time ${predicted.time || 'none'}, expected ${expectedTime}`);
+    }
+    if (!checks.intent) errors.push(`intent ${meeting.intent || 'none'}, expected ${label.intent}`);
+
+    cases.push({ key, conversation, label, keywordHit, found: true, checks, errors, text });
+  });
+
+  return cases;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function summarize(cases) {
+  const labeled = cases.filter(item => item.label);
+  const found = labeled.filter(item => item.found);
+  const falsePositives = cases.filter(item => !item.label).length;
+  const precision = ratio(found.length, found.length + falsePositives);
+  const recall = ratio(found.length, labeled.length);
+  const accuracy = (check) => {
+    const checked = found.filter(item => item.checks[check] !== null);
+    return ratio(checked.filter(item => item.checks[check]).length, checked.length);
+  };
+
+  return {
+    meetings: labeled.length,
+    found: found.length,
+    falsePositives,
+    precision,
+    recall,
+    f1: precision && recall ? ratio(2 * precision * recall, precision + recall) : 0,
+    dateAccuracy: accuracy('date'),
+    timeAccuracy: accuracy('time'),
+    intentAccuracy: accuracy('intent'),
+    keywordRecall: ratio(labeled.filter(item => item.keywordHit).length, labeled.length)
+  };
+}
+
+function formatCategories(cases, corpus) {
+  const categories = [...new Set(corpus.map(conversation => conversation.category))];
+  const lines = ['Category        meetings  found  missed  false+  date✗  time✗  intent✗'];
+  for (const category of categories) {
+    const inCategory = cases.filter(item => item.conversation.category === category);
+    const found = inCategory.filter(item => item.found);
+    const count = (check) => found.filter(item => item.checks[check] === false).length;
+    lines.push([
+      category.padEnd(16),
+      String(inCategory.filter(item => item.label).length).padStart(8),
+      String(found.length).padStart(6),
+      String(inCategory.filter(item => item.label && !item.found).length).padStart(7),
+      String(inCategory.filter(item => !item.label).length).padStart(7),
+      String(count('date')).padStart(6),
+      String(count('time')).padStart(6),
+      String(count('intent')).padStart(8)
+    ].join(''));
+  }
+  return lines.join('\n');
+}
+
+function formatMetric(name, value, baselineValue) {
+  const shown = value === null ? 'n/a' : value;
+  if (baselineValue === undefined || baselineValue === null || value === null || baselineValue === value) {
+    return `${name.padEnd(16)}${shown}`;
+  }
+  const delta = Math.round((value - baselineValue) * 1000) / 1000;
+  // False positives are the one count where less is better
+  const better = name === 'falsePositives' ? delta < 0 : delta > 0;
+  return `${name.padEnd(16)}${shown} (${delta > 0 ? '+' : ''}${delta} ${better ? '⬆️' : '⬇️'})`;
+}
+
+async function loadBaselines() {
+  try {
+    return JSON.parse(await fs.readFile(BASELINE_PATH, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Cases whose outcome changed since the baseline: fixed, broken or new
+function diffCases(cases, baselineCases) {
+  const lines = [];
+  for (const item of cases) {
+    const now = item.errors.length === 0 ? 'ok' : item.errors.join('; ');
+    const before = baselineCases[item.key];
+    if (before === undefined) {
+      lines.push(`🆕 ${item.key}: ${now}`);
+    } else if (before !== now) {
+      lines.push(`${now === 'ok' ? '✅ Fixed' : before === 'ok' ? '❌ Broke' : '🔀 Changed'} ${item.key}: ${before === 'ok' ? '' : `${before} → `}${now}`);
+    }
+  }
+  return lines;
+}
+
+async function runEvaluation() {
+  const backend = argValue('--backend') || 'rules';
+  const model = argValue('--model');
+  const category = argValue('--category');
+  const verbose = process.argv.includes('--verbose');
+
+  const corpus = category ? CORPUS.filter(conversation => conversation.category === category) : CORPUS;
+  if (corpus.length === 0) {
+    console.error(`❌ No conversations in category "${category}"`);
+    return false;
+  }
+
+  const userData = { llm: { backend, ...(model ? { model } : {}) } };
+  const llmAnalyzer = new LLMAnalyzer({ userData, cache: new LLMCache({ ttlHours: 0 }) });
+  if (!llmAnalyzer.isEnabled()) {
+    console.error(`❌ The ${backend} backend isn't available (missing API key?)`);
+    return false;
+  }
+  const mode = argValue('--mode') || getLLMAnalysisMode();
+  const runKey = `${llmAnalyzer.modelKey()}/${mode}`;
+  console.log(`📊 Evaluating ${corpus.length} conversations with ${llmAnalyzer.label}, ${mode} mode`);
+
+  // The pipeline narrates every message; keep the report readable
+  const { log, warn } = console;
+  const cases = [];
+  for (const conversation of corpus) {
+    if (!verbose) console.log = console.warn = () => {};
+    try {
+      const messages = toMessages(conversation);
+      const keywordDetections = new KeywordDetector({ timeZone: TIME_ZONE }).detectMeetings(messages);
+      const options = { timeZone: TIME_ZONE };
+      const confirmedMeetings = mode === 'thread'
+        ? await enhanceWithThreadAnalysis(keywordDetections, messages, llmAnalyzer, options)
+        : await enhanceWithLLMAnalysis(keywordDetections, messages, llmAnalyzer, options);
+      cases.push(...scoreConversation(conversation, messages, keywordDetections, confirmedMeetings));
+    } finally {
+      Object.assign(console, { log, warn });
+    }
+  }
+
+  const metrics = summarize(cases);
+  const baselines = await loadBaselines();
+  const baseline = category ? null : baselines[runKey];
+
+  console.log(`\n${Object.entries(metrics).map(([name, value]) => formatMetric(name, value, baseline?.metrics[name])).join('\n')}`);
+  console.log(`\n${formatCategories(cases, corpus)}`);
+
+  const failures = cases.filter(item => item.errors.length > 0);
+  if (failures.length > 0) {
+    console.log('\nErrors:');
+    failures.forEach(item => console.log(`• [${item.conversation.category}] ${item.key} "${(item.text || '').substring(0, 50)}": ${item.errors.join('; ')}`));
+  }
+
+  if (baseline) {
+    const changes = diffCases(cases, baseline.cases);
+    console.log(`\nCompared with the baseline of ${baseline.savedAt.substring(0, 10)}: ${changes.length === 0 ? 'no cases changed' : `${changes.length} cases changed`}`);
+    changes.forEach(line => console.log(line));
+  } else if (!category) {
+    console.log(`\nℹ️ No baseline for ${runKey} yet - save one with --save-baseline`);
+  }
+
+  if (process.argv.includes('--save-baseline')) {
+    if (category) {
+      console.error('❌ Baselines cover the whole corpus; drop --category to save one');
+      return false;
+    }
+    baselines[runKey] = {
+      savedAt: new Date().toISOString(),
+      metrics,
+      cases: Object.fromEntries(cases.map(item => [item.key, item.errors.length === 0 ? 'ok' : item.errors.join('; ')]))
+    };
+    await fs.writeFile(BASELINE_PATH, `${JSON.stringify(baselines, null, 2)}\n`);
+    console.log(`💾 Baseline saved for ${runKey}`);
+  }
+
+  return true;
+}
+
+if (require.main === module) {
+  runEvaluation()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Evaluation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runEvaluation, scoreConversation, summarize };
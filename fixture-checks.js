@@ -0,0 +1,23 @@
+// Runs a table of behaviour checks, { name, run(context), expected }: what run returns (or
+// "error: <message>" when it throws) must equal expected once both are JSON
+async function runChecks(label, checks, context) {
+  const failures = [];
+  for (const check of checks) {
+    const expected = JSON.stringify(check.expected);
+    let actual;
+    try {
+      actual = JSON.stringify(await check.run(context));
+    } catch (error) {
+      actual = JSON.stringify(`error: ${error.message}`);
+    }
+    if (actual !== expected) {
+      console.log(`❌ ${check.name}: expected ${expected}, got ${actual}`);
+      failures.push(check);
+    }
+  }
+
+  console.log(`${failures.length === 0 ? '✅' : '❌'} ${checks.length - failures.length}/${checks.length} ${label} fixtures passed`);
+  return failures.length === 0;
+}
+
+module.exports = { runChecks };
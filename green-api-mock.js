@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+// Local stand-in for Green API, so the audit and the setup pages run end-to-end with no network.
+// Serves getChats, getChatHistory, getStateInstance, getWaAccount, setSettings and sendMessage for
+// any instance from a fixture file (mock-fixtures/green-api.json), plus the fixture's calendar as
+// /calendar.ics for a CalDAV user. Message and event times are relative to when the mock started,
+// so the fixture always falls inside the audit's 24h window.
+//
+//   npm run mock:green-api -- [--port 3100] [--fixture FILE] [--rate-limit-every N] [--rate-limit-methods a,b]
+//   GREEN_API_BASE_URL=http://localhost:3100 node run-audit.js
+//
+// Sent messages and settings are recorded (GET /mock/sent, GET /mock/settings) and written to
+// data/green-api-mock/. 429s can be injected every Nth call, or for the next calls with
+// POST /mock/rate-limit { "count": 2, "method": "getChatHistory" }.
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const { zonedParts, zonedDate } = require('./timezone');
+
+const DEFAULT_PORT = 3100;
+const DEFAULT_FIXTURE = path.join(__dirname, 'mock-fixtures', 'green-api.json');
+const RECORD_DIR = path.join(__dirname, 'data', 'green-api-mock');
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function loadFixture(file = DEFAULT_FIXTURE) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+// "20261019T130000Z"
+function icsTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// The fixture's calendarEvents ({ summary, daysFromNow, start: "HH:MM", minutes }) as an .ics feed
+function buildCalendar(fixture, startedAt) {
+  const timeZone = fixture.timeZone || 'UTC';
+  const today = zonedParts(new Date(startedAt), timeZone);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//green-api-mock//EN', 'X-WR-CALNAME:Mock calendar'];
+
+  (fixture.calendarEvents || []).forEach((event, index) => {
+    const [hours, minutes] = (event.start || '09:00').split(':').map(Number);
+    const start = zonedDate(timeZone, today.year, today.month, today.day + (event.daysFromNow || 0), hours, minutes);
+    const end = new Date(start.getTime() + (event.minutes || 60) * 60 * 1000);
+    lines.push('BEGIN:VEVENT', `UID:mock-event-${index}@green-api-mock`, `DTSTAMP:${icsTime(new Date(startedAt))}`,
+      `DTSTART:${icsTime(start)}`, `DTEND:${icsTime(end)}`, `SUMMARY:${event.summary}`, 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n');
+}
+
+// A fixture message as Green API returns it from getChatHistory
+function toHistoryMessage(chat, message, index, fixture, startedAt) {
+  const outgoing = !!message.outgoing;
+  return {
+    type: outgoing ? 'outgoing' : 'incoming',
+    idMessage: message.id || `MOCK${chat.id.split('@')[0]}${index}`,
+    timestamp: Math.floor(startedAt / 1000) - (message.minutesAgo || 0) * 60,
+    typeMessage: 'textMessage',
+    chatId: chat.id,
+    senderId: outgoing ? fixture.wid : (message.senderId || chat.id),
+    senderName: outgoing ? '' : (message.from || chat.name),
+    textMessage: message.text
+  };
+}
+
+// options: { rateLimitEvery, rateLimitMethods: [] (all when empty), recordDir }
+function createGreenApiMock(fixture, options = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const startedAt = Date.now();
+  const recordDir = options.recordDir || RECORD_DIR;
+  const state = { sent: [], settings: {}, calls: 0, limitedCalls: 0, forcedLimits: [] };
+
+  const history = (chat) => (chat.messages || [])
+    .map((message, index) => toHistoryMessage(chat, message, index, fixture, startedAt))
+    // Newest first, like Green API
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  const record = async (file, data) => {
+    await fs.mkdir(recordDir, { recursive: true });
+    await fs.writeFile(path.join(recordDir, file), JSON.stringify(data, null, 2));
+  };
+
+  const isRateLimited = (method) => {
+    const forced = state.forcedLimits.findIndex(limit => !limit.method || limit.method === method);
+    if (forced !== -1) {
+      if (--state.forcedLimits[forced].count <= 0) state.forcedLimits.splice(forced, 1);
+      return true;
+    }
+    const limited = !options.rateLimitMethods?.length || options.rateLimitMethods.includes(method);
+    if (!limited || !options.rateLimitEvery) return false;
+    state.limitedCalls++;
+    return state.limitedCalls % options.rateLimitEvery === 0;
+  };
+
+  const handlers = {
+    getStateInstance: () => ({ stateInstance: fixture.stateInstance || 'authorized' }),
+    getWaAccount: () => ({ phone: (fixture.wid || '').split('@')[0], deviceId: 'green-api-mock' }),
+    // Like Green API, chats don't carry their size; getGroupData has the participants
+    getChats: () => (fixture.chats || []).map(({ messages, participantsCount, ...chat }) => ({
+      ...chat,
+      lastMessage: history({ ...chat, messages })[0] || null
+    })),
+    getGroupData: (body) => {
+      const chat = (fixture.chats || []).find(candidate => candidate.id === body.groupId);
+      if (!chat) return { groupId: '', participants: [] };
+      const participants = Array.from({ length: chat.participantsCount || 0 }, (_, index) => ({ id: `97250000${String(index).padStart(4, '0')}@c.us`, isAdmin: index === 0, isSuperAdmin: index === 0 }));
+      return { groupId: chat.id, owner: participants[0]?.id || '', subject: chat.name, participants };
+    },
+    getChatHistory: (body) => {
+      const chat = (fixture.chats || []).find(candidate => candidate.id === body.chatId);
+      return chat ? history(chat).slice(0, body.count || 100) : [];
+    },
+    setSettings: async (body, instanceId) => {
+      state.settings[instanceId] = { ...state.settings[instanceId], ...body };
+      await record('settings.json', state.settings);
+      console.log(`⚙️ setSettings for ${instanceId}: ${JSON.stringify(body)}`);
+      return { saveSettings: true };
+    },
+    sendMessage: async (body, instanceId) => {
+      const idMessage = `MOCKSENT${state.sent.length + 1}`;
+      state.sent.push({ idMessage, instanceId, chatId: body.chatId, message: body.message, sentAt: new Date().toISOString() });
+      await record('sent-messages.json', state.sent);
+      console.log(`📤 sendMessage to ${body.chatId}:\n${body.message}\n`);
+      return { idMessage };
+    }
+  };
+
+  app.all('/waInstance:instanceId/:method/:token', async (req, res) => {
+    const { instanceId, method } = req.params;
+    const handler = handlers[method];
+    if (!handler) {
+      return res.status(404).json({ error: `Method ${method} isn't mocked` });
+    }
+
+    state.calls++;
+    if (isRateLimited(method)) {
+      console.log(`🚦 429 for ${method} (call ${state.calls})`);
+      return res.status(429).json({ error: 'Too Many Requests' });
+    }
+
+    res.json(await handler(req.body || {}, instanceId));
+  });
+
+  app.get('/calendar.ics', (req, res) => {
+    res.type('text/calendar').send(buildCalendar(fixture, startedAt));
+  });
+
+  app.get('/mock/sent', (req, res) => res.json(state.sent));
+  app.get('/mock/settings', (req, res) => res.json(state.settings));
+  app.post('/mock/rate-limit', (req, res) => {
+    state.forcedLimits.push({ method: req.body?.method, count: req.body?.count || 1 });
+    res.json({ queued: state.forcedLimits });
+  });
+  app.post('/mock/reset', (req, res) => {
+    Object.assign(state, { sent: [], settings: {}, calls: 0, limitedCalls: 0, forcedLimits: [] });
+    res.json({ reset: true });
+  });
+
+  return { app, state };
+}
+
+async function startMockServer() {
+  const port = parseInt(argValue('--port'), 10) || DEFAULT_PORT;
+  const fixtureFile = argValue('--fixture') || DEFAULT_FIXTURE;
+  const rateLimitEvery = parseInt(argValue('--rate-limit-every'), 10) || 0;
+  const rateLimitMethods = (argValue('--rate-limit-methods') || '').split(',').filter(Boolean);
+
+  const fixture = await loadFixture(fixtureFile);
+  const { app } = createGreenApiMock(fixture, { rateLimitEvery, rateLimitMethods });
+
+  app.listen(port, () => {
+    console.log(`🧪 Mock Green API on http://localhost:${port} (${(fixture.chats || []).length} chats from ${path.relative(process.cwd(), fixtureFile)})`);
+    console.log(`   Point the service at it: GREEN_API_BASE_URL=http://localhost:${port}`);
+    if (rateLimitEvery) {
+      console.log(`   🚦 Every ${rateLimitEvery}th call${rateLimitMethods.length ? ` to ${rateLimitMethods.join(', ')}` : ''} returns 429`);
+    }
+  });
+}
+
+if (require.main === module) {
+  startMockServer().catch(error => {
+    console.error('❌ Mock Green API failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createGreenApiMock, loadFixture, buildCalendar };
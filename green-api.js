@@ -0,0 +1,15 @@
+// Green API endpoint URLs. Every call goes through greenApiUrl, so GREEN_API_BASE_URL can point
+// the whole service at another host - the instance's own API host, or green-api-mock.js for
+// offline runs.
+const DEFAULT_GREEN_API_URL = 'https://api.green-api.com';
+
+function getGreenApiBaseUrl() {
+  return (process.env.GREEN_API_BASE_URL || DEFAULT_GREEN_API_URL).replace(/\/+$/, '');
+}
+
+// instance: { instanceId, token }; method: "getChatHistory", "sendMessage", ...
+function greenApiUrl(instance, method) {
+  return `${getGreenApiBaseUrl()}/waInstance${instance.instanceId}/${method}/${instance.token}`;
+}
+
+module.exports = { DEFAULT_GREEN_API_URL, getGreenApiBaseUrl, greenApiUrl };
@@ -0,0 +1,279 @@
+// Minimal iCalendar (RFC 5545) reader: VEVENTs in, Google-shaped events out
+const { zoneOffsetMs } = require('./timezone');
+
+const MAX_OCCURRENCES = 1000;
+// Bounds the walk from DTSTART for long-running series (a daily event since years ago)
+const MAX_ITERATIONS = 20000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Unfolds continuation lines and splits each VEVENT into { NAME: { value, params } }
+function parseICS(text) {
+  const lines = String(text).replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let calendarName = null;
+  let current = null;
+  let depth = 0;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      if (property.value === 'VEVENT') {
+        current = { EXDATE: [] };
+        depth = 0;
+      } else if (current) {
+        // Nested components (VALARM) must not overwrite the event's own properties
+        depth++;
+      }
+      continue;
+    }
+
+    if (property.name === 'END') {
+      if (property.value === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      } else if (current) {
+        depth--;
+      }
+      continue;
+    }
+
+    if (!current) {
+      if (property.name === 'X-WR-CALNAME') calendarName = unescapeText(property.value);
+      continue;
+    }
+    if (depth > 0) continue;
+
+    if (property.name === 'EXDATE') {
+      current.EXDATE.push(property);
+    } else {
+      current[property.name] = property;
+    }
+  }
+
+  return { calendarName, events };
+}
+
+function parseLine(line) {
+  // Property values may contain ':' (URLs), parameters may be quoted
+  const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+  if (!match) return null;
+
+  const params = {};
+  for (const param of match[2].split(';').filter(Boolean)) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+}
+
+function unescapeText(value) {
+  return (value || '').replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// Wall-clock components plus the zone they are in ('UTC', 'floating' or a TZID)
+function parseICSDate(property) {
+  if (!property) return null;
+  const value = property.value.trim();
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const allDay = property.params.VALUE === 'DATE' || !match[4];
+  return {
+    year: +match[1], month: +match[2], day: +match[3],
+    hours: +(match[4] || 0), minutes: +(match[5] || 0), seconds: +(match[6] || 0),
+    allDay,
+    zone: allDay ? 'floating' : (match[7] ? 'UTC' : (property.params.TZID || 'floating'))
+  };
+}
+
+function toInstant(wall) {
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hours, wall.minutes, wall.seconds);
+  if (wall.zone === 'UTC') return new Date(asUtc);
+  if (wall.zone === 'floating') {
+    return new Date(wall.year, wall.month - 1, wall.day, wall.hours, wall.minutes, wall.seconds);
+  }
+
+  try {
+    // Two passes settle the offset on DST transition days
+    let utc = asUtc - zoneOffsetMs(wall.zone, asUtc);
+    utc = asUtc - zoneOffsetMs(wall.zone, utc);
+    return new Date(utc);
+  } catch (error) {
+    // Unknown TZID (e.g. Outlook's "Israel Standard Time") - fall back to server local time
+    return new Date(wall.year, wall.month - 1, wall.day, wall.hours, wall.minutes, wall.seconds);
+  }
+}
+
+// Wall-clock arithmetic keeps recurring events at the same local time across DST changes
+function shiftWall(wall, { days = 0, months = 0, years = 0 }) {
+  const shifted = new Date(Date.UTC(wall.year + years, wall.month - 1 + months, wall.day + days, wall.hours, wall.minutes, wall.seconds));
+  return {
+    ...wall,
+    year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate(),
+    hours: shifted.getUTCHours(), minutes: shifted.getUTCMinutes(), seconds: shifted.getUTCSeconds()
+  };
+}
+
+function wallDateString(wall) {
+  return `${wall.year}-${String(wall.month).padStart(2, '0')}-${String(wall.day).padStart(2, '0')}`;
+}
+
+function wallWeekday(wall) {
+  return new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay();
+}
+
+function parseDuration(value) {
+  const match = (value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const ms = ((+(match[2] || 0) * 7 + +(match[3] || 0)) * 24 * 60 * 60 + +(match[4] || 0) * 3600 + +(match[5] || 0) * 60 + +(match[6] || 0)) * 1000;
+  return match[1] === '-' ? -ms : ms;
+}
+
+function parseRRule(value) {
+  const rule = {};
+  for (const part of (value || '').split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val) rule[key.toUpperCase()] = val;
+  }
+  return rule;
+}
+
+// Start wall-clocks of occurrences in [windowStart, rangeEnd], following FREQ/INTERVAL/COUNT/UNTIL/BYDAY.
+// COUNT includes occurrences before the window, so those are generated and counted but not returned.
+function occurrenceStarts(start, rrule, windowStart, rangeEnd) {
+  const rule = parseRRule(rrule);
+  const interval = Math.max(parseInt(rule.INTERVAL, 10) || 1, 1);
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const until = rule.UNTIL ? toInstant(parseICSDate({ value: rule.UNTIL, params: {} })) : null;
+  const byDays = rule.BYDAY ? rule.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.slice(-2))).filter(day => day >= 0) : null;
+
+  const starts = [];
+  let generated = 0;
+  // Returns false once the rule is exhausted or past the range
+  const emit = (wall) => {
+    const instant = toInstant(wall);
+    if (generated >= count || (until && instant > until) || instant > rangeEnd) return false;
+    generated++;
+    if (instant >= windowStart) starts.push(wall);
+    return starts.length < MAX_OCCURRENCES;
+  };
+
+  if (rule.FREQ === 'WEEKLY' && byDays && byDays.length > 0) {
+    // Walk week by week from the week of DTSTART, emitting each listed weekday
+    const weekStart = shiftWall(start, { days: -wallWeekday(start) });
+    for (let n = 0; n < MAX_ITERATIONS; n++) {
+      const days = byDays
+        .map(day => shiftWall(weekStart, { days: n * interval * 7 + day }))
+        .filter(wall => toInstant(wall) >= toInstant(start))
+        .sort((a, b) => toInstant(a) - toInstant(b));
+      if (!days.every(emit)) break;
+    }
+    return starts;
+  }
+
+  const steps = { DAILY: { days: interval }, WEEKLY: { days: 7 * interval }, MONTHLY: { months: interval }, YEARLY: { years: interval } };
+  const step = steps[rule.FREQ];
+  if (!step) return toInstant(start) >= windowStart ? [start] : [];
+
+  for (let n = 0; n < MAX_ITERATIONS; n++) {
+    const wall = shiftWall(start, {
+      days: (step.days || 0) * n, months: (step.months || 0) * n, years: (step.years || 0) * n
+    });
+    // "31st of every month" skips months without that day, as RFC 5545 requires
+    if ((step.months || step.years) && wall.day !== start.day) continue;
+    if (!emit(wall)) break;
+  }
+  return starts;
+}
+
+function buildEvent(vevent, startWall, endWall, id) {
+  const event = {
+    id,
+    summary: unescapeText(vevent.SUMMARY?.value),
+    description: unescapeText(vevent.DESCRIPTION?.value),
+    location: unescapeText(vevent.LOCATION?.value)
+  };
+
+  if (startWall.allDay) {
+    event.start = { date: wallDateString(startWall) };
+    event.end = { date: wallDateString(endWall) };
+  } else {
+    event.start = { dateTime: toInstant(startWall).toISOString() };
+    event.end = { dateTime: toInstant(endWall).toISOString() };
+  }
+
+  if ((vevent.TRANSP?.value || '').toUpperCase() === 'TRANSPARENT') {
+    event.transparency = 'transparent';
+  }
+  return event;
+}
+
+// Expands recurring events and returns everything overlapping [timeMin, timeMax)
+function eventsInRange(parsedEvents, timeMin, timeMax) {
+  const rangeStart = new Date(timeMin);
+  const rangeEnd = new Date(timeMax);
+  const overrides = new Set();
+  const results = [];
+
+  // Modified occurrences (RECURRENCE-ID) replace the generated instance they point at
+  for (const vevent of parsedEvents) {
+    if (vevent['RECURRENCE-ID']) {
+      overrides.add(`${vevent.UID?.value}|${toInstant(parseICSDate(vevent['RECURRENCE-ID'])).getTime()}`);
+    }
+  }
+
+  for (const vevent of parsedEvents) {
+    if ((vevent.STATUS?.value || '').toUpperCase() === 'CANCELLED') continue;
+
+    const start = parseICSDate(vevent.DTSTART);
+    if (!start) continue;
+
+    // End comes from DTEND, then DURATION; a date-only event without either lasts one day
+    const explicitEnd = parseICSDate(vevent.DTEND);
+    const durationMs = explicitEnd
+      ? toInstant(explicitEnd) - toInstant(start)
+      : (parseDuration(vevent.DURATION?.value) ?? (start.allDay ? 24 * 60 * 60 * 1000 : 0));
+    const durationDays = Math.round(durationMs / (24 * 60 * 60 * 1000));
+
+    const uid = vevent.UID?.value || `${vevent.SUMMARY?.value}-${vevent.DTSTART.value}`;
+    const isRecurring = !!vevent.RRULE && !vevent['RECURRENCE-ID'];
+    const exdates = new Set(vevent.EXDATE.flatMap(property =>
+      property.value.split(',').map(value => toInstant(parseICSDate({ value, params: property.params })).getTime())
+    ));
+
+    const windowStart = new Date(rangeStart.getTime() - Math.max(durationMs, 24 * 60 * 60 * 1000));
+    const starts = isRecurring ? occurrenceStarts(start, vevent.RRULE.value, windowStart, rangeEnd) : [start];
+    for (const occurrence of starts) {
+      const instant = toInstant(occurrence).getTime();
+      if (exdates.has(instant)) continue;
+      if (isRecurring && overrides.has(`${uid}|${instant}`)) continue;
+
+      const endWall = occurrence.allDay
+        ? shiftWall(occurrence, { days: Math.max(durationDays, 1) })
+        : wallFromInstant(instant + durationMs);
+      const endInstant = occurrence.allDay ? toInstant(endWall) : new Date(instant + durationMs);
+      if (endInstant <= rangeStart || new Date(instant) >= rangeEnd) continue;
+
+      const id = isRecurring ? `${uid}_${new Date(instant).toISOString().replace(/[-:.]/g, '')}` : uid;
+      results.push(buildEvent(vevent, occurrence, endWall, id));
+    }
+  }
+
+  return results;
+}
+
+// For timed events only the instant of the end matters; keep it in UTC
+function wallFromInstant(ms) {
+  const date = new Date(ms);
+  return {
+    year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+    hours: date.getUTCHours(), minutes: date.getUTCMinutes(), seconds: date.getUTCSeconds(),
+    zone: 'UTC'
+  };
+}
+
+module.exports = { parseICS, eventsInRange, parseICSDate, toInstant };
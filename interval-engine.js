@@ -0,0 +1,209 @@
+// Interval-based comparison of detected meetings against calendar events.
+// Wall-clock values (meeting times, all-day dates) are read in options.timeZone, the user's zone.
+const { zonedParts, zonedDate, formatZonedClock } = require('./timezone');
+const { resolveTime } = require('./time-resolver');
+
+const DEFAULT_DURATION_MINUTES = 60;
+const DEFAULT_BUFFER_MINUTES = 15;
+// Starts this close together are treated as the same meeting
+const EXACT_MATCH_TOLERANCE_MINUTES = 5;
+
+// Typical length per meeting type, used when the conversation doesn't say
+const MEETING_TYPE_DURATIONS = {
+  appointment: 30,
+  doctor: 30,
+  call: 30,
+  תור: 30,
+  treatment: 60,
+  therapy: 60,
+  טיפול: 60,
+  meeting: 60,
+  פגישה: 60,
+  lunch: 60,
+  class: 60,
+  dinner: 90
+};
+
+// Explicit durations only ("for 2 hours", "למשך שעתיים") - "בעוד שעתיים" means "in two hours"
+const DURATION_PATTERNS = [
+  { pattern: /for\s+half\s+an\s+hour|למשך\s+חצי\s+שעה/i, minutes: () => 30 },
+  { pattern: /for\s+an\s+hour\s+and\s+a\s+half|למשך\s+שעה\s+וחצי/i, minutes: () => 90 },
+  { pattern: /for\s+an\s+hour|למשך\s+שעה(?!\s*ו)/i, minutes: () => 60 },
+  { pattern: /למשך\s+שעתיים/i, minutes: () => 120 },
+  { pattern: /(?:for|למשך)\s+(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|שעות)\b/i, minutes: (m) => parseFloat(m[1]) * 60 },
+  { pattern: /(?:for|למשך)\s+(\d+)\s*(minutes?|mins?|דקות)/i, minutes: (m) => parseInt(m[1], 10) }
+];
+
+// "15:00", "3pm", "8 בערב", "רבע לחמש" -> { hours, minutes }; context settles am/pm for a bare "ב-3"
+function parseClockTime(text, context) {
+  const resolved = resolveTime(text, { context });
+  return resolved ? { hours: resolved.hours, minutes: resolved.minutes } : null;
+}
+
+function extractDurationMinutes(text) {
+  if (!text) return null;
+  for (const { pattern, minutes } of DURATION_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return Math.round(minutes(match));
+  }
+  return null;
+}
+
+// Gap below which back-to-back meetings are reported as a near-miss: per user, then env, then default
+function getBufferMinutes(userData) {
+  const configured = userData?.conflictBufferMinutes ?? parseInt(process.env.CONFLICT_BUFFER_MINUTES, 10);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_BUFFER_MINUTES;
+}
+
+function defaultDurationForType(meetingType) {
+  const type = (meetingType || '').toLowerCase();
+  const key = Object.keys(MEETING_TYPE_DURATIONS).find(name => type.includes(name));
+  return key ? MEETING_TYPE_DURATIONS[key] : DEFAULT_DURATION_MINUTES;
+}
+
+// Estimated { start, end } for a detected meeting, or null when no date is known.
+// timeKnown is false when only the day is known; the interval then covers the whole day.
+function estimateMeetingInterval(meeting, options = {}) {
+  const { timeZone } = options;
+  let start = null;
+  let timeKnown = false;
+
+  // Priority 1: LLM-extracted "YYYY-MM-DD HH:MM" (or just a date)
+  const llmMatch = meeting.llmDateTime && String(meeting.llmDateTime).match(/(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?/);
+  if (llmMatch) {
+    start = zonedDate(timeZone, +llmMatch[1], +llmMatch[2], +llmMatch[3], +(llmMatch[4] || 0), +(llmMatch[5] || 0));
+    timeKnown = !!llmMatch[4];
+  }
+
+  // Priority 2: keyword-detected date plus detected clock time (already 24h when normalized)
+  if (!start && meeting.parsedDates && meeting.parsedDates.length > 0 && !isNaN(new Date(meeting.parsedDates[0]))) {
+    const { year, month, day } = zonedParts(new Date(meeting.parsedDates[0]), timeZone);
+    const clock = meeting.normalizedTime
+      ? parseClockTime(meeting.normalizedTime)
+      : parseClockTime(meeting.detectedTime, meeting.extractedText || meeting.text);
+    start = zonedDate(timeZone, year, month, day, clock ? clock.hours : 0, clock ? clock.minutes : 0);
+    timeKnown = !!clock;
+  }
+
+  if (!start || isNaN(start)) return null;
+
+  if (!timeKnown) {
+    const { year, month, day } = zonedParts(start, timeZone);
+    const end = zonedDate(timeZone, year, month, day + 1);
+    return { start, end, timeKnown: false, durationMinutes: null, durationSource: null };
+  }
+
+  const extracted = meeting.llmDurationMinutes || extractDurationMinutes(meeting.extractedText || meeting.text);
+  // Keyword-only detections have no type, so the message itself hints at one ("תור", "dinner")
+  const durationMinutes = extracted || defaultDurationForType(meeting.llmMeetingType || meeting.extractedText || meeting.text);
+  return {
+    start,
+    end: new Date(start.getTime() + durationMinutes * 60 * 1000),
+    timeKnown: true,
+    durationMinutes,
+    durationSource: extracted ? 'extracted' : 'default'
+  };
+}
+
+// Real start/end for a calendar event; all-day events span the user's midnight to midnight (end exclusive).
+// Raw Google events only carry start.date when all-day; CalendarEvent-shaped ones carry both.
+function eventInterval(event, timeZone) {
+  if (event.start?.date) {
+    const start = zonedMidnight(event.start.date, timeZone);
+    const end = event.end?.date ? zonedMidnight(event.end.date, timeZone) : zonedMidnight(event.start.date, timeZone, 1);
+    return { start, end, allDay: true };
+  }
+
+  if (event.start?.dateTime) {
+    const start = new Date(event.start.dateTime);
+    const end = event.end?.dateTime ? new Date(event.end.dateTime) : new Date(start.getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000);
+    return { start, end, allDay: false };
+  }
+
+  return null;
+}
+
+function zonedMidnight(dateString, timeZone, addDays = 0) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return zonedDate(timeZone, year, month, day + addDays);
+}
+
+function minutesBetween(a, b) {
+  return Math.round(Math.abs(a.getTime() - b.getTime()) / 60000);
+}
+
+// Classifies every event against one meeting interval: exact match, overlap, or near-miss within the buffer
+function compareMeetingToEvents(meeting, events, options = {}) {
+  const bufferMinutes = options.bufferMinutes ?? DEFAULT_BUFFER_MINUTES;
+  const interval = options.interval || estimateMeetingInterval(meeting, options);
+  const formatClock = (date) => formatZonedClock(date, options.timeZone);
+  const result = { interval, matches: [], conflicts: [], nearMisses: [] };
+  if (!interval) return result;
+
+  for (const event of events) {
+    const eventRange = eventInterval(event, options.timeZone);
+    if (!eventRange) continue;
+
+    // Events from multi-calendar reads say which calendar they came from and what it counts for
+    const title = `"${event.summary || '(no title)'}"${event.calendarName ? ` (${event.calendarName})` : ''}`;
+    const countsAsScheduled = event.countsAsScheduled !== false;
+    const countsForConflicts = event.countsForConflicts !== false;
+    const overlaps = interval.start < eventRange.end && eventRange.start < interval.end;
+
+    // Only the day is known: any event that day may be the meeting
+    if (!interval.timeKnown) {
+      if (overlaps && countsAsScheduled) {
+        result.matches.push({ event, reason: `Date match, time unclear: ${title}` });
+      }
+      continue;
+    }
+
+    if (eventRange.allDay) {
+      // Free all-day entries (birthdays, reminders) don't block time
+      if (overlaps && countsForConflicts && event.transparency !== 'transparent') {
+        result.conflicts.push({ event, reason: `During all-day event ${title}` });
+      }
+      continue;
+    }
+
+    if (minutesBetween(interval.start, eventRange.start) <= EXACT_MATCH_TOLERANCE_MINUTES && countsAsScheduled) {
+      result.matches.push({ event, reason: `Exact match: ${title} starts at ${formatClock(eventRange.start)}` });
+      continue;
+    }
+
+    if (!countsForConflicts) continue;
+
+    if (overlaps) {
+      const overlapStart = new Date(Math.max(interval.start, eventRange.start));
+      const overlapEnd = new Date(Math.min(interval.end, eventRange.end));
+      result.conflicts.push({
+        event,
+        reason: `Overlaps ${title} ${formatClock(eventRange.start)}-${formatClock(eventRange.end)} by ${minutesBetween(overlapStart, overlapEnd)} min`
+      });
+      continue;
+    }
+
+    const gap = eventRange.start >= interval.end
+      ? minutesBetween(interval.end, eventRange.start)
+      : minutesBetween(eventRange.end, interval.start);
+    if (gap < bufferMinutes) {
+      result.nearMisses.push({
+        event,
+        reason: `Only ${gap} min between this meeting (${formatClock(interval.start)}-${formatClock(interval.end)}) and ${title} ${formatClock(eventRange.start)}-${formatClock(eventRange.end)}`
+      });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  compareMeetingToEvents,
+  estimateMeetingInterval,
+  eventInterval,
+  parseClockTime,
+  extractDurationMinutes,
+  defaultDurationForType,
+  getBufferMinutes,
+  DEFAULT_BUFFER_MINUTES
+};
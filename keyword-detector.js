@@ -1,12 +1,20 @@
 // JavaScript port of KeywordDetector for GitHub Actions
+const { findDateExpressions, resolveDate } = require('./date-resolver');
+const { findTimeExpressions, resolveTime } = require('./time-resolver');
+const { detectIntent } = require('./meeting-intent');
+
 class KeywordDetector {
-  constructor() {
+  // options.timeZone: dates in messages resolve on the user's calendar
+  constructor(options = {}) {
+    this.timeZone = options.timeZone;
     this.hebrewKeywords = [
       'פגישה', 'מפגש', 'פגישת', 'נפגש', 'להיפגש',
       'מינוי', 'תור', 'זמן', 'מחר', 'היום',
       'שעה', 'בוקר', 'צהריים', 'אחר הצהריים', 'ערב',
       'ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת',
       'ביום', 'תאריך', 'מועד', 'נקבע', 'קובעים', 'לקבוע', 'לתאם', 'לזמן',
+      // Hebrew reschedules and cancellations
+      'לבטל', 'מבטל', 'ביטול', 'בוטל', 'לדחות', 'נדחה', 'להזיז', 'מזיזים', 'להקדים',
       'טיפול', 'אוסתאופתיה', 'אוסתאופטיה', 'כאב', 'גב',
       'רופא', 'דוקטור', 'קליניקה', 'בדיקה', 'תור',
       // Hebrew confirmations and casual scheduling words
@@ -27,6 +35,7 @@ class KeywordDetector {
       'morning', 'afternoon', 'evening', 'night', 'am', 'pm',
       'time', 'date', 'when', 'at', 'on', 'call', 'visit',
       'doctor', 'clinic', 'checkup', 'treatment', 'therapy', 'osteopath',
+      'cancel', 'reschedule', 'postpone', 'move',
       // Casual confirmation words for LLM analysis
       'set', 'confirmed', 'good', 'sounds', 'okay', 'ok', 'ready', 'fine', 'perfect', 'great',
       'awesome', 'cool', 'works', 'done', 'agreed', 'yes', 'yep', 'sure', 'absolutely',
@@ -37,21 +46,9 @@ class KeywordDetector {
       'then', 'so', 'but', 'and', 'the', 'for', 'with', 'at', 'in', 'on'
     ];
 
-    this.datePatterns = [
-      /\d{1,2}\/\d{1,2}\/\d{2,4}/g,
-      /\d{1,2}-\d{1,2}-\d{2,4}/g,
-      /\d{1,2}\.\d{1,2}\.\d{2,4}/g,
-      /(tomorrow|today|מחר|היום)/gi,
-      /(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/gi,
-      /(ראשון|שני|שלישי|רביעי|חמישי|שישי|שבת)/gi,
-      /(next week|השבוע הבא|השבוע)/gi
-    ];
-
+    // Parts of the day; clock times ("ב-3", "רבע לחמש") come from time-resolver
     this.timePatterns = [
-      /\d{1,2}:\d{2}(\s?(am|pm|AM|PM))?/g,
-      /\d{1,2}\s?(am|pm|AM|PM)/g,
-      /(morning|afternoon|evening|בוקר|צהריים|אחר הצהריים|ערב)/gi,
-      /(\d{1,2})\s?(בבוקר|בצהריים|בערב|אחה\"צ)/gi
+      /(morning|afternoon|evening|בוקר|צהריים|אחר הצהריים|ערב)/gi
     ];
 
     this.namePatterns = [
@@ -112,40 +109,37 @@ class KeywordDetector {
       return null;
     }
 
-    // Parse detected dates into actual dates
-    const parsedDates = this.parseDates(detectedDates);
+    // Parse detected dates into actual dates, relative to when the message was sent
+    const parsedDates = this.parseDates(detectedDates, message.timestamp ? new Date(message.timestamp * 1000) : new Date());
+    // 24h "HH:MM" the conflict checker can use without the LLM
+    const resolvedTime = resolveTime(originalText);
 
     return {
       id: `${message.id || 'msg'}_${Date.now()}`,
       messageId: message.id,
       chatId: message.chatId,
+      chatName: message.chatName,
       senderName: message.senderName || message.senderId,
       extractedText: originalText,
       detectedKeywords: [...hebrewMatches, ...englishMatches],
       detectedDate: detectedDates[0] || undefined,
       detectedTime: detectedTimes[0] || undefined,
+      normalizedTime: resolvedTime ? resolvedTime.time : undefined,
       detectedNames: detectedNames.length > 0 ? detectedNames : undefined,
       parsedDates: parsedDates,
+      // new / reschedule / cancel / confirm by keywords; Claude's reading replaces it
+      intent: detectIntent(originalText),
       confidence,
       timestamp: message.timestamp || Date.now() / 1000
     };
   }
 
   extractDates(text) {
-    const dates = [];
-    
-    for (const pattern of this.datePatterns) {
-      const matches = text.match(pattern);
-      if (matches) {
-        dates.push(...matches);
-      }
-    }
-
-    return [...new Set(dates)];
+    return [...new Set(findDateExpressions(text))];
   }
 
   extractTimes(text) {
-    const times = [];
+    const times = findTimeExpressions(text);
     
     for (const pattern of this.timePatterns) {
       const matches = text.match(pattern);
@@ -175,71 +169,11 @@ class KeywordDetector {
     return [...new Set(names)];
   }
 
-  parseDates(dateStrings) {
-    const parsedDates = [];
-    const now = new Date();
-
-    for (const dateStr of dateStrings) {
-      let targetDate = null;
-
-      // Handle relative dates
-      if (/tomorrow|מחר/i.test(dateStr)) {
-        targetDate = new Date(now);
-        targetDate.setDate(now.getDate() + 1);
-      } else if (/today|היום/i.test(dateStr)) {
-        targetDate = new Date(now);
-      } else if (/monday|ראשון/i.test(dateStr)) {
-        targetDate = this.getNextWeekday(1); // Monday
-      } else if (/tuesday|שני/i.test(dateStr)) {
-        targetDate = this.getNextWeekday(2); // Tuesday
-      } else if (/wednesday|שלישי/i.test(dateStr)) {
-        targetDate = this.getNextWeekday(3); // Wednesday
-      } else if (/thursday|רביעי/i.test(dateStr)) {
-        targetDate = this.getNextWeekday(4); // Thursday
-      } else if (/friday|חמישי/i.test(dateStr)) {
-        targetDate = this.getNextWeekday(5); // Friday
-      } else if (/saturday|שישי/i.test(dateStr)) {
-        targetDate = this.getNextWeekday(6); // Saturday
-      } else if (/sunday|שבת/i.test(dateStr)) {
-        targetDate = this.getNextWeekday(0); // Sunday
-      }
-      // Handle date formats like DD/MM/YYYY
-      else if (/\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}/.test(dateStr)) {
-        try {
-          // Assume DD/MM/YYYY format (common in Israel)
-          const parts = dateStr.split(/[\/\-\.]/);
-          if (parts.length >= 3) {
-            const day = parseInt(parts[0]);
-            const month = parseInt(parts[1]) - 1; // JS months are 0-based
-            const year = parseInt(parts[2]);
-            targetDate = new Date(year < 100 ? 2000 + year : year, month, day);
-          }
-        } catch (e) {
-          console.warn(`Could not parse date: ${dateStr}`);
-        }
-      }
-
-      if (targetDate && targetDate instanceof Date && !isNaN(targetDate)) {
-        parsedDates.push(targetDate);
-      }
-    }
-
-    return parsedDates;
-  }
-
-  getNextWeekday(targetDay) {
-    const now = new Date();
-    const currentDay = now.getDay();
-    let daysUntilTarget = targetDay - currentDay;
-    
-    // If the target day has already passed this week, get next week's occurrence
-    if (daysUntilTarget <= 0) {
-      daysUntilTarget += 7;
-    }
-    
-    const targetDate = new Date(now);
-    targetDate.setDate(now.getDate() + daysUntilTarget);
-    return targetDate;
+  // referenceDate is when the message was sent - "מחר" is the day after that, not after the audit
+  parseDates(dateStrings, referenceDate = new Date()) {
+    return dateStrings
+      .map(dateStr => resolveDate(dateStr, { timeZone: this.timeZone, reference: referenceDate }))
+      .filter(Boolean);
   }
 
   calculateConfidence(keywordMatches, dateMatches, timeMatches, nameMatches) {
@@ -1,62 +1,230 @@
 // JavaScript port of LLM Analyzer for GitHub Actions
-const Anthropic = require('@anthropic-ai/sdk');
+const { detectIntent, isMeetingChange } = require('./meeting-intent');
+const { LLMCache } = require('./llm-cache');
+const { getLLMSettings, createLLMBackend } = require('./llm-backends');
+const { ANSWER_SCHEMAS, validateAgainstSchema } = require('./llm-schema');
+
+// Default answer length for one message's verdict
+const MESSAGE_MAX_TOKENS = 300;
+// Messages around a keyword hit shown in the per-message prompt
+const CONTEXT_MESSAGES = 8;
+
+// An answer that breaks the schema is sent back once with what was wrong
+const SCHEMA_ATTEMPTS = 2;
+
+// Fields Claude returns for each meeting (the schema in llm-schema.js, for the prompt)
+const RESULT_FIELDS = `  "isValidMeeting": boolean,
+  "confidence": number (0-100),
+  "extractedDateTime": "YYYY-MM-DD HH:MM or null",
+  "extractedLocation": "string or null", 
+  "extractedParticipants": ["array of names or null"],
+  "meetingType": "appointment/meeting/treatment/etc or null",
+  "intent": "new/reschedule/cancel/confirm",
+  "previousDateTime": "YYYY-MM-DD HH:MM of the meeting being moved or cancelled, or null",
+  "reasoning": "brief explanation in Hebrew or English"`;
+
+// A whole chat's meetings need more room than one verdict
+const THREAD_MAX_TOKENS = 2000;
+
+// "Sunday, 18/10/2026, 10:00" in the user's zone
+function formatSentAt(timestamp, timeZone) {
+  return new Date(timestamp * 1000).toLocaleString('en-GB', {
+    timeZone, weekday: 'long', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  });
+}
+
+// The parts of a chat message a prompt shows, for cache keys
+function messageKey(msg) {
+  return { id: msg.id, sender: msg.senderName || msg.senderId, text: msg.text || '', timestamp: msg.timestamp };
+}
 
 class LLMAnalyzer {
-  constructor() {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    this.enabled = !!(apiKey && apiKey.trim().length > 0);
+  // options.userData: the user whose `llm` settings (backend, model, temperature, maxTokens) apply;
+  // options.backend / options.cache: a backend or LLMCache to use instead (tests, evaluation)
+  constructor(options = {}) {
+    const settings = getLLMSettings(options.userData);
+    this.backend = options.backend || createLLMBackend(settings);
+    this.maxTokens = settings.maxTokens;
+    // The rule-based backend is instant and deterministic; nothing to cache
+    this.cache = options.cache || new LLMCache(this.backend.cacheable ? {} : { ttlHours: 0 });
+    this.enabled = this.backend.isAvailable();
+    // For the run log
+    this.label = this.backend.name === 'anthropic' ? 'Claude' : `${this.backend.name} (${this.backend.model})`;
     
-    if (this.enabled && apiKey) {
-      this.anthropic = new Anthropic({ apiKey });
-      console.log('🤖 Claude LLM analyzer initialized');
+    if (this.enabled) {
+      console.log(`🤖 LLM analyzer initialized: ${this.backend.name} (${this.backend.model})`);
     } else {
-      console.warn('⚠️ Anthropic API key not found. LLM analysis will be skipped.');
-      this.anthropic = null;
+      this.warnUnavailable(this.backend.unavailableReason());
     }
   }
 
-  async analyzeConversation(detectedMeeting, conversationHistory = []) {
+  // "⚠️ LLM backend openai (llama3.1) is unavailable: http://localhost:11434/v1 ... is unreachable (ECONNREFUSED)"
+  warnUnavailable(reason) {
+    console.warn(`⚠️ LLM backend ${this.backend.name} (${this.backend.model}) is unavailable: ${reason}. LLM analysis will be skipped.`);
+  }
+
+  // A backend nobody answers at won't answer later requests either: they go straight to keyword
+  // detection instead of each waiting on it
+  disableIfUnreachable(error) {
+    if (error.unreachable && this.enabled) {
+      this.enabled = false;
+      this.warnUnavailable(error.message);
+    }
+  }
+
+  // options.timeZone: the user's zone, so "tomorrow" in the chat resolves to the right date
+  async analyzeConversation(detectedMeeting, conversationHistory = [], options = {}) {
     if (!this.enabled) {
       return this.getFallbackResult(detectedMeeting);
     }
 
     try {
-      const prompt = this.buildAnalysisPrompt(detectedMeeting, conversationHistory);
-      
-      if (!this.anthropic) {
-        throw new Error('Anthropic client not initialized');
+      const cacheKey = this.cache.key({
+        kind: 'message',
+        model: this.modelKey(),
+        timeZone: options.timeZone,
+        target: {
+          ...messageKey({ ...detectedMeeting, text: detectedMeeting.extractedText }),
+          keywords: detectedMeeting.detectedKeywords,
+          date: detectedMeeting.detectedDate,
+          time: detectedMeeting.detectedTime,
+          normalizedTime: detectedMeeting.normalizedTime,
+          names: detectedMeeting.detectedNames
+        },
+        context: (conversationHistory || []).slice(-CONTEXT_MESSAGES).map(messageKey)
+      });
+      const cached = await this.cache.get(cacheKey);
+      if (cached) {
+        console.log(`🗃️ Cached ${this.label} result for "${detectedMeeting.extractedText.substring(0, 50)}...": ${cached.isValidMeeting ? '✅ Valid' : '❌ Invalid'} (${cached.confidence}%)`);
+        return cached;
       }
+
+      const prompt = this.buildAnalysisPrompt(detectedMeeting, conversationHistory, options);
       
-      console.log(`🧠 Analyzing with Claude: "${detectedMeeting.extractedText.substring(0, 50)}..."`);
+      console.log(`🧠 Analyzing with ${this.label}: "${detectedMeeting.extractedText.substring(0, 50)}..."`);
       
-      const response = await this.anthropic.messages.create({
-        model: 'claude-3-haiku-20240307',
-        max_tokens: 300,
-        temperature: 0.1,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
+      const answer = await this.completeWithSchema({
+        kind: 'message',
+        prompt,
+        maxTokens: this.maxTokens || MESSAGE_MAX_TOKENS,
+        detectedMeeting,
+        conversationHistory,
+        timeZone: options.timeZone
       });
-
-      const analysis = response.content[0]?.type === 'text' ? response.content[0].text : '';
-      if (!analysis) {
-        return this.getFallbackResult(detectedMeeting);
+      if (answer.errors) {
+        // Not a verdict either way; unreadable answers aren't cached, so the next run asks again
+        console.warn(`⚠️ Unreadable ${this.label} answer for "${detectedMeeting.extractedText.substring(0, 50)}...", using keyword detection`);
+        return this.getParseFailedResult(detectedMeeting, answer.errors);
       }
 
-      const result = this.parseAnalysisResponse(analysis);
-      console.log(`🎯 Claude result: ${result.isValidMeeting ? '✅ Valid' : '❌ Invalid'} (${result.confidence}%) - ${result.reasoning}`);
+      const result = this.toResult(answer.value);
+      console.log(`🎯 ${this.label} result: ${result.isValidMeeting ? `✅ Valid ${result.intent}` : '❌ Invalid'} (${result.confidence}%) - ${result.reasoning}`);
       
+      await this.cache.set(cacheKey, result);
       return result;
     } catch (error) {
-      console.error('❌ Claude analysis failed:', error.message);
+      console.error(`❌ ${this.label} analysis failed:`, error.message);
+      this.disableIfUnreachable(error);
       return this.getFallbackResult(detectedMeeting);
     }
   }
 
-  buildAnalysisPrompt(detectedMeeting, conversationHistory = []) {
+  // Thread mode: one request for a chat's whole window instead of one per keyword hit.
+  // Returns the distinct meetings in it, each with the ids of the messages it was drawn from,
+  // or null when Claude is unavailable or the answer breaks the schema twice (callers fall back to per message).
+  async analyzeThread(chatMessages, options = {}) {
+    if (!this.enabled || chatMessages.length === 0) {
+      return null;
+    }
+
+    try {
+      const chatName = chatMessages[0].chatName || chatMessages[0].chatId || 'Unknown';
+      const cacheKey = this.cache.key({ kind: 'thread', model: this.modelKey(), timeZone: options.timeZone, messages: chatMessages.map(messageKey) });
+      const cached = await this.cache.get(cacheKey);
+      if (cached) {
+        console.log(`🗃️ Cached ${this.label} result for ${chatName}: ${cached.length} meetings`);
+        return cached;
+      }
+
+      const prompt = this.buildThreadPrompt(chatMessages, options);
+      console.log(`🧵 Analyzing ${chatMessages.length} messages from ${chatName} with ${this.label}`);
+
+      const answer = await this.completeWithSchema({
+        kind: 'thread',
+        prompt,
+        maxTokens: Math.max(THREAD_MAX_TOKENS, this.maxTokens || 0),
+        chatMessages,
+        timeZone: options.timeZone
+      });
+      if (answer.errors) {
+        console.warn(`⚠️ Unreadable ${this.label} answer for ${chatName}`);
+        return null;
+      }
+
+      const meetings = answer.value.meetings.map(meeting => ({
+        messageIds: meeting.messageIds,
+        ...this.toResult(meeting)
+      }));
+      console.log(`🎯 ${this.label} found ${meetings.length} meetings in ${chatName}`);
+      await this.cache.set(cacheKey, meetings);
+      return meetings;
+    } catch (error) {
+      console.error(`❌ ${this.label} thread analysis failed:`, error.message);
+      this.disableIfUnreachable(error);
+      return null;
+    }
+  }
+
+  // The prompt plus what it was built from, for backends that don't read prompts (rules)
+  async complete(request) {
+    return this.backend.complete(request);
+  }
+
+  // Asks for an answer matching the request kind's schema. Returns { value } once one validates,
+  // else { errors } - what was wrong with the last answer - after SCHEMA_ATTEMPTS tries.
+  async completeWithSchema(request) {
+    const schema = ANSWER_SCHEMAS[request.kind];
+    let prompt = request.prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= SCHEMA_ATTEMPTS; attempt++) {
+      const response = await this.complete({ ...request, prompt, schema });
+      errors = this.checkAnswer(response, schema);
+      if (errors.length === 0) {
+        return { value: this.extractJson(response) };
+      }
+
+      console.warn(`⚠️ ${this.label} answer breaks the ${schema.name} schema (attempt ${attempt}/${SCHEMA_ATTEMPTS}): ${errors.slice(0, 3).join('; ')}`);
+      console.log('Raw response:', (response || '').substring(0, 200));
+      prompt = `${request.prompt}
+
+YOUR PREVIOUS ANSWER DID NOT MATCH THE REQUIRED OUTPUT:
+${errors.slice(0, 10).map(error => `• ${error}`).join('\n')}
+Respond again with ONLY the corrected JSON object:`;
+    }
+
+    return { errors };
+  }
+
+  // Schema violations in a raw answer; empty when it is valid
+  checkAnswer(response, schema) {
+    if (!response || !response.trim()) {
+      return ['answer: empty'];
+    }
+
+    try {
+      return validateAgainstSchema(this.extractJson(response), schema.schema);
+    } catch (error) {
+      return [`answer: not JSON (${error.message})`];
+    }
+  }
+
+  // Verdicts differ per backend, model and temperature
+  modelKey() {
+    return `${this.backend.name}/${this.backend.model}/${this.backend.temperature ?? ''}`;
+  }
+
+  buildAnalysisPrompt(detectedMeeting, conversationHistory = [], options = {}) {
     let prompt = `You are an expert at detecting meeting/appointment scheduling in Hebrew and English WhatsApp conversations, particularly Israeli conversations with Hebrew-English code-switching.
 
 DETECTED MESSAGE:
@@ -64,12 +232,16 @@ From: ${detectedMeeting.senderName || 'Unknown'}
 Text: "${detectedMeeting.extractedText}"
 Keywords found: ${detectedMeeting.detectedKeywords?.join(', ') || 'none'}`;
     
+    if (detectedMeeting.timestamp) {
+      prompt += `\nSent: ${formatSentAt(detectedMeeting.timestamp, options.timeZone)}${options.timeZone ? ` (${options.timeZone})` : ''} - resolve relative dates from this`;
+    }
+    
     if (detectedMeeting.detectedDate) {
       prompt += `\nDetected date: ${detectedMeeting.detectedDate}`;
     }
     
     if (detectedMeeting.detectedTime) {
-      prompt += `\nDetected time: ${detectedMeeting.detectedTime}`;
+      prompt += `\nDetected time: ${detectedMeeting.detectedTime}${detectedMeeting.normalizedTime ? ` (${detectedMeeting.normalizedTime})` : ''}`;
     }
     
     if (detectedMeeting.detectedNames) {
@@ -79,7 +251,7 @@ Keywords found: ${detectedMeeting.detectedKeywords?.join(', ') || 'none'}`;
     if (conversationHistory && conversationHistory.length > 0) {
       prompt += `\n\nCONVERSATION CONTEXT (recent messages from same chat):`;
       // Show last 8 messages for better context
-      conversationHistory.slice(-8).forEach((msg, index) => {
+      conversationHistory.slice(-CONTEXT_MESSAGES).forEach((msg, index) => {
         const sender = msg.senderName || msg.senderId || 'Unknown';
         const text = msg.text || '';
         prompt += `\n[${index + 1}] ${sender}: "${text}"`;
@@ -88,7 +260,56 @@ Keywords found: ${detectedMeeting.detectedKeywords?.join(', ') || 'none'}`;
 
     prompt += `
 
-HEBREW-ENGLISH MEETING DETECTION GUIDE:
+${this.buildDetectionGuide()}
+
+REQUIRED OUTPUT (JSON only, no other text):
+{
+${RESULT_FIELDS}
+}
+
+Analyze the conversation considering Hebrew-English patterns and respond with ONLY the JSON object:`;
+    
+    return prompt;
+  }
+
+  buildThreadPrompt(chatMessages, options = {}) {
+    let prompt = `You are an expert at detecting meeting/appointment scheduling in Hebrew and English WhatsApp conversations, particularly Israeli conversations with Hebrew-English code-switching.
+
+CONVERSATION (one chat, oldest first; each line is [message id] sent time, sender: text; times are ${options.timeZone || 'local time'} - resolve relative dates from when each message was sent):`;
+
+    chatMessages.forEach(msg => {
+      const sender = msg.senderName || msg.senderId || 'Unknown';
+      prompt += `\n[${msg.id}] ${formatSentAt(msg.timestamp, options.timeZone)}, ${sender}: "${msg.text || ''}"`;
+    });
+
+    prompt += `
+
+${this.buildDetectionGuide()}
+
+THREAD RULES:
+• List each distinct meeting once, even when it is proposed, discussed and confirmed over several messages
+• A reschedule or cancellation of a meeting is its own entry, after the meeting it changes
+• messageIds are the ids of the messages the meeting was drawn from, in order; the last one settled it
+• Leave out past events, tentative ideas and general discussion
+
+REQUIRED OUTPUT (JSON only, no other text):
+{
+  "meetings": [
+    {
+      "messageIds": ["ids from the conversation"],
+${RESULT_FIELDS.replace(/^/gm, '    ')}
+    }
+  ]
+}
+
+Analyze the conversation considering Hebrew-English patterns and respond with ONLY the JSON object:`;
+
+    return prompt;
+  }
+
+  // What counts as a meeting, its intent and how to read dates - shared by per-message and thread prompts
+  buildDetectionGuide() {
+    return `HEBREW-ENGLISH MEETING DETECTION GUIDE:
 
 ✅ VALID MEETING PATTERNS:
 
@@ -143,79 +364,86 @@ CULTURAL CONTEXT:
 • Time is often mentioned without explicit "meeting" words
 • Medical appointments (תור) are very common
 
+INTENT - what the message does to the meeting:
+• "new": arranges a meeting ("נפגשים מחר ב-3", "let's meet Sunday")
+• "reschedule": moves a meeting already arranged ("let's move it to 5", "נדחה לשבוע הבא", "אפשר להקדים לעשר?")
+• "cancel": calls a meeting off ("מבטלים את התור", "we have to cancel tomorrow", "לא נוכל להגיע, בוטל")
+• "confirm": agrees to a meeting already proposed ("סגור", "sounds good, see you then")
+Reschedules and cancellations are valid (isValidMeeting true). For them, find the meeting being changed in the
+conversation context: previousDateTime is when it was before the change. extractedDateTime is the new time for a
+reschedule and null for a cancellation.
+
 DATE/TIME EXTRACTION PRIORITY:
 1. Explicit times: "ב-3", "at 3 PM", "בבוקר ב-10"
 2. Hebrew day names: "ביום שני" (on Monday)
 3. Relative dates: "מחר" (tomorrow), "השבוע" (this week)
-4. Israeli date format: 15/12/2024
-
-REQUIRED OUTPUT (JSON only, no other text):
-{
-  "isValidMeeting": boolean,
-  "confidence": number (0-100),
-  "extractedDateTime": "YYYY-MM-DD HH:MM or null",
-  "extractedLocation": "string or null", 
-  "extractedParticipants": ["array of names or null"],
-  "meetingType": "appointment/meeting/treatment/etc or null",
-  "reasoning": "brief explanation in Hebrew or English"
-}
+4. Israeli date format: 15/12/2024`;
+  }
 
-Analyze the conversation considering Hebrew-English patterns and respond with ONLY the JSON object:`;
+  extractJson(response) {
+    // Extract JSON from response - handle various formats
+    let jsonStr = response.trim();
     
-    return prompt;
+    // Try to find JSON block
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      jsonStr = jsonMatch[0];
+    }
+    
+    // Clean up common formatting issues
+    jsonStr = jsonStr
+      .replace(/```json\s*/g, '')
+      .replace(/```\s*/g, '')
+      .replace(/^\s*json\s*/g, '')
+      .trim();
+
+    return JSON.parse(jsonStr);
   }
 
-  parseAnalysisResponse(response) {
-    try {
-      // Extract JSON from response - handle various formats
-      let jsonStr = response.trim();
-      
-      // Try to find JSON block
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonStr = jsonMatch[0];
-      }
-      
-      // Clean up common formatting issues
-      jsonStr = jsonStr
-        .replace(/```json\s*/g, '')
-        .replace(/```\s*/g, '')
-        .replace(/^\s*json\s*/g, '')
-        .trim();
-
-      const parsed = JSON.parse(jsonStr);
-      
-      return {
-        isValidMeeting: !!parsed.isValidMeeting,
-        confidence: Math.max(0, Math.min(100, parsed.confidence || 0)),
-        extractedDateTime: parsed.extractedDateTime || undefined,
-        extractedLocation: parsed.extractedLocation || undefined,
-        extractedParticipants: parsed.extractedParticipants || undefined,
-        meetingType: parsed.meetingType || undefined,
-        reasoning: parsed.reasoning || 'No reasoning provided'
-      };
-    } catch (error) {
-      console.error('❌ Failed to parse Claude response:', error.message);
-      console.log('Raw response:', response.substring(0, 200));
-      return {
-        isValidMeeting: false,
-        confidence: 0,
-        reasoning: 'Failed to parse Claude response'
-      };
-    }
+  // A schema-valid answer as a result; nulls become undefined
+  toResult(parsed) {
+    return {
+      isValidMeeting: parsed.isValidMeeting,
+      confidence: parsed.confidence,
+      extractedDateTime: parsed.extractedDateTime || undefined,
+      extractedLocation: parsed.extractedLocation || undefined,
+      extractedParticipants: parsed.extractedParticipants || undefined,
+      meetingType: parsed.meetingType || undefined,
+      intent: parsed.intent,
+      previousDateTime: parsed.previousDateTime || undefined,
+      reasoning: parsed.reasoning || 'No reasoning provided'
+    };
   }
 
   getFallbackResult(detectedMeeting) {
     const hasDateTime = detectedMeeting.detectedDate || detectedMeeting.detectedTime;
     const confidence = Math.round(detectedMeeting.confidence * 100);
+    const intent = detectedMeeting.intent || detectIntent(detectedMeeting.extractedText);
     
     return {
-      isValidMeeting: !!(hasDateTime && confidence > 30),
+      // "מבטלים את התור" names no date, but still changes a meeting
+      isValidMeeting: !!((hasDateTime || isMeetingChange({ intent })) && confidence > 30),
       confidence,
+      intent,
       reasoning: 'Claude analysis unavailable, using fallback keyword detection'
     };
   }
 
+  // The keyword verdict, marked so callers can tell an unreadable answer from "not a meeting"
+  getParseFailedResult(detectedMeeting, errors) {
+    return {
+      ...this.getFallbackResult(detectedMeeting),
+      parseFailed: true,
+      schemaErrors: errors,
+      reasoning: `${this.label} answer did not match the schema (${errors[0]}), using fallback keyword detection`
+    };
+  }
+
+  // "🗃️ LLM cache: 3 hits, 1 misses", for the end of a run
+  formatCacheStats() {
+    return this.cache.formatStats();
+  }
+
   isEnabled() {
     return this.enabled;
   }
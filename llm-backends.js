@@ -0,0 +1,224 @@
+// LLM backends behind LLMAnalyzer. Each takes a request { prompt, maxTokens, kind, schema, ... } and
+// returns the model's answer as JSON text matching request.schema (see llm-schema.js):
+// - anthropic: Claude through the Anthropic SDK (the default), answering through a tool with the schema
+// - openai: any OpenAI-compatible /chat/completions server - llama.cpp, Ollama, vLLM - for local/offline
+//   use, with the schema as a json_schema response format
+// - rules: no model at all; answers from the date/time resolvers, deterministic, for tests and evaluation
+// Backend, model, temperature and max tokens come from the user's `llm` config, then env.
+const Anthropic = require('@anthropic-ai/sdk');
+const axios = require('axios');
+const { resolveDate } = require('./date-resolver');
+const { resolveTime } = require('./time-resolver');
+const { detectIntent, isMeetingChange } = require('./meeting-intent');
+const { zonedDateString } = require('./timezone');
+
+const BACKENDS = ['anthropic', 'openai', 'rules'];
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-3-haiku-20240307',
+  openai: 'llama3.1',
+  rules: 'rules-v1'
+};
+const DEFAULT_TEMPERATURE = 0.1;
+// Ollama's OpenAI-compatible endpoint; llama.cpp's server is http://localhost:8080/v1
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+// Local models on a laptop CPU are slow
+const OPENAI_TIMEOUT_MS = 120000;
+// Connection errors meaning nothing is listening at the base URL (a slow answer times out instead)
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// { backend, model, temperature, maxTokens, baseUrl } for a user: userData.llm, then LLM_* env
+function getLLMSettings(userData) {
+  const configured = userData?.llm || {};
+  const backend = BACKENDS.includes(configured.backend) ? configured.backend
+    : BACKENDS.includes(process.env.LLM_BACKEND) ? process.env.LLM_BACKEND : 'anthropic';
+  const temperature = parseFloat(configured.temperature ?? process.env.LLM_TEMPERATURE);
+  const maxTokens = parseInt(configured.maxTokens ?? process.env.LLM_MAX_TOKENS, 10);
+
+  return {
+    backend,
+    model: configured.model || process.env.LLM_MODEL || DEFAULT_MODELS[backend],
+    temperature: Number.isFinite(temperature) && temperature >= 0 && temperature <= 2 ? temperature : DEFAULT_TEMPERATURE,
+    // Unset: each kind of request uses its own default
+    maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : null,
+    baseUrl: configured.baseUrl || process.env.LLM_BASE_URL || DEFAULT_OPENAI_BASE_URL
+  };
+}
+
+class AnthropicBackend {
+  constructor(settings) {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    this.name = 'anthropic';
+    this.model = settings.model;
+    this.temperature = settings.temperature;
+    this.cacheable = true;
+    this.client = apiKey && apiKey.trim().length > 0 ? new Anthropic({ apiKey }) : null;
+  }
+
+  isAvailable() {
+    return !this.unavailableReason();
+  }
+
+  // Why requests can't be made, or null
+  unavailableReason() {
+    return this.client ? null : 'ANTHROPIC_API_KEY is not set';
+  }
+
+  async complete(request) {
+    if (!this.client) {
+      throw new Error('Anthropic client not initialized');
+    }
+
+    const { schema } = request;
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: request.maxTokens,
+      temperature: this.temperature,
+      // Forcing the tool makes Claude answer with arguments shaped by the schema
+      tools: [{ name: schema.name, description: schema.description, input_schema: schema.schema }],
+      tool_choice: { type: 'tool', name: schema.name },
+      messages: [
+        {
+          role: 'user',
+          content: request.prompt
+        }
+      ]
+    });
+
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    return toolUse ? JSON.stringify(toolUse.input) : '';
+  }
+}
+
+class OpenAICompatibleBackend {
+  constructor(settings) {
+    this.name = 'openai';
+    this.model = settings.model;
+    this.temperature = settings.temperature;
+    this.baseUrl = settings.baseUrl.replace(/\/+$/, '');
+    this.defaultBaseUrl = settings.baseUrl === DEFAULT_OPENAI_BASE_URL;
+    // Local servers usually don't check it
+    this.apiKey = process.env.LLM_API_KEY;
+    this.cacheable = true;
+  }
+
+  isAvailable() {
+    return !this.unavailableReason();
+  }
+
+  // Why requests can't be made, or null. Whether a server answers only shows on the first request,
+  // which then fails with error.unreachable set.
+  unavailableReason() {
+    let protocol = null;
+    try {
+      protocol = new URL(this.baseUrl).protocol;
+    } catch (error) {
+      // Not a URL at all
+    }
+    return protocol === 'http:' || protocol === 'https:' ? null : `base URL "${this.baseUrl}" isn't an http(s) URL`;
+  }
+
+  // "http://localhost:11434/v1 (the default, no baseUrl or LLM_BASE_URL set)"
+  describeBaseUrl() {
+    return this.defaultBaseUrl ? `${this.baseUrl} (the default, no baseUrl or LLM_BASE_URL set)` : this.baseUrl;
+  }
+
+  async complete(request) {
+    try {
+      return await this.post(request);
+    } catch (error) {
+      if (!error.response && UNREACHABLE_CODES.includes(error.code)) {
+        throw Object.assign(new Error(`${this.describeBaseUrl()} is unreachable (${error.code})`), { unreachable: true });
+      }
+      throw error;
+    }
+  }
+
+  async post(request) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      temperature: this.temperature,
+      max_tokens: request.maxTokens,
+      // Servers that support it (OpenAI, vLLM, llama.cpp, Ollama 0.5+) constrain the output to the schema
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: request.schema.name, schema: request.schema.schema, strict: true }
+      },
+      messages: [{ role: 'user', content: request.prompt }]
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      timeout: OPENAI_TIMEOUT_MS
+    });
+
+    return response.data?.choices?.[0]?.message?.content || '';
+  }
+}
+
+// Reads each message on its own with the resolvers: a date or time (or a move/cancellation) makes
+// a meeting. Answers in the same JSON the prompts ask for, so the whole analyzer path is exercised.
+class RuleBasedBackend {
+  constructor(settings) {
+    this.name = 'rules';
+    this.model = settings.model;
+    this.cacheable = false;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  unavailableReason() {
+    return null;
+  }
+
+  async complete(request) {
+    if (request.kind === 'thread') {
+      const meetings = request.chatMessages
+        .map(msg => ({ messageIds: [String(msg.id)], ...this.verdict(msg.text, msg.timestamp, request.timeZone) }))
+        .filter(meeting => meeting.isValidMeeting);
+      return JSON.stringify({ meetings });
+    }
+
+    const meeting = request.detectedMeeting;
+    return JSON.stringify(this.verdict(meeting.extractedText, meeting.timestamp, request.timeZone));
+  }
+
+  verdict(text, timestamp, timeZone) {
+    const date = resolveDate(text, { timeZone, reference: timestamp ? new Date(timestamp * 1000) : new Date() });
+    const time = resolveTime(text);
+    const intent = detectIntent(text);
+    const isValidMeeting = !!(date || time) || isMeetingChange({ intent });
+
+    return {
+      isValidMeeting,
+      confidence: !isValidMeeting ? 20 : date && time ? 80 : 60,
+      extractedDateTime: date ? `${zonedDateString(date, timeZone)}${time ? ` ${time.time}` : ''}` : null,
+      extractedLocation: null,
+      extractedParticipants: null,
+      meetingType: null,
+      intent,
+      previousDateTime: null,
+      reasoning: `Rule-based: ${[date && 'date', time && 'time', intent !== 'new' && intent].filter(Boolean).join(', ') || 'no date or time'}`
+    };
+  }
+}
+
+function createLLMBackend(settings) {
+  switch (settings.backend) {
+    case 'openai': return new OpenAICompatibleBackend(settings);
+    case 'rules': return new RuleBasedBackend(settings);
+    default: return new AnthropicBackend(settings);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  getLLMSettings,
+  createLLMBackend,
+  AnthropicBackend,
+  OpenAICompatibleBackend,
+  RuleBasedBackend
+};
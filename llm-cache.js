@@ -0,0 +1,105 @@
+// Persistent cache of Claude verdicts, so the same messages aren't re-analyzed on every run,
+// rerun or webhook retry. Keys hash everything the answer depends on - the message(s), their
+// context, the user's timezone, the model and PROMPT_VERSION - and entries expire after a TTL.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when prompts or result parsing change; older verdicts are then dropped
+const PROMPT_VERSION = 4;
+const DEFAULT_TTL_HOURS = 7 * 24;
+
+// Hours a verdict stays valid (LLM_CACHE_TTL_HOURS); 0 turns the cache off
+function getCacheTtlHours() {
+  const configured = parseFloat(process.env.LLM_CACHE_TTL_HOURS);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_TTL_HOURS;
+}
+
+class LLMCache {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, 'data', 'llm-cache');
+    this.ttlHours = options.ttlHours ?? getCacheTtlHours();
+    this.promptVersion = options.promptVersion || PROMPT_VERSION;
+    this.entries = null;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  isEnabled() {
+    return this.ttlHours > 0;
+  }
+
+  key(inputs) {
+    const material = JSON.stringify({ promptVersion: this.promptVersion, ...inputs });
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  // The cached result, or undefined on a miss
+  async get(key) {
+    if (!this.isEnabled()) return undefined;
+
+    const entries = await this.load();
+    const entry = entries[key];
+    if (entry && Date.now() - new Date(entry.cachedAt).getTime() < this.ttlHours * 60 * 60 * 1000) {
+      this.stats.hits++;
+      return entry.result;
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  async set(key, result) {
+    if (!this.isEnabled()) return;
+
+    const entries = await this.load();
+    entries[key] = { cachedAt: new Date().toISOString(), result };
+    await this.save();
+  }
+
+  formatStats() {
+    return `🗃️ LLM cache: ${this.stats.hits} hits, ${this.stats.misses} misses`;
+  }
+
+  async load() {
+    if (!this.entries) {
+      const entries = await this.readEntries();
+      if (entries === null) {
+        console.log(`🗑️ LLM cache is from another prompt version, starting over with version ${this.promptVersion}`);
+      }
+      this.entries = entries || {};
+    }
+    return this.entries;
+  }
+
+  async save() {
+    // Other analyzers in this process (real-time checks, summary replies) share the file
+    this.entries = { ...((await this.readEntries()) || {}), ...this.entries };
+
+    // Expired verdicts are never read again
+    const cutoff = Date.now() - this.ttlHours * 60 * 60 * 1000;
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (new Date(entry.cachedAt).getTime() < cutoff) {
+        delete this.entries[key];
+      }
+    }
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(this.getCachePath(), JSON.stringify({ promptVersion: this.promptVersion, entries: this.entries }));
+  }
+
+  // The saved entries, or null when they were made with another prompt version
+  async readEntries() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.getCachePath(), 'utf8'));
+      return data.promptVersion === this.promptVersion ? data.entries || {} : null;
+    } catch (error) {
+      return {};
+    }
+  }
+
+  getCachePath() {
+    return path.join(this.dataDir, 'verdicts.json');
+  }
+}
+
+module.exports = { LLMCache, getCacheTtlHours, PROMPT_VERSION };
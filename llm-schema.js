@@ -0,0 +1,111 @@
+// The declared shape of LLM answers. Backends that support it are held to the schema
+// (Anthropic tool use, OpenAI-style json_schema response format), and every answer is
+// validated against it field by field before the audit uses it.
+const DATE_TIME_PATTERN = '^\\d{4}-\\d{2}-\\d{2}( \\d{2}:\\d{2})?$';
+
+const MEETING_PROPERTIES = {
+  isValidMeeting: { type: 'boolean' },
+  confidence: { type: 'number', minimum: 0, maximum: 100 },
+  extractedDateTime: { type: ['string', 'null'], pattern: DATE_TIME_PATTERN, description: 'YYYY-MM-DD HH:MM (or YYYY-MM-DD when no time was given)' },
+  extractedLocation: { type: ['string', 'null'] },
+  extractedParticipants: { type: ['array', 'null'], items: { type: 'string' } },
+  meetingType: { type: ['string', 'null'], description: 'appointment/meeting/treatment/etc' },
+  intent: { type: 'string', enum: ['new', 'reschedule', 'cancel', 'confirm'] },
+  previousDateTime: { type: ['string', 'null'], pattern: DATE_TIME_PATTERN, description: 'When the meeting being moved or cancelled was' },
+  reasoning: { type: 'string', description: 'Brief explanation in Hebrew or English' }
+};
+
+const MEETING_SCHEMA = {
+  type: 'object',
+  properties: MEETING_PROPERTIES,
+  required: Object.keys(MEETING_PROPERTIES),
+  additionalProperties: false
+};
+
+const THREAD_MEETING_PROPERTIES = {
+  messageIds: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Ids of the messages the meeting was drawn from, in order' },
+  ...MEETING_PROPERTIES
+};
+
+const THREAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    meetings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: THREAD_MEETING_PROPERTIES,
+        required: Object.keys(THREAD_MEETING_PROPERTIES),
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['meetings'],
+  additionalProperties: false
+};
+
+// Per request kind: the tool / response format name the backends declare
+const ANSWER_SCHEMAS = {
+  message: { name: 'report_meeting', description: 'Report whether the message schedules, moves or cancels a meeting, and its details', schema: MEETING_SCHEMA },
+  thread: { name: 'report_meetings', description: 'Report the distinct meetings arranged, moved or cancelled in the conversation', schema: THREAD_SCHEMA }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// The ways value breaks schema, as "path: problem" lines; empty when it matches.
+// Covers the subset of JSON Schema used above.
+function validateAgainstSchema(value, schema, path = 'answer') {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length > 0 && !types.includes(actual) && !(actual === 'number' && types.includes('integer') && Number.isInteger(value))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path}: not a finite number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+
+  if (actual === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: "${value.substring(0, 40)}" doesn't match ${schema.pattern}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (actual === 'object' && schema.properties) {
+    for (const field of schema.required || []) {
+      if (!(field in value)) errors.push(`${path}.${field}: missing`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (schema.properties[field]) {
+        errors.push(...validateAgainstSchema(fieldValue, schema.properties[field], `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field}: not in the schema`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  MEETING_SCHEMA,
+  THREAD_SCHEMA,
+  ANSWER_SCHEMAS,
+  validateAgainstSchema
+};
@@ -0,0 +1,160 @@
+// What a scheduling message does: arranges a new meeting, moves or cancels one already arranged,
+// or confirms one. Reschedules and cancellations are linked to the meeting they change - an
+// earlier detection in the same chat or the calendar event at the old time - so the audit can
+// report "calendar still shows the old time" and "cancelled in chat but still on calendar".
+const { estimateMeetingInterval, eventInterval } = require('./interval-engine');
+const { zonedParts, zonedDate, zonedDateString, formatZonedClock } = require('./timezone');
+
+const INTENTS = ['new', 'reschedule', 'cancel', 'confirm'];
+
+// Keyword fallback for when Claude isn't available; checked in this order
+const INTENT_PATTERNS = [
+  {
+    intent: 'cancel',
+    pattern: /cancel|call(?:ed|ing)?\s+(?:it\s+)?off|מבטל|לבטל|ביטול|בוטל|ביטלנו|ביטלתי|ביטלה|ביטל(?![\u0590-\u05FF])/i
+  },
+  {
+    intent: 'reschedule',
+    pattern: /reschedul|postpone|push(?:ed)?\s+(?:it\s+)?(?:back|to)|mov(?:e|ed|ing)\s+(?:it|the|our)\b|moved\s+to|נדח(?:ה|ית|ים|ות)|לדחות|דוחים|להזיז|מזיז(?:ים|ה)?|נזיז|הזזנו|הזזתי|הוזז|להקדים|מקדימים|הוקדם|הקדמנו/i
+  },
+  {
+    intent: 'confirm',
+    pattern: /confirm|sounds\s+good|works\s+for\s+me|see\s+you|מאשר|מאשרת|מאושר|סגור|סגרנו|נתראה/i
+  }
+];
+
+// Starts this close together are the same meeting (as in interval-engine)
+const SAME_START_MINUTES = 5;
+
+function detectIntent(text) {
+  const match = INTENT_PATTERNS.find(({ pattern }) => pattern.test(text || ''));
+  return match ? match.intent : 'new';
+}
+
+// Claude's answer, or the fallback when it gave none we know
+function normalizeIntent(intent, fallback = 'new') {
+  const value = String(intent || '').toLowerCase();
+  return INTENTS.includes(value) ? value : fallback;
+}
+
+function isMeetingChange(meeting) {
+  return meeting.intent === 'reschedule' || meeting.intent === 'cancel';
+}
+
+// The latest earlier detection in the same chat that arranged a meeting with a date
+function findPreviousMeeting(meeting, detectedMeetings, options = {}) {
+  return detectedMeetings
+    .filter(candidate => candidate !== meeting &&
+      candidate.chatId === meeting.chatId &&
+      candidate.timestamp < meeting.timestamp &&
+      !isMeetingChange(candidate) &&
+      estimateMeetingInterval(candidate, options))
+    .sort((a, b) => b.timestamp - a.timestamp)[0] || null;
+}
+
+// When the meeting was before the change: as Claude read it from the conversation, else the earlier detection
+function previousInterval(meeting, previousMeeting, options) {
+  if (meeting.llmPreviousDateTime) {
+    return estimateMeetingInterval({ llmDateTime: meeting.llmPreviousDateTime, llmMeetingType: meeting.llmMeetingType }, options);
+  }
+  return previousMeeting ? estimateMeetingInterval(previousMeeting, options) : null;
+}
+
+// The new time of a reschedule; "let's move it to 5" keeps the old day
+function rescheduledInterval(meeting, previous, options) {
+  const interval = estimateMeetingInterval(meeting, options);
+  if (interval || !previous || !meeting.normalizedTime) return interval;
+
+  const { year, month, day } = zonedParts(previous.start, options.timeZone);
+  const [hours, minutes] = meeting.normalizedTime.split(':').map(Number);
+  return { start: zonedDate(options.timeZone, year, month, day, hours, minutes), timeKnown: true };
+}
+
+function minutesBetween(a, b) {
+  return Math.round(Math.abs(a.getTime() - b.getTime()) / 60000);
+}
+
+// Titles sharing a word with the conversation ("רופא", "dentist") are the same meeting
+function sharesWord(event, texts) {
+  const eventText = `${event.summary || ''} ${event.description || ''}`.toLowerCase();
+  return texts.filter(Boolean).some(text =>
+    text.toLowerCase().split(/[\s,.!?"'()-]+/).some(word => word.length > 3 && eventText.includes(word))
+  );
+}
+
+// The calendar event a change refers to: the event at the old time (or that day, when the title
+// fits), else an event the audit itself added from this chat
+function findLinkedEvent(meeting, previousMeeting, calendarEvents, options) {
+  const previous = previousInterval(meeting, previousMeeting, options);
+  const texts = [meeting.extractedText || meeting.text, meeting.llmMeetingType, previousMeeting?.extractedText || previousMeeting?.text];
+  const ranges = calendarEvents
+    .map(event => ({ event, range: eventInterval(event, options.timeZone) }))
+    .filter(({ range }) => range && !range.allDay);
+
+  if (previous) {
+    const atOldTime = previous.timeKnown && ranges.find(({ range }) => minutesBetween(range.start, previous.start) <= SAME_START_MINUTES);
+    const sameDay = ranges.find(({ event, range }) =>
+      zonedDateString(range.start, options.timeZone) === zonedDateString(previous.start, options.timeZone) && sharesWord(event, texts));
+    const linked = atOldTime || sameDay;
+    if (linked) return { ...linked, previous };
+  }
+
+  const now = Date.now();
+  const addedFromChat = ranges.find(({ event, range }) =>
+    meeting.chatId && event.extendedProperties?.private?.sourceChatId === meeting.chatId && range.end.getTime() > now);
+  return addedFromChat ? { ...addedFromChat, previous } : null;
+}
+
+// Reschedules and cancellations against the calendar. Returns the issues plus every meeting they
+// account for - the change messages and the meetings they replace - which the audit must not
+// also report as missing or conflicting.
+function analyzeMeetingChanges(detectedMeetings, calendarEvents, options = {}) {
+  const rescheduled = [];
+  const cancelled = [];
+  const handledMeetings = new Set();
+  const formatWhen = (date) => `${zonedDateString(date, options.timeZone)} ${formatZonedClock(date, options.timeZone)}`;
+
+  for (const meeting of detectedMeetings) {
+    if (!isMeetingChange(meeting)) continue;
+
+    // The earlier message is superseded either way
+    const previousMeeting = findPreviousMeeting(meeting, detectedMeetings, options);
+    if (previousMeeting) handledMeetings.add(previousMeeting);
+
+    const text = (meeting.extractedText || meeting.text || '').substring(0, 40);
+    const linked = findLinkedEvent(meeting, previousMeeting, calendarEvents, options);
+    if (!linked) {
+      // Nothing on the calendar to fix; a moved meeting is then checked like a new one at its new time
+      console.log(`ℹ️ ${meeting.intent === 'cancel' ? 'Cancelled' : 'Moved'} in chat, no calendar event to update: "${text}..."`);
+      if (meeting.intent === 'cancel') handledMeetings.add(meeting);
+      continue;
+    }
+    handledMeetings.add(meeting);
+
+    const title = `"${linked.event.summary || '(no title)'}"`;
+    if (meeting.intent === 'cancel') {
+      cancelled.push({ meeting, calendarEvent: linked.event, reason: `Cancelled in chat but still on calendar: ${title} ${formatWhen(linked.range.start)}` });
+      continue;
+    }
+
+    const newInterval = rescheduledInterval(meeting, linked.previous, options);
+    if (newInterval && newInterval.timeKnown && minutesBetween(newInterval.start, linked.range.start) <= SAME_START_MINUTES) {
+      console.log(`✅ Calendar already moved: ${title} "${text}..."`);
+      continue;
+    }
+
+    const movedTo = newInterval && newInterval.timeKnown ? `, moved to ${formatWhen(newInterval.start)} in chat` : '';
+    rescheduled.push({ meeting, calendarEvent: linked.event, reason: `Calendar still shows old time: ${title} ${formatWhen(linked.range.start)}${movedTo}` });
+  }
+
+  return { rescheduled, cancelled, handledMeetings };
+}
+
+module.exports = {
+  INTENTS,
+  detectIntent,
+  normalizeIntent,
+  isMeetingChange,
+  findPreviousMeeting,
+  analyzeMeetingChanges
+};
@@ -0,0 +1,128 @@
+// Webhook coverage (deliveries, heartbeats, gaps) and prune/append ordering in message-store.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { MessageStore } = require('./message-store');
+const { runChecks } = require('./fixture-checks');
+
+const HOUR = 60 * 60;
+// Sunday 18 October 2026, 10:00 UTC, in seconds
+const NOW = Math.floor(Date.parse('2026-10-18T10:00:00Z') / 1000);
+const DAY_AGO = NOW - 24 * HOUR;
+
+function message(id, timestamp, extra = {}) {
+  return { id, timestamp, chatId: 'family@g.us', chatName: 'Family', senderName: 'Noa', text: `message ${id}`, direction: 'incoming', ...extra };
+}
+
+// The running service from `from` to `to`: a heartbeat every 5 minutes, and a webhook delivery
+// every deliverEvery seconds when given; how many heartbeats were recorded
+async function heartbeats(store, userId, from, to, deliverEvery) {
+  let recorded = 0;
+  for (let at = from; at <= to; at += 5 * 60) {
+    if (deliverEvery && (at - from) % deliverEvery === 0) await store.recordDelivery(userId, at);
+    if (await store.recordHeartbeat(userId, at)) recorded++;
+  }
+  return recorded;
+}
+
+const FIXTURES = [
+  {
+    name: 'deliveries plus heartbeats over the whole day cover it',
+    run: async ({ store }) => {
+      // A chat that's quiet for hours at a time, but never six
+      await heartbeats(store, 'steady', DAY_AGO - HOUR, NOW, 4 * HOUR);
+      return store.coversWindow('steady', DAY_AGO, NOW);
+    },
+    expected: true
+  },
+  {
+    name: 'a user whose webhook never delivered gets no heartbeats and no coverage',
+    run: async ({ store }) => [await heartbeats(store, 'never', DAY_AGO - HOUR, NOW), await store.coversWindow('never', DAY_AGO, NOW)],
+    expected: [0, false]
+  },
+  {
+    name: 'heartbeats stop vouching six hours after the last delivery',
+    run: async ({ store }) => {
+      await store.recordDelivery('stopped', DAY_AGO - HOUR);
+      const recorded = await heartbeats(store, 'stopped', DAY_AGO - HOUR, NOW);
+      return [recorded, await store.coversWindow('stopped', DAY_AGO, DAY_AGO + 4 * HOUR), await store.coversWindow('stopped', DAY_AGO, NOW)];
+    },
+    // 6h of 5-minute beats, the one at the delivery included
+    expected: [73, true, false]
+  },
+  {
+    name: 'downtime inside the window is a gap; a window after it is covered',
+    run: async ({ store }) => {
+      await heartbeats(store, 'restarted', DAY_AGO - HOUR, NOW - 10 * HOUR, HOUR);
+      // The service was down for half an hour, then back up
+      await heartbeats(store, 'restarted', NOW - 10 * HOUR + 30 * 60, NOW, HOUR);
+      const meta = await store.loadMeta('restarted');
+      return [await store.coversWindow('restarted', DAY_AGO, NOW), await store.coversWindow('restarted', NOW - 9 * HOUR, NOW), meta.coverage.length];
+    },
+    expected: [false, true, 2]
+  },
+  {
+    name: 'coverage that ended more than 15 minutes ago no longer counts',
+    run: async ({ store }) => {
+      await store.recordDelivery('paused', DAY_AGO - HOUR);
+      await heartbeats(store, 'paused', DAY_AGO - HOUR, DAY_AGO + 5 * HOUR);
+      return [await store.coversWindow('paused', DAY_AGO, DAY_AGO + 5 * HOUR + 10 * 60), await store.coversWindow('paused', DAY_AGO, DAY_AGO + 5 * HOUR + 20 * 60)];
+    },
+    expected: [true, false]
+  },
+  {
+    name: 'messages since a time: newest first, duplicates and the service\'s own messages left out',
+    run: async ({ store }) => {
+      await store.saveMessages('reader', [message('a', NOW - 3 * HOUR), message('b', NOW - HOUR), message('old', DAY_AGO - HOUR)]);
+      await store.saveMessages('reader', [message('a', NOW - 3 * HOUR), message('summary', NOW - 30 * 60, { fromApi: true })]);
+      return (await store.getMessagesSince('reader', DAY_AGO)).map(stored => stored.id);
+    },
+    expected: ['b', 'a']
+  },
+  {
+    name: 'prune drops messages past retention and rewrites without duplicates',
+    run: async ({ store }) => {
+      await store.saveMessages('pruned', [message('old', NOW - 8 * 24 * HOUR), message('kept', NOW - HOUR), message('kept', NOW - HOUR)]);
+      const dropped = await store.prune('pruned', NOW);
+      const lines = (await fs.readFile(store.getMessagesPath('pruned'), 'utf8')).trim().split('\n');
+      return [dropped, lines.length, JSON.parse(lines[0]).id];
+    },
+    expected: [1, 1, 'kept']
+  },
+  {
+    name: 'webhooks arriving while prune rewrites the file are kept',
+    run: async ({ store }) => {
+      await store.saveMessages('busy', Array.from({ length: 200 }, (_, i) => message(`old-${i}`, NOW - 8 * 24 * HOUR + i)));
+      const arriving = Array.from({ length: 20 }, (_, i) => message(`new-${i}`, NOW - i));
+      await Promise.all([store.prune('busy', NOW), ...arriving.map(arrived => store.saveMessage('busy', arrived))]);
+      return (await store.readAll('busy')).length;
+    },
+    expected: 20
+  },
+  {
+    name: 'a failed write doesn\'t block the next one',
+    run: async ({ store }) => {
+      const failed = await store.withLock('locked', async () => {
+        throw new Error('disk full');
+      }).catch(error => error.message);
+      await store.saveMessage('locked', message('after', NOW));
+      return [failed, (await store.readAll('locked')).length, store.locks.size];
+    },
+    expected: ['disk full', 1, 0]
+  }
+];
+
+async function runFixtures(fixtures = FIXTURES) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'message-store-fixtures-'));
+  try {
+    return await runChecks('message store', fixtures, { store: new MessageStore({ dataDir }) });
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  runFixtures().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { FIXTURES, runFixtures };
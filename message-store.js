@@ -0,0 +1,214 @@
+// Durable per-user store of WhatsApp messages received through webhooks
+const fs = require('fs').promises;
+const path = require('path');
+
+const RETENTION_DAYS = 7;
+// The service marks users live this often, so a quiet chat isn't mistaken for an outage
+const HEARTBEAT_MINUTES = 5;
+// A longer silence (no webhook, no heartbeat) is a gap the store may have missed messages in
+const MAX_GAP_SECONDS = 3 * HEARTBEAT_MINUTES * 60;
+// Heartbeats only vouch for a user whose webhook delivered within this long: a quiet phone and a
+// webhook that stopped delivering look the same, so a longer silence is treated as a gap
+const DELIVERY_SILENCE_SECONDS = 6 * 60 * 60;
+
+// Normalize a Green API webhook notification into the message shape the audit uses
+function messageFromWebhook(notification) {
+  const directions = {
+    incomingMessageReceived: 'incoming',
+    outgoingMessageReceived: 'outgoing',
+    outgoingAPIMessageReceived: 'outgoing'
+  };
+  const direction = directions[notification?.typeWebhook];
+  if (!direction) return null;
+
+  const messageData = notification.messageData || {};
+  let text = '';
+  if (messageData.typeMessage === 'textMessage') {
+    text = messageData.textMessageData?.textMessage || '';
+  } else if (messageData.typeMessage === 'extendedTextMessage') {
+    text = messageData.extendedTextMessageData?.text || '';
+  }
+  if (!text.trim()) return null;
+
+  const senderData = notification.senderData || {};
+  return {
+    id: notification.idMessage,
+    timestamp: notification.timestamp || Math.floor(Date.now() / 1000),
+    chatId: senderData.chatId,
+    chatName: senderData.chatName,
+    senderId: senderData.sender,
+    senderName: senderData.senderName || senderData.sender,
+    text,
+    direction,
+    // Messages the service itself sent (summaries, alerts) must never be audited
+    fromApi: notification.typeWebhook === 'outgoingAPIMessageReceived'
+  };
+}
+
+class MessageStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, 'data', 'messages');
+    this.retentionDays = options.retentionDays || RETENTION_DAYS;
+    // userId -> the last queued write, so appends, prunes and meta updates run one at a time
+    this.locks = new Map();
+  }
+
+  // Runs fn after every earlier write for userId has finished
+  withLock(userId, fn) {
+    const previous = this.locks.get(userId) || Promise.resolve();
+    const run = previous.then(fn);
+    const settled = run.catch(() => {});
+    this.locks.set(userId, settled);
+    settled.then(() => {
+      if (this.locks.get(userId) === settled) this.locks.delete(userId);
+    });
+    return run;
+  }
+
+  async saveMessage(userId, message) {
+    await this.saveMessages(userId, [message]);
+  }
+
+  // Appends messages as JSON lines
+  async saveMessages(userId, messages) {
+    if (messages.length === 0) return;
+
+    const lines = messages.map(message => JSON.stringify(message)).join('\n') + '\n';
+    await this.withLock(userId, async () => {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.appendFile(this.getMessagesPath(userId), lines);
+    });
+  }
+
+  // An accepted webhook from the user's own instance, of any type: their webhook works right now
+  async recordDelivery(userId, at = Math.floor(Date.now() / 1000)) {
+    await this.withLock(userId, async () => {
+      const meta = await this.loadMeta(userId);
+      meta.lastDeliveryAt = Math.max(meta.lastDeliveryAt || 0, at);
+      await this.saveMeta(userId, this.extendCoverage(meta, at));
+    });
+  }
+
+  // The service is up and the user's webhook delivered recently; false (nothing recorded) when it
+  // hasn't, so their coverage ends at the last delivery
+  async recordHeartbeat(userId, at = Math.floor(Date.now() / 1000)) {
+    return this.withLock(userId, async () => {
+      const meta = await this.loadMeta(userId);
+      if (!meta.lastDeliveryAt || at - meta.lastDeliveryAt > DELIVERY_SILENCE_SECONDS) return false;
+      await this.saveMeta(userId, this.extendCoverage(meta, at));
+      return true;
+    });
+  }
+
+  // Live coverage is kept as spans of receive times ({ from, to }, in seconds): a delivery or
+  // heartbeat within MAX_GAP_SECONDS of the last one extends the current span, a later one starts
+  // a new span after a gap
+  extendCoverage(meta, at) {
+    const coverage = meta.coverage || [];
+    const last = coverage[coverage.length - 1];
+    if (last && at - last.to <= MAX_GAP_SECONDS) {
+      last.to = Math.max(last.to, at);
+    } else {
+      coverage.push({ from: at, to: at });
+    }
+
+    const cutoff = at - this.retentionDays * 24 * 60 * 60;
+    meta.coverage = coverage.filter(span => span.to >= cutoff);
+    delete meta.webhookCoverageSince;
+    return meta;
+  }
+
+  // Heartbeats now and every HEARTBEAT_MINUTES while the service runs, for the users from
+  // getUsers() that have a webhook secret (see recordHeartbeat)
+  startHeartbeat(getUsers) {
+    const beat = async () => {
+      for (const user of await getUsers()) {
+        if (user?.id && user.webhookToken) await this.recordHeartbeat(user.id);
+      }
+    };
+    const logFailure = error => console.error('❌ Message store heartbeat failed:', error.message);
+    beat().catch(logFailure);
+    return setInterval(() => beat().catch(logFailure), HEARTBEAT_MINUTES * 60 * 1000);
+  }
+
+  async getMessagesSince(userId, sinceTimestamp) {
+    const messages = await this.readAll(userId);
+    return messages
+      .filter(message => message.timestamp >= sinceTimestamp && !message.fromApi)
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  // True when the store was live for the whole window, with no gap in it, so no polling is
+  // needed. Downtime, or a webhook silent for longer than DELIVERY_SILENCE_SECONDS, inside the
+  // window means falling back to chat history.
+  async coversWindow(userId, sinceTimestamp, now = Math.floor(Date.now() / 1000)) {
+    const meta = await this.loadMeta(userId);
+    return (meta.coverage || []).some(span => span.from <= sinceTimestamp && now - span.to <= MAX_GAP_SECONDS);
+  }
+
+  async readAll(userId) {
+    let content;
+    try {
+      content = await fs.readFile(this.getMessagesPath(userId), 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    // Backfills and webhook retries can store the same message twice - keep the first copy
+    const byId = new Map();
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const message = JSON.parse(line);
+        const key = message.id || `${message.chatId}_${message.timestamp}`;
+        if (!byId.has(key)) {
+          byId.set(key, message);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Skipping corrupt message line for ${userId}`);
+      }
+    }
+
+    return [...byId.values()];
+  }
+
+  // Drops messages past the retention window and rewrites the file without duplicates. Holds the
+  // user's lock, so a webhook arriving meanwhile is appended after the rewrite instead of lost.
+  async prune(userId, now = Math.floor(Date.now() / 1000)) {
+    const cutoff = now - this.retentionDays * 24 * 60 * 60;
+    return this.withLock(userId, async () => {
+      const messages = await this.readAll(userId);
+      const kept = messages.filter(message => message.timestamp >= cutoff);
+      if (kept.length === messages.length) return 0;
+
+      const file = this.getMessagesPath(userId);
+      const lines = kept.map(message => JSON.stringify(message)).join('\n');
+      await fs.writeFile(`${file}.tmp`, kept.length > 0 ? `${lines}\n` : '');
+      await fs.rename(`${file}.tmp`, file);
+      return messages.length - kept.length;
+    });
+  }
+
+  async loadMeta(userId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getMetaPath(userId), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async saveMeta(userId, meta) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(this.getMetaPath(userId), JSON.stringify(meta, null, 2));
+  }
+
+  getMessagesPath(userId) {
+    return path.join(this.dataDir, `${userId}.jsonl`);
+  }
+
+  getMetaPath(userId) {
+    return path.join(this.dataDir, `${userId}.meta.json`);
+  }
+}
+
+module.exports = { MessageStore, messageFromWebhook };
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+// Local stand-in for Microsoft Graph and the Microsoft login endpoint, so the Microsoft calendar
+// provider runs with no Azure app. Serves /me/calendars and calendarView for the calendars and
+// events in a fixture file (mock-fixtures/microsoft-graph.json), paged by the fixture's pageSize
+// with @odata.nextLink like Graph, and issues access tokens for the fixture's code or refresh token.
+//
+//   npm run mock:microsoft-graph -- [--port 3200] [--fixture FILE]
+//   MS_GRAPH_BASE_URL=http://localhost:3200/v1.0 MS_LOGIN_BASE_URL=http://localhost:3200 node run-audit.js
+//
+// Fixture event times are UTC, as Graph returns them for Prefer: outlook.timezone="UTC".
+// Issued tokens are counted (GET /mock/tokens); POST /mock/expire makes Graph reject the current one.
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_PORT = 3200;
+const DEFAULT_FIXTURE = path.join(__dirname, 'mock-fixtures', 'microsoft-graph.json');
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function loadFixture(file = DEFAULT_FIXTURE) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+function graphTime(value) {
+  return new Date(/Z$/.test(value) ? value : `${value}Z`);
+}
+
+function createGraphMock(fixture) {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const state = { issued: 0, accessToken: null, grants: [] };
+
+  const issueTokens = () => {
+    state.issued++;
+    state.accessToken = `mock-access-token-${state.issued}`;
+    // Like Microsoft, the refresh token isn't rotated on refresh
+    return { token_type: 'Bearer', access_token: state.accessToken, expires_in: TOKEN_LIFETIME_SECONDS };
+  };
+
+  // One page of items, with a nextLink to the rest like Graph
+  const page = (req, items) => {
+    const skip = parseInt(req.query.$skip, 10) || 0;
+    const top = Math.min(parseInt(req.query.$top, 10) || Infinity, fixture.pageSize || Infinity);
+    const body = { value: items.slice(skip, skip + top) };
+    if (skip + top < items.length) {
+      const next = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+      next.searchParams.set('$skip', String(skip + top));
+      body['@odata.nextLink'] = next.toString();
+    }
+    return body;
+  };
+
+  const calendarView = (calendarId) => (req, res) => {
+    if (!fixture.calendars.some(calendar => calendar.id === calendarId(req))) {
+      return res.status(404).json({ error: { code: 'ErrorItemNotFound', message: 'The specified object was not found in the store.' } });
+    }
+    const from = new Date(req.query.startDateTime);
+    const to = new Date(req.query.endDateTime);
+    const events = (fixture.events[calendarId(req)] || [])
+      .filter(event => graphTime(event.end.dateTime) > from && graphTime(event.start.dateTime) < to)
+      .sort((a, b) => graphTime(a.start.dateTime) - graphTime(b.start.dateTime));
+    res.json(page(req, events));
+  };
+
+  app.get('/:tenant/oauth2/v2.0/authorize', (req, res) => {
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set('code', fixture.code);
+    redirect.searchParams.set('state', req.query.state || '');
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/:tenant/oauth2/v2.0/token', (req, res) => {
+    const { grant_type: grant, code, refresh_token: refreshToken } = req.body || {};
+    state.grants.push(grant);
+    if (grant === 'authorization_code' && code === fixture.code) {
+      return res.json({ ...issueTokens(), refresh_token: fixture.refreshToken });
+    }
+    if (grant === 'refresh_token' && refreshToken === fixture.refreshToken) {
+      return res.json(issueTokens());
+    }
+    res.status(400).json({ error: 'invalid_grant', error_description: 'The code or refresh token is invalid or has expired.' });
+  });
+
+  app.use('/v1.0', (req, res, next) => {
+    if (!state.accessToken || req.headers.authorization !== `Bearer ${state.accessToken}`) {
+      return res.status(401).json({ error: { code: 'InvalidAuthenticationToken', message: 'Access token has expired or is not yet valid.' } });
+    }
+    next();
+  });
+
+  app.get('/v1.0/me/calendars', (req, res) => res.json(page(req, fixture.calendars)));
+  app.get('/v1.0/me/calendar/calendarView', calendarView(() => fixture.calendars.find(calendar => calendar.isDefaultCalendar)?.id));
+  app.get('/v1.0/me/calendars/:id/calendarView', calendarView(req => req.params.id));
+
+  app.get('/mock/tokens', (req, res) => res.json({ issued: state.issued, grants: state.grants }));
+  app.post('/mock/expire', (req, res) => {
+    state.accessToken = null;
+    res.json({ expired: true });
+  });
+
+  return { app, state };
+}
+
+async function startMockServer() {
+  const port = parseInt(argValue('--port'), 10) || DEFAULT_PORT;
+  const fixtureFile = argValue('--fixture') || DEFAULT_FIXTURE;
+
+  const fixture = await loadFixture(fixtureFile);
+  const { app } = createGraphMock(fixture);
+
+  app.listen(port, () => {
+    console.log(`🧪 Mock Microsoft Graph on http://localhost:${port} (${fixture.calendars.length} calendars from ${path.relative(process.cwd(), fixtureFile)})`);
+    console.log(`   Point the service at it: MS_GRAPH_BASE_URL=http://localhost:${port}/v1.0 MS_LOGIN_BASE_URL=http://localhost:${port}`);
+  });
+}
+
+if (require.main === module) {
+  startMockServer().catch(error => {
+    console.error('❌ Mock Microsoft Graph failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createGraphMock, loadFixture };
@@ -0,0 +1,105 @@
+// Microsoft 365 / Outlook calendar access through Microsoft Graph
+const axios = require('axios');
+const { DEFAULT_TIMEZONE, zonedDateString, isValidTimeZone } = require('./timezone');
+
+const MS_SCOPES = ['offline_access', 'User.Read', 'Calendars.Read'];
+// Refresh a little early so a token doesn't expire mid-audit
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Base URLs are overridable so a local fake Graph/login endpoint can stand in for Microsoft
+function getGraphBaseUrl() {
+  return process.env.MS_GRAPH_BASE_URL || 'https://graph.microsoft.com/v1.0';
+}
+
+function getLoginBaseUrl() {
+  return `${process.env.MS_LOGIN_BASE_URL || 'https://login.microsoftonline.com'}/${process.env.MS_TENANT_ID || 'common'}/oauth2/v2.0`;
+}
+
+function getRedirectUri() {
+  return process.env.MS_REDIRECT_URI || `${process.env.PUBLIC_URL || 'http://localhost:3001'}/auth/microsoft/callback`;
+}
+
+function getMicrosoftAuthUrl(userId) {
+  const params = new URLSearchParams({
+    client_id: process.env.MS_CLIENT_ID || '',
+    response_type: 'code',
+    redirect_uri: getRedirectUri(),
+    response_mode: 'query',
+    scope: MS_SCOPES.join(' '),
+    state: userId,
+    prompt: 'select_account'
+  });
+  return `${getLoginBaseUrl()}/authorize?${params}`;
+}
+
+async function requestTokens(params) {
+  const response = await axios.post(`${getLoginBaseUrl()}/token`, new URLSearchParams({
+    client_id: process.env.MS_CLIENT_ID || '',
+    client_secret: process.env.MS_CLIENT_SECRET || '',
+    scope: MS_SCOPES.join(' '),
+    ...params
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 30000
+  });
+
+  const { access_token, refresh_token, expires_in } = response.data;
+  return {
+    access_token,
+    refresh_token,
+    expires_at: Date.now() + (expires_in || 3600) * 1000
+  };
+}
+
+function exchangeMicrosoftCode(code) {
+  return requestTokens({ grant_type: 'authorization_code', code, redirect_uri: getRedirectUri() });
+}
+
+async function refreshMicrosoftTokens(tokens) {
+  const refreshed = await requestTokens({ grant_type: 'refresh_token', refresh_token: tokens.refresh_token });
+  // Microsoft may not rotate the refresh token on every refresh
+  return { ...refreshed, refresh_token: refreshed.refresh_token || tokens.refresh_token };
+}
+
+// Graph event -> the CalendarEvent shape from src/types (plus transparency, which conflict detection reads).
+// Requests ask Graph for UTC times, so dateTime values get a "Z" to be unambiguous. An all-day event
+// starts at midnight in its own zone, which in UTC is often the evening before; its dates are read
+// back in originalStartTimeZone when that is an IANA name, else in the user's timeZone.
+function toCalendarEvent(graphEvent, timeZone = DEFAULT_TIMEZONE) {
+  const toUtc = (value) => value ? `${value.replace(/\.\d+$/, '')}Z` : value;
+  const eventZone = graphEvent.originalStartTimeZone && isValidTimeZone(graphEvent.originalStartTimeZone) ? graphEvent.originalStartTimeZone : timeZone;
+  const toDate = (value) => zonedDateString(new Date(toUtc(value)), eventZone);
+  const start = graphEvent.isAllDay
+    ? { dateTime: toDate(graphEvent.start.dateTime), date: toDate(graphEvent.start.dateTime) }
+    : { dateTime: toUtc(graphEvent.start.dateTime) };
+  const end = graphEvent.isAllDay
+    ? { dateTime: toDate(graphEvent.end.dateTime), date: toDate(graphEvent.end.dateTime) }
+    : { dateTime: toUtc(graphEvent.end.dateTime) };
+
+  const event = {
+    id: graphEvent.id,
+    summary: graphEvent.subject || '',
+    description: graphEvent.bodyPreview || '',
+    start,
+    end,
+    attendees: (graphEvent.attendees || []).map(attendee => ({
+      email: attendee.emailAddress?.address,
+      displayName: attendee.emailAddress?.name
+    })),
+    location: graphEvent.location?.displayName || ''
+  };
+
+  if (graphEvent.showAs === 'free') {
+    event.transparency = 'transparent';
+  }
+  return event;
+}
+
+module.exports = {
+  getGraphBaseUrl,
+  getMicrosoftAuthUrl,
+  exchangeMicrosoftCode,
+  refreshMicrosoftTokens,
+  toCalendarEvent,
+  TOKEN_EXPIRY_MARGIN_MS
+};
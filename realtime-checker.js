@@ -0,0 +1,182 @@
+// Real-time conflict check for webhook messages, debounced until the conversation settles
+const { KeywordDetector } = require('./keyword-detector');
+const { LLMAnalyzer } = require('./llm-analyzer');
+const { meetingFingerprint } = require('./calendar-writer');
+const { compareMeetingToEvents, estimateMeetingInterval, getBufferMinutes } = require('./interval-engine');
+const { fetchSelectedEvents } = require('./calendar-selection');
+const { createCalendarProvider, hasCalendarConnection } = require('./calendar-provider');
+const { getChatRules, evaluateChat, withGroupSizes } = require('./chat-rules');
+const { getUserTimezone } = require('./user-schedule');
+const { zonedDayStart } = require('./timezone');
+
+const DEFAULT_SETTLE_SECONDS = 120;
+const CONTEXT_WINDOW_SECONDS = 2 * 60 * 60;
+// Keyword hits below this are chit-chat; not worth an LLM call in real time
+const MIN_KEYWORD_CONFIDENCE = 0.5;
+
+class RealtimeConflictChecker {
+  constructor(options) {
+    this.messageStore = options.messageStore;
+    this.loadUserData = options.loadUserData;
+    this.saveUserData = options.saveUserData;
+    this.sendAlert = options.sendAlert;
+    this.settleMs = (options.settleSeconds || parseInt(process.env.REALTIME_SETTLE_SECONDS, 10) || DEFAULT_SETTLE_SECONDS) * 1000;
+    this.detector = new KeywordDetector();
+    this.pendingChecks = new Map();
+    // "{userId}|{fingerprint}" -> when the alert was sent (ms); pruned past the message retention
+    this.alertedMeetings = new Map();
+  }
+
+  // Every message in a chat with a pending check pushes the check back, so
+  // "can we meet tomorrow?" -> "3pm?" -> "ok" produces a single analysis
+  onMessage(userId, message) {
+    const key = `${userId}|${message.chatId}`;
+    const pending = this.pendingChecks.get(key);
+    const detection = this.detector.analyzeMessage(message);
+    const isCandidate = !!detection && detection.confidence >= MIN_KEYWORD_CONFIDENCE;
+
+    if (!pending && !isCandidate) return;
+
+    if (pending) {
+      clearTimeout(pending);
+    } else {
+      console.log(`⏳ [${userId}] Possible meeting in ${message.chatName || message.chatId}, waiting for the conversation to settle`);
+    }
+
+    const timer = setTimeout(() => {
+      this.pendingChecks.delete(key);
+      this.checkConversation(userId, message.chatId).catch(error => {
+        console.error(`❌ [${userId}] Real-time check failed:`, error.message);
+      });
+    }, this.settleMs);
+
+    this.pendingChecks.set(key, timer);
+  }
+
+  async checkConversation(userId, chatId) {
+    const userData = await this.loadUserData(userId);
+    if (userData?.disabled) {
+      console.log(`⏸️ [${userId}] User disabled, skipping real-time check`);
+      return null;
+    }
+    if (!hasCalendarConnection(userData)) {
+      console.log(`⚠️ [${userId}] No calendar connected, skipping real-time check`);
+      return null;
+    }
+
+    const since = Math.floor(Date.now() / 1000) - CONTEXT_WINDOW_SECONDS;
+    const chatMessages = (await this.messageStore.getMessagesSince(userId, since))
+      .filter(message => message.chatId === chatId)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    // Same chat rules (and group sizes) as the daily audit, so an excluded chat never triggers an alert
+    const [chat] = await withGroupSizes([{ id: chatId, name: chatMessages[0]?.chatName }], userData);
+    const verdict = evaluateChat(chat, getChatRules(userData));
+    if (!verdict.included) {
+      console.log(`⏭️ [${userId}] Skipping ${chatMessages[0]?.chatName || chatId}: ${verdict.reason}`);
+      return null;
+    }
+
+    // Analyze the latest keyword hit with the whole settled conversation as context,
+    // resolving "tomorrow" and weekdays in the user's timezone
+    const timeZone = getUserTimezone(userData);
+    const detections = new KeywordDetector({ timeZone }).detectMeetings(chatMessages);
+    if (detections.length === 0) return null;
+    const detection = detections[detections.length - 1];
+
+    // The user's own LLM backend and model
+    const llmResult = await new LLMAnalyzer({ userData }).analyzeConversation(detection, chatMessages, { timeZone });
+    // A cancellation frees time; the nightly audit reports it if it is still on the calendar
+    if (llmResult.intent === 'cancel') {
+      console.log(`🚫 [${userId}] Meeting cancelled in chat, nothing to check`);
+      return null;
+    }
+    if (llmResult.parseFailed) {
+      console.log(`⚠️ [${userId}] Unreadable LLM answer, can't check this meeting`);
+      return null;
+    }
+    if (!llmResult.isValidMeeting || llmResult.confidence <= 50 || !llmResult.extractedDateTime) {
+      console.log(`❌ [${userId}] Not a schedulable meeting: ${llmResult.reasoning}`);
+      return null;
+    }
+
+    const meeting = {
+      ...detection,
+      llmAnalysis: llmResult,
+      llmDateTime: llmResult.extractedDateTime,
+      llmMeetingType: llmResult.meetingType
+    };
+
+    const fingerprint = meetingFingerprint(meeting);
+    if (this.wasAlerted(`${userId}|${fingerprint}`)) {
+      console.log(`⏭️ [${userId}] Already alerted about this meeting`);
+      return null;
+    }
+
+    // A date without a time can't overlap anything specific
+    const interval = estimateMeetingInterval(meeting, { timeZone });
+    if (!interval || !interval.timeKnown) return null;
+
+    const events = await this.getEventsForDay(userData, interval.start);
+    const comparison = compareMeetingToEvents(meeting, events, { interval, timeZone, bufferMinutes: getBufferMinutes(userData) });
+    // Already on the calendar - overlaps are with the meeting itself
+    if (comparison.matches.length > 0) {
+      console.log(`✅ [${userId}] Meeting at ${llmResult.extractedDateTime} is already on the calendar`);
+      return { meeting, comparison };
+    }
+
+    const issues = [...comparison.conflicts, ...comparison.nearMisses];
+    if (issues.length === 0) {
+      console.log(`✅ [${userId}] No conflicts for meeting at ${llmResult.extractedDateTime}`);
+      return { meeting, comparison };
+    }
+
+    this.recordAlert(`${userId}|${fingerprint}`);
+    await this.sendAlert(userData, this.formatAlert(meeting, comparison));
+    console.log(`🚨 [${userId}] Conflict alert sent (${comparison.conflicts.length} overlaps, ${comparison.nearMisses.length} near-misses)`);
+    return { meeting, comparison };
+  }
+
+  wasAlerted(key) {
+    this.pruneAlerts();
+    return this.alertedMeetings.has(key);
+  }
+
+  // The messages behind an older alert have left the store, so they can't come up again
+  recordAlert(key, now = Date.now()) {
+    this.pruneAlerts(now);
+    this.alertedMeetings.set(key, now);
+  }
+
+  pruneAlerts(now = Date.now()) {
+    const cutoff = now - this.messageStore.retentionDays * 24 * 60 * 60 * 1000;
+    for (const [key, alertedAt] of this.alertedMeetings) {
+      if (alertedAt < cutoff) this.alertedMeetings.delete(key);
+    }
+  }
+
+  async getEventsForDay(userData, date) {
+    const calendarProvider = createCalendarProvider(userData, { onTokensRefreshed: this.saveUserData });
+    // The user's calendar day, not the server's
+    const timeZone = getUserTimezone(userData);
+
+    return fetchSelectedEvents(calendarProvider, userData, {
+      timeMin: zonedDayStart(date, timeZone).toISOString(),
+      timeMax: zonedDayStart(date, timeZone, 1).toISOString()
+    });
+  }
+
+  formatAlert(meeting, comparison) {
+    const hasOverlap = comparison.conflicts.length > 0;
+    let message = hasOverlap ? `🚨 *Scheduling Conflict*\n\n` : `⏱️ *Tight Schedule*\n\n`;
+    message += `💬 ${meeting.senderName || 'Unknown'}: "${meeting.extractedText.substring(0, 80)}"\n`;
+    message += `🕐 ${meeting.llmDateTime}\n\n`;
+    message += `📅 Already in your calendar:\n`;
+    [...comparison.conflicts, ...comparison.nearMisses].forEach(({ reason }) => {
+      message += `• ${reason}\n`;
+    });
+    return message;
+  }
+}
+
+module.exports = { RealtimeConflictChecker };
@@ -1,55 +1,56 @@
 #!/usr/bin/env node
 
 // Ultra-simple audit runner for GitHub Actions
+require('dotenv').config();
 const axios = require('axios');
-
-// Hardcoded user data (to avoid JSON parsing issues)
-const users = [
-  {
-    name: "Shahar",
-    phone: "972546738221",
-    instanceId: "7105276256",
-    token: "f7b4d875ec7543d893486476c90d31ea242461271a6e4956ad"
-  },
-  {
-    name: "Yonit Heilbrun", 
-    phone: "972542181826",
-    instanceId: "7105276637",
-    token: "c86cf2207fe740a7a08b388be9a15f47961526fd0ee04a2bb0"
-  }
-];
+const { getScheduleNow, formatNextAudit, formatUserDate, formatUserTime } = require('./user-schedule');
+const { AuditHistory } = require('./audit-history');
+const { greenApiUrl } = require('./green-api');
+const { UserRegistry, logInvalidUsers, isUserActive } = require('./user-registry');
 
 async function runSimpleAudit() {
   console.log('🚀 Starting Simple GitHub Actions Audit');
-  console.log('Time:', new Date().toLocaleString('en-US', { timeZone: 'Asia/Jerusalem' }));
+  console.log('Time:', new Date().toISOString());
+  // Like run-audit.js: a scheduled run only messages users with a passed audit time not yet run
+  const scheduledRun = process.argv.includes('--scheduled');
+  const now = getScheduleNow();
+  const auditHistory = new AuditHistory();
+  
+  // Same users as run-audit.js, so this fallback needs no credentials of its own
+  const { users, invalid } = await new UserRegistry().loadAll();
+  logInvalidUsers(invalid);
   
   for (const user of users) {
+    const startedAt = new Date().toISOString();
     try {
+      if (!isUserActive(user) || (scheduledRun && !(await auditHistory.isDue(user, now)))) continue;
       console.log(`\n👤 Processing: ${user.name}`);
       
       // Send simple audit summary
       const message = `🤖 Daily Audit Summary for ${user.name}
       
-📅 ${new Date().toLocaleDateString('en-US', { timeZone: 'Asia/Jerusalem' })}
-🕘 Automated audit completed at ${new Date().toLocaleTimeString('en-US', { timeZone: 'Asia/Jerusalem' })}
+📅 ${formatUserDate(user)}
+🕘 Automated audit completed at ${formatUserTime(user)}
 
 ✅ WhatsApp Calendar Audit System is running
 🔄 Scanning messages and calendar events
 📊 Service operating normally
 
-🕘 Next audit: Tomorrow at 9:30 PM
+🕘 Next audit: ${formatNextAudit(user)}
 
 🤖 Powered by GitHub Actions`;
 
       await axios.post(
-        `https://api.green-api.com/waInstance${user.instanceId}/sendMessage/${user.token}`,
+        greenApiUrl(user.greenApi, 'sendMessage'),
         {
-          chatId: `${user.phone}@c.us`,
+          chatId: `${user.phoneNumber.replace('+', '')}@c.us`,
           message: message
         }
       );
       
       console.log(`📤 Summary sent to ${user.name}`);
+      // Counts as the scheduled audit, so the next run doesn't send it again
+      await auditHistory.record(user.id, { startedAt, finishedAt: new Date().toISOString(), outcome: 'fallback' });
     } catch (error) {
       console.error(`❌ Error processing ${user.name}:`, error.message);
     }
@@ -2,69 +2,61 @@
 
 // Standalone audit runner for GitHub Actions
 require('dotenv').config();
-const fs = require('fs').promises;
-const path = require('path');
 
 // Import required modules
 const { google } = require('googleapis');
 const axios = require('axios');
 const { KeywordDetector } = require('./keyword-detector');
 const { LLMAnalyzer } = require('./llm-analyzer');
+const { CalendarWriter, createCalendarClient, isWriteModeEnabled } = require('./calendar-writer');
+const { SummaryActions } = require('./summary-actions');
+const { AuditHistory } = require('./audit-history');
+const { getEscalationDays, formatStillOpen } = require('./audit-ledger');
+const { MessageStore } = require('./message-store');
+const { compareMeetingToEvents, getBufferMinutes } = require('./interval-engine');
+const { analyzeMeetingChanges } = require('./meeting-intent');
+const { fetchSelectedEvents } = require('./calendar-selection');
+const { createCalendarProvider } = require('./calendar-provider');
+const { getChatRules, filterChats, filterMessagesByChat, fetchChats } = require('./chat-rules');
+const { getUserTimezone, getScheduleNow, formatNextAudit, formatUserDate, formatUserTime } = require('./user-schedule');
+const { zonedParts, zonedDate, zonedDayStart } = require('./timezone');
+const { greenApiUrl } = require('./green-api');
+const { UserRegistry, logInvalidUsers, isUserActive } = require('./user-registry');
+
+// Thread mode sends at most this many of a chat's latest messages in one request
+const THREAD_MESSAGE_LIMIT = 100;
 
 async function runStandaloneAudit() {
   console.log('🚀 Starting GitHub Actions Audit');
-  console.log('Time:', new Date().toLocaleString('en-US', { timeZone: 'Asia/Jerusalem' }));
+  console.log('Time:', new Date().toISOString());
+  // Scheduled workflow runs only audit users with a passed audit time not yet run (see
+  // pendingAuditTime in user-schedule.js); manual runs audit everyone
+  const scheduledRun = process.argv.includes('--scheduled');
+  const now = getScheduleNow();
+  const auditHistory = new AuditHistory();
   
   try {
     // Load user configurations
-    const usersDir = path.join(__dirname, 'data', 'users');
-    
-    // Check if directory exists
-    try {
-      await fs.access(usersDir);
-      console.log(`📁 Users directory found: ${usersDir}`);
-    } catch (error) {
-      console.error(`❌ Users directory not found: ${usersDir}`);
-      throw error;
-    }
-    
-    const userFiles = await fs.readdir(usersDir);
-    console.log(`📂 Found ${userFiles.length} files: ${userFiles.join(', ')}`);
-    
-    for (const file of userFiles) {
-      if (!file.endsWith('.json')) continue;
+    const userRegistry = new UserRegistry();
+    const { users, invalid } = await userRegistry.loadAll();
+    console.log(`📂 Found ${users.length + invalid.length} users in ${userRegistry.describe()}`);
+    logInvalidUsers(invalid);
+    
+    for (const userData of users) {
+      if (!isUserActive(userData)) {
+        console.log(`⚠️ User ${userData.name || 'Unknown'} ${userData.disabled ? 'disabled' : 'not fully configured'}, skipping`);
+        continue;
+      }
       
-      try {
-        const fileContent = await fs.readFile(path.join(usersDir, file), 'utf8');
-        console.log(`📄 Reading file: ${file}`);
-        console.log(`📝 File content length: ${fileContent.length}`);
-        console.log(`📝 First 100 chars: ${fileContent.substring(0, 100)}...`);
-        
-        // Clean the JSON content
-        const cleanedContent = fileContent
-          .replace(/\r\n/g, ' ')
-          .replace(/\n/g, ' ')
-          .replace(/\r/g, ' ')
-          .replace(/\s+/g, ' ')
-          .trim();
-        
-        console.log(`🧹 Cleaned content length: ${cleanedContent.length}`);
-        
-        const userData = JSON.parse(cleanedContent);
-        if (userData.status !== 'fully_configured') {
-          console.log(`⚠️ User ${userData.name || 'Unknown'} not fully configured, skipping`);
-          continue;
-        }
-        
-        console.log(`\n👤 Processing: ${userData.name}`);
-        
-        // Run audit for this user
-        await auditUser(userData);
-      } catch (parseError) {
-        console.error(`❌ Error parsing ${file}:`, parseError.message);
-        console.error(`📄 File content preview:`, fileContent?.substring(0, 200));
+      if (scheduledRun && !(await auditHistory.isDue(userData, now))) {
+        console.log(`⏭️ ${userData.name}: no audit due (next ${formatNextAudit(userData, now)}, ${getUserTimezone(userData)})`);
         continue;
       }
+      
+      console.log(`\n👤 Processing: ${userData.name} (${formatUserDate(userData)} ${formatUserTime(userData)} ${getUserTimezone(userData)})`);
+      
+      // Run audit for this user
+      await auditUser(userData);
     }
     
     console.log('\n✅ GitHub Actions audit completed successfully');
@@ -75,6 +67,9 @@ async function runStandaloneAudit() {
 }
 
 async function auditUser(userData) {
+  // Recorded like the service's runs, so the admin dashboard and "Resend summary" see them
+  const auditHistory = new AuditHistory();
+  const startedAt = new Date().toISOString();
   try {
     console.log(`\n🔍 Starting audit for ${userData.name}`);
     
@@ -82,90 +77,145 @@ async function auditUser(userData) {
     const messages = await getRecentMessages(userData);
     console.log(`📱 Retrieved ${messages.length} messages from last 24 hours`);
     
-    // Initialize keyword detector and LLM analyzer
-    const detector = new KeywordDetector();
-    const llmAnalyzer = new LLMAnalyzer();
+    // Initialize keyword detector and the user's LLM backend; dates resolve in the user's timezone
+    const timeZone = getUserTimezone(userData);
+    const detector = new KeywordDetector({ timeZone });
+    const llmAnalyzer = new LLMAnalyzer({ userData });
     
     // Detect meetings with keyword analysis
     const keywordDetections = detector.detectMeetings(messages);
     console.log(`🎯 Keyword detector found ${keywordDetections.length} potential meetings`);
     
-    // Enhance with LLM analysis for better accuracy
-    const detectedMeetings = await enhanceWithLLMAnalysis(keywordDetections, messages, llmAnalyzer);
+    // Enhance with LLM analysis for better accuracy: one request per chat, or per keyword hit
+    const detectedMeetings = llmAnalyzer.isEnabled() && getLLMAnalysisMode() === 'thread'
+      ? await enhanceWithThreadAnalysis(keywordDetections, messages, llmAnalyzer, { timeZone })
+      : await enhanceWithLLMAnalysis(keywordDetections, messages, llmAnalyzer, { timeZone });
     console.log(`🤖 After LLM analysis: ${detectedMeetings.length} confirmed meetings`);
+    if (llmAnalyzer.isEnabled()) {
+      console.log(llmAnalyzer.formatCacheStats());
+    }
     
     // Get calendar events for detected meeting dates
     const relevantEvents = await getRelevantCalendarEvents(userData, detectedMeetings);
     console.log(`📅 Retrieved ${relevantEvents.length} relevant calendar events`);
     
     // Analyze for conflicts and missing events
-    const auditResults = analyzeConflictsAndMissing(detectedMeetings, relevantEvents);
+    const auditResults = analyzeConflictsAndMissing(detectedMeetings, relevantEvents, {
+      bufferMinutes: getBufferMinutes(userData),
+      timeZone
+    });
+    
+    // Opt-in write mode: turn confirmed missing meetings into calendar events
+    const createdEvents = await createMissingCalendarEvents(userData, auditResults);
+    
+    // Number the open items so the user can answer "1 add", "2 ignore" from WhatsApp;
+    // items reported on an earlier run are left out unless escalation is on
+    const summaryActions = new SummaryActions();
+    const pendingItems = await summaryActions.preparePendingItems(userData.id, auditResults, {
+      escalationDays: getEscalationDays(userData),
+      resolvedMeetings: [...auditResults.confirmedMeetings, ...createdEvents].map(item => item.meeting)
+    });
+    
+    const allGood = pendingItems.conflicts.length === 0 && pendingItems.missingEvents.length === 0 &&
+      pendingItems.rescheduled.length === 0 && pendingItems.cancelled.length === 0;
     
     // Send comprehensive summary
-    await sendComprehensiveSummary(userData, {
+    const delivery = await sendComprehensiveSummary(userData, {
       messagesScanned: messages.length,
       meetingsDetected: detectedMeetings.length,
       calendarEvents: relevantEvents.length,
-      conflicts: auditResults.conflicts,
-      missingEvents: auditResults.missingEvents,
+      conflicts: pendingItems.conflicts,
+      missingEvents: pendingItems.missingEvents,
+      rescheduled: pendingItems.rescheduled,
+      cancelled: pendingItems.cancelled,
+      alreadyReported: pendingItems.alreadyReported,
       confirmedMeetings: auditResults.confirmedMeetings,
-      allGood: auditResults.conflicts.length === 0 && auditResults.missingEvents.length === 0
+      nearMisses: auditResults.nearMisses,
+      createdEvents: createdEvents,
+      // Only offer "1 add" when the service that handles the reply can see these items
+      replyHint: summaryActions.canTakeReplies() ? summaryActions.formatReplyHint() : '',
+      allGood
     });
     
-    console.log(`✅ Audit completed: ${auditResults.conflicts.length} conflicts, ${auditResults.missingEvents.length} missing events`);
+    await auditHistory.record(userData.id, {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      outcome: !delivery.sent ? 'not sent' : allGood ? 'all clear' : 'issues',
+      counts: {
+        messages: messages.length,
+        meetings: detectedMeetings.length,
+        calendarEvents: relevantEvents.length,
+        conflicts: pendingItems.conflicts.length,
+        missing: pendingItems.missingEvents.length,
+        rescheduled: pendingItems.rescheduled.length,
+        cancelled: pendingItems.cancelled.length,
+        created: createdEvents.length
+      },
+      summary: delivery.message,
+      error: delivery.error
+    });
+    
+    console.log(`✅ Audit completed: ${pendingItems.conflicts.length} conflicts, ${pendingItems.missingEvents.length} missing events, ${pendingItems.rescheduled.length + pendingItems.cancelled.length} outdated events`);
   } catch (error) {
     console.error(`Error auditing ${userData.name}:`, error.message);
+    await auditHistory.record(userData.id, {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      outcome: 'failed',
+      error: error.message
+    }).catch(historyError => console.error('Error recording audit history:', historyError.message));
   }
 }
 
 async function getRecentMessages(userData) {
+  const messageStore = new MessageStore();
+  const twentyFourHoursAgo = Math.floor(Date.now() / 1000) - (24 * 60 * 60);
+  
   try {
-    console.log(`📱 Getting chats for ${userData.name}...`);
+    // Prefer messages the webhook already stored; polling is only a backfill
+    if (userData.id && await messageStore.coversWindow(userData.id, twentyFourHoursAgo)) {
+      const storedMessages = await messageStore.getMessagesSince(userData.id, twentyFourHoursAgo);
+      console.log(`🔎 Applying chat rules for ${userData.name}:`);
+      const messages = await filterMessagesByChat(storedMessages, userData);
+      console.log(`💾 Using ${messages.length} stored webhook messages from last 24 hours`);
+      return messages;
+    }
     
-    // Get all chats first
-    const response = await axios.get(
-      `https://api.green-api.com/waInstance${userData.greenApi.instanceId}/getChats/${userData.greenApi.token}`
-    );
+    console.log(`🔄 Message store doesn't cover the last 24h, backfilling from chat history`);
+    const polledMessages = await pollRecentMessages(userData);
+    if (userData.id) {
+      await messageStore.saveMessages(userData.id, polledMessages);
+    }
+    return polledMessages;
+  } catch (error) {
+    console.log('Could not read stored messages:', error.message);
+    return [];
+  }
+}
+
+async function pollRecentMessages(userData) {
+  try {
+    console.log(`📱 Getting chats for ${userData.name}...`);
     
-    const allChats = response.data || [];
+    const allChats = await fetchChats(userData.greenApi);
     console.log(`📂 Found ${allChats.length} total chats`);
     
-    // Filter to exclude group chats BUT include 2-person groups and important family groups
-    const individualChats = allChats.filter(chat => {
-      const isGroup = chat.id && chat.id.includes('@g.us');
-      
-      if (!isGroup) {
-        return true;  // Keep all individual chats
-      }
-      
-      // For group chats, include only small/family groups
-      const name = chat.name || '';
-      const isSmallFamilyGroup = 
-        name.includes('יונית') || 
-        name.includes('Yonit') || 
-        name.toLowerCase().includes('family') ||
-        name.includes('שחר') ||
-        chat.id.includes('972542181826') ||  // Yonit's specific chat
-        chat.id.includes('972546738221') ||  // Shahar's specific chat  
-        (chat.participantsCount && chat.participantsCount <= 3);  // Small groups only
-      
-      if (isSmallFamilyGroup) {
-        console.log(`   🏠 Including family/small group: ${name}`);
-        return true;
-      }
-      
-      return false;  // Exclude all other groups
-    });
-    
-    console.log(`👤 Filtered to ${individualChats.length} individual chats (excluding groups)`);
+    // Per-user include/exclude rules (see chat-rules.js); every decision is logged with its rule
+    const rules = getChatRules(userData);
+    const includedChats = await filterChats(allChats, userData);
+    console.log(`👤 ${includedChats.length} chats match ${userData.name}'s chat rules`);
     
-    // Get messages from individual chats only
+    // Get messages from included chats only
     const allMessages = [];
     const now = Date.now();
     const twentyFourHoursAgo = now - (24 * 60 * 60 * 1000);
     
-    // Prioritize known contacts and recent chats
-    const prioritizedChats = individualChats.sort((a, b) => {
+    // Prioritize explicitly chosen chats, then known contacts, then recent chats
+    const prioritizedChats = includedChats.sort((a, b) => {
+      const aChosen = rules.include.chatIds.includes(a.id) ? 1 : 0;
+      const bChosen = rules.include.chatIds.includes(b.id) ? 1 : 0;
+      if (aChosen !== bChosen) return bChosen - aChosen;
+      
       // Prioritize chats with names (known contacts) over unknown numbers
       const aHasName = (a.name && a.name !== 'Unknown') ? 1 : 0;
       const bHasName = (b.name && b.name !== 'Unknown') ? 1 : 0;
@@ -178,17 +228,17 @@ async function getRecentMessages(userData) {
       return bTime - aTime;
     });
     
-    console.log(`🎯 Top prioritized individual chats:`);
-    prioritizedChats.slice(0, 10).forEach((chat, i) => {
-      console.log(`   ${i+1}. ${chat.name || 'Unknown'} (${chat.id.substring(0, 20)}...)`);
+    // Polling every chat would hit Green API rate limits
+    prioritizedChats.slice(rules.maxChats).forEach(chat => {
+      console.log(`   ⏭️ ${chat.name || chat.id}: over the ${rules.maxChats}-chat polling limit`);
     });
     
-    for (const chat of prioritizedChats.slice(0, 15)) { // Limit to top 15 prioritized chats
+    for (const chat of prioritizedChats.slice(0, rules.maxChats)) {
       try {
         console.log(`📄 Getting messages from: ${chat.name || 'Unknown'} (${chat.id.substring(0, 15)}...)`);
         
         const historyResponse = await axios.post(
-          `https://api.green-api.com/waInstance${userData.greenApi.instanceId}/getChatHistory/${userData.greenApi.token}`,
+          greenApiUrl(userData.greenApi, 'getChatHistory'),
           {
             chatId: chat.id,
             count: 100  // Get last 100 messages from each chat to find older messages
@@ -229,7 +279,7 @@ async function getRecentMessages(userData) {
     // Sort by timestamp (newest first)
     allMessages.sort((a, b) => b.timestamp - a.timestamp);
     
-    console.log(`📋 Total messages collected: ${allMessages.length} from individual chats only`);
+    console.log(`📋 Total messages collected: ${allMessages.length} from ${Math.min(prioritizedChats.length, rules.maxChats)} chats`);
     
     return allMessages;
     
@@ -241,14 +291,8 @@ async function getRecentMessages(userData) {
 
 async function getRelevantCalendarEvents(userData, detectedMeetings) {
   try {
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_DESKTOP_CLIENT_ID,
-      process.env.GOOGLE_DESKTOP_CLIENT_SECRET,
-      'urn:ietf:wg:oauth:2.0:oob'
-    );
-    oauth2Client.setCredentials(userData.googleTokens);
-    
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+    // Users are rebuilt from secrets on every run, so a refreshed Microsoft token only lives for this run
+    const calendarProvider = createCalendarProvider(userData);
     
     // If no meetings detected, get next 7 days for general overview
     if (detectedMeetings.length === 0) {
@@ -256,73 +300,57 @@ async function getRelevantCalendarEvents(userData, detectedMeetings) {
       const nextWeek = new Date(now);
       nextWeek.setDate(now.getDate() + 7);
       
-      const response = await calendar.events.list({
-        calendarId: 'primary',
+      return await fetchSelectedEvents(calendarProvider, userData, {
         timeMin: now.toISOString(),
         timeMax: nextWeek.toISOString(),
-        singleEvents: true,
-        orderBy: 'startTime',
         maxResults: 20
       });
-      
-      return response.data.items || [];
     }
     
-    // Get all unique dates from detected meetings (enhanced with LLM data)
+    // Get all unique dates from detected meetings (enhanced with LLM data), as the user's calendar days
+    const timeZone = getUserTimezone(userData);
+    const toKey = ({ year, month, day }) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
     const datesToCheck = new Set();
     for (const meeting of detectedMeetings) {
-      // Priority 1: Use LLM-extracted datetime if available
-      if (meeting.llmDateTime) {
-        try {
-          const llmDate = new Date(meeting.llmDateTime);
-          if (!isNaN(llmDate)) {
-            datesToCheck.add(llmDate.toDateString());
-            console.log(`📅 Using LLM date: ${llmDate.toDateString()} from "${meeting.extractedText.substring(0, 30)}..."`);
-            continue;
-          }
-        } catch (e) {
-          console.warn(`Could not parse LLM datetime: ${meeting.llmDateTime}`);
-        }
+      // Priority 1: Use LLM-extracted datetime if available ("YYYY-MM-DD HH:MM" is the user's wall clock)
+      const llmDate = meeting.llmDateTime && String(meeting.llmDateTime).match(/^(\d{4})-(\d{2})-(\d{2})/);
+      // A moved or cancelled meeting is still on the calendar at its old date
+      const previousDate = meeting.llmPreviousDateTime && String(meeting.llmPreviousDateTime).match(/^(\d{4})-(\d{2})-(\d{2})/);
+      if (previousDate) {
+        datesToCheck.add(previousDate[0]);
+      }
+      if (llmDate) {
+        datesToCheck.add(llmDate[0]);
+        console.log(`📅 Using LLM date: ${llmDate[0]} from "${meeting.extractedText.substring(0, 30)}..."`);
+        continue;
       }
       
       // Priority 2: Use keyword-detected parsed dates
       if (meeting.parsedDates && meeting.parsedDates.length > 0) {
         meeting.parsedDates.forEach(date => {
-          datesToCheck.add(date.toDateString());
+          datesToCheck.add(toKey(zonedParts(new Date(date), timeZone)));
         });
       } else {
         // Priority 3: Fallback - check today and tomorrow
-        const today = new Date();
-        const tomorrow = new Date(today);
-        tomorrow.setDate(today.getDate() + 1);
-        datesToCheck.add(today.toDateString());
-        datesToCheck.add(tomorrow.toDateString());
+        const now = new Date();
+        datesToCheck.add(toKey(zonedParts(now, timeZone)));
+        datesToCheck.add(toKey(zonedParts(zonedDayStart(now, timeZone, 1), timeZone)));
       }
     }
     
     console.log(`📅 Checking calendar for ${datesToCheck.size} specific dates`);
     
-    // Query calendar for each relevant date
+    // Query the user's selected calendars for each relevant date
     let allEvents = [];
     for (const dateStr of datesToCheck) {
-      const date = new Date(dateStr);
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const [year, month, day] = dateStr.split('-').map(Number);
       
       try {
-        const response = await calendar.events.list({
-          calendarId: 'primary',
-          timeMin: startOfDay.toISOString(),
-          timeMax: endOfDay.toISOString(),
-          singleEvents: true,
-          orderBy: 'startTime'
+        const events = await fetchSelectedEvents(calendarProvider, userData, {
+          timeMin: zonedDate(timeZone, year, month, day).toISOString(),
+          timeMax: zonedDate(timeZone, year, month, day + 1).toISOString()
         });
-        
-        if (response.data.items) {
-          allEvents.push(...response.data.items);
-        }
+        allEvents.push(...events);
       } catch (error) {
         console.warn(`Error fetching events for ${dateStr}:`, error.message);
       }
@@ -335,96 +363,35 @@ async function getRelevantCalendarEvents(userData, detectedMeetings) {
   }
 }
 
-function analyzeConflictsAndMissing(detectedMeetings, calendarEvents) {
+function analyzeConflictsAndMissing(detectedMeetings, calendarEvents, options = {}) {
   const conflicts = [];
   const missingEvents = [];
   const confirmedMeetings = [];
+  const nearMisses = [];
+  
+  // Moves and cancellations are checked against the event they change, not as new meetings
+  const { rescheduled, cancelled, handledMeetings } = analyzeMeetingChanges(detectedMeetings, calendarEvents, { timeZone: options.timeZone });
   
   for (const meeting of detectedMeetings) {
-    let foundConflict = false;
-    let foundMatch = false;
+    if (handledMeetings.has(meeting)) continue;
     
-    // Check each detected meeting against calendar events (enhanced with LLM data)
-    for (const event of calendarEvents) {
-      const eventStart = new Date(event.start.dateTime || event.start.date);
-      const eventDateOnly = new Date(eventStart.toDateString());
-      
-      // Get meeting date (prioritize LLM-extracted datetime)
-      let meetingDates = [];
-      
-      if (meeting.llmDateTime) {
-        try {
-          const llmDate = new Date(meeting.llmDateTime);
-          if (!isNaN(llmDate)) {
-            meetingDates.push(llmDate);
-          }
-        } catch (e) {
-          console.warn(`Could not parse LLM datetime: ${meeting.llmDateTime}`);
-        }
-      }
-      
-      // Fallback to parsed dates from keyword detection
-      if (meetingDates.length === 0 && meeting.parsedDates && meeting.parsedDates.length > 0) {
-        meetingDates = meeting.parsedDates;
-      }
-      
-      for (const meetingDate of meetingDates) {
-        const meetingDateOnly = new Date(meetingDate.toDateString());
-        
-        // Check if it's the same day
-        if (meetingDateOnly.getTime() === eventDateOnly.getTime()) {
-            // Check for time conflicts (prioritize LLM-extracted time)
-            let meetingTimeForComparison = null;
-            
-            // Use LLM datetime if available and has time component
-            if (meeting.llmDateTime) {
-              try {
-                const llmDate = new Date(meeting.llmDateTime);
-                if (!isNaN(llmDate) && meeting.llmDateTime.includes(':')) {
-                  meetingTimeForComparison = llmDate.getHours() + ':' + String(llmDate.getMinutes()).padStart(2, '0');
-                }
-              } catch (e) {
-                // Fallback to detected time
-              }
-            }
-            
-            // Fallback to keyword-detected time
-            if (!meetingTimeForComparison && meeting.detectedTime) {
-              meetingTimeForComparison = meeting.detectedTime.toLowerCase();
-            }
-            
-            if (meetingTimeForComparison && event.start.dateTime) {
-              const eventTime = eventStart.getHours() + ':' + String(eventStart.getMinutes()).padStart(2, '0');
-              
-              // Simple time conflict detection
-              if (meetingTimeForComparison.includes(eventTime) || 
-                  eventTime.includes(meetingTimeForComparison.replace(/[^\d:]/g, ''))) {
-                foundMatch = true;
-                confirmedMeetings.push({
-                  meeting: meeting,
-                  calendarEvent: event,
-                  reason: 'Time and date match'
-                });
-              } else {
-                // Potential conflict - same day but different time
-                foundConflict = true;
-                conflicts.push({
-                  meeting: meeting,
-                  conflictingEvent: event,
-                  reason: 'Same day, potentially conflicting time'
-                });
-              }
-            } else {
-              // Found matching day but unclear time
-              foundMatch = true;
-              confirmedMeetings.push({
-                meeting: meeting,
-                calendarEvent: event,
-                reason: 'Date match, time unclear'
-              });
-            }
-        }
-      }
+    // Compare the meeting's estimated start/end with each event's real start/end
+    const comparison = compareMeetingToEvents(meeting, calendarEvents, { bufferMinutes: options.bufferMinutes, timeZone: options.timeZone });
+    const foundMatch = comparison.matches.length > 0;
+    const foundConflict = comparison.conflicts.length > 0;
+    
+    comparison.matches.forEach(({ event, reason }) => {
+      confirmedMeetings.push({ meeting: meeting, calendarEvent: event, reason: reason });
+    });
+    
+    // An event already matching this meeting means any overlap is just the meeting itself
+    if (!foundMatch) {
+      comparison.conflicts.forEach(({ event, reason }) => {
+        conflicts.push({ meeting: meeting, conflictingEvent: event, reason: reason });
+      });
+      comparison.nearMisses.forEach(({ event, reason }) => {
+        nearMisses.push({ meeting: meeting, calendarEvent: event, reason: reason });
+      });
     }
     
     // If no match or conflict found, it might be missing from calendar
@@ -448,33 +415,69 @@ function analyzeConflictsAndMissing(detectedMeetings, calendarEvents) {
   return {
     conflicts: conflicts,
     missingEvents: missingEvents,
-    confirmedMeetings: confirmedMeetings
+    rescheduled: rescheduled,
+    cancelled: cancelled,
+    confirmedMeetings: confirmedMeetings,
+    nearMisses: nearMisses
   };
 }
 
+async function createMissingCalendarEvents(userData, auditResults) {
+  if (!isWriteModeEnabled(userData) || auditResults.missingEvents.length === 0) {
+    return [];
+  }
+  
+  try {
+    console.log(`✍️ Write mode enabled - creating ${auditResults.missingEvents.length} missing events`);
+    const writer = new CalendarWriter(createCalendarClient(userData), { timeZone: getUserTimezone(userData) });
+    const { created } = await writer.createMissingEvents(auditResults.missingEvents);
+    
+    // Created meetings are no longer missing
+    const createdMeetings = new Set(created.map(item => item.meeting));
+    auditResults.missingEvents = auditResults.missingEvents.filter(missing => !createdMeetings.has(missing.meeting));
+    
+    return created;
+  } catch (error) {
+    console.log('Could not create calendar events:', error.message);
+    return [];
+  }
+}
+
+// { sent, message, error } - the message is returned even when sending failed, for the audit history
 async function sendComprehensiveSummary(userData, auditData) {
+  let message = '';
   try {
-    let message = `🤖 Daily WhatsApp Calendar Audit\n\n`;
+    message = `🤖 Daily WhatsApp Calendar Audit\n\n`;
     message += `👤 ${userData.name}\n`;
-    message += `📅 ${new Date().toLocaleDateString('en-US', { timeZone: 'Asia/Jerusalem' })} at ${new Date().toLocaleTimeString('en-US', { timeZone: 'Asia/Jerusalem' })}\n\n`;
+    message += `📅 ${formatUserDate(userData)} at ${formatUserTime(userData)}\n\n`;
     
     message += `📊 Scan Results:\n`;
     message += `📱 ${auditData.messagesScanned} messages scanned\n`;
     message += `🎯 ${auditData.meetingsDetected} potential meetings detected\n`;
-    message += `📅 ${auditData.calendarEvents} calendar events checked\n\n`;
+    message += `📅 ${auditData.calendarEvents} calendar events checked\n`;
+    if (auditData.alreadyReported > 0) {
+      message += `🗂️ ${auditData.alreadyReported} already reported earlier\n`;
+    }
+    message += `\n`;
     
     if (auditData.allGood) {
       message += `✅ All Good!\n`;
       message += `No scheduling conflicts or missing appointments detected.\n`;
       if (auditData.confirmedMeetings.length > 0) {
         message += `${auditData.confirmedMeetings.length} meetings properly scheduled in calendar.\n`;
+        auditData.confirmedMeetings.slice(0, 3).forEach((confirmed) => {
+          message += `• ${confirmed.reason}\n`;
+        });
       }
     } else {
       if (auditData.conflicts.length > 0) {
         message += `⚠️ Potential Conflicts (${auditData.conflicts.length}):\n`;
-        auditData.conflicts.slice(0, 3).forEach((conflict, i) => {
-          message += `${i + 1}. "${conflict.meeting.extractedText.substring(0, 50)}..."\n`;
-          message += `   Conflicts with: ${conflict.conflictingEvent.summary}\n`;
+        auditData.conflicts.slice(0, 3).forEach((conflict) => {
+          message += `${conflict.number}. "${conflict.meeting.extractedText.substring(0, 50)}..."\n`;
+          message += `   ${conflict.reason}\n`;
+          if (conflict.stillOpenSince) {
+            message += `   ${formatStillOpen(conflict, userData, 'conflicting')}\n`;
+          }
         });
         if (auditData.conflicts.length > 3) {
           message += `   ... and ${auditData.conflicts.length - 3} more\n`;
@@ -484,22 +487,80 @@ async function sendComprehensiveSummary(userData, auditData) {
       
       if (auditData.missingEvents.length > 0) {
         message += `📝 Possibly Missing from Calendar (${auditData.missingEvents.length}):\n`;
-        auditData.missingEvents.slice(0, 3).forEach((missing, i) => {
-          message += `${i + 1}. "${missing.meeting.extractedText.substring(0, 50)}..."\n`;
+        auditData.missingEvents.slice(0, 3).forEach((missing) => {
+          message += `${missing.number}. "${missing.meeting.extractedText.substring(0, 50)}..."\n`;
           message += `   Confidence: ${Math.round(missing.meeting.confidence * 100)}%\n`;
+          if (missing.stillOpenSince) {
+            message += `   ${formatStillOpen(missing, userData)}\n`;
+          }
         });
         if (auditData.missingEvents.length > 3) {
           message += `   ... and ${auditData.missingEvents.length - 3} more\n`;
         }
         message += `\n`;
       }
+      
+      if (auditData.rescheduled.length > 0) {
+        message += `🔁 Calendar Still Shows Old Time (${auditData.rescheduled.length}):\n`;
+        auditData.rescheduled.slice(0, 3).forEach((item) => {
+          message += `${item.number}. "${item.meeting.extractedText.substring(0, 50)}..."\n`;
+          message += `   ${item.reason}\n`;
+          if (item.stillOpenSince) {
+            message += `   ${formatStillOpen(item, userData, 'outdated')}\n`;
+          }
+        });
+        if (auditData.rescheduled.length > 3) {
+          message += `   ... and ${auditData.rescheduled.length - 3} more\n`;
+        }
+        message += `\n`;
+      }
+      
+      if (auditData.cancelled.length > 0) {
+        message += `🚫 Cancelled but Still on Calendar (${auditData.cancelled.length}):\n`;
+        auditData.cancelled.slice(0, 3).forEach((item) => {
+          message += `${item.number}. "${item.meeting.extractedText.substring(0, 50)}..."\n`;
+          message += `   ${item.reason}\n`;
+          if (item.stillOpenSince) {
+            message += `   ${formatStillOpen(item, userData, 'on the calendar')}\n`;
+          }
+        });
+        if (auditData.cancelled.length > 3) {
+          message += `   ... and ${auditData.cancelled.length - 3} more\n`;
+        }
+        message += `\n`;
+      }
+      
+      message += auditData.replyHint;
+    }
+    
+    if (auditData.nearMisses && auditData.nearMisses.length > 0) {
+      message += `\n⏱️ Tight Schedule (${auditData.nearMisses.length}):\n`;
+      auditData.nearMisses.slice(0, 3).forEach((nearMiss) => {
+        message += `• "${nearMiss.meeting.extractedText.substring(0, 50)}..."\n`;
+        message += `   ${nearMiss.reason}\n`;
+      });
+      if (auditData.nearMisses.length > 3) {
+        message += `   ... and ${auditData.nearMisses.length - 3} more\n`;
+      }
     }
     
-    message += `🕘 Next audit: Tomorrow at 9:30 PM\n`;
+    if (auditData.createdEvents && auditData.createdEvents.length > 0) {
+      message += `\n📅 Added to Calendar (${auditData.createdEvents.length}):\n`;
+      auditData.createdEvents.slice(0, 3).forEach((item, i) => {
+        const start = item.calendarEvent.start?.dateTime || item.calendarEvent.start?.date || '';
+        message += `${i + 1}. ${item.calendarEvent.summary} (${start.replace('T', ' ').substring(0, 16)})\n`;
+      });
+      if (auditData.createdEvents.length > 3) {
+        message += `   ... and ${auditData.createdEvents.length - 3} more\n`;
+      }
+      message += `\n`;
+    }
+    
+    message += `🕘 Next audit: ${formatNextAudit(userData)}\n`;
     message += `🤖 Powered by GitHub Actions`;
 
     await axios.post(
-      `https://api.green-api.com/waInstance${userData.greenApi.instanceId}/sendMessage/${userData.greenApi.token}`,
+      greenApiUrl(userData.greenApi, 'sendMessage'),
       {
         chatId: `${userData.phoneNumber}@c.us`,
         message: message
@@ -507,12 +568,14 @@ async function sendComprehensiveSummary(userData, auditData) {
     );
     
     console.log(`📤 Comprehensive summary sent to ${userData.name}`);
+    return { sent: true, message };
   } catch (error) {
     console.log('Could not send summary:', error.message);
+    return { sent: false, message: message || undefined, error: error.message };
   }
 }
 
-async function enhanceWithLLMAnalysis(keywordDetections, allMessages, llmAnalyzer) {
+async function enhanceWithLLMAnalysis(keywordDetections, allMessages, llmAnalyzer, options = {}) {
   const confirmedMeetings = [];
   
   for (const detection of keywordDetections) {
@@ -521,27 +584,18 @@ async function enhanceWithLLMAnalysis(keywordDetections, allMessages, llmAnalyze
       const conversationContext = getConversationContext(detection, allMessages);
       
       // Analyze with Claude
-      const llmResult = await llmAnalyzer.analyzeConversation(detection, conversationContext);
+      const llmResult = await llmAnalyzer.analyzeConversation(detection, conversationContext, options);
       
       // Add LLM analysis to the detection
       detection.llmAnalysis = llmResult;
       
-      // Only include meetings that Claude confirms as valid
-      if (llmResult.isValidMeeting && llmResult.confidence > 50) {
-        // Enhance detection with LLM-extracted information
-        if (llmResult.extractedDateTime) {
-          detection.llmDateTime = llmResult.extractedDateTime;
-        }
-        if (llmResult.extractedLocation) {
-          detection.llmLocation = llmResult.extractedLocation;
-        }
-        if (llmResult.extractedParticipants) {
-          detection.llmParticipants = llmResult.extractedParticipants;
-        }
-        if (llmResult.meetingType) {
-          detection.llmMeetingType = llmResult.meetingType;
-        }
-        
+      if (llmResult.parseFailed) {
+        // No verdict - keep the keyword detection, as when the request fails
+        console.log(`⚠️ Unreadable answer, keeping keyword detection: "${detection.extractedText.substring(0, 40)}..."`);
+        confirmedMeetings.push(detection);
+      } else if (llmResult.isValidMeeting && llmResult.confidence > 50) {
+        // Only include meetings that Claude confirms as valid
+        applyLLMResult(detection, llmResult);
         confirmedMeetings.push(detection);
         console.log(`✅ Claude confirmed: "${detection.extractedText.substring(0, 40)}..." (${llmResult.confidence}%)`);
       } else {
@@ -557,6 +611,107 @@ async function enhanceWithLLMAnalysis(keywordDetections, allMessages, llmAnalyze
   return confirmedMeetings;
 }
 
+// Enhance detection with LLM-extracted information
+function applyLLMResult(detection, llmResult) {
+  if (llmResult.extractedDateTime) {
+    detection.llmDateTime = llmResult.extractedDateTime;
+  }
+  if (llmResult.extractedLocation) {
+    detection.llmLocation = llmResult.extractedLocation;
+  }
+  if (llmResult.extractedParticipants) {
+    detection.llmParticipants = llmResult.extractedParticipants;
+  }
+  if (llmResult.meetingType) {
+    detection.llmMeetingType = llmResult.meetingType;
+  }
+  // A move or cancellation refers to a meeting arranged earlier
+  detection.intent = llmResult.intent || detection.intent;
+  if (llmResult.previousDateTime) {
+    detection.llmPreviousDateTime = llmResult.previousDateTime;
+  }
+}
+
+// "thread" (default) analyzes each chat's window in one request; "message" makes one per keyword hit
+function getLLMAnalysisMode() {
+  return process.env.LLM_ANALYSIS_MODE === 'message' ? 'message' : 'thread';
+}
+
+// One Claude request per chat with keyword hits, returning its distinct meetings. A meeting
+// discussed over several messages comes back once; a chat whose answer can't be read falls
+// back to per-message analysis.
+async function enhanceWithThreadAnalysis(keywordDetections, allMessages, llmAnalyzer, options = {}) {
+  const confirmedMeetings = [];
+  const chatIds = [...new Set(keywordDetections.map(detection => detection.chatId))];
+  
+  for (const chatId of chatIds) {
+    const chatDetections = keywordDetections.filter(detection => detection.chatId === chatId);
+    const chatMessages = allMessages
+      .filter(msg => msg.chatId === chatId)
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+      .slice(-THREAD_MESSAGE_LIMIT);
+    
+    const meetings = await llmAnalyzer.analyzeThread(chatMessages, options);
+    if (!meetings) {
+      console.log(`↩️ Falling back to per-message analysis for ${chatDetections.length} detections`);
+      confirmedMeetings.push(...await enhanceWithLLMAnalysis(chatDetections, allMessages, llmAnalyzer, options));
+      continue;
+    }
+    
+    for (const llmResult of meetings) {
+      const detection = detectionForThreadMeeting(llmResult, chatDetections, chatMessages);
+      if (!detection) {
+        console.log(`⚠️ Claude named unknown messages (${llmResult.messageIds.join(', ')}) - skipping`);
+        continue;
+      }
+      
+      detection.llmAnalysis = llmResult;
+      if (llmResult.isValidMeeting && llmResult.confidence > 50) {
+        applyLLMResult(detection, llmResult);
+        confirmedMeetings.push(detection);
+        console.log(`✅ Claude confirmed: "${detection.extractedText.substring(0, 40)}..." (${llmResult.confidence}%, ${llmResult.messageIds.length} messages)`);
+      } else {
+        console.log(`❌ Claude rejected: "${detection.extractedText.substring(0, 40)}..." - ${llmResult.reasoning}`);
+      }
+    }
+  }
+  
+  console.log(`🧵 Thread mode: ${chatIds.length} chats analyzed for ${keywordDetections.length} keyword hits`);
+  return confirmedMeetings;
+}
+
+// The detection a thread meeting is reported under: the keyword hit among its messages that came
+// last, else its last message (Claude can find meetings the keywords missed)
+function detectionForThreadMeeting(llmResult, chatDetections, chatMessages) {
+  const messageIds = llmResult.messageIds;
+  const anchor = chatDetections
+    .filter(detection => messageIds.includes(String(detection.messageId)))
+    .sort((a, b) => b.timestamp - a.timestamp)[0];
+  if (anchor) {
+    // A copy, since one message can take part in more than one meeting
+    return { ...anchor, sourceMessageIds: messageIds };
+  }
+  
+  const message = chatMessages
+    .filter(msg => messageIds.includes(String(msg.id)))
+    .sort((a, b) => b.timestamp - a.timestamp)[0];
+  if (!message) return null;
+  
+  return {
+    id: `${message.id}_thread`,
+    messageId: message.id,
+    chatId: message.chatId,
+    chatName: message.chatName,
+    senderName: message.senderName || message.senderId,
+    extractedText: message.text,
+    detectedKeywords: [],
+    parsedDates: [],
+    confidence: llmResult.confidence / 100,
+    timestamp: message.timestamp,
+    sourceMessageIds: messageIds
+  };
+}
+
 function getConversationContext(targetDetection, allMessages) {
   // Find messages from the same chat
   const chatMessages = allMessages.filter(msg => 
@@ -584,4 +739,5 @@ if (require.main === module) {
   runStandaloneAudit();
 }
 
-module.exports = { runStandaloneAudit };
\ No newline at end of file
+// The detection stages are shared with evaluate-detection.js
+module.exports = { runStandaloneAudit, enhanceWithLLMAnalysis, enhanceWithThreadAnalysis, getLLMAnalysisMode };
\ No newline at end of file
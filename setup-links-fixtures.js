@@ -0,0 +1,157 @@
+// Expiry and tampering of signed setup links and OAuth states (setup-links.js)
+process.env.SETUP_LINK_SECRET = 'setup-links-fixtures';
+process.env.ADMIN_TOKEN = 'admin-fixtures';
+
+const { userLink, requireUserLink, signState, userIdFromState, requireSignedState, verifyUserSignature } = require('./setup-links');
+const { runChecks } = require('./fixture-checks');
+
+const USER_ID = 'user_1700000000000';
+const DAY = 24 * 60 * 60 * 1000;
+
+// The sig parameter of a fresh link for userId
+function sigFor(userId = USER_ID) {
+  return new URL(userLink(userId, '/setup/caldav'), 'http://localhost').searchParams.get('sig');
+}
+
+// Swaps one character of the hmac part
+function tamper(sig) {
+  const [expiresAt, signature] = sig.split('.');
+  return `${expiresAt}.${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+}
+
+// Runs an Express middleware against a fake request; "next" or the status it answered with
+function respond(middleware, req) {
+  let outcome = 'no answer';
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    send() {
+      return this;
+    }
+  };
+  middleware({ method: 'GET', path: '/setup', headers: {}, query: {}, params: {}, ...req }, res, () => {
+    outcome = 'next';
+  });
+  return outcome;
+}
+
+const FIXTURES = [
+  {
+    name: 'userLink puts the user id in the path and keeps the extra query',
+    run: () => {
+      const link = new URL(userLink('a b', '/setup/calendar', { write: 1 }), 'http://localhost');
+      return [link.pathname, link.searchParams.get('write'), /^\d+\.[\w-]+$/.test(link.searchParams.get('sig'))];
+    },
+    expected: ['/setup/calendar/a%20b', '1', true]
+  },
+  {
+    name: 'a fresh link verifies',
+    run: () => verifyUserSignature(USER_ID, sigFor()),
+    expected: true
+  },
+  {
+    name: 'still valid after 13 days, expired after 15',
+    run: () => {
+      const sig = sigFor();
+      return [verifyUserSignature(USER_ID, sig, Date.now() + 13 * DAY), verifyUserSignature(USER_ID, sig, Date.now() + 15 * DAY)];
+    },
+    expected: [true, false]
+  },
+  {
+    name: 'a changed hmac fails',
+    run: () => verifyUserSignature(USER_ID, tamper(sigFor())),
+    expected: false
+  },
+  {
+    name: 'a pushed-back expiry fails',
+    run: () => {
+      const [expiresAt, signature] = sigFor().split('.');
+      return verifyUserSignature(USER_ID, `${Number(expiresAt) + 30 * DAY}.${signature}`);
+    },
+    expected: false
+  },
+  {
+    name: 'another user\'s link fails',
+    run: () => verifyUserSignature(USER_ID, sigFor('user_1700000000001')),
+    expected: false
+  },
+  {
+    name: 'missing or malformed sig fails',
+    run: () => [undefined, '', 'abc', `${Date.now() + DAY}.`].map(sig => verifyUserSignature(USER_ID, sig)),
+    expected: [false, false, false, false]
+  },
+  {
+    name: 'a link signed with another secret fails',
+    run: () => {
+      const sig = sigFor();
+      process.env.SETUP_LINK_SECRET = 'rotated';
+      try {
+        return verifyUserSignature(USER_ID, sig);
+      } finally {
+        process.env.SETUP_LINK_SECRET = 'setup-links-fixtures';
+      }
+    },
+    expected: false
+  },
+  {
+    name: 'OAuth state round-trips to the user id, dots included',
+    run: () => [userIdFromState(signState(USER_ID)), userIdFromState(signState('first.last'))],
+    expected: [USER_ID, 'first.last']
+  },
+  {
+    name: 'a state pointed at another user, tampered or missing is null',
+    run: () => {
+      const state = signState(USER_ID);
+      return [
+        userIdFromState(state.replace(USER_ID, 'user_1700000000001')),
+        userIdFromState(`${USER_ID}.${tamper(state.slice(USER_ID.length + 1))}`),
+        userIdFromState(USER_ID),
+        userIdFromState(undefined)
+      ];
+    },
+    expected: [null, null, null, null]
+  },
+  {
+    name: 'requireUserLink: signed query or form sig passes, unsigned and expired get 403',
+    run: () => {
+      const sig = sigFor();
+      const [expiresAt, signature] = sig.split('.');
+      const expired = `${Number(expiresAt) - 15 * DAY}.${signature}`;
+      return [
+        respond(requireUserLink, { params: { userId: USER_ID }, query: { sig } }),
+        respond(requireUserLink, { method: 'POST', params: { userId: USER_ID }, body: { sig } }),
+        respond(requireUserLink, { params: { userId: USER_ID } }),
+        respond(requireUserLink, { params: { userId: USER_ID }, query: { sig: expired } })
+      ];
+    },
+    expected: ['next', 'next', 403, 403]
+  },
+  {
+    name: 'requireUserLink: admins open any user\'s pages without a sig',
+    run: () => [
+      respond(requireUserLink, { params: { userId: USER_ID }, headers: { authorization: 'Bearer admin-fixtures' } }),
+      respond(requireUserLink, { params: { userId: USER_ID }, headers: { authorization: 'Bearer wrong' } })
+    ],
+    expected: ['next', 403]
+  },
+  {
+    name: 'requireSignedState: only a state this service signed passes',
+    run: () => [
+      respond(requireSignedState, { query: { state: signState(USER_ID) } }),
+      respond(requireSignedState, { query: { state: USER_ID } })
+    ],
+    expected: ['next', 403]
+  }
+];
+
+function runFixtures(fixtures = FIXTURES) {
+  return runChecks('setup link', fixtures);
+}
+
+if (require.main === module) {
+  runFixtures().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { FIXTURES, runFixtures };
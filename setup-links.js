@@ -0,0 +1,80 @@
+// Signed per-user links for the onboarding pages. A user has no login: knowing the link is the
+// credential, so every /setup/... and /auth/... link carries sig = "{expiresAt}.{hmac}" over the
+// user id, and the OAuth state sent to Google and Microsoft is signed the same way. Links are
+// signed with SETUP_LINK_SECRET (or, without it, a key derived from ADMIN_TOKEN).
+const crypto = require('crypto');
+const { isAdminRequest } = require('./admin-auth');
+
+const LINK_DAYS = 14;
+
+let processSecret = null;
+
+// Without any configured secret, links are signed with a per-process key and stop working on restart
+function getLinkSecret() {
+  if (process.env.SETUP_LINK_SECRET) return process.env.SETUP_LINK_SECRET;
+  if (process.env.ADMIN_TOKEN) return `setup-links:${process.env.ADMIN_TOKEN}`;
+  if (!processSecret) {
+    console.log('⚠️ Neither SETUP_LINK_SECRET nor ADMIN_TOKEN is set, setup links expire when the service restarts');
+    processSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return processSecret;
+}
+
+function hmac(userId, expiresAt) {
+  return crypto.createHmac('sha256', getLinkSecret()).update(`${userId}:${expiresAt}`).digest('base64url');
+}
+
+function signUser(userId, now = Date.now()) {
+  const expiresAt = now + LINK_DAYS * 24 * 60 * 60 * 1000;
+  return `${expiresAt}.${hmac(userId, expiresAt)}`;
+}
+
+function verifyUserSignature(userId, sig, now = Date.now()) {
+  const [expiresAt, signature] = String(sig || '').split('.');
+  if (!userId || !(Number(expiresAt) > now) || !signature) return false;
+  const expected = Buffer.from(hmac(userId, expiresAt));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// userLink("abc", "/setup/caldav") -> "/setup/caldav/abc?sig=..."; query: extra parameters ({ write: 1 })
+function userLink(userId, step, query = {}) {
+  const params = new URLSearchParams({ ...query, sig: signUser(userId) });
+  return `${step}/${encodeURIComponent(userId)}?${params}`;
+}
+
+const invalidLinkPage = `
+    <div style="font-family: Arial; max-width: 600px; margin: 50px auto; padding: 20px;">
+      <h1>🔒 This setup link isn't valid</h1>
+      <p>It may have expired or been copied incompletely. Ask the person who set up the service for a new link.</p>
+    </div>`;
+
+// Express middleware for /.../:userId onboarding routes; admins may open any user's pages
+function requireUserLink(req, res, next) {
+  const sig = req.query.sig || req.body?.sig;
+  if (verifyUserSignature(req.params.userId, sig) || isAdminRequest(req)) return next();
+  console.log(`🚫 Unsigned or expired setup link: ${req.method} ${req.path}`);
+  res.status(403).send(invalidLinkPage);
+}
+
+// OAuth state: "{userId}.{expiresAt}.{hmac}"
+function signState(userId) {
+  return `${userId}.${signUser(userId)}`;
+}
+
+// The user id a signed state stands for, or null
+function userIdFromState(state) {
+  const parts = String(state || '').split('.');
+  if (parts.length < 3) return null;
+  const userId = parts.slice(0, -2).join('.');
+  return verifyUserSignature(userId, parts.slice(-2).join('.')) ? userId : null;
+}
+
+// Express middleware for OAuth callbacks: the state must be one this service signed
+function requireSignedState(req, res, next) {
+  if (userIdFromState(req.query.state)) return next();
+  console.log(`🚫 OAuth callback with an unsigned state: ${req.path}`);
+  res.status(403).send(invalidLinkPage);
+}
+
+module.exports = { userLink, requireUserLink, signState, userIdFromState, requireSignedState, verifyUserSignature };
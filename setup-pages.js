@@ -0,0 +1,111 @@
+// Setup pages shared by daily-audit-service.js and combined-service.js. Calendar and chat names
+// come from the provider or from WhatsApp, so everything interpolated is escaped.
+const { userLink } = require('./setup-links');
+const { getChatRules } = require('./chat-rules');
+const { escapeHtml } = require('./admin-auth');
+
+// Calendar selection: which calendars count for conflicts and which count as "already scheduled"
+function calendarsPage(userData) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Choose Calendars - ${escapeHtml(userData.name)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; }
+        .step { background: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 8px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+        td.choice { text-align: center; }
+        button { background: #28a745; color: white; padding: 12px 24px; border: none; border-radius: 4px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h1>📚 Choose Calendars for ${escapeHtml(userData.name)}</h1>
+    
+    <div class="step">
+        <p><strong>Check for conflicts</strong>: new meetings from WhatsApp are compared against events in these calendars.</p>
+        <p><strong>Counts as scheduled</strong>: a meeting found in these calendars is not reported as missing.</p>
+        <form action="${userLink(userData.id, '/setup/calendars')}" method="POST">
+            <table>
+                <tr><th>Calendar</th><th>Check for conflicts</th><th>Counts as scheduled</th></tr>
+                ${(userData.calendars || []).map(entry => `
+                <tr>
+                    <td>${escapeHtml(entry.name)}</td>
+                    <td class="choice"><input type="checkbox" name="conflicts" value="${escapeHtml(entry.id)}" ${entry.checkConflicts ? 'checked' : ''}></td>
+                    <td class="choice"><input type="checkbox" name="scheduled" value="${escapeHtml(entry.id)}" ${entry.countsAsScheduled ? 'checked' : ''}></td>
+                </tr>`).join('')}
+            </table>
+            <br>
+            <button type="submit">✅ Save Calendars</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+// Chat selection: the general rules plus a per-chat override
+function chatsPage(userData, chats) {
+  const rules = getChatRules(userData);
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Choose Chats - ${escapeHtml(userData.name)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 700px; margin: 50px auto; padding: 20px; }
+        .step { background: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 8px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+        td.reason { color: #666; font-size: 13px; }
+        input[type=text], input[type=number] { width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        button { background: #28a745; color: white; padding: 12px 24px; border: none; border-radius: 4px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h1>💬 Choose Chats for ${escapeHtml(userData.name)}</h1>
+    
+    <form action="${userLink(userData.id, '/setup/chats')}" method="POST">
+        <div class="step">
+            <h3>General rules</h3>
+            <label><input type="checkbox" name="individualChats" ${rules.individualChats ? 'checked' : ''}> Read one-to-one chats</label><br><br>
+            <label>Read groups with at most this many people (0 = no groups)</label>
+            <input type="number" name="maxGroupSize" min="0" value="${rules.maxGroupSize}">
+            <label>Always read chats whose name contains (comma separated)</label>
+            <input type="text" name="includeNames" value="${escapeHtml(rules.include.names.join(', '))}">
+            <label>Never read chats whose name contains</label>
+            <input type="text" name="excludeNames" value="${escapeHtml(rules.exclude.names.join(', '))}">
+            <label>Always read chats labelled</label>
+            <input type="text" name="includeLabels" value="${escapeHtml(rules.include.labels.join(', '))}">
+            <label>Never read chats labelled</label>
+            <input type="text" name="excludeLabels" value="${escapeHtml(rules.exclude.labels.join(', '))}">
+        </div>
+        
+        <div class="step">
+            <h3>Chats</h3>
+            <p>"Rules" follows the general rules above; the last column shows what they decide today.</p>
+            <table>
+                <tr><th>Chat</th><th>Read</th><th>Labels</th><th>Today</th></tr>
+                ${chats.map((chat, index) => `
+                <tr>
+                    <td>${chat.isGroup ? '👥' : '👤'} ${escapeHtml(chat.name)}<input type="hidden" name="chats[${index}][id]" value="${escapeHtml(chat.id)}"></td>
+                    <td>
+                        <select name="chats[${index}][mode]">
+                            <option value="auto" ${chat.mode === 'auto' ? 'selected' : ''}>Rules</option>
+                            <option value="include" ${chat.mode === 'include' ? 'selected' : ''}>Always</option>
+                            <option value="exclude" ${chat.mode === 'exclude' ? 'selected' : ''}>Never</option>
+                        </select>
+                    </td>
+                    <td><input type="text" name="chats[${index}][labels]" value="${escapeHtml(chat.labels)}" placeholder="family"></td>
+                    <td class="reason">${escapeHtml(chat.reason)}</td>
+                </tr>`).join('')}
+            </table>
+        </div>
+        
+        <button type="submit">✅ Save Chats</button>
+    </form>
+</body>
+</html>`;
+}
+
+module.exports = { calendarsPage, chatsPage };
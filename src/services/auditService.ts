@@ -1,4 +1,4 @@
-import { DetectedMeeting, CalendarEvent, AuditRecord, NotificationSummary } from '../types';
+import { DetectedMeeting, CalendarEvent, CalendarProvider, AuditRecord, NotificationSummary } from '../types';
 import { CachedGreenApiService } from './cachedGreenApi';
 import { GoogleCalendarService } from './googleCalendar';
 import { DatabaseManager } from '../models/database';
@@ -7,13 +7,13 @@ import { subDays, addDays, parseISO, isWithinInterval, format } from 'date-fns';
 
 export class AuditService {
   private greenApi: CachedGreenApiService;
-  private googleCalendar: GoogleCalendarService;
+  private googleCalendar: CalendarProvider;
   private database: DatabaseManager;
   private keywordDetector: KeywordDetector;
 
-  constructor() {
+  constructor(calendarProvider: CalendarProvider = new GoogleCalendarService()) {
     this.greenApi = new CachedGreenApiService();
-    this.googleCalendar = new GoogleCalendarService();
+    this.googleCalendar = calendarProvider;
     this.database = new DatabaseManager();
     this.keywordDetector = new KeywordDetector();
   }
@@ -164,7 +164,7 @@ export class AuditService {
       
       if (overlappingEvents.length > 0) {
         const conflictDescriptions = overlappingEvents.map(event => 
-          `${event.summary} (${format(parseISO(event.start.dateTime || event.start.date || ''), 'HH:mm')})`
+          `${event.summary} (${format(parseISO(event.start.dateTime || event.start.date || ''), 'HH:mm')}${event.calendarName ? `, ${event.calendarName}` : ''})`
         ).join(', ');
         
         return `Time conflict with: ${conflictDescriptions}`;
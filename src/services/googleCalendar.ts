@@ -1,10 +1,10 @@
 import { google } from 'googleapis';
 import { OAuth2Client } from 'google-auth-library';
-import { CalendarEvent } from '../types';
+import { CalendarEvent, CalendarProvider } from '../types';
 import { config } from '../utils/config';
 import { subDays, addDays } from 'date-fns';
 
-export class GoogleCalendarService {
+export class GoogleCalendarService implements CalendarProvider {
   private oauth2Client: OAuth2Client;
   private calendar: any;
 
@@ -49,34 +49,35 @@ export class GoogleCalendarService {
     return this.oauth2Client.credentials;
   }
 
+  async listCalendars(): Promise<Array<{ id: string; name: string; primary: boolean }>> {
+    const response = await this.calendar.calendarList.list({ minAccessRole: 'reader' });
+    return (response.data.items || []).map((entry: any) => ({
+      id: entry.id,
+      name: entry.summaryOverride || entry.summary || entry.id,
+      primary: !!entry.primary
+    }));
+  }
+
   async getEventsInDateRange(startDate: Date, endDate: Date): Promise<CalendarEvent[]> {
     try {
-      const response = await this.calendar.events.list({
-        calendarId: config.googleCalendar.calendarId,
-        timeMin: startDate.toISOString(),
-        timeMax: endDate.toISOString(),
-        singleEvents: true,
-        orderBy: 'startTime',
-        maxResults: 250
-      });
-
-      const events = response.data.items || [];
-      
-      return events.map((event: any) => ({
-        id: event.id,
-        summary: event.summary || '',
-        description: event.description || '',
-        start: {
-          dateTime: event.start.dateTime || event.start.date,
-          date: event.start.date
-        },
-        end: {
-          dateTime: event.end.dateTime || event.end.date,
-          date: event.end.date
-        },
-        attendees: event.attendees || [],
-        location: event.location || ''
-      }));
+      const events: CalendarEvent[] = [];
+
+      for (const calendarId of config.googleCalendar.calendarIds) {
+        const response = await this.calendar.events.list({
+          calendarId,
+          timeMin: startDate.toISOString(),
+          timeMax: endDate.toISOString(),
+          singleEvents: true,
+          orderBy: 'startTime',
+          maxResults: 250
+        });
+
+        events.push(...(response.data.items || []).map((event: any) =>
+          this.toCalendarEvent(event, calendarId, response.data.summary)
+        ));
+      }
+
+      return events;
     } catch (error) {
       console.error('Error fetching calendar events:', error);
       throw error;
@@ -92,38 +93,50 @@ export class GoogleCalendarService {
 
   async searchEvents(query: string, startDate: Date, endDate: Date): Promise<CalendarEvent[]> {
     try {
-      const response = await this.calendar.events.list({
-        calendarId: config.googleCalendar.calendarId,
-        timeMin: startDate.toISOString(),
-        timeMax: endDate.toISOString(),
-        q: query,
-        singleEvents: true,
-        orderBy: 'startTime'
-      });
-
-      const events = response.data.items || [];
-      
-      return events.map((event: any) => ({
-        id: event.id,
-        summary: event.summary || '',
-        description: event.description || '',
-        start: {
-          dateTime: event.start.dateTime || event.start.date,
-          date: event.start.date
-        },
-        end: {
-          dateTime: event.end.dateTime || event.end.date,
-          date: event.end.date
-        },
-        attendees: event.attendees || [],
-        location: event.location || ''
-      }));
+      const events: CalendarEvent[] = [];
+
+      for (const calendarId of config.googleCalendar.calendarIds) {
+        const response = await this.calendar.events.list({
+          calendarId,
+          timeMin: startDate.toISOString(),
+          timeMax: endDate.toISOString(),
+          q: query,
+          singleEvents: true,
+          orderBy: 'startTime'
+        });
+
+        events.push(...(response.data.items || []).map((event: any) =>
+          this.toCalendarEvent(event, calendarId, response.data.summary)
+        ));
+      }
+
+      return events;
     } catch (error) {
       console.error('Error searching calendar events:', error);
       throw error;
     }
   }
 
+  private toCalendarEvent(event: any, calendarId: string, calendarName?: string): CalendarEvent {
+    return {
+      id: event.id,
+      summary: event.summary || '',
+      description: event.description || '',
+      start: {
+        dateTime: event.start.dateTime || event.start.date,
+        date: event.start.date
+      },
+      end: {
+        dateTime: event.end.dateTime || event.end.date,
+        date: event.end.date
+      },
+      attendees: event.attendees || [],
+      location: event.location || '',
+      calendarId,
+      calendarName: calendarName || calendarId
+    };
+  }
+
   async findEventsByNames(names: string[], startDate: Date, endDate: Date): Promise<CalendarEvent[]> {
     const allEvents: CalendarEvent[] = [];
     
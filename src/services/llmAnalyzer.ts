@@ -1,27 +1,26 @@
-import Anthropic from '@anthropic-ai/sdk';
-import { WhatsAppMessage, DetectedMeeting } from '../types';
-
-export interface LLMAnalysisResult {
-  isValidMeeting: boolean;
-  confidence: number;
-  extractedDateTime?: string;
-  extractedLocation?: string;
-  extractedParticipants?: string[];
-  meetingType?: string;
-  reasoning: string;
-}
+import { WhatsAppMessage, DetectedMeeting, LLMSettings, LLMAnalysisResult } from '../types';
+import { config } from '../utils/config';
+import { LLMBackend, createLLMBackend } from './llmBackends';
+import { MEETING_ANSWER_SCHEMA, validateAgainstSchema } from './llmSchema';
+
+export { LLMAnalysisResult };
+
+// An answer that breaks the schema is sent back once with what was wrong
+const SCHEMA_ATTEMPTS = 2;
 
 export class LLMAnalyzer {
-  private anthropic: Anthropic | null = null;
+  private backend: LLMBackend;
+  private maxTokens: number;
   private enabled: boolean;
 
-  constructor() {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    this.enabled = !!(apiKey && apiKey.trim().length > 0);
+  // settings override config.llm, e.g. a user's own model or a local server
+  constructor(settings: Partial<LLMSettings> = {}, backend?: LLMBackend) {
+    const llmSettings = { ...config.llm, ...settings };
+    this.backend = backend || createLLMBackend(llmSettings);
+    this.maxTokens = llmSettings.maxTokens;
+    this.enabled = this.backend.isAvailable();
     
-    if (this.enabled && apiKey) {
-      this.anthropic = new Anthropic({ apiKey });
-    } else {
+    if (!this.enabled) {
       console.warn('Anthropic API key not found. LLM analysis will be skipped.');
     }
   }
@@ -37,30 +36,33 @@ export class LLMAnalyzer {
     try {
       const prompt = this.buildAnalysisPrompt(detectedMeeting, conversationHistory);
       
-      if (!this.anthropic) {
-        throw new Error('Anthropic client not initialized');
-      }
-      
-      const response = await this.anthropic.messages.create({
-        model: 'claude-3-haiku-20240307',
-        max_tokens: 300,
-        temperature: 0.1,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      });
-
-      const analysis = response.content[0]?.type === 'text' ? response.content[0].text : '';
-      if (!analysis) {
-        return this.getFallbackResult(detectedMeeting);
+      let request = prompt;
+      let errors: string[] = [];
+      for (let attempt = 1; attempt <= SCHEMA_ATTEMPTS; attempt++) {
+        const analysis = await this.backend.complete({ prompt: request, maxTokens: this.maxTokens, schema: MEETING_ANSWER_SCHEMA, detectedMeeting });
+        const parsed = this.parseAnswer(analysis);
+        errors = parsed.errors;
+        if (errors.length === 0) {
+          return this.toResult(parsed.value);
+        }
+
+        console.warn(`LLM answer breaks the schema (attempt ${attempt}/${SCHEMA_ATTEMPTS}): ${errors.slice(0, 3).join('; ')}`);
+        request = `${prompt}
+
+YOUR PREVIOUS ANSWER DID NOT MATCH THE REQUIRED OUTPUT:
+${errors.slice(0, 10).map(error => `• ${error}`).join('\n')}
+Respond again with ONLY the corrected JSON object:`;
       }
 
-      return this.parseAnalysisResponse(analysis);
+      // Not a verdict either way
+      console.warn(`Unreadable LLM answer for "${detectedMeeting.extractedText.substring(0, 50)}...", using keyword detection`);
+      return {
+        ...this.getFallbackResult(detectedMeeting),
+        parseFailed: true,
+        reasoning: `LLM answer did not match the schema (${errors[0]}), using fallback detection`
+      };
     } catch (error) {
-      console.error('Claude analysis failed:', error);
+      console.error(`LLM analysis failed (${this.backend.name}):`, error);
       return this.getFallbackResult(detectedMeeting);
     }
   }
@@ -128,35 +130,33 @@ Analyze the conversation and respond with ONLY the JSON object:`;
     return prompt;
   }
 
-  private parseAnalysisResponse(response: string): LLMAnalysisResult {
-    try {
-      // Extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in response');
-      }
+  // The answer's JSON and its schema violations
+  private parseAnswer(response: string): { value?: any; errors: string[] } {
+    const jsonMatch = response && response.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      return { errors: ['answer: no JSON found'] };
+    }
 
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      return {
-        isValidMeeting: !!parsed.isValidMeeting,
-        confidence: Math.max(0, Math.min(100, parsed.confidence || 0)),
-        extractedDateTime: parsed.extractedDateTime || undefined,
-        extractedLocation: parsed.extractedLocation || undefined,
-        extractedParticipants: parsed.extractedParticipants || undefined,
-        meetingType: parsed.meetingType || undefined,
-        reasoning: parsed.reasoning || 'No reasoning provided'
-      };
+    try {
+      const value = JSON.parse(jsonMatch[0]);
+      return { value, errors: validateAgainstSchema(value, MEETING_ANSWER_SCHEMA.schema) };
     } catch (error) {
-      console.error('Failed to parse Claude response:', response);
-      return {
-        isValidMeeting: false,
-        confidence: 0,
-        reasoning: 'Failed to parse Claude response'
-      };
+      return { errors: [`answer: not JSON (${(error as Error).message})`] };
     }
   }
 
+  private toResult(parsed: any): LLMAnalysisResult {
+    return {
+      isValidMeeting: parsed.isValidMeeting,
+      confidence: parsed.confidence,
+      extractedDateTime: parsed.extractedDateTime || undefined,
+      extractedLocation: parsed.extractedLocation || undefined,
+      extractedParticipants: parsed.extractedParticipants || undefined,
+      meetingType: parsed.meetingType || undefined,
+      reasoning: parsed.reasoning
+    };
+  }
+
   private getFallbackResult(detectedMeeting: DetectedMeeting): LLMAnalysisResult {
     const hasDateTime = detectedMeeting.detectedDate || detectedMeeting.detectedTime;
     const confidence = Math.round(detectedMeeting.confidence * 100);
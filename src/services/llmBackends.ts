@@ -0,0 +1,132 @@
+import Anthropic from '@anthropic-ai/sdk';
+import axios from 'axios';
+import { DetectedMeeting, LLMSettings } from '../types';
+import { AnswerSchema } from './llmSchema';
+
+export interface LLMRequest {
+  prompt: string;
+  maxTokens: number;
+  // The answer's shape; backends constrain the model to it where they can
+  schema: AnswerSchema;
+  // What the prompt was built from, for backends that don't read prompts
+  detectedMeeting: DetectedMeeting;
+}
+
+// Returns the model's answer for a prompt, as JSON text
+export interface LLMBackend {
+  readonly name: string;
+  readonly model: string;
+  isAvailable(): boolean;
+  complete(request: LLMRequest): Promise<string>;
+}
+
+export class AnthropicBackend implements LLMBackend {
+  readonly name = 'anthropic';
+  private client: Anthropic | null = null;
+
+  constructor(readonly model: string, private temperature: number) {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (apiKey && apiKey.trim().length > 0) {
+      this.client = new Anthropic({ apiKey });
+    }
+  }
+
+  isAvailable(): boolean {
+    return !!this.client;
+  }
+
+  async complete(request: LLMRequest): Promise<string> {
+    if (!this.client) {
+      throw new Error('Anthropic client not initialized');
+    }
+
+    const { schema } = request;
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: request.maxTokens,
+      temperature: this.temperature,
+      // Forcing the tool makes Claude answer with arguments shaped by the schema
+      tools: [{ name: schema.name, description: schema.description, input_schema: schema.schema as Anthropic.Tool.InputSchema }],
+      tool_choice: { type: 'tool', name: schema.name },
+      messages: [
+        {
+          role: 'user',
+          content: request.prompt
+        }
+      ]
+    });
+
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    return toolUse && toolUse.type === 'tool_use' ? JSON.stringify(toolUse.input) : '';
+  }
+}
+
+// Any OpenAI-compatible /chat/completions server: llama.cpp, Ollama, vLLM
+export class OpenAICompatibleBackend implements LLMBackend {
+  readonly name = 'openai';
+
+  constructor(readonly model: string, private temperature: number, private baseUrl: string) {}
+
+  isAvailable(): boolean {
+    return true;
+  }
+
+  async complete(request: LLMRequest): Promise<string> {
+    const apiKey = process.env.LLM_API_KEY;
+    const response = await axios.post(`${this.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      model: this.model,
+      temperature: this.temperature,
+      max_tokens: request.maxTokens,
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: request.schema.name, schema: request.schema.schema, strict: true }
+      },
+      messages: [{ role: 'user', content: request.prompt }]
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      timeout: 120000
+    });
+
+    return response.data?.choices?.[0]?.message?.content || '';
+  }
+}
+
+// Deterministic answers from the keyword detection, in the JSON the prompt asks for; for tests
+export class RuleBasedBackend implements LLMBackend {
+  readonly name = 'rules';
+
+  constructor(readonly model: string) {}
+
+  isAvailable(): boolean {
+    return true;
+  }
+
+  async complete(request: LLMRequest): Promise<string> {
+    const meeting = request.detectedMeeting;
+    const isValidMeeting = !!(meeting.detectedDate || meeting.detectedTime);
+
+    return JSON.stringify({
+      isValidMeeting,
+      confidence: isValidMeeting ? Math.round(meeting.confidence * 100) : 20,
+      extractedDateTime: null,
+      extractedLocation: null,
+      extractedParticipants: meeting.detectedNames || null,
+      meetingType: null,
+      reasoning: `Rule-based: ${isValidMeeting ? 'date or time detected' : 'no date or time'}`
+    });
+  }
+}
+
+export const createLLMBackend = (settings: LLMSettings): LLMBackend => {
+  switch (settings.backend) {
+    case 'openai':
+      return new OpenAICompatibleBackend(settings.model, settings.temperature, settings.baseUrl);
+    case 'rules':
+      return new RuleBasedBackend(settings.model);
+    default:
+      return new AnthropicBackend(settings.model, settings.temperature);
+  }
+};
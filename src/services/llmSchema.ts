@@ -0,0 +1,91 @@
+// The declared shape of a meeting verdict. Backends hold the model to it where they can
+// (Anthropic tool use, json_schema response format) and every answer is validated against it.
+export interface JsonSchema {
+  type?: string | string[];
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  items?: JsonSchema;
+  enum?: unknown[];
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  description?: string;
+}
+
+export interface AnswerSchema {
+  name: string;
+  description: string;
+  schema: JsonSchema;
+}
+
+const MEETING_PROPERTIES: Record<string, JsonSchema> = {
+  isValidMeeting: { type: 'boolean' },
+  confidence: { type: 'number', minimum: 0, maximum: 100 },
+  extractedDateTime: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}( \\d{2}:\\d{2})?$', description: 'YYYY-MM-DD HH:MM' },
+  extractedLocation: { type: ['string', 'null'] },
+  extractedParticipants: { type: ['array', 'null'], items: { type: 'string' } },
+  meetingType: { type: ['string', 'null'], description: 'appointment/meeting/treatment/etc' },
+  reasoning: { type: 'string', description: 'Brief explanation in Hebrew or English' }
+};
+
+export const MEETING_ANSWER_SCHEMA: AnswerSchema = {
+  name: 'report_meeting',
+  description: 'Report whether the conversation schedules a meeting, and its details',
+  schema: {
+    type: 'object',
+    properties: MEETING_PROPERTIES,
+    required: Object.keys(MEETING_PROPERTIES),
+    additionalProperties: false
+  }
+};
+
+const typeOf = (value: unknown): string => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// The ways value breaks schema, as "path: problem" lines; empty when it matches
+export const validateAgainstSchema = (value: unknown, schema: JsonSchema, path = 'answer'): string[] => {
+  const types = ([] as string[]).concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length > 0 && !types.includes(actual)) {
+    return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors: string[] = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path}: not a finite number`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: "${value.substring(0, 40)}" doesn't match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items!, `${path}[${index}]`)));
+  }
+
+  if (actual === 'object' && schema.properties) {
+    const record = value as Record<string, unknown>;
+    for (const field of schema.required || []) {
+      if (!(field in record)) errors.push(`${path}.${field}: missing`);
+    }
+    for (const [field, fieldValue] of Object.entries(record)) {
+      if (schema.properties[field]) {
+        errors.push(...validateAgainstSchema(fieldValue, schema.properties[field], `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field}: not in the schema`);
+      }
+    }
+  }
+
+  return errors;
+};
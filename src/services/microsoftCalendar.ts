@@ -0,0 +1,140 @@
+import axios from 'axios';
+import { subDays, addDays } from 'date-fns';
+import { CalendarEvent, CalendarProvider } from '../types';
+
+export interface MicrosoftTokens {
+  access_token: string;
+  refresh_token: string;
+  expires_at: number;
+}
+
+const MS_SCOPES = 'offline_access User.Read Calendars.Read';
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'Asia/Jerusalem';
+
+export class MicrosoftCalendarService implements CalendarProvider {
+  private graphBaseUrl: string;
+  private loginBaseUrl: string;
+
+  constructor(private tokens: MicrosoftTokens, private timeZone: string = DEFAULT_TIMEZONE) {
+    // Overridable so a local fake Graph endpoint can be used in development
+    this.graphBaseUrl = process.env.MS_GRAPH_BASE_URL || 'https://graph.microsoft.com/v1.0';
+    this.loginBaseUrl = `${process.env.MS_LOGIN_BASE_URL || 'https://login.microsoftonline.com'}/${process.env.MS_TENANT_ID || 'common'}/oauth2/v2.0`;
+  }
+
+  getTokens(): MicrosoftTokens {
+    return this.tokens;
+  }
+
+  async getEventsInDateRange(startDate: Date, endDate: Date): Promise<CalendarEvent[]> {
+    try {
+      const params = new URLSearchParams({
+        startDateTime: startDate.toISOString(),
+        endDateTime: endDate.toISOString(),
+        $top: '100',
+        $orderby: 'start/dateTime'
+      });
+
+      const events: any[] = [];
+      let url: string | undefined = `${this.graphBaseUrl}/me/calendar/calendarView?${params}`;
+
+      while (url) {
+        const response: any = await axios.get(url, {
+          headers: {
+            Authorization: `Bearer ${await this.getAccessToken()}`,
+            Prefer: 'outlook.timezone="UTC"'
+          },
+          timeout: 30000
+        });
+        events.push(...(response.data.value || []));
+        url = response.data['@odata.nextLink'];
+      }
+
+      return events
+        .filter(event => !event.isCancelled)
+        .map(event => this.toCalendarEvent(event));
+    } catch (error) {
+      console.error('Error fetching Microsoft calendar events:', error);
+      throw error;
+    }
+  }
+
+  async getLastThreeDaysEvents(): Promise<CalendarEvent[]> {
+    const startDate = subDays(new Date(), 3);
+    const endDate = addDays(new Date(), 1);
+
+    return this.getEventsInDateRange(startDate, endDate);
+  }
+
+  async isAuthenticated(): Promise<boolean> {
+    try {
+      await this.getAccessToken();
+      return true;
+    } catch (error) {
+      console.error('Error checking Microsoft authentication:', error);
+      return false;
+    }
+  }
+
+  private async getAccessToken(): Promise<string> {
+    if (this.tokens.expires_at - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+      return this.tokens.access_token;
+    }
+
+    const response = await axios.post(`${this.loginBaseUrl}/token`, new URLSearchParams({
+      client_id: process.env.MS_CLIENT_ID || '',
+      client_secret: process.env.MS_CLIENT_SECRET || '',
+      scope: MS_SCOPES,
+      grant_type: 'refresh_token',
+      refresh_token: this.tokens.refresh_token
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 30000
+    });
+
+    this.tokens = {
+      access_token: response.data.access_token,
+      refresh_token: response.data.refresh_token || this.tokens.refresh_token,
+      expires_at: Date.now() + (response.data.expires_in || 3600) * 1000
+    };
+    return this.tokens.access_token;
+  }
+
+  // Times are requested in UTC, so they get a "Z"; all-day events carry the date in both fields like Google's mapping.
+  // An all-day event starts at midnight in its own zone (the evening before in UTC), so its date is read in that zone.
+  private toCalendarEvent(event: any): CalendarEvent {
+    const toUtc = (value: string) => `${value.replace(/\.\d+$/, '')}Z`;
+    const zone = isValidTimeZone(event.originalStartTimeZone) ? event.originalStartTimeZone : this.timeZone;
+    const toDate = (value: string) => new Intl.DateTimeFormat('en-CA', { timeZone: zone }).format(new Date(toUtc(value)));
+    const start = event.isAllDay
+      ? { dateTime: toDate(event.start.dateTime), date: toDate(event.start.dateTime) }
+      : { dateTime: toUtc(event.start.dateTime) };
+    const end = event.isAllDay
+      ? { dateTime: toDate(event.end.dateTime), date: toDate(event.end.dateTime) }
+      : { dateTime: toUtc(event.end.dateTime) };
+
+    return {
+      id: event.id,
+      summary: event.subject || '',
+      description: event.bodyPreview || '',
+      start,
+      end,
+      attendees: (event.attendees || []).map((attendee: any) => ({
+        email: attendee.emailAddress?.address,
+        displayName: attendee.emailAddress?.name
+      })),
+      location: event.location?.displayName || '',
+      calendarName: 'Outlook'
+    };
+  }
+}
+
+function isValidTimeZone(timeZone?: string): boolean {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
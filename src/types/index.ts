@@ -25,6 +25,14 @@ export interface CalendarEvent {
     displayName?: string;
   }>;
   location?: string;
+  calendarId?: string;
+  calendarName?: string;
+}
+
+export interface CalendarProvider {
+  getEventsInDateRange(startDate: Date, endDate: Date): Promise<CalendarEvent[]>;
+  getLastThreeDaysEvents(): Promise<CalendarEvent[]>;
+  isAuthenticated(): Promise<boolean>;
 }
 
 export interface DetectedMeeting {
@@ -50,6 +58,8 @@ export interface LLMAnalysisResult {
   extractedParticipants?: string[];
   meetingType?: string;
   reasoning: string;
+  // The model's answer broke the schema twice; the verdict is the keyword fallback
+  parseFailed?: boolean;
 }
 
 export interface AuditRecord {
@@ -71,7 +81,7 @@ export interface Config {
     clientId: string;
     clientSecret: string;
     redirectUri: string;
-    calendarId: string;
+    calendarIds: string[];
   };
   keywords: {
     hebrew: string[];
@@ -80,6 +90,18 @@ export interface Config {
   database: {
     path: string;
   };
+  llm: LLMSettings;
+}
+
+export type LLMBackendName = 'anthropic' | 'openai' | 'rules';
+
+export interface LLMSettings {
+  backend: LLMBackendName;
+  model: string;
+  temperature: number;
+  maxTokens: number;
+  // OpenAI-compatible servers only (llama.cpp, Ollama)
+  baseUrl: string;
 }
 
 export interface NotificationSummary {
@@ -1,4 +1,14 @@
-import { Config } from '../types';
+import { Config, LLMBackendName } from '../types';
+
+const llmBackend: LLMBackendName = process.env.LLM_BACKEND === 'openai' || process.env.LLM_BACKEND === 'rules'
+  ? process.env.LLM_BACKEND
+  : 'anthropic';
+const defaultModels: Record<LLMBackendName, string> = {
+  anthropic: 'claude-3-haiku-20240307',
+  openai: 'llama3.1',
+  rules: 'rules-v1'
+};
+const llmTemperature = parseFloat(process.env.LLM_TEMPERATURE || '');
 
 export const config: Config = {
   greenApi: {
@@ -10,7 +20,11 @@ export const config: Config = {
     clientId: process.env.GOOGLE_CLIENT_ID || '',
     clientSecret: process.env.GOOGLE_CLIENT_SECRET || '',
     redirectUri: process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/callback',
-    calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary'
+    // Comma-separated list, e.g. "primary,family@group.calendar.google.com"
+    calendarIds: (process.env.GOOGLE_CALENDAR_IDS || process.env.GOOGLE_CALENDAR_ID || 'primary')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
   },
   keywords: {
     hebrew: [
@@ -30,6 +44,14 @@ export const config: Config = {
   },
   database: {
     path: process.env.DATABASE_PATH || './data/audit.db'
+  },
+  llm: {
+    backend: llmBackend,
+    model: process.env.LLM_MODEL || defaultModels[llmBackend],
+    temperature: Number.isFinite(llmTemperature) ? llmTemperature : 0.1,
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '', 10) || 300,
+    // Ollama's OpenAI-compatible endpoint by default
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1'
   }
 };
 
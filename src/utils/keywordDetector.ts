@@ -57,7 +57,11 @@ export class KeywordDetector {
         
         // If Claude analysis is available, use it; otherwise use fallback
         if (this.llmAnalyzer.isEnabled()) {
-          if (llmAnalysis.isValidMeeting && llmAnalysis.confidence > 50) {
+          if (llmAnalysis.parseFailed) {
+            // No verdict - keep the keyword detection
+            console.log(`⚠️ Unreadable Claude answer - using keyword detection`);
+            detectedMeetings.push(detection);
+          } else if (llmAnalysis.isValidMeeting && llmAnalysis.confidence > 50) {
             console.log(`✅ Claude confirmed meeting: ${llmAnalysis.reasoning}`);
             detectedMeetings.push(detection);
           } else {
@@ -0,0 +1,146 @@
+// Where per-user audit state lives - the audit ledger, the numbered items of the last summary and
+// the audit history - so every runner reads and writes the same records. One store per collection:
+//   directory  data/{collection}/{userId}.json (default)
+//   database   USERS_DATABASE: a state (collection, id, data) table in the user registry's SQLite file
+//   service    STATE_SERVICE_URL: a running daily-audit-service, through its /admin/state routes with
+//              ADMIN_TOKEN - for the GitHub runner, whose disk is gone after every run
+// The service itself keeps its state in the directory or the database, so audits it runs, audits
+// the runner sends and the replies it handles all see one ledger.
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+const STATE_COLLECTIONS = ['audit-ledger', 'pending-actions', 'audit-history'];
+
+function checkKey(collection, id) {
+  if (!STATE_COLLECTIONS.includes(collection)) throw new Error(`Unknown state collection: ${collection}`);
+  if (!/^[\w.-]+$/.test(String(id))) throw new Error(`Invalid state id: ${id}`);
+}
+
+// data/{collection}/{userId}.json
+class DirectoryStore {
+  constructor(collection, dataDir) {
+    this.collection = collection;
+    this.dataDir = dataDir;
+    this.kind = 'directory';
+    this.name = path.relative(process.cwd(), dataDir) || dataDir;
+  }
+
+  // The stored record, or null when there is none
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dataDir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`${path.join(this.name, `${id}.json`)}: ${error.message}`);
+    }
+  }
+
+  async put(id, data) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(path.join(this.dataDir, `${id}.json`), JSON.stringify(data, null, 2));
+  }
+}
+
+// USERS_DATABASE: one JSON record per (collection, id) row, next to the users table
+class DatabaseStore {
+  constructor(collection, file) {
+    this.collection = collection;
+    this.file = file;
+    this.kind = 'database';
+    this.name = `${path.relative(process.cwd(), file) || file}#${collection}`;
+    this.db = null;
+    this.ready = null;
+  }
+
+  // Opens the file and creates the table once, however many calls arrive at the same time
+  open() {
+    this.ready = this.ready || (async () => {
+      const sqlite3 = require('sqlite3');
+      await fs.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+      this.db = new sqlite3.Database(this.file);
+      await this.run('CREATE TABLE IF NOT EXISTS state (collection TEXT NOT NULL, id TEXT NOT NULL, data TEXT NOT NULL, updatedAt TEXT NOT NULL, PRIMARY KEY (collection, id))');
+    })();
+    return this.ready;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async get(id) {
+    await this.open();
+    const row = await new Promise((resolve, reject) => {
+      this.db.get('SELECT data FROM state WHERE collection = ? AND id = ?', [this.collection, id], (error, found) => (error ? reject(error) : resolve(found)));
+    });
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async put(id, data) {
+    await this.open();
+    await this.run('INSERT OR REPLACE INTO state (collection, id, data, updatedAt) VALUES (?, ?, ?, ?)',
+      [this.collection, id, JSON.stringify(data), new Date().toISOString()]);
+  }
+}
+
+// STATE_SERVICE_URL: the service's GET/PUT /admin/state/{collection}/{id}
+class ServiceStore {
+  constructor(collection, baseUrl) {
+    this.collection = collection;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.kind = 'service';
+    this.name = `${this.baseUrl}/admin/state/${collection}`;
+  }
+
+  request(method, id, data) {
+    return axios({
+      method,
+      url: `${this.name}/${encodeURIComponent(id)}`,
+      data,
+      headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN || ''}` },
+      timeout: 30000
+    });
+  }
+
+  async get(id) {
+    try {
+      return (await this.request('GET', id)).data;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw new Error(`${this.name}/${id}: ${error.message}`);
+    }
+  }
+
+  async put(id, data) {
+    try {
+      await this.request('PUT', id, data);
+    } catch (error) {
+      throw new Error(`${this.name}/${id}: ${error.message}`);
+    }
+  }
+}
+
+// options: { source: 'directory' | 'database' | 'service', dataDir, databaseFile, serviceUrl }.
+// Without a source, STATE_SERVICE_URL wins over USERS_DATABASE, which wins over the directory.
+function createStateStore(collection, options = {}) {
+  if (!STATE_COLLECTIONS.includes(collection)) throw new Error(`Unknown state collection: ${collection}`);
+  const serviceUrl = options.serviceUrl ?? process.env.STATE_SERVICE_URL;
+  const databaseFile = options.databaseFile || process.env.USERS_DATABASE;
+  const source = options.source || (options.dataDir ? 'directory' : serviceUrl ? 'service' : databaseFile ? 'database' : 'directory');
+
+  switch (source) {
+    case 'service':
+      if (!serviceUrl) throw new Error('STATE_SERVICE_URL is not set');
+      return new ServiceStore(collection, serviceUrl);
+    case 'database':
+      return new DatabaseStore(collection, databaseFile || path.join(__dirname, 'data', 'users.db'));
+    case 'directory':
+      return new DirectoryStore(collection, options.dataDir || path.join(__dirname, 'data', collection));
+    default:
+      throw new Error(`Unknown state source: ${source}`);
+  }
+}
+
+module.exports = { STATE_COLLECTIONS, checkKey, createStateStore };
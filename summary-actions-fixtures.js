@@ -0,0 +1,151 @@
+// Numbered summary items and the WhatsApp replies that act on them (summary-actions.js)
+const { SummaryActions } = require('./summary-actions');
+const { AuditLedger } = require('./audit-ledger');
+const { runChecks } = require('./fixture-checks');
+
+const DANA = { id: 'actions-user', name: 'Dana', timezone: 'Asia/Jerusalem' };
+
+function meeting(id, text, llmDateTime) {
+  return { id, messageId: id, chatId: '972501111111@c.us', chatName: 'Ben', extractedText: text, llmDateTime };
+}
+
+const DINNER = meeting('dinner', 'Dinner at grandma\'s on Friday at 8', '2026-10-23T20:00:00');
+const DENTIST = meeting('dentist', 'Dentist Tuesday 10:00', '2026-10-20T10:00:00');
+const PARTY = meeting('party', 'The party moved to Sunday', '2026-10-25T17:00:00');
+
+// One conflict (with two events), one missing meeting and one moved in chat
+const AUDIT = {
+  conflicts: [{ meeting: DENTIST, event: 'Work' }, { meeting: DENTIST, event: 'Gym' }],
+  missingEvents: [{ meeting: DINNER }],
+  rescheduled: [{ meeting: PARTY }]
+};
+
+// State store kept in memory; kind is what canTakeReplies looks at
+function memoryStore(kind = 'directory') {
+  const records = new Map();
+  return {
+    kind,
+    get: async (id) => (records.has(id) ? structuredClone(records.get(id)) : null),
+    put: async (id, data) => records.set(id, structuredClone(data))
+  };
+}
+
+function summaryActions(kind) {
+  return new SummaryActions({ store: memoryStore(kind), ledger: new AuditLedger({ store: memoryStore() }) });
+}
+
+// Runs fn with GITHUB_ACTIONS set as given for the call only
+function onGitHub(value, fn) {
+  const saved = process.env.GITHUB_ACTIONS;
+  if (value === undefined) delete process.env.GITHUB_ACTIONS;
+  else process.env.GITHUB_ACTIONS = value;
+  try {
+    return fn();
+  } finally {
+    if (saved === undefined) delete process.env.GITHUB_ACTIONS;
+    else process.env.GITHUB_ACTIONS = saved;
+  }
+}
+
+const FIXTURES = [
+  {
+    name: 'replies: numbered commands in English and Hebrew, several per message',
+    run: () => {
+      const actions = summaryActions();
+      return [
+        'add 1',
+        '1 add, 2 ignore; 3 snooze',
+        '2 - הוסף\n4) תזכירי מחר',
+        '12. skip this one'
+      ].map(text => actions.parseReply(text));
+    },
+    expected: [
+      [],
+      [{ number: 1, action: 'add' }, { number: 2, action: 'ignore' }, { number: 3, action: 'snooze' }],
+      [{ number: 2, action: 'add' }, { number: 4, action: 'snooze' }],
+      [{ number: 12, action: 'ignore' }]
+    ]
+  },
+  {
+    name: 'replies: a plain "no" or a message that merely starts with a number isn\'t a command',
+    run: () => {
+      const actions = summaryActions();
+      return ['2 לא יודעת', '2 no', '3 kids at 5', '1 adding milk to the list'].map(text => actions.parseReply(text));
+    },
+    expected: [[], [], [], []]
+  },
+  {
+    name: 'items are numbered across conflicts, missing and moved meetings, and reported once',
+    run: async () => {
+      const actions = summaryActions();
+      const first = await actions.preparePendingItems(DANA.id, AUDIT);
+      const second = await actions.preparePendingItems(DANA.id, AUDIT);
+      return {
+        numbers: [...first.conflicts, ...first.missingEvents, ...first.rescheduled].map(item => `${item.number} ${item.meeting.id}`),
+        again: second.conflicts.length + second.missingEvents.length + second.rescheduled.length,
+        alreadyReported: second.alreadyReported
+      };
+    },
+    expected: { numbers: ['1 dentist', '2 dentist', '3 dinner', '4 party'], again: 0, alreadyReported: 3 }
+  },
+  {
+    name: 'ignore and snooze answer the reply, close the item in the ledger and aren\'t repeated',
+    run: async () => {
+      const actions = summaryActions();
+      await actions.preparePendingItems(DANA.id, AUDIT);
+      const reply = await actions.handleReply(DANA, '3 ignore, 1 snooze');
+      const repeat = await actions.handleReply(DANA, '3 skip');
+      return { reply, repeat, open: (await actions.ledger.openCounts(DANA.id)).total };
+    },
+    expected: {
+      reply: '🙈 3. "Dinner at grandma\'s on Friday at 8..." ignored\n😴 1. "Dentist Tuesday 10:00..." snoozed until tomorrow',
+      repeat: 'ℹ️ 3. "Dinner at grandma\'s on Friday at 8..." was already handled (ignored)',
+      open: 1
+    }
+  },
+  {
+    name: 'add: moved meetings and users without write access get a hint, and the item stays open',
+    run: async () => {
+      const actions = summaryActions();
+      await actions.preparePendingItems(DANA.id, AUDIT);
+      const reply = await actions.handleReply(DANA, '4 add, 3 add');
+      const state = await actions.loadState(DANA.id);
+      return { reply, handled: state.items.filter(item => item.handled).length, open: (await actions.ledger.openCounts(DANA.id)).total };
+    },
+    expected: {
+      reply: 'ℹ️ 4. "The party moved to Sunday..." is already on the calendar - move it there, or reply "4 ignore"\n' +
+        '🔒 3. "Dinner at grandma\'s on Friday at 8..." not added - calendar write access isn\'t enabled. Reconnect your calendar with "add missing meetings" to allow it.',
+      handled: 0,
+      open: 3
+    }
+  },
+  {
+    name: 'replies without a summary to act on, or to a number it didn\'t have',
+    run: async () => {
+      const actions = summaryActions();
+      const none = [await actions.handleReply(DANA, 'see you at 8'), await actions.handleReply(DANA, '1 ignore')];
+      await actions.preparePendingItems(DANA.id, AUDIT);
+      return [...none, await actions.handleReply(DANA, '9 ignore')];
+    },
+    expected: [null, '🤷 There are no open audit items to act on.', '❓ 9: no such item in the last summary']
+  },
+  {
+    name: 'reply actions are offered unless a GitHub runner keeps its items to itself',
+    run: () => [
+      onGitHub(undefined, () => summaryActions().canTakeReplies()),
+      onGitHub('true', () => summaryActions().canTakeReplies()),
+      onGitHub('true', () => summaryActions('service').canTakeReplies())
+    ],
+    expected: [true, false, true]
+  }
+];
+
+function runFixtures(fixtures = FIXTURES) {
+  return runChecks('summary actions', fixtures);
+}
+
+if (require.main === module) {
+  runFixtures().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { FIXTURES, runFixtures };
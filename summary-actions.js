@@ -0,0 +1,238 @@
+// Numbered audit items the user can act on by replying to the summary in WhatsApp
+const { LLMAnalyzer } = require('./llm-analyzer');
+const { CalendarWriter, createCalendarClient, isWriteModeEnabled } = require('./calendar-writer');
+const { getUserTimezone } = require('./user-schedule');
+const { AuditLedger } = require('./audit-ledger');
+const { createStateStore } = require('./state-store');
+
+const SNOOZE_HOURS = 24;
+
+// Explicit verbs only: a plain "no" ("2 לא יודעת") is part of a normal reply, not a dismissal
+const ACTION_WORDS = {
+  add: ['add', 'הוסף', 'הוסיפי', 'להוסיף', 'תוסיף', 'תוסיפי'],
+  ignore: ['ignore', 'skip', 'dismiss', 'התעלם', 'התעלמי', 'דלג', 'דלגי'],
+  snooze: ['snooze', 'later', 'remind', 'נודניק', 'אחר כך', 'תזכיר', 'תזכירי']
+};
+
+class SummaryActions {
+  // options: { store, ledger } or the state-store options for both ({ source, serviceUrl, ... })
+  constructor(options = {}) {
+    const { store, ledger, ...storeOptions } = options;
+    // The numbered items of the last summary, shared like the ledger so a reply to a summary
+    // the GitHub runner sent finds them
+    this.store = store || createStateStore('pending-actions', storeOptions);
+    this.ledger = ledger || new AuditLedger(storeOptions);
+  }
+
+  // Numbers conflicts, missing events and outdated events (moved or cancelled in chat, unchanged
+  // on the calendar) for the summary. The ledger drops anything already
+  // reported, ignored or snoozed; options.escalationDays repeats items still open that long,
+  // and options.resolvedMeetings (found on the calendar this run) close their entries.
+  async preparePendingItems(userId, auditResults, options = {}) {
+    const state = await this.loadState(userId);
+    const items = [];
+
+    const found = [
+      ...(auditResults.conflicts || []).map(source => ({ type: 'conflict', meeting: source.meeting, source })),
+      ...(auditResults.missingEvents || []).map(source => ({ type: 'missing', meeting: source.meeting, source })),
+      ...(auditResults.rescheduled || []).map(source => ({ type: 'rescheduled', meeting: source.meeting, source })),
+      ...(auditResults.cancelled || []).map(source => ({ type: 'cancelled', meeting: source.meeting, source }))
+    ];
+    const toReport = await this.ledger.review(userId, found, options);
+
+    const byType = { conflict: [], missing: [], rescheduled: [], cancelled: [] };
+    for (const { type, source, stillOpenSince } of toReport) {
+      const item = { ...source, stillOpenSince, number: items.length + 1 };
+      items.push({ number: item.number, type, meeting: this.toStoredMeeting(source.meeting) });
+      byType[type].push(item);
+    }
+
+    state.items = items;
+    state.summarySentAt = new Date().toISOString();
+    await this.saveState(userId, state);
+
+    // Meetings left out, counting one with several conflicts once
+    const reportedSources = new Set(toReport.map(reported => reported.source));
+    const alreadyReported = new Set(found.filter(item => !reportedSources.has(item.source)).map(item => item.meeting)).size;
+
+    return {
+      conflicts: byType.conflict,
+      missingEvents: byType.missing,
+      rescheduled: byType.rescheduled,
+      cancelled: byType.cancelled,
+      alreadyReported
+    };
+  }
+
+  // Replies reach the service, which looks the numbers up in its own store. A runner's items get
+  // there through STATE_SERVICE_URL, or when it runs next to the service on the same disk or
+  // database - not from a GitHub Actions runner whose data/ is thrown away after the run.
+  canTakeReplies() {
+    return this.store.kind === 'service' || !process.env.GITHUB_ACTIONS;
+  }
+
+  formatReplyHint() {
+    return `💬 Reply with the item number and an action, e.g. "1 add", "2 ignore", "3 snooze"\n`;
+  }
+
+  // "1 add, 2 ignore" -> [{ number: 1, action: 'add' }, { number: 2, action: 'ignore' }]
+  parseReply(text) {
+    if (!text) return [];
+
+    const commands = [];
+    const segments = text.toLowerCase().split(/[,;\n]+/);
+
+    for (const segment of segments) {
+      const match = segment.trim().match(/^(\d{1,2})\s*[-.:)]?\s*(.+)$/);
+      if (!match) continue;
+
+      const words = match[2].trim();
+      const action = Object.keys(ACTION_WORDS).find(name =>
+        ACTION_WORDS[name].some(word => words === word || words.startsWith(`${word} `))
+      );
+
+      if (action) {
+        commands.push({ number: parseInt(match[1], 10), action });
+      }
+    }
+
+    return commands;
+  }
+
+  // Returns the confirmation text to send back, or null when the message isn't a reply to a summary
+  async handleReply(userData, text) {
+    const commands = this.parseReply(text);
+    if (commands.length === 0) return null;
+
+    const state = await this.loadState(userData.id);
+    if (state.items.length === 0) {
+      return '🤷 There are no open audit items to act on.';
+    }
+
+    const lines = [];
+    for (const command of commands) {
+      const item = state.items.find(candidate => candidate.number === command.number);
+      if (!item) {
+        lines.push(`❓ ${command.number}: no such item in the last summary`);
+        continue;
+      }
+
+      try {
+        lines.push(await this.performAction(userData, state, item, command.action));
+      } catch (error) {
+        console.error(`❌ Action "${command.action}" failed for item ${item.number}:`, error.message);
+        lines.push(`❌ ${item.number}: ${error.message}`);
+      }
+    }
+
+    await this.saveState(userData.id, state);
+    return lines.join('\n');
+  }
+
+  async performAction(userData, state, item, action) {
+    const label = `${item.number}. "${(item.meeting.extractedText || '').substring(0, 40)}..."`;
+
+    if (item.handled) {
+      return `ℹ️ ${label} was already handled (${item.handled})`;
+    }
+
+    if (action === 'ignore') {
+      await this.ledger.markDismissed(userData.id, item.meeting, 'ignore');
+      item.handled = 'ignored';
+      return `🙈 ${label} ignored`;
+    }
+
+    if (action === 'snooze') {
+      const until = Date.now() + SNOOZE_HOURS * 60 * 60 * 1000;
+      await this.ledger.markDismissed(userData.id, item.meeting, 'snooze', until);
+      item.handled = 'snoozed';
+      return `😴 ${label} snoozed until tomorrow`;
+    }
+
+    // action === 'add'
+    if (item.type === 'rescheduled' || item.type === 'cancelled') {
+      return `ℹ️ ${label} is already on the calendar - ${item.type === 'cancelled' ? 'delete' : 'move'} it there, or reply "${item.number} ignore"`;
+    }
+
+    if (!isWriteModeEnabled(userData)) {
+      return `🔒 ${label} not added - calendar write access isn't enabled. Reconnect your calendar with "add missing meetings" to allow it.`;
+    }
+
+    const meeting = await this.ensureDateTime(item.meeting, userData);
+    if (!meeting.llmDateTime) {
+      return `❓ ${label} not added - couldn't work out the date and time`;
+    }
+
+    const writer = new CalendarWriter(createCalendarClient(userData), { timeZone: getUserTimezone(userData) });
+    const result = await writer.createEventForMeeting(meeting);
+    // Nothing on the calendar (e.g. no usable date): the item stays open and can be tried again
+    if (!result.event) {
+      return `❓ ${label} not added - ${result.reason.toLowerCase()}`;
+    }
+
+    // Created now, or by an earlier audit or reply
+    item.handled = 'added';
+    await this.ledger.markResolved(userData.id, item.meeting, 'added');
+
+    if (result.created) {
+      const start = result.event.start?.dateTime || result.event.start?.date || '';
+      return `📅 ${label} added: ${result.event.summary} (${start.replace('T', ' ').substring(0, 16)})`;
+    }
+    return `ℹ️ ${label} ${result.reason.toLowerCase()}`;
+  }
+
+  // Items from keyword-only runners have no LLM datetime yet - ask Claude for one before adding
+  async ensureDateTime(meeting, userData) {
+    if (meeting.llmDateTime) return meeting;
+
+    const llmAnalyzer = new LLMAnalyzer({ userData });
+    const result = await llmAnalyzer.analyzeConversation({
+      ...meeting,
+      detectedKeywords: meeting.detectedKeywords || [],
+      confidence: meeting.confidence || 0.6
+    }, [], { timeZone: getUserTimezone(userData) });
+
+    return {
+      ...meeting,
+      llmAnalysis: result,
+      llmDateTime: result.extractedDateTime,
+      llmLocation: meeting.llmLocation || result.extractedLocation,
+      llmParticipants: meeting.llmParticipants || result.extractedParticipants,
+      llmMeetingType: meeting.llmMeetingType || result.meetingType
+    };
+  }
+
+  // Keep only what is needed to act on the item later (no calendar objects or full LLM output)
+  toStoredMeeting(meeting) {
+    return {
+      id: meeting.id,
+      messageId: meeting.messageId || meeting.id,
+      chatId: meeting.chatId,
+      chatName: meeting.chatName,
+      senderName: meeting.senderName,
+      extractedText: meeting.extractedText || meeting.text || '',
+      detectedDate: meeting.detectedDate || undefined,
+      detectedTime: meeting.detectedTime || undefined,
+      normalizedTime: meeting.normalizedTime || undefined,
+      confidence: meeting.confidence,
+      timestamp: meeting.timestamp,
+      llmDateTime: meeting.llmDateTime,
+      llmLocation: meeting.llmLocation,
+      llmParticipants: meeting.llmParticipants,
+      llmMeetingType: meeting.llmMeetingType,
+      intent: meeting.intent,
+      llmPreviousDateTime: meeting.llmPreviousDateTime
+    };
+  }
+
+  async loadState(userId) {
+    const state = await this.store.get(userId);
+    return { items: state?.items || [], summarySentAt: state?.summarySentAt };
+  }
+
+  async saveState(userId, state) {
+    await this.store.put(userId, state);
+  }
+}
+
+module.exports = { SummaryActions };
@@ -0,0 +1,81 @@
+// Fixture table for time-resolver.js. Each row is a message (and optionally the conversation
+// around it) and the 24h times it should resolve to, in order.
+// `node time-resolver-fixtures.js` (part of npm test) checks them all.
+const { resolveTimes } = require('./time-resolver');
+
+const FIXTURES = [
+  // Written times
+  { text: 'נפגשים ב-15:30', expected: ['15:30'] },
+  { text: 'at 08:00', expected: ['08:00'] },
+  { text: '3:30 pm', expected: ['15:30'] },
+  { text: 'ב-10.30 בבוקר', expected: ['10:30'] },
+  { text: 'at 10.30', expected: ['10:30'] },
+  { text: 'בשעה 9.45', expected: ['09:45'] },
+  { text: '8.15pm', expected: ['20:15'] },
+  { text: 'at 3pm', expected: ['15:00'] },
+  { text: '9 in the morning', expected: ['09:00'] },
+
+  // Hebrew hours, with the part of the day when it is said
+  { text: 'בשמונה בערב', expected: ['20:00'] },
+  { text: 'ב-7 בבוקר', expected: ['07:00'] },
+  { text: 'ב-2 בצהריים', expected: ['14:00'] },
+  { text: 'ב-12 בצהריים', expected: ['12:00'] },
+  { text: 'שלוש וחצי אחה"צ', expected: ['15:30'] },
+  { text: '11 בלילה', expected: ['23:00'] },
+  { text: 'בשמונה הערב', expected: ['20:00'] },
+  { text: 'בשעה 14', expected: ['14:00'] },
+  { text: 'בחצות', expected: ['00:00'] },
+
+  // Spoken minutes
+  { text: 'בשלוש וחצי', expected: ['15:30'] },
+  { text: 'ב-3 ורבע', expected: ['15:15'] },
+  { text: 'רבע לחמש', expected: ['16:45'] },
+  { text: 'עשרה לשש', expected: ['17:50'] },
+  { text: 'בשמונה ועשרים בערב', expected: ['20:20'] },
+  { text: 'at half past three', expected: ['15:30'] },
+  { text: 'quarter to 5', expected: ['16:45'] },
+  { text: "at 11 o'clock", expected: ['11:00'] },
+
+  // No am/pm: appointments keep daytime hours, evening plans are pm, morning plans am
+  { text: 'תור לרופא ב-3', expected: ['15:00'] },
+  { text: 'doctor at 4', expected: ['16:00'] },
+  { text: 'פגישה ב-9', expected: ['09:00'] },
+  { text: 'ארוחת ערב ב-8', expected: ['20:00'] },
+  { text: 'dinner at 7', expected: ['19:00'] },
+  { text: 'ב-6', context: 'ארוחת בוקר מחר? ב-6', expected: ['06:00'] },
+  { text: 'ב-8', context: 'נתראה מחר בערב', expected: ['20:00'] },
+
+  // Not times
+  { text: 'ב-3 בדצמבר', expected: [] },
+  { text: 'ב-15 לחודש', expected: [] },
+  { text: 'ב-3/11', expected: [] },
+  { text: '1.11.26', expected: [] },
+  { text: '3.50', expected: [] },
+  { text: 'הקפה עלה 12.50 ש"ח', expected: [] },
+  { text: 'upgraded to version 2.10', expected: [] },
+  { text: 'בעוד 2 ימים', expected: [] },
+  { text: 'באחת הפגישות', expected: [] },
+
+  // Several times
+  { text: 'לא ב-3, אולי רבע לחמש', expected: ['15:00', '16:45'] }
+];
+
+function runFixtures(fixtures = FIXTURES) {
+  const failures = fixtures.filter(fixture => {
+    const actual = resolveTimes(fixture.text, { context: fixture.context }).map(result => result.time);
+    const passed = JSON.stringify(actual) === JSON.stringify(fixture.expected);
+    if (!passed) {
+      console.log(`❌ "${fixture.text}": expected ${JSON.stringify(fixture.expected)}, got ${JSON.stringify(actual)}`);
+    }
+    return !passed;
+  });
+
+  console.log(`${failures.length === 0 ? '✅' : '❌'} ${fixtures.length - failures.length}/${fixtures.length} time fixtures passed`);
+  return failures.length === 0;
+}
+
+if (require.main === module) {
+  process.exit(runFixtures() ? 0 : 1);
+}
+
+module.exports = { FIXTURES, runFixtures };
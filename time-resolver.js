@@ -0,0 +1,178 @@
+// Resolves spoken and written times in Hebrew and English messages to 24h clock times:
+// "ב-3", "בשלוש וחצי", "רבע לחמש", "בשמונה בערב", "half past three", "3pm", "15:30".
+// Hours without am/pm are read from context - "תור לרופא ב-3" is 15:00, "dinner at 8" is 20:00 -
+// and flagged as inferred.
+
+// Word characters, Hebrew included - JS \b does not know Hebrew letters
+const WORD = '\\u0590-\\u05FFA-Za-z0-9';
+
+// Hours are said in the feminine in Hebrew ("בשלוש", not "בשלושה")
+const HOUR_WORDS = {
+  'אחת עשרה': 11, 'אחת-עשרה': 11, 'שתים עשרה': 12, 'שתיים עשרה': 12, 'שתים-עשרה': 12, 'שתיים-עשרה': 12,
+  'אחת': 1, 'שתיים': 2, 'שתים': 2, 'שלוש': 3, 'ארבע': 4, 'חמש': 5, 'שש': 6, 'שבע': 7, 'שמונה': 8, 'תשע': 9, 'עשר': 10,
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+// Minutes said as words: "שלוש ועשרה" (3:10), "עשרה לחמש" (4:50), "quarter past"
+const MINUTE_WORDS = {
+  'חצי': 30, 'רבע': 15, 'עשרה': 10, 'עשר': 10, 'עשרים': 20, 'חמישה': 5, 'חמש': 5,
+  half: 30, quarter: 15, ten: 10, twenty: 20, five: 5
+};
+
+// Part-of-day words after a time; they settle am/pm
+const PERIODS = {
+  am: 'am', 'a.m.': 'am', pm: 'pm', 'p.m.': 'pm',
+  'בבוקר': 'morning', 'in the morning': 'morning',
+  'בצהריים': 'noon', 'בצהרים': 'noon',
+  'אחה"צ': 'afternoon', 'אחה״צ': 'afternoon', 'אחרי הצהריים': 'afternoon', 'אחר הצהריים': 'afternoon', 'in the afternoon': 'afternoon',
+  'בערב': 'evening', 'הערב': 'evening', 'in the evening': 'evening', 'tonight': 'evening',
+  'בלילה': 'night', 'at night': 'night'
+};
+
+// Context for hours without am/pm
+const EVENING_CONTEXT = /dinner|drinks|party|movie|concert|evening|tonight|ערב|מסיבה|סרט|הופעה|בירה|לשתות/i;
+const MORNING_CONTEXT = /breakfast|morning|בוקר/i;
+
+// Longest first, so "אחת עשרה" wins over "אחת"
+const alternatives = (words) => [...words].sort((a, b) => b.length - a.length).map(word => word.replace(/[."]/g, '\\$&')).join('|');
+const HOUR = `(\\d{1,2}|${alternatives(Object.keys(HOUR_WORDS))})`;
+const PERIOD = `(?:\\s*(${alternatives(Object.keys(PERIODS))}))?`;
+const HE_MINUTES = '(חצי|רבע|עשרים|עשרה|חמישה)';
+// Not a time when the number is a day of the month or a count ("ב-3 בדצמבר", "ב-2 ימים")
+const NOT_A_DATE = '(?!\\s*(?:לחודש|[בל]?(?:ינואר|פברואר|מרץ|מרס|אפריל|מאי|יוני|יולי|אוגוסט|ספטמבר|אוקטובר|נובמבר|דצמבר)|ימים|שבועות|חודשים|שנים|אנשים|ילדים)(?![' + WORD + '])|\\s*[/.:]\\d)';
+
+const hourValue = (hour) => (/^\d+$/.test(hour) ? +hour : HOUR_WORDS[hour.toLowerCase()]);
+
+function formatTime(hours, minutes) {
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// 24h hours for a 1-12 hour given a part of the day
+function applyPeriod(hours, period) {
+  switch (period) {
+    case 'am': return hours === 12 ? 0 : hours;
+    case 'morning': return hours;
+    case 'noon': return hours <= 5 ? hours + 12 : hours;
+    case 'pm':
+    case 'afternoon':
+    case 'evening': return hours < 12 ? hours + 12 : hours;
+    case 'night': return hours === 12 ? 0 : hours >= 6 ? hours + 12 : hours;
+    default: return hours;
+  }
+}
+
+// No am/pm said: evening plans are pm, morning plans am, and otherwise appointments and meetings
+// keep daytime hours, so 1-6 are afternoon and 7-11 morning
+function inferHours(hours, context) {
+  if (EVENING_CONTEXT.test(context)) return hours < 12 ? hours + 12 : hours;
+  if (MORNING_CONTEXT.test(context) && hours >= 5) return hours;
+  return hours <= 6 ? hours + 12 : hours;
+}
+
+// A clock time from its parts; 24h forms ("15:00", "08:30") are taken as written
+function clock(hours, minutes, period, context, { twentyFourHour = false } = {}) {
+  if (hours > 23 || minutes > 59) return undefined;
+  if (twentyFourHour || hours === 0 || hours > 12) return { hours, minutes, inferred: false };
+  if (period) return { hours: applyPeriod(hours, PERIODS[period.toLowerCase()]), minutes, inferred: false };
+  return { hours: inferHours(hours, context), minutes, inferred: true };
+}
+
+// "רבע לחמש" is 4:45; "twenty to 5" is 4:40
+const before = (hour, minutes) => ({ hours: hour === 1 ? 12 : hour - 1, minutes: 60 - minutes });
+
+// Each rule resolves a match to { hours, minutes, inferred }, or undefined when it was not a time
+const RULES = [
+  // 15:30, 8:00 pm, ב-10.30 (not the start of a date like 1.11.26). A dot is also a price or a
+  // version ("3.50"), so "10.30" is only a time after ב-/בשעה/at or before am/pm or a part of the day.
+  {
+    pattern: `(ו?ב-?|ו?בשעה\\s+|at\\s+)?(?<![.:/\\d])(\\d{1,2})([:.])(\\d{2})(?![.:/]?\\d)${PERIOD}`,
+    resolve: (m, context) => {
+      if (m[3] === '.' && !m[1] && !m[5]) return undefined;
+      return clock(+m[2], +m[4], m[5], context, { twentyFourHour: /^0\d/.test(m[2]) });
+    }
+  },
+  // 3pm, 8 בערב, 9 in the morning
+  { pattern: `(?:ו?ב-?|ו?בשעה\\s+|at\\s+)?(\\d{1,2})\\s*(${alternatives(Object.keys(PERIODS))})`, resolve: (m, context) => clock(+m[1], 0, m[2], context) },
+
+  // "שלוש וחצי", "ב-3 ורבע", "בשמונה ועשרים בערב"
+  {
+    pattern: `(?:ו?ב-?|ו?בשעה\\s+)?${HOUR}\\s+ו${HE_MINUTES}${PERIOD}`,
+    resolve: (m, context) => clock(hourValue(m[1]), MINUTE_WORDS[m[2]], m[3], context)
+  },
+  // "רבע לחמש", "ברבע ל-5", "עשרה לשש בערב"
+  {
+    pattern: `ו?ב?(רבע|עשרים|עשרה|חמישה)\\s+ל-?${HOUR}${PERIOD}`,
+    resolve: (m, context) => {
+      const { hours, minutes } = before(hourValue(m[2]), MINUTE_WORDS[m[1]]);
+      return clock(hours, minutes, m[3], context);
+    }
+  },
+  // "ב-3", "בשלוש", "בשעה 8 בערב" - but not "באחת הפגישות" or "ב-3 בדצמבר"
+  {
+    pattern: `ו?(?:ב-?|בשעה\\s+)${HOUR}${NOT_A_DATE}(?!\\s+(?:מ|ה)(?!ערב|בוקר))${PERIOD}`,
+    resolve: (m, context) => clock(hourValue(m[1]), 0, m[2], context)
+  },
+
+  // "half past three", "quarter to 5", "ten past 4"
+  {
+    pattern: `(?:at\\s+)?(half|quarter|twenty|ten|five)\\s+(past|to)\\s+${HOUR}${PERIOD}`,
+    resolve: (m, context) => {
+      const hour = hourValue(m[3]);
+      const minutes = MINUTE_WORDS[m[1].toLowerCase()];
+      const time = m[2].toLowerCase() === 'past' ? { hours: hour, minutes } : before(hour, minutes);
+      return clock(time.hours, time.minutes, m[4], context);
+    }
+  },
+  // "at 3", "at three o'clock", "5 o'clock"
+  { pattern: `at\\s+${HOUR}(?:\\s*o'?clock)?${NOT_A_DATE}${PERIOD}`, resolve: (m, context) => clock(hourValue(m[1]), 0, m[2], context) },
+  { pattern: `${HOUR}\\s*o'?clock${PERIOD}`, resolve: (m, context) => clock(hourValue(m[1]), 0, m[2], context) },
+
+  // Noon and midnight
+  { pattern: '(?:at\\s+)?(?:noon|midday)|ב?12\\s+בצהריים', resolve: () => ({ hours: 12, minutes: 0, inferred: false }) },
+  { pattern: '(?:at\\s+)?midnight|ב?חצות', resolve: () => ({ hours: 0, minutes: 0, inferred: false }) }
+].map(rule => ({ ...rule, regex: new RegExp(`(?<![${WORD}])(?:${rule.pattern})(?![${WORD}])`, 'gi') }));
+
+// Every time in text, in order, as { text, hours, minutes, time: "HH:MM", inferred }.
+// options.context is the surrounding conversation, for am/pm (defaults to text itself).
+// Overlaps go to the longest match, so "בשלוש וחצי" is one time rather than "בשלוש".
+function resolveTimes(text, options = {}) {
+  const source = String(text || '');
+  const context = options.context || source;
+
+  const matches = [];
+  for (const rule of RULES) {
+    for (const match of source.matchAll(rule.regex)) {
+      matches.push({ rule, match, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const results = [];
+  let covered = 0;
+  for (const { rule, match, start, end } of matches) {
+    if (start < covered) continue;
+    const resolved = rule.resolve(match, context);
+    if (!resolved) continue;
+
+    results.push({ text: match[0], ...resolved, time: formatTime(resolved.hours, resolved.minutes) });
+    covered = end;
+  }
+  return results;
+}
+
+// The first time in text, or null
+function resolveTime(text, options = {}) {
+  return resolveTimes(text, options)[0] || null;
+}
+
+// The time expressions in text, for detection and confidence scoring
+function findTimeExpressions(text) {
+  return resolveTimes(text).map(result => result.text);
+}
+
+module.exports = {
+  resolveTimes,
+  resolveTime,
+  findTimeExpressions,
+  formatTime
+};
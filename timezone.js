@@ -0,0 +1,67 @@
+// Wall-clock helpers for named time zones, via Intl (no timezone library needed).
+// A missing timeZone means the server's local zone, as Intl itself does.
+const DEFAULT_TIMEZONE = 'Asia/Jerusalem';
+
+// Offset of a named zone at a UTC instant
+function zoneOffsetMs(timeZone, utcMs) {
+  const parts = zonedParts(new Date(utcMs), timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds) - utcMs;
+}
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+  return {
+    year: +get('year'), month: +get('month'), day: +get('day'),
+    hours: +get('hour'), minutes: +get('minute'), seconds: +get('second'),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'))
+  };
+}
+
+// The instant a wall-clock time happens in a zone; day/month overflow rolls over like Date.UTC
+function zonedDate(timeZone, year, month, day, hours = 0, minutes = 0) {
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+  // Two passes settle the offset on DST transition days
+  let utc = asUtc - zoneOffsetMs(timeZone, asUtc);
+  utc = asUtc - zoneOffsetMs(timeZone, utc);
+  return new Date(utc);
+}
+
+// Midnight of the zone's calendar day containing date, shifted by whole days
+function zonedDayStart(date, timeZone, addDays = 0) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return zonedDate(timeZone, year, month, day + addDays);
+}
+
+function zonedDateString(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function formatZonedClock(date, timeZone) {
+  const { hours, minutes } = zonedParts(date, timeZone);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  zoneOffsetMs,
+  zonedParts,
+  zonedDate,
+  zonedDayStart,
+  zonedDateString,
+  formatZonedClock,
+  isValidTimeZone
+};
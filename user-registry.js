@@ -0,0 +1,331 @@
+// The one place user records are loaded from and saved to. Records come from one source:
+//   directory  data/users/{userId}.json (default)
+//   env        USERS_DATA: a JSON array of users (or an object keyed by id), optionally base64-encoded
+//   database   USERS_DATABASE: an SQLite file with a users (id, data) table
+// Every record is checked against USER_SCHEMA on the way in and out; a broken record is reported
+// with the exact field ("data/users/x.json: user.greenApi.token: missing") and skipped.
+// Credentials are decrypted on load and encrypted on save by credential-vault.js.
+const fs = require('fs').promises;
+const path = require('path');
+const { validateAgainstSchema } = require('./llm-schema');
+const { sealUserData, openUserData } = require('./credential-vault');
+const { hasCalendarConnection } = require('./calendar-provider');
+const { parseAuditTime } = require('./user-schedule');
+const { isValidTimeZone } = require('./timezone');
+
+const USER_STATUSES = ['phone_registered', 'whatsapp_connected', 'fully_configured'];
+
+// Where each calendar provider keeps its connection (google when calendarProvider is unset)
+const CALENDAR_FIELDS = { google: 'googleTokens', microsoft: 'microsoftTokens', caldav: 'caldav' };
+
+// Fields other modules read; anything else on a record is left alone
+const USER_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', pattern: '^[\\w.-]+$' },
+    name: { type: 'string' },
+    phoneNumber: { type: 'string', pattern: '^\\+?\\d{7,15}$' },
+    status: { type: 'string', enum: USER_STATUSES },
+    createdAt: { type: 'string' },
+    timezone: { type: 'string' },
+    locale: { type: 'string' },
+    auditTimes: { type: 'array', items: { type: 'string' } },
+    escalationDays: { type: 'number', minimum: 0 },
+    greenApi: {
+      type: 'object',
+      properties: {
+        instanceId: { type: ['string', 'integer'] },
+        token: { type: 'string' }
+      },
+      required: ['instanceId', 'token']
+    },
+    webhookToken: { type: 'string' },
+    calendarProvider: { type: 'string', enum: ['google', 'microsoft', 'caldav'] },
+    googleTokens: { type: 'object' },
+    microsoftTokens: {
+      type: 'object',
+      properties: { access_token: { type: 'string' }, refresh_token: { type: 'string' } },
+      required: ['refresh_token']
+    },
+    caldav: {
+      type: 'object',
+      properties: { url: { type: 'string' }, username: { type: 'string' }, password: { type: 'string' } },
+      required: ['url']
+    },
+    calendars: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { id: { type: 'string' }, checkConflicts: { type: 'boolean' }, countsAsScheduled: { type: 'boolean' } },
+        required: ['id']
+      }
+    },
+    calendarWrite: { type: 'boolean' },
+    disabled: { type: 'boolean' },
+    disabledAt: { type: 'string' },
+    chatRules: { type: 'object' },
+    llm: { type: 'object' }
+  },
+  required: ['id', 'name', 'phoneNumber', 'status']
+};
+
+// The ways a record is broken, as "user.field: problem" lines; empty when it's usable
+function validateUser(userData) {
+  const errors = validateAgainstSchema(userData, USER_SCHEMA, 'user');
+  if (typeof userData !== 'object' || userData === null || Array.isArray(userData)) return errors;
+
+  if (typeof userData.timezone === 'string' && !isValidTimeZone(userData.timezone)) {
+    errors.push(`user.timezone: "${userData.timezone}" isn't an IANA timezone`);
+  }
+  if (Array.isArray(userData.auditTimes)) {
+    userData.auditTimes.forEach((time, index) => {
+      if (typeof time === 'string' && !parseAuditTime(time)) errors.push(`user.auditTimes[${index}]: "${time}" isn't an HH:MM time`);
+    });
+  }
+
+  // An audit needs WhatsApp and a calendar
+  if (userData.status === 'fully_configured') {
+    if (!userData.greenApi) errors.push('user.greenApi: missing, required once fully_configured');
+    if (!hasCalendarConnection(userData)) {
+      const field = CALENDAR_FIELDS[userData.calendarProvider] || 'googleTokens';
+      errors.push(`user.${field}: missing, required once fully_configured`);
+    }
+  }
+  return errors;
+}
+
+// Fully set up and not disabled from the admin dashboard: audited, summarized and alerted
+function isUserActive(userData) {
+  return userData?.status === 'fully_configured' && !userData.disabled;
+}
+
+// data/users/{userId}.json
+class DirectorySource {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.kind = 'directory';
+    this.name = path.relative(process.cwd(), dataDir) || dataDir;
+  }
+
+  // [{ where, record }] or [{ where, error }] when a file can't be read
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      const where = path.join(this.name, file);
+      try {
+        const record = JSON.parse(await fs.readFile(path.join(this.dataDir, file), 'utf8'));
+        const fileId = file.replace(/\.json$/, '');
+        if (record && record.id !== undefined && record.id !== fileId) {
+          entries.push({ where, error: `user.id: "${record.id}" doesn't match the file name ${fileId}` });
+          continue;
+        }
+        entries.push({ where, record });
+      } catch (error) {
+        entries.push({ where, error: `not valid JSON (${error.message})` });
+      }
+    }
+    return entries;
+  }
+
+  async get(userId) {
+    const where = path.join(this.name, `${userId}.json`);
+    try {
+      return { where, record: JSON.parse(await fs.readFile(path.join(this.dataDir, `${userId}.json`), 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      return { where, error: `not valid JSON (${error.message})` };
+    }
+  }
+
+  async put(userId, record) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(path.join(this.dataDir, `${userId}.json`), JSON.stringify(record, null, 2));
+  }
+}
+
+// USERS_DATA, read-only: the whole registry in one secret
+class EnvSource {
+  constructor(value) {
+    this.value = value;
+    this.kind = 'env';
+    this.name = 'USERS_DATA';
+  }
+
+  // Plain JSON, or the same base64-encoded
+  parse() {
+    const text = this.value.trim();
+    const json = /^[[{]/.test(text) ? text : Buffer.from(text, 'base64').toString('utf8');
+    const parsed = JSON.parse(json);
+    return Array.isArray(parsed)
+      ? parsed.map((record, index) => ({ where: `USERS_DATA[${index}]`, record }))
+      : Object.entries(parsed).map(([id, record]) => ({ where: `USERS_DATA.${id}`, record: { id, ...record } }));
+  }
+
+  async list() {
+    try {
+      return this.parse();
+    } catch (error) {
+      return [{ where: 'USERS_DATA', error: `neither JSON nor base64 JSON (${error.message})` }];
+    }
+  }
+
+  async get(userId) {
+    return (await this.list()).find(entry => entry.record?.id === userId) || null;
+  }
+
+  async put() {
+    throw new Error('Users come from USERS_DATA, which is read-only');
+  }
+}
+
+// USERS_DATABASE: SQLite, one JSON record per row
+class DatabaseSource {
+  constructor(file) {
+    this.file = file;
+    this.kind = 'database';
+    this.name = path.relative(process.cwd(), file) || file;
+    this.db = null;
+    this.ready = null;
+  }
+
+  // Opens the file and creates the table once, however many calls arrive at the same time
+  open() {
+    this.ready = this.ready || (async () => {
+      // Only needed for this source
+      const sqlite3 = require('sqlite3');
+      await fs.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+      this.db = new sqlite3.Database(this.file);
+      await this.run('CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, data TEXT NOT NULL, updatedAt TEXT NOT NULL)');
+    })();
+    return this.ready;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async all(sql, params = []) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+  }
+
+  toEntry(row) {
+    const where = `${this.name}#${row.id}`;
+    try {
+      return { where, record: JSON.parse(row.data) };
+    } catch (error) {
+      return { where, error: `not valid JSON (${error.message})` };
+    }
+  }
+
+  async list() {
+    return (await this.all('SELECT id, data FROM users ORDER BY id')).map(row => this.toEntry(row));
+  }
+
+  async get(userId) {
+    const [row] = await this.all('SELECT id, data FROM users WHERE id = ?', [userId]);
+    return row ? this.toEntry(row) : null;
+  }
+
+  async put(userId, record) {
+    await this.open();
+    await this.run('INSERT OR REPLACE INTO users (id, data, updatedAt) VALUES (?, ?, ?)',
+      [userId, JSON.stringify(record), new Date().toISOString()]);
+  }
+}
+
+// options: { source: 'directory' | 'env' | 'database', dataDir, usersData, databaseFile }.
+// Without a source, USERS_DATA wins over USERS_DATABASE, which wins over the directory.
+function createUserSource(options = {}) {
+  const usersData = options.usersData ?? process.env.USERS_DATA;
+  const databaseFile = options.databaseFile || process.env.USERS_DATABASE;
+  const source = options.source || (usersData ? 'env' : databaseFile ? 'database' : 'directory');
+
+  switch (source) {
+    case 'env':
+      if (!usersData) throw new Error('USERS_DATA is not set');
+      return new EnvSource(usersData);
+    case 'database':
+      return new DatabaseSource(databaseFile || path.join(__dirname, 'data', 'users.db'));
+    case 'directory':
+      return new DirectorySource(options.dataDir || path.join(__dirname, 'data', 'users'));
+    default:
+      throw new Error(`Unknown user source: ${source}`);
+  }
+}
+
+class UserRegistry {
+  constructor(options = {}) {
+    this.source = createUserSource(options);
+  }
+
+  describe() {
+    return `${this.source.kind} ${this.source.name}`;
+  }
+
+  // A stored entry as { user } or { where, errors }
+  check(entry) {
+    if (entry.error) return { where: entry.where, errors: [entry.error] };
+    try {
+      const user = openUserData(entry.record);
+      const errors = validateUser(user);
+      return errors.length > 0 ? { where: entry.where, errors } : { user };
+    } catch (error) {
+      return { where: entry.where, errors: [error.message] };
+    }
+  }
+
+  // { users, invalid: [{ where, errors }] } - every valid record, decrypted
+  async loadAll() {
+    const users = [];
+    const invalid = [];
+    for (const entry of await this.source.list()) {
+      const { user, where, errors } = this.check(entry);
+      if (user) users.push(user);
+      else invalid.push({ where, errors });
+    }
+    return { users, invalid };
+  }
+
+  // The decrypted user, or null when missing or invalid (the problems are logged)
+  async load(userId) {
+    const entry = await this.source.get(userId);
+    if (!entry) return null;
+
+    const { user, where, errors } = this.check(entry);
+    if (!user) {
+      console.error(`❌ Invalid user ${where}: ${errors.join('; ')}`);
+      return null;
+    }
+    return user;
+  }
+
+  async save(userId, userData) {
+    const errors = validateUser({ ...userData, id: userData.id ?? userId });
+    if (errors.length > 0) {
+      throw new Error(`Not saving user ${userId}: ${errors.join('; ')}`);
+    }
+    await this.source.put(userId, sealUserData(userData));
+  }
+}
+
+// "❌ data/users/x.json: user.greenApi.token: missing" lines for loadAll's invalid records
+function logInvalidUsers(invalid) {
+  for (const { where, errors } of invalid) {
+    errors.forEach(error => console.error(`❌ ${where}: ${error}`));
+  }
+}
+
+module.exports = { USER_SCHEMA, USER_STATUSES, validateUser, isUserActive, createUserSource, UserRegistry, logInvalidUsers };
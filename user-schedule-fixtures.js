@@ -0,0 +1,110 @@
+// Which audit a scheduled runner owes a user: late, dropped and close-together cron runs, DST and history
+const { pendingAuditTime, getScheduleNow } = require('./user-schedule');
+const { AuditHistory } = require('./audit-history');
+const { runChecks } = require('./fixture-checks');
+
+// 21:30 in Israel is 18:30 UTC until summer time ends on Sunday 25 October 2026, 19:30 UTC after
+const DANA = { id: 'dana', name: 'Dana' };
+const TWICE = { id: 'twice', name: 'Noa', auditTimes: ['09:00', '21:30'] };
+const LONDON = { id: 'london', name: 'Sam', timezone: 'Europe/London', auditTimes: ['08:00'] };
+
+function pending(userData, lastAuditAt, now) {
+  return pendingAuditTime(userData, lastAuditAt, new Date(now))?.toISOString() || null;
+}
+
+// Audit history kept in memory instead of the state store
+function memoryHistory() {
+  const records = new Map();
+  return new AuditHistory({
+    store: {
+      get: async (id) => records.get(id) || null,
+      put: async (id, data) => records.set(id, data)
+    }
+  });
+}
+
+const FIXTURES = [
+  {
+    name: 'a run on time owes the audit that just passed',
+    run: () => [pending(DANA, null, '2026-10-18T18:30:00Z'), pending(DANA, null, '2026-10-18T18:29:00Z')],
+    expected: ['2026-10-18T18:30:00.000Z', null]
+  },
+  {
+    name: 'a late run, after dropped ones, still owes it',
+    run: () => pending(DANA, '2026-10-17T18:31:00Z', '2026-10-18T20:10:00Z'),
+    expected: '2026-10-18T18:30:00.000Z'
+  },
+  {
+    name: 'a second run soon after owes nothing once the first has started the audit',
+    run: () => [pending(DANA, '2026-10-18T18:31:00Z', '2026-10-18T18:45:00Z'), pending(DANA, '2026-10-18T18:31:00Z', '2026-10-18T19:00:00Z')],
+    expected: [null, null]
+  },
+  {
+    name: 'an audit time more than AUDIT_CATCH_UP_HOURS ago is given up',
+    run: () => [pending(DANA, null, '2026-10-19T00:29:00Z'), pending(DANA, null, '2026-10-19T00:31:00Z')],
+    expected: ['2026-10-18T18:30:00.000Z', null]
+  },
+  {
+    name: 'with two audit times the latest missed one is owed, once',
+    run: () => [
+      pending(TWICE, '2026-10-17T18:30:00Z', '2026-10-18T19:00:00Z'),
+      pending(TWICE, '2026-10-18T06:01:00Z', '2026-10-18T12:00:00Z')
+    ],
+    expected: ['2026-10-18T18:30:00.000Z', null]
+  },
+  {
+    name: 'the local time holds across the end of summer time',
+    run: () => [pending(DANA, '2026-10-25T18:30:00Z', '2026-10-26T19:00:00Z'), pending(DANA, '2026-10-25T18:30:00Z', '2026-10-26T19:30:00Z')],
+    expected: [null, '2026-10-26T19:30:00.000Z']
+  },
+  {
+    name: 'the user\'s own timezone',
+    run: () => pending(LONDON, null, '2026-10-18T07:15:00Z'),
+    expected: '2026-10-18T07:00:00.000Z'
+  },
+  {
+    name: 'audit history: failed runs are retried, audits and the simple fallback count as done',
+    run: async () => {
+      const history = memoryHistory();
+      const now = new Date('2026-10-18T19:00:00Z');
+      const due = [await history.isDue(DANA, now)];
+      await history.record(DANA.id, { startedAt: '2026-10-18T18:31:00Z', outcome: 'failed', error: 'Green API timeout' });
+      due.push(await history.isDue(DANA, now));
+      await history.record(DANA.id, { startedAt: '2026-10-18T18:40:00Z', outcome: 'not sent' });
+      due.push(await history.isDue(DANA, now));
+
+      const fallback = memoryHistory();
+      await fallback.record(DANA.id, { startedAt: '2026-10-18T18:32:00Z', outcome: 'fallback' });
+      due.push(await fallback.isDue(DANA, now));
+      return due;
+    },
+    expected: [true, true, false, false]
+  },
+  {
+    name: 'AUDIT_NOW from the due check is the runner\'s now; an unusable one is ignored',
+    run: () => {
+      const saved = process.env.AUDIT_NOW;
+      try {
+        process.env.AUDIT_NOW = '2026-10-18T18:30:05.000Z';
+        const shared = getScheduleNow().toISOString();
+        process.env.AUDIT_NOW = 'yesterday';
+        const fallback = Math.abs(getScheduleNow() - Date.now()) < 60 * 1000;
+        return [shared, fallback];
+      } finally {
+        if (saved === undefined) delete process.env.AUDIT_NOW;
+        else process.env.AUDIT_NOW = saved;
+      }
+    },
+    expected: ['2026-10-18T18:30:05.000Z', true]
+  }
+];
+
+function runFixtures(fixtures = FIXTURES) {
+  return runChecks('audit schedule', fixtures);
+}
+
+if (require.main === module) {
+  runFixtures().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { FIXTURES, runFixtures };
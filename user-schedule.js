@@ -0,0 +1,143 @@
+// Per-user timezone, locale and audit times. User records may hold:
+//   timezone:   IANA zone, e.g. "Europe/London" (default Asia/Jerusalem)
+//   locale:     for dates in summaries, e.g. "en-GB" (default he-IL)
+//   auditTimes: local "HH:MM" times the daily audit runs at (default ["21:30"])
+const { DEFAULT_TIMEZONE, zonedParts, zonedDate, isValidTimeZone } = require('./timezone');
+
+const DEFAULT_LOCALE = 'he-IL';
+const DEFAULT_AUDIT_TIMES = ['21:30'];
+// Scheduled runners (the GitHub workflow) catch up an audit time they woke up late for, or slept
+// through, for this long; after that the summary would be stale and the next audit time is waited for
+const AUDIT_CATCH_UP_HOURS = parseInt(process.env.AUDIT_CATCH_UP_HOURS, 10) || 6;
+
+function getUserTimezone(userData) {
+  const timeZone = userData?.timezone;
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+function getUserLocale(userData) {
+  return userData?.locale || DEFAULT_LOCALE;
+}
+
+function parseAuditTime(time) {
+  const match = String(time).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || +match[1] > 23 || +match[2] > 59) return null;
+  return { hours: +match[1], minutes: +match[2] };
+}
+
+function getAuditTimes(userData) {
+  const times = (userData?.auditTimes || []).filter(time => parseAuditTime(time));
+  return times.length > 0 ? times : DEFAULT_AUDIT_TIMES;
+}
+
+// node-cron expression for one "HH:MM"; the zone is passed to cron separately
+function auditCronExpression(time) {
+  const { hours, minutes } = parseAuditTime(time);
+  return `${minutes} ${hours} * * *`;
+}
+
+// Every audit occurrence on the user's calendar days around an instant
+function auditOccurrences(userData, around, dayOffsets) {
+  const timeZone = getUserTimezone(userData);
+  const { year, month, day } = zonedParts(around, timeZone);
+  return dayOffsets.flatMap(offset => getAuditTimes(userData).map(time => {
+    const { hours, minutes } = parseAuditTime(time);
+    return zonedDate(timeZone, year, month, day + offset, hours, minutes);
+  }));
+}
+
+function nextAuditTime(userData, from = new Date()) {
+  return auditOccurrences(userData, from, [0, 1, 2])
+    .filter(time => time > from)
+    .sort((a, b) => a - b)[0];
+}
+
+// "Today at 21:30", "Tomorrow at 09:00" - in the user's own timezone
+function formatNextAudit(userData, from = new Date()) {
+  const next = nextAuditTime(userData, from);
+  const timeZone = getUserTimezone(userData);
+  const dayOf = (date) => {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return Date.UTC(year, month - 1, day);
+  };
+  const days = Math.round((dayOf(next) - dayOf(from)) / (24 * 60 * 60 * 1000));
+  const clock = next.toLocaleTimeString(getUserLocale(userData), { timeZone, hour: '2-digit', minute: '2-digit' });
+  const label = days === 0 ? 'Today' : days === 1 ? 'Tomorrow' : next.toLocaleDateString(getUserLocale(userData), { timeZone, weekday: 'long' });
+  return `${label} at ${clock}`;
+}
+
+// For runners that wake on a fixed UTC schedule (GitHub Actions): the user's latest audit time that
+// has passed but not been run - after lastAuditAt (when their last audit started, null for none) and
+// at most catchUpHours ago - or null. Keeps the local time right across DST changes, and a late or
+// dropped cron run doesn't lose the audit while two runs close together don't both send it.
+function pendingAuditTime(userData, lastAuditAt, now = new Date(), catchUpHours = AUDIT_CATCH_UP_HOURS) {
+  const earliest = Math.max(now.getTime() - catchUpHours * 60 * 60 * 1000, lastAuditAt ? new Date(lastAuditAt).getTime() : -Infinity);
+  return auditOccurrences(userData, now, [-1, 0])
+    .filter(time => time.getTime() > earliest && time <= now)
+    .sort((a, b) => b - a)[0] || null;
+}
+
+function isAuditDue(userData, lastAuditAt, now = new Date(), catchUpHours = AUDIT_CATCH_UP_HOURS) {
+  return pendingAuditTime(userData, lastAuditAt, now, catchUpHours) !== null;
+}
+
+// The instant a scheduled run checks due audits against: AUDIT_NOW when the workflow's due check
+// has set it, so that check and the audit it starts agree on who is due
+function getScheduleNow() {
+  const now = new Date(process.env.AUDIT_NOW || Date.now());
+  return isNaN(now) ? new Date() : now;
+}
+
+function formatUserDate(userData, date = new Date()) {
+  return date.toLocaleDateString(getUserLocale(userData), { timeZone: getUserTimezone(userData) });
+}
+
+function formatUserTime(userData, date = new Date()) {
+  return date.toLocaleTimeString(getUserLocale(userData), { timeZone: getUserTimezone(userData), hour: '2-digit', minute: '2-digit' });
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  DEFAULT_AUDIT_TIMES,
+  AUDIT_CATCH_UP_HOURS,
+  getUserTimezone,
+  getUserLocale,
+  getAuditTimes,
+  parseAuditTime,
+  auditCronExpression,
+  nextAuditTime,
+  formatNextAudit,
+  pendingAuditTime,
+  isAuditDue,
+  getScheduleNow,
+  formatUserDate,
+  formatUserTime
+};
+
+// `node user-schedule.js --due` prints due=true|false and the now=... it checked, for the scheduled
+// workflow: runs with nobody due skip the audit, and the audit gets the same now as AUDIT_NOW. Users
+// and their last audits come from the same registry and audit history the audit reads; they're
+// required here because user-registry and audit-history require this module.
+if (require.main === module) {
+  const { UserRegistry, isUserActive } = require('./user-registry');
+  const { AuditHistory } = require('./audit-history');
+  const now = getScheduleNow();
+  const auditHistory = new AuditHistory();
+
+  new UserRegistry().loadAll()
+    .then(async ({ users, invalid }) => {
+      for (const userData of users) {
+        if (isUserActive(userData) && await auditHistory.isDue(userData, now)) return true;
+      }
+      // Let the audit itself report records that don't load
+      return invalid.length > 0;
+    })
+    .catch(error => {
+      console.error('❌ Could not check due audits:', error.message);
+      return true;
+    })
+    .then(due => {
+      console.log(`due=${due}`);
+      console.log(`now=${now.toISOString()}`);
+    });
+}
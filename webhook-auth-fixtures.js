@@ -0,0 +1,138 @@
+// Webhook rejections (404/401/403) and their counts in webhook-auth.js
+const { checkWebhook, WebhookGuard } = require('./webhook-auth');
+const { runChecks } = require('./fixture-checks');
+
+const SENDER = { instanceId: '1101000001', webhookToken: 'per-user-secret' };
+
+function webhookRequest({ authorization = 'Bearer per-user-secret', idInstance = 1101000001 } = {}) {
+  return {
+    ip: '127.0.0.1',
+    headers: authorization === null ? {} : { authorization },
+    body: { typeWebhook: 'incomingMessageReceived', instanceData: idInstance === null ? {} : { idInstance } }
+  };
+}
+
+// Runs checkWebhook and keeps the status and reason
+function rejection(req, expected = SENDER) {
+  const result = checkWebhook(req, expected);
+  return result ? `${result.status} ${result.reason}` : null;
+}
+
+// Runs a guard's middleware against a fake request; "next" or the status it answered with
+async function respond(guard, senderFor, req = webhookRequest()) {
+  let outcome = 'no answer';
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  await guard.verify(senderFor)(req, res, () => {
+    outcome = 'next';
+  });
+  return outcome;
+}
+
+const FIXTURES = [
+  {
+    name: 'the user\'s secret as Bearer, or bare, from their instance passes',
+    run: () => [rejection(webhookRequest()), rejection(webhookRequest({ authorization: 'per-user-secret' })), rejection(webhookRequest({ idInstance: '1101000001' }))],
+    expected: [null, null, null]
+  },
+  {
+    name: 'an unknown user is 404',
+    run: () => rejection(webhookRequest(), null),
+    expected: '404 unknown user'
+  },
+  {
+    name: 'a user without a webhook secret is 401, whatever the request sends',
+    run: () => [rejection(webhookRequest(), { instanceId: '1101000001' }), rejection(webhookRequest({ authorization: 'Bearer ' }), { instanceId: '1101000001', webhookToken: '' })],
+    expected: ['401 no webhook secret', '401 no webhook secret']
+  },
+  {
+    name: 'a missing or wrong Authorization header is 401',
+    run: () => [null, 'Bearer other-secret', 'Bearer per-user-secre', 'Basic per-user-secret'].map(authorization => {
+      const result = checkWebhook(webhookRequest({ authorization }), SENDER);
+      return `${result.status} ${result.reason}: ${result.detail}`;
+    }),
+    expected: [
+      '401 bad token: no Authorization header',
+      '401 bad token: Authorization header doesn\'t match',
+      '401 bad token: Authorization header doesn\'t match',
+      '401 bad token: Authorization header doesn\'t match'
+    ]
+  },
+  {
+    name: 'the right secret from another or no instance is 403',
+    run: () => [webhookRequest({ idInstance: 1101000002 }), webhookRequest({ idInstance: null })].map(req => {
+      const result = checkWebhook(req, SENDER);
+      return `${result.status} ${result.reason}: ${result.detail}`;
+    }),
+    expected: [
+      '403 wrong instance: instance 1101000002, expected 1101000001',
+      '403 wrong instance: instance missing, expected 1101000001'
+    ]
+  },
+  {
+    name: 'WebhookGuard answers with the rejection status and passes good calls on',
+    run: async () => {
+      const guard = new WebhookGuard();
+      const known = () => ({ id: 'dana', expected: SENDER });
+      return [
+        await respond(guard, known),
+        await respond(guard, () => ({ id: 'made-up', expected: null })),
+        await respond(guard, known, webhookRequest({ authorization: null })),
+        await respond(guard, known, webhookRequest({ idInstance: 1101000002 }))
+      ];
+    },
+    expected: ['next', 404, 401, 403]
+  },
+  {
+    name: 'WebhookGuard answers 500 when the sender can\'t be looked up',
+    run: () => respond(new WebhookGuard(), async () => {
+      throw new Error('registry unavailable');
+    }),
+    expected: 500
+  },
+  {
+    name: 'rejections counted per user and reason; made-up user ids share "unknown"',
+    run: async () => {
+      const guard = new WebhookGuard();
+      const known = () => ({ id: 'dana', expected: SENDER });
+      await respond(guard, known);
+      await respond(guard, known, webhookRequest({ authorization: 'Bearer guess' }));
+      await respond(guard, known, webhookRequest({ authorization: 'Bearer guess-again' }));
+      await respond(guard, known, webhookRequest({ idInstance: 1101000002 }));
+      for (const id of ['made-up-1', 'made-up-2']) await respond(guard, () => ({ id, expected: null }));
+
+      const dana = guard.countsFor('dana');
+      return {
+        dana: { total: dana.total, byReason: dana.byReason, lastAt: typeof dana.lastAt },
+        unknown: guard.countsFor('unknown').total,
+        tracked: [...guard.rejections.keys()],
+        nobody: guard.countsFor('nobody'),
+        summary: guard.summary()
+      };
+    },
+    expected: {
+      dana: { total: 3, byReason: { 'bad token': 2, 'wrong instance': 1 }, lastAt: 'string' },
+      unknown: 2,
+      tracked: ['dana', 'unknown'],
+      nobody: { total: 0, byReason: {}, lastAt: null },
+      summary: { total: 5, byReason: { 'bad token': 2, 'wrong instance': 1, 'unknown user': 2 } }
+    }
+  }
+];
+
+function runFixtures(fixtures = FIXTURES) {
+  return runChecks('webhook auth', fixtures);
+}
+
+if (require.main === module) {
+  runFixtures().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = { FIXTURES, runFixtures };
@@ -0,0 +1,108 @@
+// Checks that a webhook really comes from Green API, and from the instance the route stands for.
+// configureUserWebhook registers a random per-user secret as the instance's webhookUrlToken, which
+// Green API sends back as "Authorization: Bearer <token>" with every notification; the body's
+// instanceData.idInstance must also be that user's instance. The master instance (/webhook) is
+// checked the same way against GREEN_API_WEBHOOK_TOKEN. Rejections are logged and counted.
+const crypto = require('crypto');
+const axios = require('axios');
+const { greenApiUrl } = require('./green-api');
+
+function generateWebhookToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Registers webhookUrl on the instance with a fresh secret; returns the secret to keep on the user
+async function registerWebhook(instance, webhookUrl) {
+  const webhookToken = generateWebhookToken();
+  await axios.post(greenApiUrl(instance, 'setSettings'), {
+    webhookUrl,
+    webhookUrlToken: webhookToken,
+    outgoingWebhook: 'yes',
+    incomingWebhook: 'yes'
+  });
+  return webhookToken;
+}
+
+// What /webhook expects: the master instance and the webhookUrlToken set on it by hand
+function masterWebhookSender() {
+  return { instanceId: process.env.GREEN_API_ID_INSTANCE, webhookToken: process.env.GREEN_API_WEBHOOK_TOKEN };
+}
+
+// Green API sends "Bearer <token>"; a bare token is accepted too
+function tokenFromHeader(header) {
+  return String(header || '').replace(/^Bearer\s+/i, '').trim();
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// { status, reason, detail } when the request isn't from expected ({ instanceId, webhookToken },
+// null for an unknown user), or null when it is
+function checkWebhook(req, expected) {
+  if (!expected) return { status: 404, reason: 'unknown user' };
+  if (!expected.webhookToken) return { status: 401, reason: 'no webhook secret' };
+  if (!safeEqual(tokenFromHeader(req.headers.authorization), expected.webhookToken)) {
+    return { status: 401, reason: 'bad token', detail: req.headers.authorization ? 'Authorization header doesn\'t match' : 'no Authorization header' };
+  }
+  const idInstance = req.body?.instanceData?.idInstance;
+  if (idInstance === undefined || String(idInstance) !== String(expected.instanceId)) {
+    return { status: 403, reason: 'wrong instance', detail: `instance ${idInstance ?? 'missing'}, expected ${expected.instanceId}` };
+  }
+  return null;
+}
+
+// Rejected webhooks per sender (a user id, "master" or "unknown") and reason, since the service started
+class WebhookGuard {
+  constructor() {
+    this.rejections = new Map();
+  }
+
+  // Express middleware; senderFor(req) resolves to { id, expected } for the route's sender
+  verify(senderFor) {
+    return async (req, res, next) => {
+      try {
+        const { id, expected } = await senderFor(req);
+        const rejection = checkWebhook(req, expected);
+        if (!rejection) return next();
+
+        // Made-up user ids share one bucket, so they can't grow the map without limit
+        this.count(expected ? id : 'unknown', rejection.reason);
+        console.log(`🚫 [${id}] Webhook rejected: ${rejection.reason}${rejection.detail ? ` (${rejection.detail})` : ''} from ${req.ip}`);
+        res.status(rejection.status).json({ error: 'Webhook rejected' });
+      } catch (error) {
+        console.error('❌ Webhook check failed:', error.message);
+        res.status(500).json({ error: 'Webhook check failed' });
+      }
+    };
+  }
+
+  count(id, reason) {
+    const counts = this.rejections.get(id) || { total: 0, byReason: {}, lastAt: null };
+    counts.total += 1;
+    counts.byReason[reason] = (counts.byReason[reason] || 0) + 1;
+    counts.lastAt = new Date().toISOString();
+    this.rejections.set(id, counts);
+  }
+
+  // { total, byReason, lastAt } for one sender
+  countsFor(id) {
+    return this.rejections.get(id) || { total: 0, byReason: {}, lastAt: null };
+  }
+
+  // { total, byReason } over every sender, for /health (which doesn't name users)
+  summary() {
+    const summary = { total: 0, byReason: {} };
+    for (const counts of this.rejections.values()) {
+      summary.total += counts.total;
+      for (const [reason, count] of Object.entries(counts.byReason)) {
+        summary.byReason[reason] = (summary.byReason[reason] || 0) + count;
+      }
+    }
+    return summary;
+  }
+}
+
+module.exports = { generateWebhookToken, registerWebhook, masterWebhookSender, checkWebhook, WebhookGuard };